@@ -0,0 +1,297 @@
+/**
+ * AliquotasIBSRepository - Alíquotas do IBS por destino (UF e município)
+ * Versão: 1.0.0
+ * O IBS é devido ao destino da operação, à soma da alíquota estadual e da municipal
+ * (EC 132/2023, art. 156-A). Enquanto os entes não fixam suas alíquotas, os valores
+ * padrão rateiam a alíquota de referência do perfil de legislação ativo; o usuário pode
+ * informar alíquotas próprias por UF e por município (código IBGE), persistidas no localStorage.
+ */
+const AliquotasIBSRepository = (function() {
+    const CHAVE_ARMAZENAMENTO = 'aliquotas-ibs-split-payment';
+
+    // Rateio da alíquota de referência entre estado e município, na proporção
+    // aproximada da arrecadação atual de ICMS e ISS (estimativa)
+    const RATEIO_REFERENCIA = { estadual: 0.85, municipal: 0.15 };
+
+    // Unidades da federação com o código IBGE (dois primeiros dígitos do código do município)
+    const UFS = {
+        'AC': { codigo: '12', nome: 'Acre' },
+        'AL': { codigo: '27', nome: 'Alagoas' },
+        'AP': { codigo: '16', nome: 'Amapá' },
+        'AM': { codigo: '13', nome: 'Amazonas' },
+        'BA': { codigo: '29', nome: 'Bahia' },
+        'CE': { codigo: '23', nome: 'Ceará' },
+        'DF': { codigo: '53', nome: 'Distrito Federal' },
+        'ES': { codigo: '32', nome: 'Espírito Santo' },
+        'GO': { codigo: '52', nome: 'Goiás' },
+        'MA': { codigo: '21', nome: 'Maranhão' },
+        'MT': { codigo: '51', nome: 'Mato Grosso' },
+        'MS': { codigo: '50', nome: 'Mato Grosso do Sul' },
+        'MG': { codigo: '31', nome: 'Minas Gerais' },
+        'PA': { codigo: '15', nome: 'Pará' },
+        'PB': { codigo: '25', nome: 'Paraíba' },
+        'PR': { codigo: '41', nome: 'Paraná' },
+        'PE': { codigo: '26', nome: 'Pernambuco' },
+        'PI': { codigo: '22', nome: 'Piauí' },
+        'RJ': { codigo: '33', nome: 'Rio de Janeiro' },
+        'RN': { codigo: '24', nome: 'Rio Grande do Norte' },
+        'RS': { codigo: '43', nome: 'Rio Grande do Sul' },
+        'RO': { codigo: '11', nome: 'Rondônia' },
+        'RR': { codigo: '14', nome: 'Roraima' },
+        'SC': { codigo: '42', nome: 'Santa Catarina' },
+        'SP': { codigo: '35', nome: 'São Paulo' },
+        'SE': { codigo: '28', nome: 'Sergipe' },
+        'TO': { codigo: '17', nome: 'Tocantins' }
+    };
+
+    // Destino exterior: exportações são imunes ao IBS
+    const UF_EXTERIOR = 'EX';
+
+    // Alíquotas informadas pelo usuário: por UF { estadual, municipal } e por município { uf, nome, municipal }
+    let aliquotasUF = {};
+    let aliquotasMunicipio = {};
+
+    // O repositório também é carregado no Web Worker, que não tem localStorage
+    function armazenamentoDisponivel() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    function carregarAliquotasSalvas() {
+        if (!armazenamentoDisponivel()) return;
+
+        const dadosSalvos = localStorage.getItem(CHAVE_ARMAZENAMENTO);
+        if (dadosSalvos) {
+            try {
+                const dados = JSON.parse(dadosSalvos);
+                aliquotasUF = dados.ufs || {};
+                aliquotasMunicipio = dados.municipios || {};
+                console.log('Alíquotas do IBS por destino carregadas do localStorage');
+            } catch (erro) {
+                console.error('Erro ao carregar alíquotas do IBS do localStorage:', erro);
+                aliquotasUF = {};
+                aliquotasMunicipio = {};
+            }
+        }
+    }
+
+    function salvarAliquotas() {
+        if (!armazenamentoDisponivel()) return false;
+        try {
+            localStorage.setItem(CHAVE_ARMAZENAMENTO, JSON.stringify({
+                ufs: aliquotasUF,
+                municipios: aliquotasMunicipio
+            }));
+            return true;
+        } catch (erro) {
+            console.error('Erro ao salvar alíquotas do IBS no localStorage:', erro);
+            return false;
+        }
+    }
+
+    function somenteDigitos(valor) {
+        return String(valor || '').replace(/\D/g, '');
+    }
+
+    // Converte percentual (17,7) ou decimal (0,177) para decimal; null se inválido
+    function normalizarAliquota(valor) {
+        const numero = parseFloat(valor);
+        if (isNaN(numero) || numero < 0) return null;
+        return numero > 1 ? numero / 100 : numero;
+    }
+
+    function obterReferenciaIBS() {
+        return typeof LegislacaoRepository !== 'undefined' ?
+            LegislacaoRepository.obterAliquotasReferencia().ibs :
+            0.177;
+    }
+
+    // API pública
+    return {
+        UF_EXTERIOR,
+
+        /**
+         * Inicializa o repositório
+         */
+        inicializar: function() {
+            carregarAliquotasSalvas();
+            console.log('AliquotasIBSRepository inicializado');
+        },
+
+        /**
+         * Retorna as unidades da federação
+         * @returns {Object} - { sigla: { codigo, nome } }
+         */
+        obterUFs: function() {
+            return { ...UFS };
+        },
+
+        /**
+         * Identifica a UF pelo código IBGE do município (7 dígitos) ou da UF (2 dígitos)
+         * @param {string} codigoIBGE - Código IBGE
+         * @returns {string|null} - Sigla da UF ou null
+         */
+        obterUFPorCodigoIBGE: function(codigoIBGE) {
+            const codigoUF = somenteDigitos(codigoIBGE).substring(0, 2);
+            return Object.keys(UFS).find(sigla => UFS[sigla].codigo === codigoUF) || null;
+        },
+
+        /**
+         * Retorna as alíquotas padrão, derivadas da referência do perfil de legislação ativo
+         * @returns {Object} - { estadual, municipal, total }
+         */
+        obterAliquotasPadrao: function() {
+            const referencia = obterReferenciaIBS();
+            return {
+                estadual: referencia * RATEIO_REFERENCIA.estadual,
+                municipal: referencia * RATEIO_REFERENCIA.municipal,
+                total: referencia
+            };
+        },
+
+        /**
+         * Resolve a alíquota do IBS de um destino: município informado, senão UF, senão padrão
+         * @param {string} uf - Sigla da UF (ou 'EX' para exterior)
+         * @param {string} [codigoMunicipio] - Código IBGE do município
+         * @returns {Object} - { uf, codigoMunicipio, estadual, municipal, total, origem }
+         */
+        obterAliquota: function(uf, codigoMunicipio) {
+            const codigo = somenteDigitos(codigoMunicipio);
+            const sigla = String(uf || '').toUpperCase() || this.obterUFPorCodigoIBGE(codigo) || '';
+
+            if (sigla === UF_EXTERIOR) {
+                return { uf: sigla, codigoMunicipio: '', estadual: 0, municipal: 0, total: 0, origem: 'exportacao' };
+            }
+
+            const padrao = this.obterAliquotasPadrao();
+            const personalizadaUF = aliquotasUF[sigla];
+            const personalizadaMunicipio = codigo ? aliquotasMunicipio[codigo] : null;
+
+            const estadual = personalizadaUF ? personalizadaUF.estadual : padrao.estadual;
+            let municipal = personalizadaUF ? personalizadaUF.municipal : padrao.municipal;
+            let origem = personalizadaUF ? 'uf' : 'padrao';
+
+            if (personalizadaMunicipio) {
+                municipal = personalizadaMunicipio.municipal;
+                origem = 'municipio';
+            }
+
+            return {
+                uf: sigla,
+                codigoMunicipio: codigo,
+                estadual,
+                municipal,
+                total: estadual + municipal,
+                origem
+            };
+        },
+
+        /**
+         * Retorna as alíquotas informadas pelo usuário
+         * @returns {Object} - { ufs, municipios }
+         */
+        obterPersonalizadas: function() {
+            return {
+                ufs: JSON.parse(JSON.stringify(aliquotasUF)),
+                municipios: JSON.parse(JSON.stringify(aliquotasMunicipio))
+            };
+        },
+
+        /**
+         * Define as alíquotas estadual e municipal (padrão dos municípios) de uma UF
+         * @param {string} uf - Sigla da UF
+         * @param {number} estadual - Alíquota estadual (decimal ou percentual)
+         * @param {number} municipal - Alíquota municipal padrão (decimal ou percentual)
+         * @returns {boolean} - Sucesso da operação
+         */
+        salvarAliquotaUF: function(uf, estadual, municipal) {
+            const sigla = String(uf || '').toUpperCase();
+            const aliquotaEstadual = normalizarAliquota(estadual);
+            const aliquotaMunicipal = normalizarAliquota(municipal);
+            if (!UFS[sigla] || aliquotaEstadual === null || aliquotaMunicipal === null) {
+                console.error('Dados insuficientes para salvar alíquota do IBS da UF');
+                return false;
+            }
+
+            aliquotasUF[sigla] = { estadual: aliquotaEstadual, municipal: aliquotaMunicipal };
+            return salvarAliquotas();
+        },
+
+        /**
+         * Remove as alíquotas informadas para uma UF (volta ao padrão)
+         * @param {string} uf - Sigla da UF
+         * @returns {boolean} - Sucesso da operação
+         */
+        removerAliquotaUF: function(uf) {
+            const sigla = String(uf || '').toUpperCase();
+            if (!aliquotasUF[sigla]) return false;
+
+            delete aliquotasUF[sigla];
+            return salvarAliquotas();
+        },
+
+        /**
+         * Define a alíquota municipal de um município
+         * @param {string} codigoMunicipio - Código IBGE (7 dígitos)
+         * @param {number} municipal - Alíquota municipal (decimal ou percentual)
+         * @param {string} [nome] - Nome do município
+         * @returns {boolean} - Sucesso da operação
+         */
+        salvarAliquotaMunicipio: function(codigoMunicipio, municipal, nome) {
+            const codigo = somenteDigitos(codigoMunicipio);
+            const uf = this.obterUFPorCodigoIBGE(codigo);
+            const aliquotaMunicipal = normalizarAliquota(municipal);
+            if (codigo.length !== 7 || !uf || aliquotaMunicipal === null) {
+                console.error('Dados insuficientes para salvar alíquota do IBS do município');
+                return false;
+            }
+
+            aliquotasMunicipio[codigo] = { uf, nome: nome || '', municipal: aliquotaMunicipal };
+            return salvarAliquotas();
+        },
+
+        /**
+         * Remove a alíquota informada para um município
+         * @param {string} codigoMunicipio - Código IBGE
+         * @returns {boolean} - Sucesso da operação
+         */
+        removerAliquotaMunicipio: function(codigoMunicipio) {
+            const codigo = somenteDigitos(codigoMunicipio);
+            if (!aliquotasMunicipio[codigo]) return false;
+
+            delete aliquotasMunicipio[codigo];
+            return salvarAliquotas();
+        },
+
+        /**
+         * Completa uma distribuição de vendas por destino com as alíquotas vigentes
+         * O resultado é autossuficiente (pode ser enviado ao Web Worker de simulação)
+         * @param {Array} destinos - [{ uf, codigoMunicipio, municipio, participacao }]
+         * @returns {Array} - Destinos com { aliquotaEstadual, aliquotaMunicipal, aliquota }
+         */
+        resolverDestinos: function(destinos) {
+            if (!Array.isArray(destinos)) return [];
+
+            return destinos.map(destino => {
+                const aliquota = this.obterAliquota(destino.uf, destino.codigoMunicipio);
+                return {
+                    ...destino,
+                    uf: aliquota.uf,
+                    codigoMunicipio: aliquota.codigoMunicipio,
+                    aliquotaEstadual: aliquota.estadual,
+                    aliquotaMunicipal: aliquota.municipal,
+                    aliquota: aliquota.total
+                };
+            });
+        },
+
+        /**
+         * Remove todas as alíquotas informadas pelo usuário
+         * @returns {boolean} - Sucesso da operação
+         */
+        restaurarPadroes: function() {
+            aliquotasUF = {};
+            aliquotasMunicipio = {};
+            return salvarAliquotas();
+        }
+    };
+})();
@@ -13,6 +13,7 @@
         // Propriedades privadas
         _nextSetorId: 4,
         _setoresCronogramas: {},
+        // Substituído pela adoção do split payment do perfil de legislação ativo em inicializar()
         _cronogramaDefault: {
             '2026': 10.0,
             '2027': 25.0,
@@ -45,22 +46,25 @@
             // Depois configurar event listeners
             this._configurarEventListeners();
 
+            // Valores padrão do perfil de legislação ativo
+            const referencia = this._carregarPadroesLegislacao();
+
             // Verificar se os dados estão presentes na interface
             const aliquotaCBS = document.getElementById('aliquota-cbs');
             const aliquotaIBS = document.getElementById('aliquota-ibs');
 
             if (aliquotaCBS && !aliquotaCBS.value) {
                 console.log('Preenchendo alíquota CBS com valor padrão');
-                aliquotaCBS.value = '8.8';
+                aliquotaCBS.value = String(+(referencia.cbs * 100).toFixed(2));
             }
 
             if (aliquotaIBS && !aliquotaIBS.value) {
                 console.log('Preenchendo alíquota IBS com valor padrão');
-                aliquotaIBS.value = '17.7';
+                aliquotaIBS.value = String(+(referencia.ibs * 100).toFixed(2));
             }
 
             // Preencher valores do cronograma se não estiverem presentes
-            for (let ano = 2026; ano <= 2033; ano++) {
+            for (const ano of Object.keys(this._cronogramaDefault)) {
                 const inputPerc = document.querySelector(`input[name="perc-${ano}"]`);
                 if (inputPerc && !inputPerc.value) {
                     console.log(`Preenchendo percentual para ${ano} com valor padrão`);
@@ -75,6 +79,38 @@
             console.log('Módulo ConfiguracoesSetoriais inicializado com sucesso');
         },
         
+        /**
+         * Atualiza o cronograma padrão com a adoção do split payment do perfil de legislação ativo
+         * @returns {Object} Alíquotas de referência { cbs, ibs } (decimal)
+         */
+        _carregarPadroesLegislacao: function() {
+            if (typeof LegislacaoRepository === 'undefined') {
+                return { cbs: 0.088, ibs: 0.177 };
+            }
+
+            const perfil = LegislacaoRepository.obterPerfilAtivo();
+            const cronograma = {};
+            Object.keys(perfil.anos).forEach(ano => {
+                cronograma[ano] = +(perfil.anos[ano].splitPayment * 100).toFixed(2);
+            });
+            this._cronogramaDefault = cronograma;
+            return perfil.referencia;
+        },
+
+        /**
+         * Obtém os anos da transição cobertos pelo perfil de legislação ativo
+         * @returns {Array<number>} Anos de anoInicial a anoFinal
+         */
+        _obterAnosTransicao: function() {
+            const periodo = typeof LegislacaoRepository !== 'undefined' ?
+                LegislacaoRepository.obterPeriodo() : { anoInicial: 2026, anoFinal: 2033 };
+            const anos = [];
+            for (let ano = periodo.anoInicial; ano <= periodo.anoFinal; ano++) {
+                anos.push(ano);
+            }
+            return anos;
+        },
+
         // Métodos públicos
         adicionarSetor: function() {
             // Redirecionar para a função global
@@ -189,7 +225,7 @@
 
                     const cronogramaAtual = this._setoresCronogramas[id] || this._cronogramaDefault;
 
-                    for (let ano = 2026; ano <= 2033; ano++) {
+                    for (const ano of this._obterAnosTransicao()) {
                         const linha = document.createElement('tr');
                         linha.innerHTML = `
                             <td>${ano}</td>
@@ -226,7 +262,7 @@
             
             const cronograma = {};
 
-            for (let ano = 2026; ano <= 2033; ano++) {
+            for (const ano of this._obterAnosTransicao()) {
                 const input = document.querySelector(`input[name="modal-perc-${ano}"]`);
                 if (input) {
                     const valor = parseFloat(input.value);
@@ -254,7 +290,7 @@
 
         restaurarCronogramaPadrao: function() {
             if (confirm('Confirma a restauração do cronograma para os valores padrão?')) {
-                for (let ano = 2026; ano <= 2033; ano++) {
+                for (const ano of this._obterAnosTransicao()) {
                     const input = document.querySelector(`input[name="perc-${ano}"]`);
                     if (input) {
                         input.value = this._cronogramaDefault[ano];
@@ -289,7 +325,7 @@
                 };
 
                 // Coletar cronograma geral
-                for (let ano = 2026; ano <= 2033; ano++) {
+                for (const ano of this._obterAnosTransicao()) {
                     const input = document.querySelector(`input[name="perc-${ano}"]`);
                     if (input) {
                         configuracoes.parametrosGerais.cronograma[ano] = parseFloat(input.value) || 0;
@@ -685,7 +721,7 @@
 
                     // Carregar cronograma
                     if (config.parametrosGerais.cronograma) {
-                        for (let ano = 2026; ano <= 2033; ano++) {
+                        for (const ano of this._obterAnosTransicao()) {
                             if (config.parametrosGerais.cronograma[ano] !== undefined) {
                                 const input = document.querySelector(`input[name="perc-${ano}"]`);
                                 if (input) input.value = config.parametrosGerais.cronograma[ano];
@@ -0,0 +1,435 @@
+/**
+ * LegislacaoRepository - Perfis de legislação da transição tributária (2026-2033)
+ * Versão: 1.0.0
+ * Serve como única fonte de verdade para o cronograma legal da reforma: alíquotas anuais
+ * de CBS/IBS, extinção do PIS/COFINS, redução do ICMS/ISS, vigência do Imposto Seletivo
+ * e adoção do split payment. O perfil LC 214/2025 é fixo; variantes editadas pelo
+ * usuário são versionadas e persistidas no localStorage.
+ */
+const LegislacaoRepository = (function() {
+    const CHAVE_ARMAZENAMENTO = 'legislacao-perfis-split-payment';
+    const ID_PERFIL_PADRAO = 'lc214-2025';
+
+    // Campos de cada ano do cronograma
+    // cbs/ibs: alíquota vigente (decimal); pisCofins/icmsIss: fração remanescente do tributo atual (0-1);
+    // impostoSeletivo: cobrança do IS no ano; splitPayment: fração das operações liquidadas por split (0-1);
+    // compensacaoTeste: CBS/IBS do ano de teste compensáveis com PIS/COFINS
+    const CAMPOS_ANO = ['cbs', 'ibs', 'pisCofins', 'icmsIss', 'impostoSeletivo', 'splitPayment', 'compensacaoTeste'];
+
+    // Perfil base conforme a EC 132/2023 e a LC 214/2025
+    const PERFIL_LC214 = {
+        id: ID_PERFIL_PADRAO,
+        nome: 'LC 214/2025 (cronograma legal)',
+        base: null,
+        versao: 1,
+        editavel: false,
+        atualizadoEm: '2025-01-16',
+        referencia: { cbs: 0.088, ibs: 0.177 },
+        // Saldos credores de ICMS existentes na extinção do imposto: compensação com o IBS em parcelas mensais
+        saldoCredorICMS: { parcelasCompensacaoIBS: 240 },
+        anoInicial: 2026,
+        anoFinal: 2033,
+        anos: {
+            2026: { cbs: 0.009, ibs: 0.001, pisCofins: 1, icmsIss: 1, impostoSeletivo: false, splitPayment: 0.10, compensacaoTeste: true },
+            2027: { cbs: 0.087, ibs: 0.001, pisCofins: 0, icmsIss: 1, impostoSeletivo: true, splitPayment: 0.25, compensacaoTeste: false },
+            2028: { cbs: 0.087, ibs: 0.001, pisCofins: 0, icmsIss: 1, impostoSeletivo: true, splitPayment: 0.40, compensacaoTeste: false },
+            2029: { cbs: 0.088, ibs: 0.0177, pisCofins: 0, icmsIss: 0.9, impostoSeletivo: true, splitPayment: 0.55, compensacaoTeste: false },
+            2030: { cbs: 0.088, ibs: 0.0354, pisCofins: 0, icmsIss: 0.8, impostoSeletivo: true, splitPayment: 0.70, compensacaoTeste: false },
+            2031: { cbs: 0.088, ibs: 0.0531, pisCofins: 0, icmsIss: 0.7, impostoSeletivo: true, splitPayment: 0.85, compensacaoTeste: false },
+            2032: { cbs: 0.088, ibs: 0.0708, pisCofins: 0, icmsIss: 0.6, impostoSeletivo: true, splitPayment: 0.95, compensacaoTeste: false },
+            2033: { cbs: 0.088, ibs: 0.177, pisCofins: 0, icmsIss: 0, impostoSeletivo: true, splitPayment: 1.00, compensacaoTeste: false }
+        }
+    };
+
+    // Situação anterior à reforma, usada para anos antes do início do perfil
+    const ANO_PRE_REFORMA = { cbs: 0, ibs: 0, pisCofins: 1, icmsIss: 1, impostoSeletivo: false, splitPayment: 0, compensacaoTeste: false };
+
+    let variantes = {};
+    let perfilAtivo = null;
+    let inicializado = false;
+
+    function clonar(objeto) {
+        return JSON.parse(JSON.stringify(objeto));
+    }
+
+    // O repositório também é carregado no Web Worker, que não tem localStorage
+    function armazenamentoDisponivel() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    function salvarNoStorage() {
+        if (!armazenamentoDisponivel()) return;
+        try {
+            localStorage.setItem(CHAVE_ARMAZENAMENTO, JSON.stringify({
+                variantes,
+                perfilAtivo: perfilAtivo ? perfilAtivo.id : ID_PERFIL_PADRAO
+            }));
+        } catch (erro) {
+            console.error('LegislacaoRepository: Erro ao salvar perfis:', erro);
+        }
+    }
+
+    function gerarId(nome) {
+        const base = String(nome || 'variante')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'variante';
+        let id = base;
+        let sufixo = 2;
+        while (id === ID_PERFIL_PADRAO || variantes[id]) {
+            id = `${base}-${sufixo++}`;
+        }
+        return id;
+    }
+
+    /**
+     * Valida a estrutura de um perfil de legislação
+     * @param {Object} perfil - Perfil a validar
+     * @returns {Array<string>} Lista de erros (vazia se válido)
+     */
+    function validarPerfil(perfil) {
+        const erros = [];
+        if (!perfil || typeof perfil !== 'object') {
+            return ['Perfil de legislação inválido'];
+        }
+        if (!perfil.nome || !String(perfil.nome).trim()) {
+            erros.push('O perfil precisa de um nome');
+        }
+
+        const anoInicial = parseInt(perfil.anoInicial, 10);
+        const anoFinal = parseInt(perfil.anoFinal, 10);
+        if (isNaN(anoInicial) || isNaN(anoFinal) || anoInicial > anoFinal) {
+            erros.push('Período do perfil inválido');
+            return erros;
+        }
+
+        ['cbs', 'ibs'].forEach(tributo => {
+            const valor = perfil.referencia?.[tributo];
+            if (typeof valor !== 'number' || !(valor > 0) || valor > 1) {
+                erros.push(`Alíquota de referência ${tributo.toUpperCase()} deve estar entre 0 e 100%`);
+            }
+        });
+
+        const parcelasSaldoCredor = perfil.saldoCredorICMS?.parcelasCompensacaoIBS;
+        if (parcelasSaldoCredor !== undefined && !(Number.isInteger(parcelasSaldoCredor) && parcelasSaldoCredor > 0)) {
+            erros.push('Parcelas de compensação do saldo credor de ICMS devem ser um inteiro positivo');
+        }
+
+        for (let ano = anoInicial; ano <= anoFinal; ano++) {
+            const parametros = perfil.anos?.[ano];
+            if (!parametros) {
+                erros.push(`Ano ${ano} ausente no cronograma`);
+                continue;
+            }
+            ['cbs', 'ibs', 'pisCofins', 'icmsIss', 'splitPayment'].forEach(campo => {
+                const valor = parametros[campo];
+                if (typeof valor !== 'number' || isNaN(valor) || valor < 0 || valor > 1) {
+                    erros.push(`${ano}: valor de "${campo}" deve estar entre 0 e 100%`);
+                }
+            });
+        }
+
+        return erros;
+    }
+
+    // Completa um perfil recebido (variante salva ou snapshot de simulação) com os campos ausentes
+    function normalizarPerfil(perfil) {
+        const normalizado = {
+            ...clonar(PERFIL_LC214),
+            ...clonar(perfil),
+            editavel: perfil.id !== ID_PERFIL_PADRAO
+        };
+        normalizado.referencia = { ...PERFIL_LC214.referencia, ...(perfil.referencia || {}) };
+        normalizado.saldoCredorICMS = { ...PERFIL_LC214.saldoCredorICMS, ...(perfil.saldoCredorICMS || {}) };
+        for (let ano = normalizado.anoInicial; ano <= normalizado.anoFinal; ano++) {
+            const modelo = PERFIL_LC214.anos[ano] || PERFIL_LC214.anos[PERFIL_LC214.anoFinal];
+            normalizado.anos[ano] = { ...modelo, ...(normalizado.anos[ano] || {}) };
+        }
+        return normalizado;
+    }
+
+    return {
+        CAMPOS_ANO,
+        ID_PERFIL_PADRAO,
+
+        /**
+         * Carrega as variantes e o perfil ativo salvos
+         */
+        inicializar: function() {
+            if (inicializado) return;
+            inicializado = true;
+            perfilAtivo = clonar(PERFIL_LC214);
+
+            if (!armazenamentoDisponivel()) return;
+            try {
+                const salvo = JSON.parse(localStorage.getItem(CHAVE_ARMAZENAMENTO) || 'null');
+                if (salvo) {
+                    Object.values(salvo.variantes || {}).forEach(variante => {
+                        if (variante && variante.id && validarPerfil(variante).length === 0) {
+                            variantes[variante.id] = normalizarPerfil(variante);
+                        }
+                    });
+                    if (salvo.perfilAtivo && variantes[salvo.perfilAtivo]) {
+                        perfilAtivo = clonar(variantes[salvo.perfilAtivo]);
+                    }
+                }
+                console.log(`LegislacaoRepository: ${Object.keys(variantes).length} variante(s) carregada(s)`);
+            } catch (erro) {
+                console.error('LegislacaoRepository: Erro ao carregar perfis:', erro);
+            }
+        },
+
+        /**
+         * Lista os perfis disponíveis (padrão primeiro)
+         * @returns {Array<Object>} Resumo { id, nome, versao, editavel, base }
+         */
+        obterPerfis: function() {
+            this.inicializar();
+            return [PERFIL_LC214, ...Object.values(variantes)].map(perfil => ({
+                id: perfil.id,
+                nome: perfil.nome,
+                versao: perfil.versao,
+                editavel: perfil.id !== ID_PERFIL_PADRAO,
+                base: perfil.base
+            }));
+        },
+
+        /**
+         * Obtém uma cópia de um perfil
+         * @param {string} id - Identificador do perfil
+         * @returns {Object|null} Perfil ou null se não existir
+         */
+        obterPerfil: function(id) {
+            this.inicializar();
+            if (!id || id === ID_PERFIL_PADRAO) return clonar(PERFIL_LC214);
+            return variantes[id] ? clonar(variantes[id]) : null;
+        },
+
+        /**
+         * Obtém uma cópia do perfil LC 214/2025
+         * @returns {Object} Perfil padrão
+         */
+        obterPerfilPadrao: function() {
+            return clonar(PERFIL_LC214);
+        },
+
+        /**
+         * Cria uma variante editável a partir de um perfil existente
+         * @param {string} idBase - Perfil de origem
+         * @param {string} nome - Nome da variante
+         * @returns {Object} Variante criada
+         */
+        criarVariante: function(idBase, nome) {
+            const base = this.obterPerfil(idBase);
+            if (!base) {
+                throw new Error(`Perfil de legislação não encontrado: ${idBase}`);
+            }
+            const nomeVariante = String(nome || '').trim() || `${base.nome} (variante)`;
+            const variante = {
+                ...base,
+                id: gerarId(nomeVariante),
+                nome: nomeVariante,
+                base: base.id,
+                versao: 1,
+                editavel: true,
+                atualizadoEm: new Date().toISOString()
+            };
+            variantes[variante.id] = variante;
+            salvarNoStorage();
+            return clonar(variante);
+        },
+
+        /**
+         * Salva uma variante editada, incrementando a versão
+         * @param {Object} perfil - Variante com as alterações
+         * @returns {Object} Variante salva
+         * @throws {Error} Se o perfil for o padrão ou estiver inválido
+         */
+        salvarVariante: function(perfil) {
+            this.inicializar();
+            if (!perfil || !variantes[perfil.id]) {
+                throw new Error('Somente variantes existentes podem ser salvas; o perfil LC 214/2025 não é editável');
+            }
+            const erros = validarPerfil(perfil);
+            if (erros.length > 0) {
+                throw new Error(erros.join('\n'));
+            }
+            const salvo = normalizarPerfil({
+                ...perfil,
+                versao: (variantes[perfil.id].versao || 1) + 1,
+                atualizadoEm: new Date().toISOString()
+            });
+            variantes[perfil.id] = salvo;
+            if (perfilAtivo && perfilAtivo.id === perfil.id) {
+                perfilAtivo = clonar(salvo);
+            }
+            salvarNoStorage();
+            return clonar(salvo);
+        },
+
+        /**
+         * Remove uma variante; se estiver ativa, o perfil padrão volta a ser o ativo
+         * @param {string} id - Identificador da variante
+         * @returns {boolean} true se removida
+         */
+        removerVariante: function(id) {
+            this.inicializar();
+            if (!variantes[id]) return false;
+            delete variantes[id];
+            if (perfilAtivo && perfilAtivo.id === id) {
+                perfilAtivo = clonar(PERFIL_LC214);
+            }
+            salvarNoStorage();
+            return true;
+        },
+
+        /**
+         * Define o perfil usado pelos módulos de cálculo
+         * @param {string|Object} perfil - Id de um perfil salvo ou o próprio perfil
+         *                                 (snapshot enviado com a simulação, inclusive ao Web Worker)
+         * @returns {Object} Perfil ativo
+         */
+        definirPerfilAtivo: function(perfil) {
+            this.inicializar();
+            if (perfil && typeof perfil === 'object') {
+                const erros = validarPerfil(perfil);
+                if (erros.length > 0) {
+                    console.warn('LegislacaoRepository: Perfil inválido, mantendo o perfil ativo:', erros);
+                    return clonar(perfilAtivo);
+                }
+                perfilAtivo = perfil.id === ID_PERFIL_PADRAO ? clonar(PERFIL_LC214) : normalizarPerfil(perfil);
+                return clonar(perfilAtivo);
+            }
+
+            const encontrado = this.obterPerfil(perfil);
+            if (!encontrado) {
+                console.warn(`LegislacaoRepository: Perfil "${perfil}" não encontrado, usando LC 214/2025`);
+            }
+            perfilAtivo = encontrado || clonar(PERFIL_LC214);
+            salvarNoStorage();
+            return clonar(perfilAtivo);
+        },
+
+        /**
+         * Obtém uma cópia do perfil ativo
+         * @returns {Object} Perfil ativo
+         */
+        obterPerfilAtivo: function() {
+            this.inicializar();
+            return clonar(perfilAtivo);
+        },
+
+        /**
+         * Obtém os parâmetros legais de um ano. Antes do início do perfil vale o regime atual;
+         * após o fim, os parâmetros do último ano
+         * @param {number} ano - Ano desejado
+         * @param {Object} [perfil] - Perfil a consultar (padrão: perfil ativo)
+         * @returns {Object} { cbs, ibs, pisCofins, icmsIss, impostoSeletivo, splitPayment, compensacaoTeste }
+         */
+        obterParametrosAno: function(ano, perfil) {
+            this.inicializar();
+            const origem = perfil || perfilAtivo;
+            ano = parseInt(ano, 10);
+            if (isNaN(ano) || ano < origem.anoInicial) {
+                return { ...ANO_PRE_REFORMA };
+            }
+            const anoConsulta = Math.min(ano, origem.anoFinal);
+            return { ...ANO_PRE_REFORMA, ...(origem.anos[anoConsulta] || {}) };
+        },
+
+        /**
+         * Obtém o percentual de implementação de um componente da transição
+         * @param {number} ano - Ano desejado
+         * @param {string} tipo - 'splitPayment', 'cbs', 'ibs', 'pisCofins', 'icmsIss' ou 'impostoSeletivo'
+         * @param {Object} [perfil] - Perfil a consultar (padrão: perfil ativo)
+         * @returns {number} Percentual (decimal). Para CBS/IBS, a alíquota do ano sobre a de referência
+         */
+        obterPercentualImplementacao: function(ano, tipo = 'splitPayment', perfil) {
+            this.inicializar();
+            const origem = perfil || perfilAtivo;
+            const parametros = this.obterParametrosAno(ano, origem);
+
+            switch (tipo) {
+                case 'cbs':
+                case 'ibs':
+                    return origem.referencia[tipo] > 0 ? Math.min(1, parametros[tipo] / origem.referencia[tipo]) : 0;
+                case 'pisCofins':
+                case 'icmsIss':
+                    return parametros[tipo];
+                case 'impostoSeletivo':
+                    return parametros.impostoSeletivo ? 1 : 0;
+                default:
+                    return parametros.splitPayment;
+            }
+        },
+
+        /**
+         * Obtém as alíquotas de referência (plenas) de CBS e IBS
+         * @param {Object} [perfil] - Perfil a consultar (padrão: perfil ativo)
+         * @returns {Object} { cbs, ibs }
+         */
+        obterAliquotasReferencia: function(perfil) {
+            this.inicializar();
+            return { ...(perfil || perfilAtivo).referencia };
+        },
+
+        /**
+         * Obtém o número de parcelas mensais de compensação com o IBS dos saldos credores de ICMS
+         * @param {Object} [perfil] - Perfil a consultar (padrão: perfil ativo)
+         * @returns {number} Quantidade de parcelas
+         */
+        obterParcelasSaldoCredorICMS: function(perfil) {
+            this.inicializar();
+            return (perfil || perfilAtivo).saldoCredorICMS?.parcelasCompensacaoIBS ||
+                   PERFIL_LC214.saldoCredorICMS.parcelasCompensacaoIBS;
+        },
+
+        /**
+         * Obtém o período coberto pelo perfil
+         * @param {Object} [perfil] - Perfil a consultar (padrão: perfil ativo)
+         * @returns {Object} { anoInicial, anoFinal }
+         */
+        obterPeriodo: function(perfil) {
+            this.inicializar();
+            const origem = perfil || perfilAtivo;
+            return { anoInicial: origem.anoInicial, anoFinal: origem.anoFinal };
+        },
+
+        /**
+         * Obtém o primeiro ano do perfil em que um componente da transição está vigente
+         * @param {string} tipo - Campo do ano ('impostoSeletivo', 'splitPayment', 'cbs', 'ibs' etc.)
+         * @param {Object} [perfil] - Perfil a consultar (padrão: perfil ativo)
+         * @returns {number|null} Ano de início, ou null se o componente não vigora no perfil
+         */
+        obterAnoInicio: function(tipo, perfil) {
+            this.inicializar();
+            const origem = perfil || perfilAtivo;
+            for (let ano = origem.anoInicial; ano <= origem.anoFinal; ano++) {
+                const valor = origem.anos[ano]?.[tipo];
+                if (valor === true || valor > 0) {
+                    return ano;
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Obtém o primeiro ano em que o optante pelo Simples Nacional pode recolher CBS/IBS pelo
+         * regime regular (LC 214/2025, art. 41): o primeiro ano com CBS cobrada fora do período de teste
+         * @param {Object} [perfil] - Perfil a consultar (padrão: perfil ativo)
+         * @returns {number|null} Ano de início da opção, ou null se não houver no período do perfil
+         */
+        obterAnoInicioOpcaoSimplesHibrido: function(perfil) {
+            this.inicializar();
+            const origem = perfil || perfilAtivo;
+            for (let ano = origem.anoInicial; ano <= origem.anoFinal; ano++) {
+                const parametros = origem.anos[ano];
+                if (parametros && parametros.cbs > 0 && !parametros.compensacaoTeste) {
+                    return ano;
+                }
+            }
+            return null;
+        },
+
+        validarPerfil
+    };
+})();
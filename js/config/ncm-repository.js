@@ -0,0 +1,412 @@
+/**
+ * NcmRepository - Repositório de classificação de produtos (NCM) no regime do IVA Dual
+ * Versão: 1.0.0
+ * Serve como única fonte de verdade para o enquadramento CBS/IBS por NCM e para a
+ * alíquota do Imposto Seletivo (aliquotaIS, decimal), com classificações personalizadas
+ * e exceções por empresa (CNPJ)
+ */
+const NcmRepository = (function() {
+    // Regimes de enquadramento e a categoria tributária correspondente no IVADualSystem
+    const REGIMES_IVA = {
+      'padrao': {
+        nome: 'Alíquota Padrão',
+        categoriaIva: 'standard'
+      },
+      'reducao60': {
+        nome: 'Redução de 60%',
+        categoriaIva: 'reduced60'
+      },
+      'aliquota_zero': {
+        nome: 'Alíquota Zero',
+        categoriaIva: 'exempt'
+      },
+      'cesta_basica': {
+        nome: 'Cesta Básica Nacional',
+        categoriaIva: 'exempt'
+      },
+      'monofasico': {
+        nome: 'Monofásico (tributação concentrada)',
+        categoriaIva: 'monofasico'
+      }
+    };
+
+    // Classificação padrão por prefixo de NCM - prefixos mais longos têm prioridade
+    const NCM_DATA = {
+      // Cesta Básica Nacional
+      '0201': { descricao: 'Carnes bovinas frescas ou refrigeradas', regime: 'cesta_basica' },
+      '0202': { descricao: 'Carnes bovinas congeladas', regime: 'cesta_basica' },
+      '0207': { descricao: 'Carnes e miudezas de aves', regime: 'cesta_basica' },
+      '0401': { descricao: 'Leite', regime: 'cesta_basica' },
+      '040210': { descricao: 'Leite em pó', regime: 'cesta_basica' },
+      '0405': { descricao: 'Manteiga', regime: 'cesta_basica' },
+      '0713': { descricao: 'Feijões', regime: 'cesta_basica' },
+      '0901': { descricao: 'Café', regime: 'cesta_basica' },
+      '1006': { descricao: 'Arroz', regime: 'cesta_basica' },
+      '1101': { descricao: 'Farinha de trigo', regime: 'cesta_basica' },
+      '110620': { descricao: 'Farinha de mandioca', regime: 'cesta_basica' },
+      '170114': { descricao: 'Açúcar de cana', regime: 'cesta_basica' },
+      '1902': { descricao: 'Massas alimentícias', regime: 'cesta_basica' },
+
+      // Alíquota Zero
+      '0407': { descricao: 'Ovos', regime: 'aliquota_zero' },
+      '0702': { descricao: 'Tomates', regime: 'aliquota_zero' },
+      '0703': { descricao: 'Cebolas, alhos e hortícolas aliáceas', regime: 'aliquota_zero' },
+      '0803': { descricao: 'Bananas', regime: 'aliquota_zero' },
+      '0805': { descricao: 'Citrinos', regime: 'aliquota_zero' },
+
+      // Redução de 60%
+      '3003': { descricao: 'Medicamentos (não acondicionados para venda a retalho)', regime: 'reducao60' },
+      '3004': { descricao: 'Medicamentos', regime: 'reducao60' },
+      '3101': { descricao: 'Adubos de origem animal ou vegetal', regime: 'reducao60' },
+      '3102': { descricao: 'Adubos minerais nitrogenados', regime: 'reducao60' },
+      '3105': { descricao: 'Adubos compostos', regime: 'reducao60' },
+      '3808': { descricao: 'Defensivos agropecuários', regime: 'reducao60' },
+      '9018': { descricao: 'Instrumentos e aparelhos médicos', regime: 'reducao60' },
+      '9021': { descricao: 'Dispositivos ortopédicos e de acessibilidade', regime: 'reducao60' },
+      '961900': { descricao: 'Absorventes e produtos de cuidados menstruais', regime: 'reducao60' },
+
+      // Monofásico
+      '2207': { descricao: 'Álcool etílico (etanol)', regime: 'monofasico' },
+      '2710': { descricao: 'Óleos de petróleo (gasolina, diesel)', regime: 'monofasico' },
+      '2711': { descricao: 'Gás de petróleo (GLP, GNV)', regime: 'monofasico' },
+
+      // Imposto Seletivo - alíquotas estimadas, pendentes de fixação em lei ordinária;
+      // bens minerais limitados a 0,25% (LC 214/2025)
+      '2202': { descricao: 'Bebidas açucaradas', regime: 'padrao', aliquotaIS: 0.06 },
+      '2203': { descricao: 'Cervejas de malte', regime: 'padrao', aliquotaIS: 0.12 },
+      '2204': { descricao: 'Vinhos', regime: 'padrao', aliquotaIS: 0.12 },
+      '2208': { descricao: 'Aguardentes, licores e outras bebidas destiladas', regime: 'padrao', aliquotaIS: 0.12 },
+      '2402': { descricao: 'Charutos e cigarros', regime: 'padrao', aliquotaIS: 0.25 },
+      '2403': { descricao: 'Outros fumos manufaturados', regime: 'padrao', aliquotaIS: 0.25 },
+      '2601': { descricao: 'Minérios de ferro', regime: 'padrao', aliquotaIS: 0.0025 },
+      '2709': { descricao: 'Óleos brutos de petróleo', regime: 'padrao', aliquotaIS: 0.0025 }
+    };
+
+    // Classificações personalizadas (todas as empresas) e exceções por CNPJ
+    let ncmPersonalizados = {};
+    let excecoesEmpresa = {};
+    let empresaAtiva = '';
+
+    // Normaliza um código NCM ou CNPJ para apenas dígitos
+    function somenteDigitos(valor) {
+        return String(valor || '').replace(/\D/g, '');
+    }
+
+    // Monta a entrada gravada para uma classificação; aliquotaIS só é mantida quando positiva
+    function criarEntrada(dados) {
+        const entrada = { descricao: dados.descricao || '', regime: dados.regime };
+        const aliquotaIS = parseFloat(dados.aliquotaIS);
+        if (aliquotaIS > 0) {
+            entrada.aliquotaIS = Math.min(aliquotaIS > 1 ? aliquotaIS / 100 : aliquotaIS, 1);
+        }
+        return entrada;
+    }
+
+    // Localiza a classificação de maior prefixo na tabela informada
+    function buscarPorPrefixo(tabela, ncm) {
+        for (let tamanho = ncm.length; tamanho >= 2; tamanho--) {
+            const prefixo = ncm.substring(0, tamanho);
+            if (tabela[prefixo]) {
+                return { prefixo: prefixo, ...tabela[prefixo] };
+            }
+        }
+        return null;
+    }
+
+    // Verificar se há dados salvos no localStorage
+    function carregarClassificacoesSalvas() {
+        const dadosSalvos = localStorage.getItem('ncm-classificacao-split-payment');
+        if (dadosSalvos) {
+            try {
+                const dados = JSON.parse(dadosSalvos);
+                ncmPersonalizados = dados.personalizados || {};
+                excecoesEmpresa = dados.empresas || {};
+                console.log('Classificações NCM personalizadas carregadas do localStorage');
+            } catch (error) {
+                console.error('Erro ao carregar classificações NCM do localStorage:', error);
+                ncmPersonalizados = {};
+                excecoesEmpresa = {};
+            }
+        }
+    }
+
+    // Salvar classificações no localStorage
+    function salvarClassificacoes() {
+        try {
+            localStorage.setItem('ncm-classificacao-split-payment', JSON.stringify({
+                personalizados: ncmPersonalizados,
+                empresas: excecoesEmpresa
+            }));
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar classificações NCM no localStorage:', error);
+            return false;
+        }
+    }
+
+    // API pública
+    return {
+        /**
+         * Inicializa o repositório
+         */
+        inicializar: function() {
+            carregarClassificacoesSalvas();
+            console.log('NcmRepository inicializado');
+        },
+
+        /**
+         * Retorna os regimes de enquadramento disponíveis
+         * @returns {Object} - Regimes com nome e categoria IVA
+         */
+        obterRegimes: function() {
+            return { ...REGIMES_IVA };
+        },
+
+        /**
+         * Retorna todas as classificações, mesclando as padrões com as personalizadas
+         * @returns {Object} - Objeto com todas as classificações por prefixo de NCM
+         */
+        obterTodos: function() {
+            return { ...NCM_DATA, ...ncmPersonalizados };
+        },
+
+        /**
+         * Retorna apenas as classificações personalizadas pelo usuário
+         * @returns {Object} - Classificações personalizadas por prefixo de NCM
+         */
+        obterPersonalizados: function() {
+            return { ...ncmPersonalizados };
+        },
+
+        /**
+         * Retorna as exceções cadastradas para uma empresa
+         * @param {string} cnpj - CNPJ da empresa
+         * @returns {Object} - Exceções por prefixo de NCM
+         */
+        obterExcecoesEmpresa: function(cnpj) {
+            return { ...(excecoesEmpresa[somenteDigitos(cnpj)] || {}) };
+        },
+
+        /**
+         * Define a empresa cujas exceções são aplicadas quando nenhum CNPJ é informado
+         * @param {string} cnpj - CNPJ da empresa (vazio para nenhuma)
+         */
+        definirEmpresaAtiva: function(cnpj) {
+            empresaAtiva = somenteDigitos(cnpj);
+        },
+
+        /**
+         * Classifica um NCM, considerando exceções da empresa, personalizações e a tabela padrão
+         * @param {string} ncm - Código NCM (com ou sem pontuação)
+         * @param {string} [cnpj] - CNPJ da empresa (padrão: empresa ativa)
+         * @returns {Object} - { ncm, prefixo, regime, categoriaIva, aliquotaIS, descricao, origem }
+         */
+        classificar: function(ncm, cnpj) {
+            const ncmNormalizado = somenteDigitos(ncm);
+            const cnpjNormalizado = somenteDigitos(cnpj) || empresaAtiva;
+
+            let classificacao = null;
+            let origem = 'nao-classificado';
+
+            if (ncmNormalizado) {
+                if (cnpjNormalizado && excecoesEmpresa[cnpjNormalizado]) {
+                    classificacao = buscarPorPrefixo(excecoesEmpresa[cnpjNormalizado], ncmNormalizado);
+                    origem = 'empresa';
+                }
+                if (!classificacao) {
+                    classificacao = buscarPorPrefixo(ncmPersonalizados, ncmNormalizado);
+                    origem = 'personalizado';
+                }
+                if (!classificacao) {
+                    classificacao = buscarPorPrefixo(NCM_DATA, ncmNormalizado);
+                    origem = 'padrao';
+                }
+            }
+
+            if (!classificacao || !REGIMES_IVA[classificacao.regime]) {
+                return {
+                    ncm: ncmNormalizado,
+                    prefixo: null,
+                    regime: 'padrao',
+                    categoriaIva: REGIMES_IVA.padrao.categoriaIva,
+                    aliquotaIS: 0,
+                    descricao: '',
+                    origem: 'nao-classificado'
+                };
+            }
+
+            return {
+                ncm: ncmNormalizado,
+                prefixo: classificacao.prefixo,
+                regime: classificacao.regime,
+                categoriaIva: REGIMES_IVA[classificacao.regime].categoriaIva,
+                aliquotaIS: classificacao.aliquotaIS || 0,
+                descricao: classificacao.descricao || '',
+                origem: origem
+            };
+        },
+
+        /**
+         * Retorna a categoria tributária do IVADualSystem para um NCM
+         * @param {string} ncm - Código NCM
+         * @param {string} [cnpj] - CNPJ da empresa
+         * @returns {string} - Categoria ('standard', 'reduced60', 'exempt', 'monofasico')
+         */
+        obterCategoriaIva: function(ncm, cnpj) {
+            return this.classificar(ncm, cnpj).categoriaIva;
+        },
+
+        /**
+         * Retorna a alíquota do Imposto Seletivo para um NCM
+         * @param {string} ncm - Código NCM
+         * @param {string} [cnpj] - CNPJ da empresa
+         * @returns {number} - Alíquota decimal (0 quando o produto não está sujeito ao IS)
+         */
+        obterAliquotaIS: function(ncm, cnpj) {
+            return this.classificar(ncm, cnpj).aliquotaIS;
+        },
+
+        /**
+         * Adiciona ou atualiza uma classificação personalizada (todas as empresas)
+         * @param {string} prefixo - Prefixo de NCM (2 a 8 dígitos)
+         * @param {Object} dados - { regime, descricao, aliquotaIS }
+         * @returns {boolean} - Sucesso da operação
+         */
+        salvarClassificacao: function(prefixo, dados) {
+            const codigo = somenteDigitos(prefixo);
+            if (codigo.length < 2 || !dados || !REGIMES_IVA[dados.regime]) {
+                console.error('Dados insuficientes para salvar classificação NCM');
+                return false;
+            }
+
+            ncmPersonalizados[codigo] = criarEntrada(dados);
+            return salvarClassificacoes();
+        },
+
+        /**
+         * Remove uma classificação personalizada
+         * @param {string} prefixo - Prefixo de NCM
+         * @returns {boolean} - Sucesso da operação
+         */
+        removerClassificacao: function(prefixo) {
+            const codigo = somenteDigitos(prefixo);
+            if (!ncmPersonalizados[codigo]) {
+                // Classificações padrão não podem ser removidas
+                return false;
+            }
+
+            delete ncmPersonalizados[codigo];
+            return salvarClassificacoes();
+        },
+
+        /**
+         * Adiciona ou atualiza uma exceção de classificação para uma empresa
+         * @param {string} cnpj - CNPJ da empresa
+         * @param {string} prefixo - Prefixo de NCM
+         * @param {Object} dados - { regime, descricao, aliquotaIS }
+         * @returns {boolean} - Sucesso da operação
+         */
+        salvarExcecaoEmpresa: function(cnpj, prefixo, dados) {
+            const cnpjNormalizado = somenteDigitos(cnpj);
+            const codigo = somenteDigitos(prefixo);
+            if (!cnpjNormalizado || codigo.length < 2 || !dados || !REGIMES_IVA[dados.regime]) {
+                console.error('Dados insuficientes para salvar exceção NCM da empresa');
+                return false;
+            }
+
+            if (!excecoesEmpresa[cnpjNormalizado]) {
+                excecoesEmpresa[cnpjNormalizado] = {};
+            }
+            excecoesEmpresa[cnpjNormalizado][codigo] = criarEntrada(dados);
+            return salvarClassificacoes();
+        },
+
+        /**
+         * Remove uma exceção de classificação de uma empresa
+         * @param {string} cnpj - CNPJ da empresa
+         * @param {string} prefixo - Prefixo de NCM
+         * @returns {boolean} - Sucesso da operação
+         */
+        removerExcecaoEmpresa: function(cnpj, prefixo) {
+            const cnpjNormalizado = somenteDigitos(cnpj);
+            const codigo = somenteDigitos(prefixo);
+            if (!excecoesEmpresa[cnpjNormalizado] || !excecoesEmpresa[cnpjNormalizado][codigo]) {
+                return false;
+            }
+
+            delete excecoesEmpresa[cnpjNormalizado][codigo];
+            if (Object.keys(excecoesEmpresa[cnpjNormalizado]).length === 0) {
+                delete excecoesEmpresa[cnpjNormalizado];
+            }
+            return salvarClassificacoes();
+        },
+
+        /**
+         * Exporta a tabela completa e as exceções por empresa em JSON
+         * @returns {string} - JSON com { versao, classificacoes, empresas }
+         */
+        exportarJSON: function() {
+            return JSON.stringify({
+                versao: '1.0.0',
+                classificacoes: this.obterTodos(),
+                empresas: excecoesEmpresa
+            }, null, 2);
+        },
+
+        /**
+         * Importa classificações e exceções a partir de JSON exportado
+         * Entradas idênticas à tabela padrão não são gravadas como personalizadas
+         * @param {string} json - Conteúdo JSON
+         * @returns {boolean} - Sucesso da operação
+         */
+        importarJSON: function(json) {
+            let dados;
+            try {
+                dados = typeof json === 'string' ? JSON.parse(json) : json;
+            } catch (error) {
+                console.error('JSON de classificação NCM inválido:', error);
+                return false;
+            }
+
+            if (!dados || typeof dados.classificacoes !== 'object') {
+                console.error('JSON de classificação NCM sem a seção "classificacoes"');
+                return false;
+            }
+
+            Object.entries(dados.classificacoes).forEach(([prefixo, classificacao]) => {
+                const codigo = somenteDigitos(prefixo);
+                if (!classificacao || !REGIMES_IVA[classificacao.regime]) return;
+
+                const padrao = NCM_DATA[codigo];
+                const entrada = criarEntrada(classificacao);
+                if (padrao && padrao.regime === entrada.regime && (padrao.aliquotaIS || 0) === (entrada.aliquotaIS || 0)) {
+                    delete ncmPersonalizados[codigo];
+                    return;
+                }
+                ncmPersonalizados[codigo] = entrada;
+            });
+
+            Object.entries(dados.empresas || {}).forEach(([cnpj, excecoes]) => {
+                Object.entries(excecoes || {}).forEach(([prefixo, classificacao]) => {
+                    if (classificacao && REGIMES_IVA[classificacao.regime]) {
+                        const cnpjNormalizado = somenteDigitos(cnpj);
+                        excecoesEmpresa[cnpjNormalizado] = excecoesEmpresa[cnpjNormalizado] || {};
+                        excecoesEmpresa[cnpjNormalizado][somenteDigitos(prefixo)] = criarEntrada(classificacao);
+                    }
+                });
+            });
+
+            return salvarClassificacoes();
+        },
+
+        /**
+         * Remove todas as classificações personalizadas e exceções por empresa
+         * @returns {boolean} - Sucesso da operação
+         */
+        restaurarPadroes: function() {
+            ncmPersonalizados = {};
+            excecoesEmpresa = {};
+            return salvarClassificacoes();
+        }
+    };
+})();
@@ -284,6 +284,7 @@ const SetoresRepository = (function() {
         cronogramaObservacao: 'Válido até 31.12.2040',
         'aliquota-cbs': 0.088,
         'aliquota-ibs': 0.177,
+        aliquotaIS: 0.0025,
         categoriaIva: 'standard'
       },
       'bens_capital': {
@@ -317,6 +318,29 @@ const SetoresRepository = (function() {
         'aliquota-ibs': 0.177,
         categoriaIva: 'standard'
       },
+      // Imposto Seletivo - alíquotas estimadas, pendentes de fixação em lei ordinária
+      'bebidas_alcoolicas': {
+        nome: 'Bebidas Alcoólicas',
+        aliquotaEfetiva: 0.265,
+        reducaoEspecial: 0.00,
+        implementacaoInicial: 10,
+        cronogramaProprio: false,
+        'aliquota-cbs': 0.088,
+        'aliquota-ibs': 0.177,
+        aliquotaIS: 0.12,
+        categoriaIva: 'standard'
+      },
+      'bebidas_acucaradas': {
+        nome: 'Bebidas Açucaradas',
+        aliquotaEfetiva: 0.265,
+        reducaoEspecial: 0.00,
+        implementacaoInicial: 10,
+        cronogramaProprio: false,
+        'aliquota-cbs': 0.088,
+        'aliquota-ibs': 0.177,
+        aliquotaIS: 0.06,
+        categoriaIva: 'standard'
+      },
       'reporto': {
         nome: 'Regime Reporto (Modernização de Portos)',
         aliquotaEfetiva: 0.265,
@@ -0,0 +1,37 @@
+/**
+ * Rastreamento da fonte dos dados importados
+ * Definição única usada pelos extratores (SPED, ECD, ECF, Bloco K e XML) e pelo Web Worker de leitura
+ */
+window.RastreamentoFonte = (function() {
+    /**
+     * Fonte dos dados extraídos, para rastreamento no simulador
+     */
+    const FonteDados = {
+        SPED: 'sped',
+        ESTIMADO: 'estimado',
+        CALCULADO: 'calculado'
+    };
+
+    /**
+     * Cria objeto com rastreamento da fonte do valor
+     * @param {number} valor - Valor a registrar
+     * @param {string} fonte - FonteDados.SPED, ESTIMADO ou CALCULADO
+     * @param {Object} metadados - Registros, contas e fórmula que originaram o valor
+     * @returns {Object} - { valor, fonte, metadados }
+     */
+    function criarValorComFonte(valor, fonte = FonteDados.SPED, metadados = {}) {
+        return {
+            valor: typeof valor === 'number' && !isNaN(valor) ? valor : 0,
+            fonte: fonte,
+            metadados: {
+                timestamp: new Date().toISOString(),
+                ...metadados
+            }
+        };
+    }
+
+    return {
+        FonteDados,
+        criarValorComFonte
+    };
+})();
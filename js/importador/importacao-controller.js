@@ -97,12 +97,16 @@ const ImportacaoController = (function() {
             spedContribuicoes: document.getElementById('sped-contribuicoes'),
             spedEcf: document.getElementById('sped-ecf'),
             spedEcd: document.getElementById('sped-ecd'),
+            spedLote: document.getElementById('sped-lote'),
+            spedLotePasta: document.getElementById('sped-lote-pasta'),
+            nfeXml: document.getElementById('nfe-xml'),
 
             // Checkboxes de opções
             importEmpresa: document.getElementById('import-empresa'),
             importProdutos: document.getElementById('import-produtos'),
             importImpostos: document.getElementById('import-impostos'),
             importCiclo: document.getElementById('import-ciclo'),
+            importIvaItens: document.getElementById('import-iva-itens'),
 
             // Botões
             btnImportar: document.getElementById('btn-importar-sped'),
@@ -128,6 +132,21 @@ const ImportacaoController = (function() {
             elements.btnCancelar.addEventListener('click', cancelarImportacao);
         }
         
+        // Progresso da leitura em partes de arquivos SPED grandes
+        if (typeof EventBus !== 'undefined') {
+            const ultimoPercentual = {};
+            EventBus.subscribe('spedLeituraProgresso', function(progresso) {
+                const marco = Math.floor(progresso.percentual / 10) * 10;
+                if (marco > (ultimoPercentual[progresso.id] ?? -1)) {
+                    ultimoPercentual[progresso.id] = marco;
+                    adicionarLog(`Lendo ${progresso.arquivo}: ${marco}% (${progresso.linhasProcessadas.toLocaleString('pt-BR')} linhas)`);
+                }
+            });
+            EventBus.subscribe('spedLeituraCancelada', function(dados) {
+                adicionarLog(`Leitura de ${dados.arquivo} cancelada.`, 'warning');
+            });
+        }
+        
         console.log('IMPORTACAO-CONTROLLER: Event listeners configurados');
     }
     
@@ -145,7 +164,7 @@ const ImportacaoController = (function() {
 
         // Verificar arquivos selecionados
         if (!verificarArquivosSelecionados()) {
-            adicionarLog('Selecione pelo menos um arquivo SPED para importação.');
+            adicionarLog('Selecione pelo menos um arquivo SPED ou XML para importação.');
             window.processandoSPED = false;
             return;
         }
@@ -158,69 +177,174 @@ const ImportacaoController = (function() {
 
         adicionarLog('Iniciando importação de dados SPED...');
 
-        // Utilizar SpedProcessor para processar os arquivos
-        window.SpedProcessor.processarArquivos(
-            elements.spedFiscal, 
-            elements.spedContribuicoes, 
-            function(resultado) {
-                // INSERIR AQUI - INÍCIO DO BLOCO DE LOGS
-                console.log('=== IMPORTACAO-CONTROLLER: DADOS RECEBIDOS DO SPED PROCESSOR ===');
+        // Lote de vários meses tem precedência sobre os XML e o par Fiscal/Contribuições
+        const arquivosLote = obterArquivosLote();
+        if (arquivosLote.length > 0) {
+            adicionarLog(`Importação em lote: ${arquivosLote.length} arquivo(s) selecionado(s).`);
+            window.SpedProcessor.processarLote(arquivosLote, tratarResultadoProcessamento);
+        } else if (elements.nfeXml?.files.length > 0) {
+            adicionarLog(`Importação de XML: ${elements.nfeXml.files.length} arquivo(s) de NF-e, NFC-e ou CT-e selecionado(s).`);
+            window.SpedProcessor.processarLoteXml(elements.nfeXml.files, tratarResultadoProcessamento);
+        } else {
+            // Utilizar SpedProcessor para processar os arquivos
+            window.SpedProcessor.processarArquivos(
+                elements.spedFiscal, 
+                elements.spedContribuicoes, 
+                tratarResultadoProcessamento,
+                elements.spedEcd,
+                elements.spedEcf
+            );
+        }
+        
+        // Desativar flag de processamento SPED após conclusão
+        window.processandoSPED = false;
+    }
+    
+    /**
+     * Reúne os arquivos selecionados para importação em lote (arquivos avulsos e pasta)
+     * @returns {Array} - Lista de arquivos
+     */
+    function obterArquivosLote() {
+        return [
+            ...Array.from(elements.spedLote?.files || []),
+            ...Array.from(elements.spedLotePasta?.files || [])
+        ];
+    }
+    
+    /**
+     * Trata o resultado do SpedProcessor (importação simples ou em lote)
+     * @param {Object} resultado - { sucesso, dados, conciliacao, auditoriaCBSIBS, periodos } ou { sucesso: false, mensagem }
+     */
+    function tratarResultadoProcessamento(resultado) {
+        // INSERIR AQUI - INÍCIO DO BLOCO DE LOGS
+        console.log('=== IMPORTACAO-CONTROLLER: DADOS RECEBIDOS DO SPED PROCESSOR ===');
 
-                // Verificar estrutura de créditos nos dados recebidos
-                if (resultado.dados && resultado.dados.parametrosFiscais) {
-                    if (resultado.dados.parametrosFiscais.creditos) {
-                        console.log('Créditos diretos:', JSON.stringify(resultado.dados.parametrosFiscais.creditos, null, 2));
-                    } else {
-                        console.log('Estrutura parametrosFiscais.creditos não encontrada');
-                    }
+        // Verificar estrutura de créditos nos dados recebidos
+        if (resultado.dados && resultado.dados.parametrosFiscais) {
+            if (resultado.dados.parametrosFiscais.creditos) {
+                console.log('Créditos diretos:', JSON.stringify(resultado.dados.parametrosFiscais.creditos, null, 2));
+            } else {
+                console.log('Estrutura parametrosFiscais.creditos não encontrada');
+            }
 
-                    if (resultado.dados.parametrosFiscais.composicaoTributaria && 
-                        resultado.dados.parametrosFiscais.composicaoTributaria.creditos) {
-                        console.log('ComposicaoTributaria.creditos:', 
-                            JSON.stringify(resultado.dados.parametrosFiscais.composicaoTributaria.creditos, null, 2));
-                    } else {
-                        console.log('Estrutura composicaoTributaria.creditos não encontrada');
-                    }
-                } else {
-                    console.log('Estrutura parametrosFiscais não encontrada nos dados recebidos');
+            if (resultado.dados.parametrosFiscais.composicaoTributaria && 
+                resultado.dados.parametrosFiscais.composicaoTributaria.creditos) {
+                console.log('ComposicaoTributaria.creditos:', 
+                    JSON.stringify(resultado.dados.parametrosFiscais.composicaoTributaria.creditos, null, 2));
+            } else {
+                console.log('Estrutura composicaoTributaria.creditos não encontrada');
+            }
+        } else {
+            console.log('Estrutura parametrosFiscais não encontrada nos dados recebidos');
+        }
+        if (resultado.sucesso) {
+            // Validar e normalizar dados importados usando DataManager
+            try {
+                // Adicionar flag para identificar dados do SPED
+                if (resultado.dados && resultado.dados.parametrosFiscais && 
+                    resultado.dados.parametrosFiscais.composicaoTributaria) {
+                    resultado.dados.dadosSpedImportados = true;
                 }
-                if (resultado.sucesso) {
-                    // Validar e normalizar dados importados usando DataManager
-                    try {
-                        // Adicionar flag para identificar dados do SPED
-                        if (resultado.dados && resultado.dados.parametrosFiscais && 
-                            resultado.dados.parametrosFiscais.composicaoTributaria) {
-                            resultado.dados.dadosSpedImportados = true;
-                        }
 
-                        const dadosValidados = window.DataManager.validarENormalizar(resultado.dados);
-                        dadosImportados = dadosValidados;
+                const dadosValidados = window.DataManager.validarENormalizar(resultado.dados);
+                dadosImportados = dadosValidados;
 
-                        // Salvar no escopo global para referenciar depois
-                        window.dadosImportadosSped = dadosValidados;
+                // Salvar no escopo global para referenciar depois
+                window.dadosImportadosSped = dadosValidados;
 
-                        // Preencher campos do simulador
-                        preencherCamposSimulador(dadosImportados);
+                // Conferir SPED Fiscal x Contribuições antes de preencher o simulador
+                if (!confirmarConciliacao(resultado.conciliacao)) {
+                    finalizarImportacao(false, 'Importação interrompida após a conciliação dos arquivos SPED.');
+                    return;
+                }
 
-                        adicionarLog('Importação concluída com sucesso!', 'success');
-                        adicionarLog(`Dados da empresa: ${dadosImportados.empresa?.nome || 'N/A'}`);
-                        // Usar DataManager.formatarMoeda em vez de formatarMoeda
-                        adicionarLog(`Faturamento: ${window.DataManager.formatarMoeda(dadosImportados.empresa?.faturamento || 0)}`);
+                // Preencher campos do simulador
+                preencherCamposSimulador(dadosImportados);
 
-                        finalizarImportacao(true);
-                    } catch (erro) {
-                        console.error('IMPORTACAO-CONTROLLER: Erro na validação dos dados:', erro);
-                        finalizarImportacao(false, 'Erro na validação dos dados importados: ' + erro.message);
-                    }
-                } else {
-                    console.error('IMPORTACAO-CONTROLLER: Erro durante processamento:', resultado.mensagem);
-                    finalizarImportacao(false, resultado.mensagem);
+                adicionarLog('Importação concluída com sucesso!', 'success');
+                adicionarLog(`Dados da empresa: ${dadosImportados.empresa?.nome || 'N/A'}`);
+                // Usar DataManager.formatarMoeda em vez de formatarMoeda
+                adicionarLog(`Faturamento: ${window.DataManager.formatarMoeda(dadosImportados.empresa?.faturamento || 0)}`);
+
+                if (resultado.periodos) {
+                    registrarPeriodosLote(resultado.periodos, dadosImportados);
+                }
+
+                if (dadosImportados.metadados?.documentosXml) {
+                    registrarDocumentosXml(dadosImportados.metadados);
                 }
+
+                if (resultado.auditoriaCBSIBS) {
+                    exibirAuditoriaCBSIBS(resultado.auditoriaCBSIBS);
+                }
+
+                finalizarImportacao(true);
+            } catch (erro) {
+                console.error('IMPORTACAO-CONTROLLER: Erro na validação dos dados:', erro);
+                finalizarImportacao(false, 'Erro na validação dos dados importados: ' + erro.message);
             }
-        );
-        
-        // Desativar flag de processamento SPED após conclusão
-        window.processandoSPED = false;
+        } else if (resultado.cancelado) {
+            adicionarLog(resultado.mensagem, 'warning');
+            finalizarImportacao(false);
+        } else {
+            console.error('IMPORTACAO-CONTROLLER: Erro durante processamento:', resultado.mensagem);
+            finalizarImportacao(false, resultado.mensagem);
+        }
+    }
+    
+    /**
+     * Registra no log os períodos importados em lote e o fator de sazonalidade resultante
+     * @param {Array} periodos - Lista [{ periodo, fiscal, contribuicoes }] ou [{ periodo, xml }]
+     * @param {Object} dados - Dados consolidados (estrutura aninhada)
+     */
+    function registrarPeriodosLote(periodos, dados) {
+        periodos.forEach(({ periodo, fiscal, contribuicoes, xml }) => {
+            const arquivos = [fiscal ? 'Fiscal' : null, contribuicoes ? 'Contribuições' : null, xml ? 'XML' : null]
+                .filter(Boolean).join(' + ');
+            const mes = (dados.empresa?.historicoMensal || []).find(item => item.periodo === periodo);
+            adicionarLog(`${periodo}: ${arquivos} - faturamento ${window.DataManager.formatarMoeda(mes?.faturamento || 0)}`);
+        });
+
+        adicionarLog(`Faturamento mensal médio de ${periodos.length} período(s) aplicado ao simulador.`);
+
+        if (window.CalculationCore && typeof window.CalculationCore.calcularFatorSazonalidade === 'function') {
+            const fator = window.CalculationCore.calcularFatorSazonalidade({
+                historicoMensal: dados.empresa?.historicoMensal || []
+            });
+            adicionarLog(`Fator de sazonalidade: ${fator.toFixed(2)}` +
+                (window.CalculationCore.calcularIndicesSazonais(dados.empresa?.historicoMensal) ? ' (série mensal importada)' : ' (padrão - mínimo de 3 meses)'),
+                'success');
+        }
+    }
+    
+    /**
+     * Registra no log o resumo dos documentos de uma importação de XML
+     * @param {Object} metadados - metadados de NfeXmlExtractor.extrairDadosParaSimulador
+     */
+    function registrarDocumentosXml(metadados) {
+        const resumo = metadados.documentosXml;
+        adicionarLog(`XML importados: ${resumo.nfe} NF-e, ${resumo.nfce} NFC-e e ${resumo.cte} CT-e ` +
+            `(${resumo.saidas} saída(s), ${resumo.entradas} entrada(s)).`, 'success');
+
+        const desconsiderados = [
+            resumo.cancelados ? `${resumo.cancelados} cancelado(s)` : null,
+            resumo.naoAutorizados ? `${resumo.naoAutorizados} sem autorização` : null,
+            resumo.duplicados ? `${resumo.duplicados} repetido(s)` : null,
+            resumo.semRelacao ? `${resumo.semRelacao} de outras empresas` : null,
+            metadados.arquivosIgnorados?.length ? `${metadados.arquivosIgnorados.length} arquivo(s) não reconhecido(s)` : null
+        ].filter(Boolean);
+        if (desconsiderados.length > 0) {
+            adicionarLog(`Desconsiderados: ${desconsiderados.join(', ')}.`, 'warning');
+        }
+
+        const formatarMoeda = window.DataManager.formatarMoeda;
+        const principaisCfops = Object.entries(metadados.saidasPorCfop || {})
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([cfop, valor]) => `${cfop}: ${formatarMoeda(valor)}`);
+        if (principaisCfops.length > 0) {
+            adicionarLog(`Saídas por CFOP - ${principaisCfops.join(', ')}`);
+        }
     }
     
     /**
@@ -337,6 +461,12 @@ const ImportacaoController = (function() {
 
                         dadosImportados = dadosValidados;
 
+                        // Conferir SPED Fiscal x Contribuições antes de preencher o simulador
+                        if (!confirmarConciliacao(resultado.conciliacao)) {
+                            finalizarImportacao(false, 'Importação interrompida após a conciliação dos arquivos SPED.');
+                            return;
+                        }
+
                         // Preencher campos do simulador
                         preencherCamposSimulador(dadosImportados);
 
@@ -362,10 +492,267 @@ const ImportacaoController = (function() {
                     console.error('IMPORTACAO-CONTROLLER: Erro durante processamento:', resultado.mensagem);
                     finalizarImportacao(false, resultado.mensagem);
                 }
-            }
+            },
+            elements.spedEcd,
+            elements.spedEcf
         );
     }
     
+    /**
+     * Exibe a conciliação SPED Fiscal x Contribuições e pede confirmação se houver divergências graves
+     * @param {Object} conciliacao - Relatório de SpedValidationModule.conciliarArquivosSped
+     * @returns {boolean} - true se a importação deve prosseguir
+     */
+    function confirmarConciliacao(conciliacao) {
+        if (!conciliacao) {
+            return true;
+        }
+
+        const container = document.getElementById('conciliacao-sped');
+        const conteudo = document.getElementById('conciliacao-sped-conteudo');
+        if (container && conteudo) {
+            conteudo.innerHTML = window.SpedValidationModule.gerarRelatorioConciliacaoHTML(conciliacao);
+            container.style.display = 'block';
+        }
+
+        const { totalDivergencias, porSeveridade, requerConfirmacao } = conciliacao.resumo;
+        conciliacao.observacoes.forEach(obs => adicionarLog(`Conciliação: ${obs}`, 'warning'));
+
+        if (totalDivergencias === 0) {
+            adicionarLog('Conciliação SPED Fiscal x Contribuições sem divergências.', 'success');
+            return true;
+        }
+
+        adicionarLog(`Conciliação SPED: ${totalDivergencias} divergência(s) - ` +
+            `críticas: ${porSeveridade.critica}, altas: ${porSeveridade.alta}, ` +
+            `médias: ${porSeveridade.media}, baixas: ${porSeveridade.baixa}.`,
+            requerConfirmacao ? 'warning' : 'info');
+
+        if (!requerConfirmacao) {
+            return true;
+        }
+
+        return confirm(
+            `A conciliação entre SPED Fiscal e SPED Contribuições encontrou ` +
+            `${porSeveridade.critica} divergência(s) crítica(s) e ${porSeveridade.alta} alta(s).\n\n` +
+            'Deseja preencher o simulador mesmo assim?'
+        );
+    }
+
+    /**
+     * Exibe a auditoria da CBS/IBS declarada nas NF-e (grupo IBSCBS) contra o cálculo do simulador
+     * Apenas informativa: as divergências não interrompem a importação
+     * @param {Object} auditoria - Relatório de SpedValidationModule.auditarCBSIBSDeclarados
+     */
+    function exibirAuditoriaCBSIBS(auditoria) {
+        const container = document.getElementById('auditoria-cbs-ibs');
+        const conteudo = document.getElementById('auditoria-cbs-ibs-conteudo');
+        if (container && conteudo) {
+            conteudo.innerHTML = window.SpedValidationModule.gerarRelatorioAuditoriaCBSIBSHTML(auditoria);
+            container.style.display = 'block';
+        }
+
+        auditoria.observacoes.forEach(obs => adicionarLog(`Auditoria CBS/IBS: ${obs}`, 'info'));
+        if (auditoria.documentos.itensAuditados === 0) {
+            return;
+        }
+
+        const { totalDivergencias, porSeveridade } = auditoria.resumo;
+        const { cbsDeclarada, cbsCalculada, ibsDeclarado, ibsCalculado } = auditoria.totais;
+        adicionarLog(`Auditoria CBS/IBS: ${auditoria.documentos.itensAuditados} item(ns) de ` +
+            `${auditoria.documentos.comIBSCBS} NF-e - CBS declarada ${window.DataManager.formatarMoeda(cbsDeclarada)} ` +
+            `x calculada ${window.DataManager.formatarMoeda(cbsCalculada)}; IBS declarado ` +
+            `${window.DataManager.formatarMoeda(ibsDeclarado)} x calculado ${window.DataManager.formatarMoeda(ibsCalculado)}.`);
+
+        if (totalDivergencias === 0) {
+            adicionarLog('Auditoria CBS/IBS sem divergências.', 'success');
+            return;
+        }
+
+        adicionarLog(`Auditoria CBS/IBS: ${totalDivergencias} divergência(s) - ` +
+            `altas: ${porSeveridade.alta}, médias: ${porSeveridade.media}, baixas: ${porSeveridade.baixa}.`,
+            porSeveridade.alta > 0 ? 'warning' : 'info');
+    }
+
+    /**
+     * Registra no log a cadeia produtiva do Bloco K e, com a importação de impostos marcada, preenche a
+     * base de cálculo dos créditos de ICMS e IPI (% do faturamento) pelos insumos consumidos com crédito
+     * @param {Object} dadosProducao - dadosProducao de SpedExtractor.aplicarDadosProducao
+     */
+    function aplicarProducaoBlocoK(dadosProducao) {
+        const formatarMoeda = window.DataManager.formatarMoeda;
+        const { consumo, estoque, produtos, indicadores } = dadosProducao;
+
+        adicionarLog(`Bloco K: ${dadosProducao.ordens} ordem(ns) de produção de ${produtos.length} produto(s), ` +
+            `insumos consumidos ${formatarMoeda(consumo.valor)} (K235), estoque final ${formatarMoeda(estoque.valor)} (K200).`,
+            'success');
+
+        produtos.slice(0, 3).forEach(produto => {
+            adicionarLog(`Produção: ${produto.codItem}${produto.descricao ? ' - ' + produto.descricao : ''}: ` +
+                `${produto.quantidade.toLocaleString('pt-BR')} ${produto.unidade || 'un'} em ${produto.ordens} ordem(ns), ` +
+                `insumos de ${formatarMoeda(produto.custoInsumos)}`);
+        });
+
+        const grupos = { insumos: 'insumos', emProcesso: 'em processo', acabados: 'acabados', revenda: 'revenda', outros: 'outros' };
+        const composicaoEstoque = Object.entries(estoque.porGrupo)
+            .filter(([, valor]) => valor > 0)
+            .map(([grupo, valor]) => `${grupos[grupo]} ${formatarMoeda(valor)}`);
+        if (composicaoEstoque.length > 0) {
+            adicionarLog(`Estoque por tipo de item: ${composicaoEstoque.join(', ')}`);
+        }
+
+        const semCusto = consumo.semCusto + estoque.semCusto;
+        if (semCusto > 0) {
+            adicionarLog(`Bloco K: ${semCusto} registro(s) sem entrada do item no período (C170), não valorados.`, 'warning');
+        }
+
+        if (consumo.valor > 0) {
+            adicionarLog(`Insumos consumidos com crédito: ICMS ${(indicadores.insumosComCreditoICMS * 100).toFixed(1)}% ` +
+                `(${formatarMoeda(indicadores.creditoICMSMensal)}/mês), IPI ${(indicadores.insumosComCreditoIPI * 100).toFixed(1)}% ` +
+                `(${formatarMoeda(indicadores.creditoIPIMensal)}/mês).`);
+        }
+
+        if (elements.importImpostos?.checked === false) {
+            return;
+        }
+
+        [
+            { id: 'icms-base-calc', base: indicadores.baseCreditoICMS, tributo: 'ICMS' },
+            { id: 'ipi-base-calc', base: indicadores.baseCreditoIPI, tributo: 'IPI' }
+        ].forEach(({ id, base, tributo }) => {
+            const campo = document.getElementById(id);
+            if (!campo || !(base > 0)) return;
+
+            campo.value = (base * 100).toFixed(1);
+            campo.dispatchEvent(new Event('input', { bubbles: true }));
+            adicionarLog(`Base de crédito de ${tributo} pelo Bloco K: ${campo.value}% do faturamento.`, 'info');
+        });
+    }
+
+    /**
+     * Ajusta as alíquotas de CBS/IBS pelo recálculo item a item do SPED Fiscal
+     * A proporção entre alíquota efetiva e padrão é aplicada sobre as alíquotas configuradas
+     * @param {Object} recalculo - Resultado de IVADualSystem.calcularIVAPorItens
+     */
+    function aplicarRecalculoIVAItens(recalculo) {
+        if (!recalculo || !recalculo.baseSaidas) {
+            adicionarLog('Recálculo CBS/IBS por item não disponível (SPED Fiscal sem registros C170 de saída).', 'warning');
+            return;
+        }
+
+        const ajustes = [
+            { id: 'aliquota-cbs', efetiva: recalculo.aliquotaEfetivaCBS, padrao: recalculo.aliquotaCBS },
+            { id: 'aliquota-ibs', efetiva: recalculo.aliquotaEfetivaIBS, padrao: recalculo.aliquotaIBS }
+        ];
+
+        ajustes.forEach(ajuste => {
+            const campo = document.getElementById(ajuste.id);
+            if (!campo || !ajuste.padrao) return;
+
+            const aliquotaConfigurada = parseFloat(campo.value) || ajuste.padrao * 100;
+            const aliquotaAjustada = aliquotaConfigurada * (ajuste.efetiva / ajuste.padrao);
+
+            campo.value = aliquotaAjustada.toFixed(2);
+            campo.classList.add('sped-data-value');
+            campo.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+
+        // Imposto Seletivo efetivo do mix de produtos (NCMs sujeitos ao IS)
+        const campoIS = document.getElementById('aliquota-is');
+        if (campoIS && recalculo.aliquotaEfetivaIS > 0) {
+            campoIS.value = (recalculo.aliquotaEfetivaIS * 100).toFixed(2);
+            campoIS.classList.add('sped-data-value');
+            campoIS.dispatchEvent(new Event('input', { bubbles: true }));
+            adicionarLog(`Imposto Seletivo efetivo sobre saídas: ${(recalculo.aliquotaEfetivaIS * 100).toFixed(2)}%`);
+        }
+
+        const resumoCategorias = Object.entries(recalculo.porCategoria)
+            .map(([categoria, valores]) => `${categoria}: ${window.DataManager.formatarMoeda(valores.baseSaidas)}`)
+            .join(', ');
+
+        adicionarLog(`CBS/IBS recalculados por item: ${recalculo.itensProcessados} itens processados, ${recalculo.itensIgnorados} ignorados.`);
+        adicionarLog(`Saídas por categoria - ${resumoCategorias}`);
+        adicionarLog(`Alíquota efetiva IVA sobre saídas: ${(recalculo.aliquotaEfetivaTotal * 100).toFixed(2)}%`, 'success');
+    }
+
+    /**
+     * Preenche a composição das vendas por destino do IBS extraída do SPED Fiscal (C100/C190 + 0150)
+     * @param {Array} vendasPorDestino - [{ uf, codigoMunicipio, municipio, valor, participacao }]
+     */
+    function aplicarVendasPorDestino(vendasPorDestino) {
+        const campo = document.getElementById('destinos-ibs');
+        if (!campo || !Array.isArray(vendasPorDestino) || vendasPorDestino.length === 0) {
+            return;
+        }
+
+        campo.value = JSON.stringify(vendasPorDestino.map(destino => ({
+            uf: destino.uf,
+            codigoMunicipio: destino.codigoMunicipio,
+            municipio: destino.municipio,
+            participacao: destino.participacao
+        })));
+        campo.dispatchEvent(new Event('change'));
+
+        const principais = vendasPorDestino.slice(0, 5)
+            .map(destino => `${destino.codigoMunicipio || destino.uf}: ${(destino.participacao * 100).toFixed(2)}%`)
+            .join(', ');
+        adicionarLog(`Vendas por destino (IBS): ${vendasPorDestino.length} destino(s) - ${principais}` +
+            (vendasPorDestino.length > 5 ? ', ...' : ''));
+    }
+
+    /**
+     * Preenche as vendas por meio de pagamento extraídas do grupo <pag> dos XML de saída
+     * @param {Array} meiosPagamento - [{ meio, participacao, parcelas, prazoLiquidacao, taxa }]
+     */
+    function aplicarMeiosPagamento(meiosPagamento) {
+        const campo = document.getElementById('meios-pagamento');
+        if (!campo || !Array.isArray(meiosPagamento) || meiosPagamento.length === 0) {
+            return;
+        }
+
+        campo.value = JSON.stringify(meiosPagamento);
+        campo.dispatchEvent(new Event('change'));
+
+        adicionarLog('Vendas por meio de pagamento: ' + meiosPagamento
+            .map(item => `${item.meio} ${(item.participacao * 100).toFixed(2)}%` +
+                (item.parcelas > 1 ? ` em ${item.parcelas}x` : ''))
+            .join(', '));
+    }
+
+    /**
+     * Preenche a margem operacional e guarda a DRE extraída da ECF (L300/P150, P200) para o impacto no resultado
+     * @param {Object} dre - empresa.dre de SpedExtractor (com tributacao)
+     * @param {number} margem - Margem operacional calculada pela DRE (decimal)
+     */
+    function aplicarResultadoECF(dre, margem) {
+        const campoDre = document.getElementById('dre-ecf');
+        if (!dre || !campoDre) {
+            return;
+        }
+
+        campoDre.value = JSON.stringify(dre);
+        campoDre.dispatchEvent(new Event('change'));
+
+        const campoMargem = document.getElementById('margem');
+        if (campoMargem && typeof margem === 'number' && (dre.lucroOperacional !== null || dre.resultadoAntesTributos !== null)) {
+            campoMargem.value = (margem * 100).toFixed(2);
+            campoMargem.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+
+        const formatarMoeda = window.DataManager.formatarMoeda;
+        adicionarLog(`ECF (${dre.registro || '0010'}): ${dre.tributacao?.descricao || 'forma de tributação não informada'}` +
+            `, apuração ${dre.tributacao?.formaApuracao || 'anual'}`, 'success');
+        if (dre.receitaLiquida !== null || dre.lucroLiquido !== null) {
+            adicionarLog(`DRE: receita líquida ${formatarMoeda(dre.receitaLiquida || 0)}, ` +
+                `lucro operacional ${formatarMoeda(dre.lucroOperacional || 0)}, lucro líquido ${formatarMoeda(dre.lucroLiquido || 0)} ` +
+                `- margem operacional ${(margem * 100).toFixed(2)}%`);
+        }
+        if (dre.tributacao?.baseCalculoIRPJ !== null && dre.tributacao?.baseCalculoIRPJ !== undefined) {
+            adicionarLog(`Lucro Presumido (P200): base de cálculo do IRPJ ${formatarMoeda(dre.tributacao.baseCalculoIRPJ)}, ` +
+                `IRPJ estimado ${formatarMoeda(dre.tributacao.irpjEstimado || 0)}`);
+        }
+    }
+
     /**
      * Preenche os campos do simulador com os dados extraídos
      * @param {Object} dados - Dados na estrutura aninhada
@@ -431,8 +818,33 @@ const ImportacaoController = (function() {
             if (elements.importCiclo?.checked !== false) {
                 preencherCicloFinanceiro(dadosPlanos);
                 adicionarLog('Dados do ciclo financeiro preenchidos.');
+                registrarFontesCicloFinanceiro(dadosValidados.cicloFinanceiro?.fontes);
+                aplicarMeiosPagamento(dadosValidados.cicloFinanceiro?.meiosPagamento);
             }
             
+            // Exceções de classificação NCM passam a valer para a empresa importada
+            if (typeof NcmRepository !== 'undefined' && dadosValidados.empresa?.cnpj) {
+                NcmRepository.definirEmpresaAtiva(dadosValidados.empresa.cnpj);
+            }
+
+            // Aplicar alíquotas efetivas de CBS/IBS recalculadas pelo mix de produtos
+            if (elements.importIvaItens?.checked) {
+                aplicarRecalculoIVAItens(dadosValidados.parametrosFiscais?.recalculoIVAItens);
+            }
+
+            // IBS ao destino: composição das vendas por UF/município
+            aplicarVendasPorDestino(dadosValidados.parametrosFiscais?.vendasPorDestino);
+
+            // Bloco K: base de crédito de ICMS/IPI pelos insumos consumidos e resumo da cadeia produtiva
+            if (dadosValidados.dadosProducao) {
+                aplicarProducaoBlocoK(dadosValidados.dadosProducao);
+            }
+
+            // ECF: margem operacional e DRE para o impacto no lucro líquido
+            if (elements.importEmpresa?.checked !== false) {
+                aplicarResultadoECF(dadosValidados.empresa?.dre, dadosValidados.empresa?.margem);
+            }
+
             // Garantir que campos IVA permaneçam editáveis
             ['aliquota-cbs', 'aliquota-ibs', 'reducao-especial', 'aliquota-efetiva'].forEach(id => {
                 const campo = document.getElementById(id);
@@ -639,10 +1051,19 @@ const ImportacaoController = (function() {
 
         let regimeDefinido = false;
 
-        // PRIORIDADE 1: Usar dados do registro 0110 se disponíveis
+        // PRIORIDADE 1: Forma de tributação declarada na ECF (registro 0010)
+        const tributacaoEcf = dadosPlanos.dre?.tributacao;
+        if (tributacaoEcf?.regime) {
+            novoRegime.value = tributacaoEcf.regime;
+            novoPisCofinsRegime.value = tributacaoEcf.regime === 'presumido' ? 'cumulativo' : 'nao-cumulativo';
+            adicionarLog(`Regime tributário definido via ECF 0010: ${(tributacaoEcf.descricao || tributacaoEcf.regime).toUpperCase()}`, 'success');
+            regimeDefinido = true;
+        }
+
+        // PRIORIDADE 2: Usar dados do registro 0110 se disponíveis
         const registrosSped = window.dadosImportadosSped?.registros || {};
 
-        if (registrosSped['0110'] && registrosSped['0110'].length > 0) {
+        if (!regimeDefinido && registrosSped['0110'] && registrosSped['0110'].length > 0) {
             const registro0110 = registrosSped['0110'][0];
             const codIncidencia = registro0110.codIncidencia;
 
@@ -801,6 +1222,12 @@ const ImportacaoController = (function() {
             }
         });
 
+        // Saldo credor de ICMS a transportar do último período (E110)
+        if (dadosPlanos.saldoCredorICMS > 0) {
+            preencherCampoTributario('saldo-credor-icms', dadosPlanos.saldoCredorICMS);
+            adicionarLog(`Saldo credor de ICMS (E110): ${window.DataManager.formatarMoeda(dadosPlanos.saldoCredorICMS)}`);
+        }
+
         // Calcular apenas alíquotas efetivas, não os valores
         calcularAliquotasEfetivas(dadosPlanos.faturamento, dadosPlanos);
     }
@@ -1062,6 +1489,42 @@ const ImportacaoController = (function() {
         }
     }
     
+    /**
+     * Registra no log a origem de cada valor do ciclo financeiro calculado pela ECD ou pelos XML
+     * @param {Object} fontes - cicloFinanceiro.fontes ({ chave: { valor, fonte, metadados } })
+     */
+    function registrarFontesCicloFinanceiro(fontes) {
+        if (!fontes) return;
+
+        const descricoes = {
+            calculado: 'calculado pela ECD',
+            sped: 'informado na ECD',
+            estimado: 'mantido (não calculável pela ECD)'
+        };
+
+        ['pmr', 'pme', 'pmp'].forEach(chave => {
+            const item = fontes[chave];
+            if (!item) return;
+            const registro = item.metadados?.registro ? ` - saldos do ${item.metadados.registro}` : '';
+            const origens = {
+                XML: 'calculado pelas duplicatas dos XML',
+                BLOCO_K: 'calculado pelo Bloco K'
+            };
+            const descricao = origens[item.metadados?.origem] || descricoes[item.fonte] || item.fonte;
+            adicionarLog(`${chave.toUpperCase()}: ${item.valor} dias (${descricao}${registro})`,
+                item.fonte === 'estimado' ? 'warning' : 'info');
+        });
+
+        if (fontes.necessidadeCapitalGiro) {
+            adicionarLog(`Necessidade de capital de giro (clientes + estoques - fornecedores): ` +
+                `${window.DataManager.formatarMoeda(fontes.necessidadeCapitalGiro.valor)}`);
+        }
+        if (fontes.capitalCirculanteLiquido) {
+            adicionarLog(`Capital circulante líquido (balanço J100): ` +
+                `${window.DataManager.formatarMoeda(fontes.capitalCirculanteLiquido.valor)}`);
+        }
+    }
+    
     /**
      * Finaliza o processo de importação
      */
@@ -1081,11 +1544,20 @@ const ImportacaoController = (function() {
      * Cancela o processo de importação
      */
     function cancelarImportacao() {
+        // Interromper leituras em partes ainda em andamento
+        if (window.SpedStreamReader && SpedStreamReader.possuiLeiturasAtivas()) {
+            SpedStreamReader.cancelarTodas();
+            return;
+        }
+        
         // Limpar campos de arquivo
         if (elements.spedFiscal) elements.spedFiscal.value = '';
         if (elements.spedContribuicoes) elements.spedContribuicoes.value = '';
         if (elements.spedEcf) elements.spedEcf.value = '';
         if (elements.spedEcd) elements.spedEcd.value = '';
+        if (elements.spedLote) elements.spedLote.value = '';
+        if (elements.spedLotePasta) elements.spedLotePasta.value = '';
+        if (elements.nfeXml) elements.nfeXml.value = '';
         
         // Limpar dados
         dadosImportados = null;
@@ -1104,7 +1576,10 @@ const ImportacaoController = (function() {
             (elements.spedFiscal?.files.length > 0) ||
             (elements.spedContribuicoes?.files.length > 0) ||
             (elements.spedEcf?.files.length > 0) ||
-            (elements.spedEcd?.files.length > 0)
+            (elements.spedEcd?.files.length > 0) ||
+            (elements.spedLote?.files.length > 0) ||
+            (elements.spedLotePasta?.files.length > 0) ||
+            (elements.nfeXml?.files.length > 0)
         );
     }
     
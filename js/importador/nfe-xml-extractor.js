@@ -0,0 +1,789 @@
+/**
+ * NfeXmlExtractor - Importação de lotes de XML de documentos fiscais eletrônicos
+ * NF-e (modelo 55), NFC-e (modelo 65) e CT-e (modelo 57), alternativa ao SPED
+ * Produz a mesma estrutura canônica do SpedExtractor para o restante do fluxo de importação
+ */
+
+window.NfeXmlExtractor = (function() {
+    console.log('NFE-XML-EXTRACTOR: Inicializando módulo...');
+
+    // Modelos de documento pelo elemento raiz da informação
+    const MODELOS = {
+        '55': 'NFE',
+        '65': 'NFCE',
+        '57': 'CTE'
+    };
+
+    // Protocolos de autorização com efeito fiscal (autorizado, autorizado fora de prazo)
+    const SITUACOES_AUTORIZADAS = ['100', '150'];
+
+    // Evento de cancelamento (NF-e, NFC-e e CT-e)
+    const EVENTO_CANCELAMENTO = '110111';
+
+    // Finalidade da NF-e: devolução não compõe o faturamento
+    const FINALIDADE_DEVOLUCAO = '4';
+
+    // CRT do emitente: Simples Nacional, Simples com excesso de sublimite e MEI
+    const CRT_SIMPLES = ['1', '2', '4'];
+
+    // Meio de pagamento do simulador (FluxoCaixaMensal) por código tPag do grupo <pag>
+    const MEIO_PAGAMENTO_TPAG = {
+        '01': 'dinheiro',   // Dinheiro
+        '02': 'dinheiro',   // Cheque
+        '03': 'credito',    // Cartão de crédito
+        '04': 'debito',     // Cartão de débito
+        '05': 'boleto',     // Crédito loja
+        '15': 'boleto',     // Boleto bancário
+        '16': 'pix',        // Depósito bancário
+        '17': 'pix',        // PIX dinâmico
+        '18': 'pix',        // Transferência bancária, carteira digital
+        '20': 'pix',        // PIX estático
+        '99': 'boleto'      // Outros
+    };
+
+    // Sem pagamento (tPag 90): não entra na composição por meio
+    const TPAG_SEM_PAGAMENTO = '90';
+
+    const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+    /**
+     * Grupos da reforma tributária no item da NF-e (NT 2025.002): IBSCBS e IS
+     * Retorna null quando o item não traz o grupo
+     * @param {Element} imposto - Elemento imposto do item
+     * @returns {Object|null} - { cst, cClassTrib, baseCalculo, aliquotaCBS, cbs, aliquotaIBSUF, ibsUF, aliquotaIBSMun, ibsMun, ibs }
+     */
+    function extrairIBSCBSItem(imposto) {
+        const grupo = elemento(imposto, 'IBSCBS');
+        if (!grupo) return null;
+
+        const valores = elemento(grupo, 'gIBSCBS');
+        const ibsUF = numero(valores, 'gIBSUF/vIBSUF');
+        const ibsMun = numero(valores, 'gIBSMun/vIBSMun');
+        return {
+            cst: texto(grupo, 'CST'),
+            cClassTrib: texto(grupo, 'cClassTrib'),
+            baseCalculo: numero(valores, 'vBC'),
+            aliquotaCBS: numero(valores, 'gCBS/pCBS') / 100,
+            cbs: numero(valores, 'gCBS/vCBS'),
+            aliquotaIBSUF: numero(valores, 'gIBSUF/pIBSUF') / 100,
+            ibsUF,
+            aliquotaIBSMun: numero(valores, 'gIBSMun/pIBSMun') / 100,
+            ibsMun,
+            ibs: texto(valores, 'vIBS') !== '' ? numero(valores, 'vIBS') : ibsUF + ibsMun
+        };
+    }
+
+    function extrairISItem(imposto) {
+        const grupo = elemento(imposto, 'IS');
+        if (!grupo) return null;
+
+        return {
+            cst: texto(grupo, 'CSTIS'),
+            cClassTrib: texto(grupo, 'cClassTribIS'),
+            baseCalculo: numero(grupo, 'vBCIS'),
+            aliquota: numero(grupo, 'pIS') / 100,
+            valor: numero(grupo, 'vIS')
+        };
+    }
+
+    /**
+     * Localiza o primeiro elemento descendente pelo caminho de nomes locais (ex.: 'total/ICMSTot/vNF')
+     * A busca ignora o namespace do Portal Fiscal
+     * @param {Element|Document} raiz - Elemento de partida
+     * @param {string} caminho - Nomes separados por '/'
+     * @returns {Element|null}
+     */
+    function elemento(raiz, caminho) {
+        return caminho.split('/').reduce((atual, nome) =>
+            atual ? atual.getElementsByTagNameNS('*', nome)[0] || null : null, raiz || null);
+    }
+
+    /**
+     * Lista os elementos descendentes com o nome local informado
+     * @param {Element|Document} raiz - Elemento de partida
+     * @param {string} nome - Nome local
+     * @returns {Array<Element>}
+     */
+    function elementos(raiz, nome) {
+        return raiz ? Array.from(raiz.getElementsByTagNameNS('*', nome)) : [];
+    }
+
+    function texto(raiz, caminho) {
+        const encontrado = elemento(raiz, caminho);
+        return encontrado ? (encontrado.textContent || '').trim() : '';
+    }
+
+    // Valores do XML usam ponto decimal
+    function numero(raiz, caminho) {
+        const valor = parseFloat(texto(raiz, caminho));
+        return isNaN(valor) ? 0 : valor;
+    }
+
+    /**
+     * Extrai CNPJ (ou CPF) de um grupo de participante
+     * @param {Element} grupo - emit, dest, rem, toma4...
+     * @returns {string}
+     */
+    function documentoParticipante(grupo) {
+        return texto(grupo, 'CNPJ') || texto(grupo, 'CPF');
+    }
+
+    /**
+     * Dias corridos entre duas datas AAAA-MM-DD
+     * @returns {number|null}
+     */
+    function diasEntre(dataInicial, dataFinal) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dataInicial) || !/^\d{4}-\d{2}-\d{2}$/.test(dataFinal)) {
+            return null;
+        }
+        return Math.round((Date.parse(dataFinal) - Date.parse(dataInicial)) / MS_POR_DIA);
+    }
+
+    /**
+     * Lê o conteúdo XML com o DOMParser do navegador
+     * @param {string} conteudo - Texto do arquivo
+     * @returns {Document|null} - Documento ou null se malformado
+     */
+    function lerXml(conteudo) {
+        if (typeof conteudo !== 'string' || typeof DOMParser === 'undefined') {
+            return null;
+        }
+
+        const xml = new DOMParser().parseFromString(conteudo.replace(/^\uFEFF/, ''), 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            return null;
+        }
+        return xml;
+    }
+
+    /**
+     * Extrai uma NF-e ou NFC-e (infNFe)
+     * @param {Element} infNFe - Elemento infNFe
+     * @param {string} situacao - cStat do protocolo ('' quando o XML não traz protNFe)
+     * @returns {Object} - Documento normalizado
+     */
+    function extrairNFe(infNFe, situacao) {
+        const modelo = texto(infNFe, 'ide/mod');
+        const dataEmissao = (texto(infNFe, 'ide/dhEmi') || texto(infNFe, 'ide/dEmi')).substring(0, 10);
+        const emit = elemento(infNFe, 'emit');
+        const dest = elemento(infNFe, 'dest');
+        const totais = elemento(infNFe, 'total/ICMSTot');
+
+        const itens = elementos(infNFe, 'det').map(det => {
+            const imposto = elemento(det, 'imposto');
+            return {
+                codigo: texto(det, 'prod/cProd'),
+                descricao: texto(det, 'prod/xProd'),
+                ncm: texto(det, 'prod/NCM'),
+                cfop: texto(det, 'prod/CFOP'),
+                valor: numero(det, 'prod/vProd') - numero(det, 'prod/vDesc'),
+                icms: numero(imposto, 'ICMS/vICMS'),
+                ipi: numero(imposto, 'IPI/vIPI'),
+                pis: numero(imposto, 'PIS/vPIS'),
+                cofins: numero(imposto, 'COFINS/vCOFINS'),
+                ibscbs: extrairIBSCBSItem(imposto),
+                impostoSeletivo: extrairISItem(imposto)
+            };
+        });
+        const totaisReforma = elemento(infNFe, 'total/IBSCBSTot');
+
+        // O troco é abatido do pagamento em dinheiro
+        const troco = numero(infNFe, 'pag/vTroco');
+        const pagamentos = elementos(infNFe, 'detPag').map(detPag => ({
+            tipo: texto(detPag, 'tPag'),
+            indicador: texto(detPag, 'indPag'),
+            valor: numero(detPag, 'vPag')
+        }));
+        const pagamentoDinheiro = pagamentos.find(pagamento => pagamento.tipo === '01');
+        if (pagamentoDinheiro && troco > 0) {
+            pagamentoDinheiro.valor = Math.max(0, pagamentoDinheiro.valor - troco);
+        }
+
+        const paisDestino = texto(dest, 'enderDest/cPais');
+
+        return {
+            tipo: MODELOS[modelo] || 'NFE',
+            modelo,
+            chave: (infNFe.getAttribute('Id') || '').replace(/^NFe/, ''),
+            situacao,
+            dataEmissao,
+            periodo: dataEmissao.substring(0, 7),
+            tipoOperacao: texto(infNFe, 'ide/tpNF'),             // 0 entrada, 1 saída
+            finalidade: texto(infNFe, 'ide/finNFe'),
+            emitente: {
+                cnpj: documentoParticipante(emit),
+                nome: texto(emit, 'xNome'),
+                uf: texto(emit, 'enderEmit/UF'),
+                codigoMunicipio: texto(emit, 'enderEmit/cMun'),
+                municipio: texto(emit, 'enderEmit/xMun'),
+                crt: texto(emit, 'CRT')
+            },
+            destinatario: dest ? {
+                cnpj: documentoParticipante(dest),
+                nome: texto(dest, 'xNome'),
+                uf: texto(dest, 'enderDest/UF'),
+                codigoMunicipio: texto(dest, 'enderDest/cMun'),
+                municipio: texto(dest, 'enderDest/xMun'),
+                estrangeiro: !!elemento(dest, 'idEstrangeiro') || (paisDestino !== '' && paisDestino !== '1058')
+            } : null,
+            totais: {
+                valorProdutos: numero(totais, 'vProd'),
+                valorDesconto: numero(totais, 'vDesc'),
+                valorTotal: numero(totais, 'vNF'),
+                icms: numero(totais, 'vICMS'),
+                icmsST: numero(totais, 'vST'),
+                ipi: numero(totais, 'vIPI'),
+                pis: numero(totais, 'vPIS'),
+                cofins: numero(totais, 'vCOFINS'),
+                cbs: numero(totaisReforma, 'gCBS/vCBS'),
+                ibs: numero(totaisReforma, 'gIBS/vIBS'),
+                impostoSeletivo: numero(infNFe, 'total/ISTot/vIS')
+            },
+            possuiIBSCBS: !!totaisReforma || itens.some(item => item.ibscbs),
+            itens,
+            pagamentos,
+            duplicatas: elementos(infNFe, 'dup').map(dup => ({
+                numero: texto(dup, 'nDup'),
+                vencimento: texto(dup, 'dVenc'),
+                valor: numero(dup, 'vDup')
+            }))
+        };
+    }
+
+    /**
+     * Extrai um CT-e (infCte): o tomador do serviço é indicado em toma3 (remetente, expedidor,
+     * recebedor ou destinatário) ou identificado em toma4
+     * @param {Element} infCte - Elemento infCte
+     * @param {string} situacao - cStat do protocolo ('' quando o XML não traz protCTe)
+     * @returns {Object} - Documento normalizado
+     */
+    function extrairCTe(infCte, situacao) {
+        const dataEmissao = texto(infCte, 'ide/dhEmi').substring(0, 10);
+        const emit = elemento(infCte, 'emit');
+        const participantes = ['rem', 'exped', 'receb', 'dest'];
+
+        const toma4 = elemento(infCte, 'ide/toma4');
+        const indicadorTomador = texto(infCte, 'ide/toma3/toma') || texto(infCte, 'ide/toma03/toma');
+        const tomador = toma4 ?
+            documentoParticipante(toma4) :
+            documentoParticipante(elemento(infCte, participantes[parseInt(indicadorTomador, 10)] || 'rem'));
+
+        return {
+            tipo: 'CTE',
+            modelo: texto(infCte, 'ide/mod') || '57',
+            chave: (infCte.getAttribute('Id') || '').replace(/^CTe/, ''),
+            situacao,
+            dataEmissao,
+            periodo: dataEmissao.substring(0, 7),
+            tipoOperacao: '1',
+            finalidade: texto(infCte, 'ide/tpCTe'),
+            cfop: texto(infCte, 'ide/CFOP'),
+            emitente: {
+                cnpj: documentoParticipante(emit),
+                nome: texto(emit, 'xNome'),
+                uf: texto(emit, 'enderEmit/UF'),
+                codigoMunicipio: texto(emit, 'enderEmit/cMun'),
+                municipio: texto(emit, 'enderEmit/xMun'),
+                crt: texto(emit, 'CRT')
+            },
+            tomador,
+            destinatario: {
+                cnpj: tomador,
+                nome: '',
+                uf: texto(infCte, 'ide/UFFim'),
+                codigoMunicipio: texto(infCte, 'ide/cMunFim'),
+                municipio: texto(infCte, 'ide/xMunFim'),
+                estrangeiro: texto(infCte, 'ide/UFFim') === 'EX'
+            },
+            totais: {
+                valorProdutos: numero(infCte, 'vPrest/vTPrest'),
+                valorDesconto: 0,
+                valorTotal: numero(infCte, 'vPrest/vTPrest'),
+                icms: numero(infCte, 'imp/ICMS/vICMS'),
+                icmsST: 0,
+                ipi: 0,
+                pis: 0,
+                cofins: 0,
+                cbs: 0,
+                ibs: 0,
+                impostoSeletivo: 0
+            },
+            possuiIBSCBS: false,
+            itens: [],
+            pagamentos: [],
+            duplicatas: elementos(infCte, 'dup').map(dup => ({
+                numero: texto(dup, 'nDup'),
+                vencimento: texto(dup, 'dVenc'),
+                valor: numero(dup, 'vDup')
+            }))
+        };
+    }
+
+    /**
+     * Processa o conteúdo de um arquivo XML (nfeProc, NFe, cteProc, CTe ou evento de cancelamento)
+     * @param {string} conteudo - Texto do arquivo XML
+     * @returns {Object|null} - Documento normalizado, { tipo: 'CANCELAMENTO', chave } ou null se não reconhecido
+     */
+    function processarXml(conteudo) {
+        const xml = lerXml(conteudo);
+        if (!xml) {
+            return null;
+        }
+
+        const infNFe = elemento(xml, 'infNFe');
+        if (infNFe) {
+            return extrairNFe(infNFe, texto(xml, 'protNFe/infProt/cStat'));
+        }
+
+        const infCte = elemento(xml, 'infCte');
+        if (infCte) {
+            return extrairCTe(infCte, texto(xml, 'protCTe/infProt/cStat'));
+        }
+
+        const infEvento = elemento(xml, 'infEvento');
+        if (infEvento && texto(infEvento, 'tpEvento') === EVENTO_CANCELAMENTO) {
+            return {
+                tipo: 'CANCELAMENTO',
+                chave: texto(infEvento, 'chNFe') || texto(infEvento, 'chCTe')
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Identifica a empresa do lote: o CNPJ que mais aparece como emitente, destinatário ou tomador
+     * @param {Array} documentos - Documentos de processarXml
+     * @returns {string} - CNPJ (ou '' se o lote estiver vazio)
+     */
+    function identificarEmpresa(documentos) {
+        const ocorrencias = {};
+        (documentos || []).forEach(documento => {
+            new Set([documento.emitente?.cnpj, documento.destinatario?.cnpj, documento.tomador])
+                .forEach(cnpj => {
+                    if (cnpj) ocorrencias[cnpj] = (ocorrencias[cnpj] || 0) + 1;
+                });
+        });
+
+        return Object.keys(ocorrencias).sort((a, b) => ocorrencias[b] - ocorrencias[a])[0] || '';
+    }
+
+    /**
+     * Define se o documento é saída ou entrada para a empresa
+     * NF-e/NFC-e emitidas pela empresa seguem o tpNF; as de fornecedores destinadas a ela são entradas.
+     * CT-e emitido pela empresa é prestação de serviço; aquele em que ela é tomadora, frete contratado.
+     * @returns {string|null} - 'saida', 'entrada' ou null (documento sem relação com a empresa)
+     */
+    function classificarDirecao(documento, cnpj) {
+        if (documento.emitente.cnpj === cnpj) {
+            return documento.tipoOperacao === '0' ? 'entrada' : 'saida';
+        }
+
+        if (documento.tipo === 'CTE') {
+            return documento.tomador === cnpj ? 'entrada' : null;
+        }
+
+        // NF-e de entrada emitida por terceiro (ex.: devolução de compra) não é tratada
+        return documento.destinatario?.cnpj === cnpj && documento.tipoOperacao === '1' ? 'entrada' : null;
+    }
+
+    /**
+     * CFOP na ótica da empresa: o de saída do fornecedor (5/6/7) vira o de entrada correspondente (1/2/3)
+     * @param {string} cfop - CFOP informado no documento
+     * @param {string} direcao - 'saida' ou 'entrada'
+     * @returns {string}
+     */
+    function cfopDaEmpresa(cfop, direcao) {
+        const digitos = String(cfop || '').replace(/\D/g, '');
+        const conversao = { '5': '1', '6': '2', '7': '3' };
+        if (direcao === 'entrada' && conversao[digitos.charAt(0)]) {
+            return conversao[digitos.charAt(0)] + digitos.substring(1);
+        }
+        return digitos;
+    }
+
+    /**
+     * Destino da venda para o IBS: município do destinatário (CT-e: fim da prestação);
+     * exportação por CFOP 7xxx ou destinatário estrangeiro; sem destinatário (NFC-e), o município do emitente
+     * @returns {Object|null} - { uf, codigoMunicipio, municipio }
+     */
+    function destinoDaVenda(documento) {
+        const exportacao = documento.destinatario?.estrangeiro ||
+            documento.itens.some(item => String(item.cfop).charAt(0) === '7') ||
+            String(documento.cfop || '').charAt(0) === '7';
+        if (exportacao) {
+            return { uf: 'EX', codigoMunicipio: '', municipio: 'Exterior' };
+        }
+
+        const local = documento.destinatario?.uf ? documento.destinatario : documento.emitente;
+        if (!local.uf) return null;
+
+        return { uf: local.uf, codigoMunicipio: local.codigoMunicipio || '', municipio: local.municipio || '' };
+    }
+
+    /**
+     * Obtém uma estrutura canônica vazia (DataManager ou SpedExtractor)
+     * @returns {Object}
+     */
+    function obterEstruturaCanonica() {
+        if (window.DataManager && typeof window.DataManager.obterEstruturaAninhadaPadrao === 'function') {
+            return window.DataManager.obterEstruturaAninhadaPadrao();
+        }
+        return window.SpedExtractor.criarEstruturaCanonica();
+    }
+
+    /**
+     * Monta os dados de um período (mês) a partir dos documentos classificados
+     * @param {Array} documentos - [{ documento, direcao }] do período
+     * @param {Object} empresa - { cnpj, nome, uf, regime }
+     * @returns {Object} - Estrutura canônica do período
+     */
+    function montarDadosPeriodo(documentos, empresa) {
+        const dados = obterEstruturaCanonica();
+        dados.empresa.nome = empresa.nome;
+        dados.empresa.cnpj = empresa.cnpj;
+        dados.empresa.uf = empresa.uf;
+        if (empresa.regime) {
+            dados.empresa.regime = empresa.regime;
+        }
+
+        const composicao = {
+            debitos: { pis: 0, cofins: 0, icms: 0, ipi: 0, iss: 0 },
+            creditos: { pis: 0, cofins: 0, icms: 0, ipi: 0, iss: 0 }
+        };
+        const valoresPorMunicipio = {};
+        let faturamento = 0;
+
+        documentos.forEach(({ documento, direcao }) => {
+            const tipo = direcao === 'saida' ? 'debitos' : 'creditos';
+            ['icms', 'ipi', 'pis', 'cofins'].forEach(tributo => {
+                composicao[tipo][tributo] += documento.totais[tributo] || 0;
+            });
+
+            if (direcao !== 'saida' || documento.finalidade === FINALIDADE_DEVOLUCAO) return;
+
+            faturamento += documento.totais.valorTotal;
+
+            const destino = destinoDaVenda(documento);
+            if (destino) {
+                const chave = destino.codigoMunicipio || destino.uf;
+                if (!valoresPorMunicipio[chave]) {
+                    valoresPorMunicipio[chave] = { ...destino, valor: 0 };
+                }
+                valoresPorMunicipio[chave].valor += documento.totais.valorTotal;
+            }
+        });
+
+        dados.empresa.faturamento = faturamento;
+        dados.parametrosFiscais.composicaoTributaria = composicao;
+        dados.parametrosFiscais.creditos = { ...dados.parametrosFiscais.creditos, ...composicao.creditos };
+        delete dados.parametrosFiscais.creditos.iss;
+
+        const vendasPorDestino = window.SpedExtractor.agruparVendasPorDestino(valoresPorMunicipio);
+        if (vendasPorDestino.length > 0) {
+            dados.parametrosFiscais.vendasPorDestino = vendasPorDestino;
+        }
+
+        return dados;
+    }
+
+    /**
+     * Prazo médio ponderado das duplicatas e participação das operações a prazo
+     * Operação a prazo: com duplicatas (<cobr><dup>) ou pagamento indicado a prazo (indPag 1)
+     * @param {Array} documentos - Documentos de uma direção
+     * @returns {Object|null} - { prazoMedio, percPrazo, documentosPrazo, valorTotal } ou null sem valores
+     */
+    function calcularPrazoDuplicatas(documentos) {
+        let valorTotal = 0;
+        let valorPrazo = 0;
+        let somaDiasPonderados = 0;
+        let valorDuplicatas = 0;
+        let documentosPrazo = 0;
+
+        documentos.forEach(documento => {
+            const valor = documento.totais.valorTotal;
+            valorTotal += valor;
+
+            const duplicatas = documento.duplicatas.filter(dup => dup.valor > 0);
+            const aPrazo = duplicatas.length > 0 || documento.pagamentos.some(pagamento => pagamento.indicador === '1');
+            if (!aPrazo) return;
+
+            valorPrazo += valor;
+            documentosPrazo++;
+            duplicatas.forEach(dup => {
+                const dias = diasEntre(documento.dataEmissao, dup.vencimento);
+                if (dias === null) return;
+                somaDiasPonderados += Math.max(0, dias) * dup.valor;
+                valorDuplicatas += dup.valor;
+            });
+        });
+
+        if (valorTotal <= 0) {
+            return null;
+        }
+
+        return {
+            prazoMedio: valorDuplicatas > 0 ? somaDiasPonderados / valorDuplicatas : null,
+            percPrazo: valorPrazo / valorTotal,
+            documentosPrazo,
+            valorTotal
+        };
+    }
+
+    /**
+     * Composição das vendas por meio de pagamento pelo grupo <pag> das saídas
+     * Boleto e crédito loja usam o número de duplicatas e o vencimento da primeira como parcelas e prazo
+     * @param {Array} documentos - Documentos de saída
+     * @returns {Array} - [{ meio, participacao, parcelas, prazoLiquidacao, taxa }] (vazio sem <pag>)
+     */
+    function extrairMeiosPagamento(documentos) {
+        const catalogo = window.FluxoCaixaMensal ? window.FluxoCaixaMensal.obterMeiosPagamento() : {};
+        const porMeio = {};
+        let total = 0;
+
+        documentos.forEach(documento => {
+            const duplicatas = documento.duplicatas.filter(dup => dup.valor > 0);
+            const primeiroVencimento = duplicatas.length > 0 ?
+                diasEntre(documento.dataEmissao, duplicatas[0].vencimento) : null;
+
+            documento.pagamentos.forEach(pagamento => {
+                const meio = MEIO_PAGAMENTO_TPAG[pagamento.tipo];
+                if (pagamento.tipo === TPAG_SEM_PAGAMENTO || !meio || pagamento.valor <= 0) return;
+
+                if (!porMeio[meio]) {
+                    porMeio[meio] = { valor: 0, valorParcelado: 0, somaParcelas: 0, somaPrazo: 0 };
+                }
+                porMeio[meio].valor += pagamento.valor;
+                total += pagamento.valor;
+
+                if (meio === 'boleto' && duplicatas.length > 0 && primeiroVencimento !== null) {
+                    porMeio[meio].valorParcelado += pagamento.valor;
+                    porMeio[meio].somaParcelas += duplicatas.length * pagamento.valor;
+                    porMeio[meio].somaPrazo += Math.max(0, primeiroVencimento) * pagamento.valor;
+                }
+            });
+        });
+
+        if (total <= 0) {
+            return [];
+        }
+
+        return Object.entries(porMeio)
+            .sort((a, b) => b[1].valor - a[1].valor)
+            .map(([meio, valores]) => {
+                const padrao = catalogo[meio] || {};
+                const parcelado = valores.valorParcelado > 0;
+                return {
+                    meio,
+                    participacao: valores.valor / total,
+                    parcelas: parcelado ? Math.max(1, Math.round(valores.somaParcelas / valores.valorParcelado)) : (padrao.parcelas || 1),
+                    prazoLiquidacao: parcelado ? Math.round(valores.somaPrazo / valores.valorParcelado) : (padrao.prazoLiquidacao || 0),
+                    taxa: padrao.taxa || 0
+                };
+            });
+    }
+
+    /**
+     * Recalcula CBS/IBS item a item (NCM e CFOP dos itens das NF-e/NFC-e; CT-e como item de frete)
+     * @param {Array} classificados - [{ documento, direcao }]
+     * @param {string} cnpj - CNPJ da empresa (exceções de classificação NCM)
+     * @returns {Object|null} - Resultado de IVADualSystem.calcularIVAPorItens ou null
+     */
+    function recalcularIVAPorItens(classificados, cnpj) {
+        if (!window.IVADualSystem || typeof window.IVADualSystem.calcularIVAPorItens !== 'function') {
+            console.warn('NFE-XML-EXTRACTOR: IVADualSystem.calcularIVAPorItens não disponível, recálculo por item ignorado');
+            return null;
+        }
+
+        const itens = [];
+        classificados.forEach(({ documento, direcao }) => {
+            if (documento.tipo === 'CTE') {
+                itens.push({ ncm: '', cfop: cfopDaEmpresa(documento.cfop, direcao), valor: documento.totais.valorTotal });
+                return;
+            }
+            documento.itens.forEach(item => {
+                itens.push({ ncm: item.ncm, cfop: cfopDaEmpresa(item.cfop, direcao), valor: item.valor });
+            });
+        });
+
+        if (itens.length === 0) {
+            return null;
+        }
+
+        return window.IVADualSystem.calcularIVAPorItens(itens, { cnpj });
+    }
+
+    /**
+     * Seleciona os documentos válidos do lote e os classifica em saída ou entrada da empresa
+     * Descarta cancelados (evento 110111), não autorizados, duplicados e documentos sem relação com a empresa
+     * @param {Array} documentos - Documentos de processarXml (inclusive eventos de cancelamento)
+     * @param {Object} [opcoes] - { cnpj } para indicar a empresa; por padrão, a de maior ocorrência no lote
+     * @returns {Object} - { cnpj, classificados: [{ documento, direcao }], resumo }
+     */
+    function selecionarDocumentosEmpresa(documentos, opcoes = {}) {
+        const lista = (documentos || []).filter(Boolean);
+        const cancelados = new Set(lista.filter(documento => documento.tipo === 'CANCELAMENTO').map(documento => documento.chave));
+
+        const resumo = { nfe: 0, nfce: 0, cte: 0, cancelados: 0, naoAutorizados: 0, duplicados: 0, semRelacao: 0, saidas: 0, entradas: 0 };
+        const chaves = new Set();
+        const validos = lista.filter(documento => {
+            if (documento.tipo === 'CANCELAMENTO') return false;
+            if (cancelados.has(documento.chave)) {
+                resumo.cancelados++;
+                return false;
+            }
+            if (documento.situacao && !SITUACOES_AUTORIZADAS.includes(documento.situacao)) {
+                resumo.naoAutorizados++;
+                return false;
+            }
+            if (documento.chave && chaves.has(documento.chave)) {
+                resumo.duplicados++;
+                return false;
+            }
+            if (!/^\d{4}-\d{2}$/.test(documento.periodo)) return false;
+            chaves.add(documento.chave);
+            return true;
+        });
+
+        const cnpj = opcoes.cnpj || identificarEmpresa(validos);
+        const classificados = [];
+        validos.forEach(documento => {
+            const direcao = classificarDirecao(documento, cnpj);
+            if (!direcao) {
+                resumo.semRelacao++;
+                return;
+            }
+            resumo[documento.tipo.toLowerCase()]++;
+            resumo[direcao === 'saida' ? 'saidas' : 'entradas']++;
+            classificados.push({ documento, direcao });
+        });
+
+        return { cnpj, classificados, resumo };
+    }
+
+    /**
+     * Extrai os dados para o simulador a partir dos documentos de um lote de XML
+     * Os documentos são agrupados por mês de emissão e consolidados como na importação em lote do SPED
+     * (médias mensais e série em empresa.historicoMensal); ciclo financeiro, meios de pagamento e
+     * recálculo por item consideram o lote inteiro
+     * @param {Array} documentos - Documentos de processarXml (inclusive eventos de cancelamento)
+     * @param {Object} [opcoes] - { cnpj } para indicar a empresa; por padrão, a de maior ocorrência no lote
+     * @returns {Object|null} - Dados na estrutura aninhada, com metadados.documentosXml, ou null sem documentos válidos
+     */
+    function extrairDadosParaSimulador(documentos, opcoes = {}) {
+        if (!window.SpedExtractor) {
+            console.error('NFE-XML-EXTRACTOR: SpedExtractor não está disponível');
+            return null;
+        }
+
+        const { cnpj, classificados, resumo } = selecionarDocumentosEmpresa(documentos, opcoes);
+
+        if (classificados.length === 0) {
+            console.warn('NFE-XML-EXTRACTOR: Nenhum documento autorizado da empresa no lote');
+            return null;
+        }
+
+        // Dados cadastrais pelo documento mais recente emitido pela empresa (ou destinado a ela)
+        const ordenados = [...classificados].sort((a, b) => a.documento.dataEmissao.localeCompare(b.documento.dataEmissao));
+        const proprio = [...ordenados].reverse().find(({ documento }) => documento.emitente.cnpj === cnpj);
+        const cadastro = proprio ? proprio.documento.emitente :
+            { ...ordenados[ordenados.length - 1].documento.destinatario, crt: '' };
+        const empresa = {
+            cnpj,
+            nome: cadastro.nome || '',
+            uf: cadastro.uf || '',
+            regime: CRT_SIMPLES.includes(cadastro.crt) ? 'simples' : ''
+        };
+
+        const porPeriodo = {};
+        ordenados.forEach(classificado => {
+            const periodo = classificado.documento.periodo;
+            (porPeriodo[periodo] = porPeriodo[periodo] || []).push(classificado);
+        });
+
+        const periodos = Object.keys(porPeriodo).sort();
+        const dados = window.SpedExtractor.consolidarPeriodos(periodos.map(periodo => ({
+            periodo,
+            dados: montarDadosPeriodo(porPeriodo[periodo], empresa)
+        })));
+
+        // Ciclo financeiro pelas duplicatas: PMR das saídas a prazo, PMP das entradas
+        const saidas = classificados.filter(({ direcao, documento }) =>
+            direcao === 'saida' && documento.finalidade !== FINALIDADE_DEVOLUCAO).map(({ documento }) => documento);
+        const entradas = classificados.filter(({ direcao }) => direcao === 'entrada').map(({ documento }) => documento);
+        const { FonteDados, criarValorComFonte } = window.RastreamentoFonte;
+        const fontes = { ...(dados.cicloFinanceiro.fontes || {}) };
+
+        const recebimentos = calcularPrazoDuplicatas(saidas);
+        if (recebimentos) {
+            dados.cicloFinanceiro.percPrazo = recebimentos.percPrazo;
+            dados.cicloFinanceiro.percVista = 1 - recebimentos.percPrazo;
+            fontes.percVista = criarValorComFonte(dados.cicloFinanceiro.percVista, FonteDados.CALCULADO, {
+                origem: 'XML', documentos: saidas.length, formula: 'saídas sem duplicatas nem indPag a prazo / total das saídas'
+            });
+            if (recebimentos.prazoMedio !== null) {
+                dados.cicloFinanceiro.pmr = Math.round(recebimentos.prazoMedio);
+                fontes.pmr = criarValorComFonte(dados.cicloFinanceiro.pmr, FonteDados.CALCULADO, {
+                    origem: 'XML', documentos: recebimentos.documentosPrazo, formula: 'vencimento das duplicatas de saída ponderado pelo valor'
+                });
+            }
+        }
+
+        const pagamentos = calcularPrazoDuplicatas(entradas);
+        if (pagamentos && pagamentos.prazoMedio !== null) {
+            dados.cicloFinanceiro.pmp = Math.round(pagamentos.prazoMedio);
+            fontes.pmp = criarValorComFonte(dados.cicloFinanceiro.pmp, FonteDados.CALCULADO, {
+                origem: 'XML', documentos: pagamentos.documentosPrazo, formula: 'vencimento das duplicatas de entrada ponderado pelo valor'
+            });
+        }
+
+        if (Object.keys(fontes).length > 0) {
+            dados.cicloFinanceiro.fontes = fontes;
+        }
+
+        const meiosPagamento = extrairMeiosPagamento(saidas);
+        if (meiosPagamento.length > 0) {
+            dados.cicloFinanceiro.meiosPagamento = meiosPagamento;
+        }
+
+        const recalculoIVAItens = recalcularIVAPorItens(classificados, cnpj);
+        if (recalculoIVAItens) {
+            dados.parametrosFiscais.recalculoIVAItens = recalculoIVAItens;
+        }
+
+        // Saídas por CFOP (itens das NF-e/NFC-e e prestações de CT-e)
+        const saidasPorCfop = {};
+        classificados.filter(({ direcao }) => direcao === 'saida').forEach(({ documento }) => {
+            const itens = documento.tipo === 'CTE' ?
+                [{ cfop: documento.cfop, valor: documento.totais.valorTotal }] : documento.itens;
+            itens.forEach(item => {
+                saidasPorCfop[item.cfop] = (saidasPorCfop[item.cfop] || 0) + item.valor;
+            });
+        });
+
+        dados.metadados = dados.metadados || {};
+        dados.metadados.importacaoXml = true;
+        dados.metadados.periodos = periodos;
+        dados.metadados.documentosXml = resumo;
+        dados.metadados.saidasPorCfop = saidasPorCfop;
+
+        console.log('NFE-XML-EXTRACTOR: Documentos do lote:', resumo);
+
+        if (window.DataManager && typeof window.DataManager.validarENormalizar === 'function') {
+            return window.DataManager.validarENormalizar(dados);
+        }
+        return dados;
+    }
+
+    // Interface pública do módulo
+    return {
+        processarXml,
+        identificarEmpresa,
+        selecionarDocumentosEmpresa,
+        destinoDaVenda,
+        extrairDadosParaSimulador,
+        versao: '1.0.0'
+    };
+})();
+
+console.log('NFE-XML-EXTRACTOR: Módulo carregado com sucesso!');
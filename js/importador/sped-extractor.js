@@ -11,21 +11,124 @@ window.SpedExtractor = (function() {
     // Registros importantes por tipo de arquivo
     const REGISTROS_IMPORTANTES = {
       FISCAL: [
-        '0000', '0100', '0150',
-        'C100', 'C190',
-        'E110', 'E520'
+        '0000', '0100', '0150', '0200',
+        'C100', 'C170', 'C190',
+        'E110', 'E520',
+        'K100', 'K200', 'K230', 'K235'
       ],
       CONTRIBUICOES: [
         '0000', '0110',
+        'C100',
         'M100', 'M105',
         'M200', 'M210', 'M215',
         'M220', 'M230',
         'M500', 'M505',
         'M600', 'M610', 'M615',
         'M620', 'M630'
+      ],
+      ECD: [
+        '0000',
+        'I050', 'I150', 'I155',
+        'J100'
+      ],
+      ECF: [
+        '0000', '0010',
+        'L030', 'L300',
+        'P030', 'P150', 'P200'
       ]
     };
+
+    // ECD/ECF: registros vinculados ao período (registro pai) que os antecede no arquivo
+    const REGISTRO_PERIODO = {
+        'I155': 'I150',
+        'L300': 'L030',
+        'P150': 'P030',
+        'P200': 'P030'
+    };
     
+    // Tamanho padrão dos blocos na leitura em partes (4 MB)
+    const TAMANHO_BLOCO_PADRAO = 4 * 1024 * 1024;
+    
+    // Vendas por destino: municípios detalhados individualmente; os demais são agrupados por UF
+    const LIMITE_MUNICIPIOS_DESTINO = 30;
+    
+    // Situações do C100 sem efeito fiscal (cancelado, cancelado extemporâneo, denegado, inutilizado)
+    const SITUACOES_SEM_EFEITO = ['02', '03', '04', '05'];
+
+    // ECD: natureza das contas (I050 COD_NAT)
+    const NATUREZA_CONTA = { ATIVO: '01', PASSIVO: '02', RESULTADO: '04' };
+
+    // ECD: classificação das contas do ciclo financeiro pela descrição da conta e de suas superiores
+    const CLASSIFICACAO_CONTAS_ECD = {
+        clientes: { natureza: NATUREZA_CONTA.ATIVO, padrao: /clientes|duplicatas a receber|contas a receber/i },
+        estoques: { natureza: NATUREZA_CONTA.ATIVO, padrao: /estoque/i },
+        fornecedores: { natureza: NATUREZA_CONTA.PASSIVO, padrao: /fornecedor/i },
+        receitaBruta: {
+            natureza: NATUREZA_CONTA.RESULTADO,
+            padrao: /receita|vendas|faturamento/i,
+            exceto: /dedu|devolu|cancelamento|abatimento|imposto|financeir|outras receitas|n[ãa]o operac|despesa|custo/i
+        },
+        custoVendas: {
+            natureza: NATUREZA_CONTA.RESULTADO,
+            padrao: /custo d[aoe]s? (mercadorias|produtos|servi[çc]os)|\bcmv\b|\bcpv\b|\bcsp\b/i
+        }
+    };
+
+    // Bloco K: grupo de estoque pelo tipo do item (0200 TIPO_ITEM)
+    const GRUPO_ESTOQUE_TIPO_ITEM = {
+        '00': 'revenda',
+        '01': 'insumos',        // Matéria-prima
+        '02': 'insumos',        // Embalagem
+        '03': 'emProcesso',
+        '04': 'acabados',
+        '05': 'acabados',       // Subproduto
+        '06': 'insumos',        // Produto intermediário
+        '10': 'insumos'         // Outros insumos
+    };
+
+    // Bloco K: estoque de terceiros em poder do informante (K200 IND_EST) não é da empresa
+    const ESTOQUE_DE_TERCEIROS = '2';
+
+    // Contas de longo prazo não entram no ciclo operacional
+    const PADRAO_LONGO_PRAZO = /longo prazo|n[ãa]o circulante/i;
+
+    // Prazos calculados fora deste intervalo (dias) indicam classificação de contas inadequada
+    const PRAZO_MAXIMO_CICLO = 365;
+
+    // ECF: forma de tributação do lucro (0010 FORMA_TRIB)
+    const FORMA_TRIBUTACAO_ECF = {
+        '1': { descricao: 'Lucro Real', regime: 'real' },
+        '2': { descricao: 'Lucro Real/Arbitrado', regime: 'real' },
+        '3': { descricao: 'Lucro Presumido/Real', regime: null },
+        '4': { descricao: 'Lucro Presumido/Real/Arbitrado', regime: null },
+        '5': { descricao: 'Lucro Presumido', regime: 'presumido' },
+        '6': { descricao: 'Lucro Arbitrado', regime: null },
+        '7': { descricao: 'Lucro Presumido/Arbitrado', regime: 'presumido' },
+        '8': { descricao: 'Imune do IRPJ', regime: null },
+        '9': { descricao: 'Isento do IRPJ', regime: null }
+    };
+
+    // ECF: linhas da DRE (L300/P150) pela descrição; vale a primeira linha correspondente de cada período
+    const LINHAS_DRE_ECF = {
+        receitaBruta: { padrao: /receita bruta/i },
+        receitaLiquida: { padrao: /receita l[íi]quida/i },
+        lucroOperacional: { padrao: /(lucro|resultado) operacional|antes do resultado financeiro/i },
+        resultadoAntesTributos: { padrao: /antes d[aoe]s? (tributos|imposto|irpj|csll|contribui|provis)/i },
+        lucroLiquido: {
+            padrao: /(lucro|resultado) l[íi]quido|(lucro|preju[íi]zo|resultado).{0,25}d[oa] (per[íi]odo|exerc[íi]cio)/i,
+            exceto: /antes/i
+        }
+    };
+
+    // ECF: despesa de IRPJ e CSLL na DRE, somada nas linhas analíticas
+    const LINHA_IRPJ_CSLL_ECF = { padrao: /imposto de renda|irpj|contribui[çc][ãa]o social|csll/i, exceto: /antes|base de c/i };
+
+    // IRPJ (15% mais adicional de 10% sobre o que exceder R$ 20 mil/mês) e CSLL (9%)
+    const ALIQUOTAS_IRPJ_CSLL = { irpj: 0.15, adicionalIRPJ: 0.10, limiteAdicionalMensal: 20000, csll: 0.09 };
+
+    // Rastreamento da fonte dos dados (js/importador/fonte-dados.js)
+    const { FonteDados, criarValorComFonte } = window.RastreamentoFonte;
+
     /**
      * Cria uma estrutura canônica padrão para uso quando o DataManager não está disponível
      * @returns {Object} - Estrutura canônica padrão
@@ -130,7 +233,11 @@ window.SpedExtractor = (function() {
                 const primeiraLinha = linhas[0].split('|');
                 if (primeiraLinha.length > 3) {
                     const codigoFinalidade = primeiraLinha[3];
-                    if (codigoFinalidade === '0' || codigoFinalidade === '1') {
+                    if (primeiraLinha[2] === 'LECD') {
+                        tipoArquivo = 'ECD';
+                    } else if (primeiraLinha[2] === 'LECF') {
+                        tipoArquivo = 'ECF';
+                    } else if (codigoFinalidade === '0' || codigoFinalidade === '1') {
                         tipoArquivo = 'FISCAL';
                     } else if (codigoFinalidade === '10' || codigoFinalidade === '11') {
                         tipoArquivo = 'CONTRIBUICOES';
@@ -151,40 +258,85 @@ window.SpedExtractor = (function() {
         for (const linha of linhas) {
             linhasProcessadas++;
             
-            if (!linha.trim()) continue; // Ignora linhas vazias
-            
-            const colunas = linha.split('|');
-            if (colunas.length < 3) continue;
-            
-            // Remover elemento vazio no início e fim (resultado do split)
-            if (colunas[0] === '') colunas.shift();
-            if (colunas[colunas.length - 1] === '') colunas.pop();
-            
-            const tipoRegistro = colunas[0];
-            
-            // Verificar se é um registro de interesse
-            if (!registrosAlvo.includes(tipoRegistro)) continue;
-            
-            // Mapear o registro conforme seu tipo
-            const registroMapeado = mapearRegistro(tipoRegistro, colunas, tipoArquivo);
-            
-            // Adicionar à coleção de registros
-            if (!registros[tipoRegistro]) {
-                registros[tipoRegistro] = [];
+            if (processarLinha(linha, tipoArquivo, registrosAlvo, registros)) {
+                registrosEncontrados++;
             }
-            
-            registros[tipoRegistro].push(registroMapeado);
-            registrosEncontrados++;
         }
         
+        registrarDiagnosticoProcessamento(tipoArquivo, registros, linhasProcessadas, registrosEncontrados);
+        
+        return {
+            tipoArquivo,
+            registros
+        };
+    }
+    
+    /**
+     * Processa uma linha do arquivo SPED, adicionando o registro mapeado se for de interesse
+     * @param {string} linha - Linha do arquivo
+     * @param {string} tipoArquivo - 'FISCAL' ou 'CONTRIBUICOES'
+     * @param {Array} registrosAlvo - Tipos de registro de interesse
+     * @param {Object} registros - Coleção de registros, alterada no local
+     * @returns {boolean} - true se o registro foi adicionado
+     */
+    function processarLinha(linha, tipoArquivo, registrosAlvo, registros) {
+        if (!linha.trim()) return false; // Ignora linhas vazias
+        
+        const colunas = linha.split('|');
+        if (colunas.length < 3) return false;
+        
+        // Remover elemento vazio no início e fim (resultado do split)
+        if (colunas[0] === '') colunas.shift();
+        if (colunas[colunas.length - 1] === '') colunas.pop();
+        
+        const tipoRegistro = colunas[0];
+        
+        // Verificar se é um registro de interesse
+        if (!registrosAlvo.includes(tipoRegistro)) return false;
+        
+        // Mapear o registro conforme seu tipo
+        const registroMapeado = mapearRegistro(tipoRegistro, colunas, tipoArquivo);
+        
+        // Filhos do C100 guardam a nota à qual pertencem (o arquivo é hierárquico e sequencial)
+        if ((tipoRegistro === 'C170' || tipoRegistro === 'C190') && registros['C100']) {
+            registroMapeado.indiceC100 = registros['C100'].length - 1;
+        }
+
+        // Insumos consumidos (K235) guardam a ordem de produção (K230) a que pertencem
+        if (tipoRegistro === 'K235' && registros['K230']) {
+            registroMapeado.indiceK230 = registros['K230'].length - 1;
+        }
+
+        // Saldos da ECD e demonstrações da ECF guardam o período (I150, L030, P030) a que se referem
+        const registroPeriodo = REGISTRO_PERIODO[tipoRegistro];
+        if (registroPeriodo && registros[registroPeriodo]) {
+            registroMapeado.indicePeriodo = registros[registroPeriodo].length - 1;
+        }
+        
+        // Adicionar à coleção de registros
+        if (!registros[tipoRegistro]) {
+            registros[tipoRegistro] = [];
+        }
+        
+        registros[tipoRegistro].push(registroMapeado);
+        return true;
+    }
+    
+    /**
+     * Registra no console o resumo do processamento e os registros críticos encontrados
+     */
+    function registrarDiagnosticoProcessamento(tipoArquivo, registros, linhasProcessadas, registrosEncontrados) {
         console.log(`Processamento concluído: ${linhasProcessadas} linhas, ${registrosEncontrados} registros relevantes.`);
         
         // Log detalhado dos registros críticos
         console.log('=== SPED-EXTRACTOR: LOGS DE DIAGNÓSTICO ===');
         console.log(`Arquivo SPED ${tipoArquivo} processado - Total de registros: ${Object.keys(registros).length}`);
 
-        // Verificar registros críticos para créditos tributários
-        const registrosCriticos = ['M200', 'M600', 'E110', 'E520'];
+        // Verificar registros críticos para créditos tributários (ou para o ciclo financeiro e o resultado, na ECD/ECF)
+        const registrosCriticos = {
+            ECD: ['I150', 'I155', 'J100'],
+            ECF: ['0010', 'L300', 'P200']
+        }[tipoArquivo] || ['M200', 'M600', 'E110', 'E520'];
         registrosCriticos.forEach(registro => {
             if (registros[registro] && registros[registro].length > 0) {
                 console.log(`${registro} encontrado: ${registros[registro].length} ocorrências`);
@@ -193,13 +345,112 @@ window.SpedExtractor = (function() {
                 console.log(`${registro} NÃO encontrado no arquivo`);
             }
         });
-        
+    }
+    
+    /**
+     * Cria um processador incremental que recebe o arquivo SPED em trechos de texto
+     * Linhas partidas entre trechos são remontadas; o resultado tem a mesma estrutura de processarArquivo
+     * @param {string} tipoArquivo - 'FISCAL', 'CONTRIBUICOES' ou vazio para identificar pelo registro 0000
+     * @returns {Object} - { processarTrecho(texto), finalizar(), linhasProcessadas() }
+     */
+    function criarProcessadorIncremental(tipoArquivo) {
+        const registros = {};
+        let registrosAlvo = tipoArquivo ? (REGISTROS_IMPORTANTES[tipoArquivo] || []) : null;
+        let resto = '';
+        let linhasProcessadas = 0;
+        let registrosEncontrados = 0;
+
+        function processarLinhas(linhas) {
+            if (!registrosAlvo) {
+                tipoArquivo = identificarArquivo(linhas.slice(0, 5).join('\n'))?.tipoArquivo || 'FISCAL';
+                registrosAlvo = REGISTROS_IMPORTANTES[tipoArquivo] || [];
+            }
+
+            for (const linha of linhas) {
+                linhasProcessadas++;
+                if (processarLinha(linha, tipoArquivo, registrosAlvo, registros)) {
+                    registrosEncontrados++;
+                }
+            }
+        }
+
         return {
-            tipoArquivo,
-            registros
+            processarTrecho: function(texto) {
+                const linhas = (resto + texto).split('\n');
+                resto = linhas.pop();
+                if (linhas.length > 0) {
+                    processarLinhas(linhas);
+                }
+            },
+
+            finalizar: function() {
+                if (resto || !registrosAlvo) {
+                    processarLinhas([resto]);
+                    resto = '';
+                }
+
+                registrarDiagnosticoProcessamento(tipoArquivo, registros, linhasProcessadas, registrosEncontrados);
+                return {
+                    tipoArquivo,
+                    registros
+                };
+            },
+
+            linhasProcessadas: function() {
+                return linhasProcessadas;
+            }
         };
     }
     
+    /**
+     * Processa um arquivo SPED em blocos (File.slice), sem carregar o conteúdo inteiro em memória
+     * Pode ser executado na thread principal ou em um Web Worker
+     * @param {Blob} arquivo - Arquivo SPED
+     * @param {string} tipoArquivo - 'FISCAL', 'CONTRIBUICOES' ou vazio para identificar pelo registro 0000
+     * @param {Object} opcoes - { tamanhoBloco, codificacao, onProgresso(progresso), cancelado() }
+     * @returns {Promise<Object>} - Mesmo resultado de processarArquivo; rejeitada com erro.cancelado se cancelada
+     */
+    function processarArquivoEmPartes(arquivo, tipoArquivo, opcoes = {}) {
+        const tamanhoBloco = opcoes.tamanhoBloco || TAMANHO_BLOCO_PADRAO;
+        const totalBytes = arquivo.size;
+        const decodificador = new TextDecoder(opcoes.codificacao || 'utf-8');
+        const processador = criarProcessadorIncremental(tipoArquivo);
+
+        console.log(`SPED-EXTRACTOR: Processando ${arquivo.name || 'arquivo'} em partes (${totalBytes} bytes, blocos de ${tamanhoBloco})`);
+
+        function lerBloco(inicio) {
+            if (typeof opcoes.cancelado === 'function' && opcoes.cancelado()) {
+                const erro = new Error('Leitura do arquivo SPED cancelada');
+                erro.cancelado = true;
+                return Promise.reject(erro);
+            }
+
+            if (inicio >= totalBytes) {
+                processador.processarTrecho(decodificador.decode());
+                return Promise.resolve(processador.finalizar());
+            }
+
+            const fim = Math.min(inicio + tamanhoBloco, totalBytes);
+            return arquivo.slice(inicio, fim).arrayBuffer().then(buffer => {
+                // stream: true preserva caracteres multibyte divididos entre blocos
+                processador.processarTrecho(decodificador.decode(buffer, { stream: true }));
+
+                if (typeof opcoes.onProgresso === 'function') {
+                    opcoes.onProgresso({
+                        bytesLidos: fim,
+                        totalBytes,
+                        percentual: Math.round((fim / totalBytes) * 100),
+                        linhasProcessadas: processador.linhasProcessadas()
+                    });
+                }
+
+                return lerBloco(fim);
+            });
+        }
+
+        return lerBloco(0);
+    }
+    
     /**
      * Mapeia os campos de cada tipo de registro
      */
@@ -223,26 +474,67 @@ window.SpedExtractor = (function() {
                   indNatPj: colunas[12],           // Campo 13 - INDNATPJ
                   indTipoAtiv: colunas[13]         // Campo 14 - INDATIV (ESSENCIAL para tipo empresa)
                 };
+              } else if (tipoArquivo === 'ECD') {
+                return {
+                  registro: tipoRegistro,
+                  identificador: colunas[1],       // Campo 02 - LECD
+                  dataInicial: colunas[2],         // Campo 03 - DT_INI
+                  dataFinal: colunas[3],           // Campo 04 - DT_FIN
+                  nome: colunas[4],                // Campo 05 - NOME
+                  cnpj: colunas[5],                // Campo 06 - CNPJ
+                  uf: colunas[6],                  // Campo 07 - UF
+                  ie: colunas[7],                  // Campo 08 - IE
+                  codMun: colunas[8],              // Campo 09 - COD_MUN
+                  im: colunas[9],                  // Campo 10 - IM
+                  indSitEsp: colunas[10]           // Campo 11 - IND_SIT_ESP
+                };
+              } else if (tipoArquivo === 'ECF') {
+                return {
+                  registro: tipoRegistro,
+                  identificador: colunas[1],       // Campo 02 - LECF
+                  codVersao: colunas[2],           // Campo 03 - COD_VER
+                  cnpj: colunas[3],                // Campo 04 - CNPJ
+                  nome: colunas[4],                // Campo 05 - NOME
+                  indSitIniPer: colunas[5],        // Campo 06 - IND_SIT_INI_PER
+                  sitEspecial: colunas[6],         // Campo 07 - SIT_ESPECIAL
+                  dataInicial: colunas[9],         // Campo 10 - DT_INI
+                  dataFinal: colunas[10],          // Campo 11 - DT_FIN
+                  retificadora: colunas[11],       // Campo 12 - RETIFICADORA
+                  tipoEcf: colunas[13]             // Campo 14 - TIP_ECF
+                };
               } else { // FISCAL
                 return {
                   registro: tipoRegistro,
-                  codVersao: colunas[1],           // Campo 02 - CODVER
-                  codFinalidade: colunas[2],       // Campo 03 - TIPOESCRIT
-                  indSitEsp: colunas[3],           // Campo 04 - INDSITESP
-                  numRecAnterior: colunas[4],      // Campo 05 - NUMRECANT
-                  dataInicial: colunas[5],         // Campo 06 - DTINI
-                  dataFinal: colunas[6],           // Campo 07 - DTFIN
-                  nome: colunas[7],                // Campo 08 - NOME
-                  cnpj: colunas[8],                // Campo 09 - CNPJ
-                  uf: colunas[9],                  // Campo 10 - UF
-                  ie: colunas[10],                 // Campo 11 - IE
-                  codMun: colunas[11],             // Campo 12 - CODMUN
-                  im: colunas[12],                 // Campo 13 - IM
-                  suframa: colunas[13]             // Campo 14 - SUFRAMA
+                  codVersao: colunas[1],           // Campo 02 - COD_VER
+                  codFinalidade: colunas[2],       // Campo 03 - COD_FIN
+                  dataInicial: colunas[3],         // Campo 04 - DT_INI
+                  dataFinal: colunas[4],           // Campo 05 - DT_FIN
+                  nome: colunas[5],                // Campo 06 - NOME
+                  cnpj: colunas[6],                // Campo 07 - CNPJ
+                  cpf: colunas[7],                 // Campo 08 - CPF
+                  uf: colunas[8],                  // Campo 09 - UF
+                  ie: colunas[9],                  // Campo 10 - IE
+                  codMun: colunas[10],             // Campo 11 - COD_MUN
+                  im: colunas[11],                 // Campo 12 - IM
+                  suframa: colunas[12],            // Campo 13 - SUFRAMA
+                  indPerfil: colunas[13],          // Campo 14 - IND_PERFIL
+                  indAtiv: colunas[14]             // Campo 15 - IND_ATIV
                 };
               }
               break;
 
+            case '0150': // Tabela de cadastro do participante
+              return {
+                registro: tipoRegistro,
+                codPart: colunas[1],               // Campo 02 - COD_PART
+                nome: colunas[2],                  // Campo 03 - NOME
+                codPais: colunas[3],               // Campo 04 - COD_PAIS
+                cnpj: colunas[4],                  // Campo 05 - CNPJ
+                cpf: colunas[5],                   // Campo 06 - CPF
+                ie: colunas[6],                    // Campo 07 - IE
+                codMun: colunas[7]                 // Campo 08 - COD_MUN
+              };
+
             case '0110': // Regime de apuração
               return {
                 registro: tipoRegistro,
@@ -277,6 +569,31 @@ window.SpedExtractor = (function() {
                 valorCofins: parseValorMonetario(colunas[20])  // Campo 21
               };
 
+            case '0200': // Identificação do item (produtos e serviços)
+              return {
+                registro: tipoRegistro,
+                codItem: colunas[1],               // Campo 02 - COD_ITEM
+                descrItem: colunas[2],             // Campo 03 - DESCR_ITEM
+                unidInv: colunas[5],               // Campo 06 - UNID_INV
+                tipoItem: colunas[6],              // Campo 07 - TIPO_ITEM
+                ncm: colunas[7]                    // Campo 08 - COD_NCM
+              };
+
+            case 'C170': // Itens do documento (código 01, 1B, 04 e 55)
+              return {
+                registro: tipoRegistro,
+                numItem: colunas[1],               // Campo 02 - NUM_ITEM
+                codItem: colunas[2],               // Campo 03 - COD_ITEM
+                qtd: parseValorMonetario(colunas[4]),          // Campo 05 - QTD
+                valorItem: parseValorMonetario(colunas[6]),    // Campo 07 - VL_ITEM
+                valorDesc: parseValorMonetario(colunas[7]),    // Campo 08 - VL_DESC
+                cstIcms: colunas[9],               // Campo 10 - CST_ICMS
+                cfop: colunas[10],                 // Campo 11 - CFOP
+                valorBcIcms: parseValorMonetario(colunas[12]), // Campo 13 - VL_BC_ICMS
+                valorIcms: parseValorMonetario(colunas[14]),   // Campo 15 - VL_ICMS
+                valorIpi: parseValorMonetario(colunas[23])     // Campo 24 - VL_IPI
+              };
+
             case 'C190': // Analítico do registro C100 (ICMS)
                 return {
                     registro: tipoRegistro,
@@ -321,6 +638,42 @@ window.SpedExtractor = (function() {
                 vlSdIpi: parseValorMonetario(colunas[7])            // Campo 08 - Saldo devedor a recolher
               };
                 
+            case 'K100': // Período de apuração do Bloco K
+              return {
+                registro: tipoRegistro,
+                dataInicial: colunas[1],           // Campo 02 - DT_INI
+                dataFinal: colunas[2]              // Campo 03 - DT_FIN
+              };
+
+            case 'K200': // Estoque escriturado
+              return {
+                registro: tipoRegistro,
+                dataEstoque: colunas[1],           // Campo 02 - DT_EST
+                codItem: colunas[2],               // Campo 03 - COD_ITEM
+                qtd: parseValorMonetario(colunas[3]), // Campo 04 - QTD
+                indEst: colunas[4],                // Campo 05 - IND_EST
+                codPart: colunas[5]                // Campo 06 - COD_PART
+              };
+
+            case 'K230': // Itens produzidos
+              return {
+                registro: tipoRegistro,
+                dataInicioOp: colunas[1],          // Campo 02 - DT_INI_OP
+                dataFimOp: colunas[2],             // Campo 03 - DT_FIN_OP
+                codDocOp: colunas[3],              // Campo 04 - COD_DOC_OP
+                codItem: colunas[4],               // Campo 05 - COD_ITEM
+                qtdProduzida: parseValorMonetario(colunas[5]) // Campo 06 - QTD_ENC
+              };
+
+            case 'K235': // Insumos consumidos
+              return {
+                registro: tipoRegistro,
+                dataSaida: colunas[1],             // Campo 02 - DT_SAIDA
+                codItem: colunas[2],               // Campo 03 - COD_ITEM
+                qtd: parseValorMonetario(colunas[3]), // Campo 04 - QTD
+                codInsSubst: colunas[4]            // Campo 05 - COD_INS_SUBST
+              };
+
             case 'M100': // Crédito PIS
               return {
                 registro: tipoRegistro,
@@ -509,7 +862,100 @@ window.SpedExtractor = (function() {
                     numDoc: colunas[4],                             // Número do documento
                     descrAj: colunas[5]                             // Descrição do ajuste
                 };
-                
+
+            case 'I050': // Plano de contas (ECD)
+                return {
+                    registro: tipoRegistro,
+                    dataAlteracao: colunas[1],         // Campo 02 - DT_ALT
+                    codNatureza: colunas[2],           // Campo 03 - COD_NAT
+                    indCta: colunas[3],                // Campo 04 - IND_CTA (S sintética, A analítica)
+                    nivel: parseInt(colunas[4]) || 0,  // Campo 05 - NIVEL
+                    codCta: colunas[5],                // Campo 06 - COD_CTA
+                    codCtaSup: colunas[6],             // Campo 07 - COD_CTA_SUP
+                    nomeCta: colunas[7]                // Campo 08 - CTA
+                };
+
+            case 'I150': // Período dos saldos periódicos (ECD)
+                return {
+                    registro: tipoRegistro,
+                    dataInicial: colunas[1],           // Campo 02 - DT_INI
+                    dataFinal: colunas[2]              // Campo 03 - DT_FIN
+                };
+
+            case 'I155': // Saldos periódicos das contas analíticas (ECD)
+                return {
+                    registro: tipoRegistro,
+                    codCta: colunas[1],                              // Campo 02 - COD_CTA
+                    codCcus: colunas[2],                             // Campo 03 - COD_CCUS
+                    vlSldIni: parseValorMonetario(colunas[3]),       // Campo 04 - VL_SLD_INI
+                    indDcIni: colunas[4],                            // Campo 05 - IND_DC_INI
+                    vlDeb: parseValorMonetario(colunas[5]),          // Campo 06 - VL_DEB
+                    vlCred: parseValorMonetario(colunas[6]),         // Campo 07 - VL_CRED
+                    vlSldFin: parseValorMonetario(colunas[7]),       // Campo 08 - VL_SLD_FIN
+                    indDcFin: colunas[8]                             // Campo 09 - IND_DC_FIN
+                };
+
+            case 'J100': // Balanço patrimonial (ECD)
+                return {
+                    registro: tipoRegistro,
+                    codAgl: colunas[1],                              // Campo 02 - COD_AGL
+                    indCodAgl: colunas[2],                           // Campo 03 - IND_COD_AGL (T totalizador, D detalhe)
+                    nivelAgl: parseInt(colunas[3]) || 0,             // Campo 04 - NIVEL_AGL
+                    codAglSup: colunas[4],                           // Campo 05 - COD_AGL_SUP
+                    indGrpBal: colunas[5],                           // Campo 06 - IND_GRP_BAL (A ativo, P passivo/PL)
+                    descricao: colunas[6],                           // Campo 07 - DESCR_COD_AGL
+                    vlCtaIni: parseValorMonetario(colunas[7]),       // Campo 08 - VL_CTA_INI
+                    indDcIni: colunas[8],                            // Campo 09 - IND_DC_CTA_INI
+                    vlCtaFin: parseValorMonetario(colunas[9]),       // Campo 10 - VL_CTA_FIN
+                    indDcFin: colunas[10]                            // Campo 11 - IND_DC_CTA_FIN
+                };
+
+            case '0010': { // Parâmetros de tributação (ECF)
+                // Leiautes antigos tinham OPT_PAES antes de FORMA_TRIB; FORMA_APUR (A/T) localiza o deslocamento
+                const deslocamento = /^[AT]$/.test(colunas[4] || '') ? 0 : 1;
+                return {
+                    registro: tipoRegistro,
+                    optRefis: colunas[2],                          // Campo 03 - OPT_REFIS
+                    formaTrib: colunas[3 + deslocamento],          // Campo 04 - FORMA_TRIB
+                    formaApur: colunas[4 + deslocamento],          // Campo 05 - FORMA_APUR (A anual, T trimestral)
+                    codQualifPj: colunas[5 + deslocamento],        // Campo 06 - COD_QUALIF_PJ
+                    formaTribPer: colunas[6 + deslocamento],       // Campo 07 - FORMA_TRIB_PER
+                    tipEscPre: colunas[8 + deslocamento],          // Campo 09 - TIP_ESC_PRE
+                    apurCsll: colunas[11 + deslocamento]           // Campo 12 - APUR_CSLL
+                };
+            }
+
+            case 'L030': // Períodos de apuração (ECF, Lucro Real)
+            case 'P030': // Períodos de apuração (ECF, Lucro Presumido)
+                return {
+                    registro: tipoRegistro,
+                    dataInicial: colunas[1],                       // Campo 02 - DT_INI
+                    dataFinal: colunas[2],                         // Campo 03 - DT_FIN
+                    perApur: colunas[3]                            // Campo 04 - PER_APUR (A00, A01..A12, T01..T04)
+                };
+
+            case 'L300': // Demonstração do resultado (ECF, Lucro Real)
+            case 'P150': // Demonstração do resultado (ECF, Lucro Presumido)
+                return {
+                    registro: tipoRegistro,
+                    codigo: colunas[1],                            // Campo 02 - CODIGO
+                    descricao: colunas[2],                         // Campo 03 - DESCRICAO
+                    tipo: colunas[3],                              // Campo 04 - TIPO (S sintética, A analítica)
+                    nivel: parseInt(colunas[4]) || 0,              // Campo 05 - NIVEL
+                    codNatureza: colunas[5],                       // Campo 06 - COD_NAT
+                    codCtaSup: colunas[6],                         // Campo 07 - COD_CTA_SUP
+                    valor: parseValorMonetario(colunas[7]),        // Campo 08 - VALOR
+                    indValor: colunas[8]                           // Campo 09 - IND_VALOR (D/C)
+                };
+
+            case 'P200': // Apuração da base de cálculo do IRPJ (ECF, Lucro Presumido)
+                return {
+                    registro: tipoRegistro,
+                    codigo: colunas[1],                            // Campo 02 - CODIGO
+                    descricao: colunas[2],                         // Campo 03 - DESCRICAO
+                    valor: parseValorMonetario(colunas[3])         // Campo 04 - VALOR
+                };
+
             default:
                 // Para registros não mapeados explicitamente, mapeamento genérico
                 const registro = { registro: tipoRegistro };
@@ -520,6 +966,856 @@ window.SpedExtractor = (function() {
         }
     }
     
+    /**
+     * Recalcula CBS/IBS item a item a partir dos registros C170, com o NCM do cadastro 0200
+     * O enquadramento de cada NCM vem do NcmRepository (via IVADualSystem)
+     * @param {Object} registros - Registros extraídos do SPED Fiscal
+     * @returns {Object|null} - Resultado de IVADualSystem.calcularIVAPorItens ou null
+     */
+    function recalcularIVAPorItens(registros) {
+        if (!registros['C170'] || registros['C170'].length === 0) {
+            return null;
+        }
+
+        if (!window.IVADualSystem || typeof window.IVADualSystem.calcularIVAPorItens !== 'function') {
+            console.warn('SPED-EXTRACTOR: IVADualSystem.calcularIVAPorItens não disponível, recálculo por item ignorado');
+            return null;
+        }
+
+        // Mapa código do item -> NCM
+        const ncmPorItem = {};
+        (registros['0200'] || []).forEach(item => {
+            ncmPorItem[item.codItem] = item.ncm;
+        });
+
+        const itens = registros['C170'].map(item => ({
+            ncm: ncmPorItem[item.codItem] || '',
+            cfop: item.cfop,
+            valor: (item.valorItem || 0) - (item.valorDesc || 0)
+        }));
+
+        // Exceções de classificação NCM cadastradas para a empresa do arquivo
+        const cnpj = registros['0000'] && registros['0000'].length > 0 ? registros['0000'][0].cnpj : '';
+
+        const recalculo = window.IVADualSystem.calcularIVAPorItens(itens, { cnpj });
+
+        console.log('SPED-EXTRACTOR: Recálculo CBS/IBS por item:', {
+            itensProcessados: recalculo.itensProcessados,
+            itensIgnorados: recalculo.itensIgnorados,
+            baseSaidas: recalculo.baseSaidas,
+            aliquotaEfetivaCBS: recalculo.aliquotaEfetivaCBS,
+            aliquotaEfetivaIBS: recalculo.aliquotaEfetivaIBS
+        });
+
+        return recalculo;
+    }
+
+    /**
+     * Agrupa os destinos: os maiores municípios ficam detalhados, os demais somados por UF
+     * @param {Object} valoresPorMunicipio - { chave: { uf, codigoMunicipio, municipio, valor } }
+     * @returns {Array} - [{ uf, codigoMunicipio, municipio, valor, participacao }] em ordem decrescente de valor
+     */
+    function agruparVendasPorDestino(valoresPorMunicipio) {
+        const ordenados = Object.values(valoresPorMunicipio)
+            .filter(destino => destino.valor > 0)
+            .sort((a, b) => b.valor - a.valor);
+        const total = ordenados.reduce((soma, destino) => soma + destino.valor, 0);
+        if (total <= 0) return [];
+
+        const agrupados = {};
+        ordenados.forEach((destino, indice) => {
+            const detalhar = indice < LIMITE_MUNICIPIOS_DESTINO && destino.codigoMunicipio;
+            const chave = detalhar ? destino.codigoMunicipio : destino.uf;
+            if (!agrupados[chave]) {
+                agrupados[chave] = {
+                    uf: destino.uf,
+                    codigoMunicipio: detalhar ? destino.codigoMunicipio : '',
+                    municipio: detalhar ? destino.municipio : '',
+                    valor: 0
+                };
+            }
+            agrupados[chave].valor += destino.valor;
+        });
+
+        return Object.values(agrupados)
+            .sort((a, b) => b.valor - a.valor)
+            .map(destino => ({ ...destino, participacao: destino.valor / total }));
+    }
+
+    /**
+     * Extrai as vendas por destino (UF/município) para o IBS, a partir das notas de saída
+     * O destino é o município do participante (0150); CFOP 7xxx ou participante estrangeiro
+     * indicam exportação; notas sem participante (ex.: NFC-e) são vendas no município do contribuinte (0000)
+     * @param {Object} registros - Registros extraídos do SPED Fiscal (0000, 0150, C100, C190)
+     * @returns {Array|null} - Vendas por destino ou null sem notas de saída
+     */
+    function extrairVendasPorDestino(registros) {
+        if (!registros['C100'] || registros['C100'].length === 0) {
+            return null;
+        }
+
+        const reg0000 = registros['0000'] && registros['0000'].length > 0 ? registros['0000'][0] : {};
+        const participantes = {};
+        (registros['0150'] || []).forEach(participante => {
+            participantes[participante.codPart] = participante;
+        });
+
+        // Valor das operações de saída por nota (C190), na ausência dele o valor total do C100
+        const valorPorNota = {};
+        const exportacaoPorNota = {};
+        (registros['C190'] || []).forEach(analitico => {
+            const cfop = String(analitico.cfop || '');
+            if (analitico.indiceC100 === undefined || !['5', '6', '7'].includes(cfop.charAt(0))) return;
+
+            valorPorNota[analitico.indiceC100] = (valorPorNota[analitico.indiceC100] || 0) + (analitico.valorOperacao || 0);
+            if (cfop.charAt(0) === '7') {
+                exportacaoPorNota[analitico.indiceC100] = true;
+            }
+        });
+
+        const valoresPorMunicipio = {};
+        registros['C100'].forEach((nota, indice) => {
+            if (nota.indOper !== '1' || SITUACOES_SEM_EFEITO.includes(nota.codSit)) return;
+
+            const valor = valorPorNota[indice] !== undefined ? valorPorNota[indice] : (nota.valorTotal || 0);
+            if (valor <= 0) return;
+
+            const participante = participantes[nota.codPart];
+            const estrangeiro = participante && participante.codPais && participante.codPais !== '1058' && participante.codPais !== '01058';
+
+            let destino;
+            if (exportacaoPorNota[indice] || estrangeiro) {
+                destino = { uf: 'EX', codigoMunicipio: '', municipio: 'Exterior' };
+            } else {
+                const codigoMunicipio = String(participante?.codMun || reg0000.codMun || '').replace(/\D/g, '');
+                const uf = typeof AliquotasIBSRepository !== 'undefined' ?
+                    (AliquotasIBSRepository.obterUFPorCodigoIBGE(codigoMunicipio) || reg0000.uf || '') :
+                    (participante ? '' : reg0000.uf || '');
+                if (!uf) return;
+                destino = { uf, codigoMunicipio, municipio: '' };
+            }
+
+            const chave = destino.codigoMunicipio || destino.uf;
+            if (!valoresPorMunicipio[chave]) {
+                valoresPorMunicipio[chave] = { ...destino, valor: 0 };
+            }
+            valoresPorMunicipio[chave].valor += valor;
+        });
+
+        const vendasPorDestino = agruparVendasPorDestino(valoresPorMunicipio);
+        if (vendasPorDestino.length === 0) {
+            return null;
+        }
+
+        console.log('SPED-EXTRACTOR: Vendas por destino (IBS):', vendasPorDestino.map(destino =>
+            `${destino.uf}${destino.codigoMunicipio ? '/' + destino.codigoMunicipio : ''}: ${(destino.participacao * 100).toFixed(2)}%`
+        ));
+
+        return vendasPorDestino;
+    }
+
+    /**
+     * Converte data SPED (DDMMAAAA) em Date (UTC)
+     * @param {string} data - Data no formato DDMMAAAA
+     * @returns {Date|null} - Data ou null se inválida
+     */
+    function converterDataSped(data) {
+        if (!/^\d{8}$/.test(data || '')) return null;
+        return new Date(Date.UTC(+data.substring(4, 8), +data.substring(2, 4) - 1, +data.substring(0, 2)));
+    }
+
+    /**
+     * Aplica o sinal do saldo conforme a natureza da conta: devedor é positivo no ativo, credor no passivo
+     * @param {number} valor - Valor do saldo
+     * @param {string} indicadorDC - 'D' ou 'C'
+     * @param {boolean} devedora - true para contas de natureza devedora (ativo)
+     * @returns {number} - Saldo com sinal
+     */
+    function saldoPelaNatureza(valor, indicadorDC, devedora) {
+        const positivo = devedora ? indicadorDC !== 'C' : indicadorDC === 'C';
+        return positivo ? valor : -valor;
+    }
+
+    /**
+     * Monta a descrição de um item com a de seus superiores (ex.: "Ativo > Ativo Circulante > Clientes")
+     * @param {string} codigo - Código do item
+     * @param {Object} itensPorCodigo - { codigo: { superior, nome } }
+     * @returns {string} - Descrição hierárquica
+     */
+    function descreverHierarquia(codigo, itensPorCodigo) {
+        const nomes = [];
+        const visitados = new Set();
+        let atual = itensPorCodigo[codigo];
+        while (atual && !visitados.has(atual)) {
+            visitados.add(atual);
+            nomes.unshift(atual.nome || '');
+            atual = itensPorCodigo[atual.superior];
+        }
+        return nomes.join(' > ');
+    }
+
+    /**
+     * Classifica uma conta em uma das categorias do ciclo financeiro (CLASSIFICACAO_CONTAS_ECD)
+     * @param {string} natureza - Natureza da conta (NATUREZA_CONTA)
+     * @param {string} descricao - Descrição hierárquica da conta
+     * @returns {string|null} - Categoria ou null
+     */
+    function classificarContaECD(natureza, descricao) {
+        if (PADRAO_LONGO_PRAZO.test(descricao)) return null;
+
+        return Object.keys(CLASSIFICACAO_CONTAS_ECD).find(categoria => {
+            const regra = CLASSIFICACAO_CONTAS_ECD[categoria];
+            return natureza === regra.natureza && regra.padrao.test(descricao) &&
+                !(regra.exceto && regra.exceto.test(descricao));
+        }) || null;
+    }
+
+    /**
+     * Extrai da ECD os saldos e movimentos das contas do ciclo financeiro
+     * Os saldos vêm dos I155 de cada período (I150), com as contas classificadas pelo plano de contas (I050);
+     * categorias sem saldos no I155 usam as linhas de detalhe do balanço patrimonial (J100).
+     * Receita bruta e custo das vendas são os créditos e débitos do período nas contas de resultado.
+     * @param {Object} registros - Registros extraídos da ECD
+     * @returns {Object|null} - { periodo, saldos, receitaBruta, custoVendas, capitalCirculanteLiquido, contas } ou null
+     */
+    function extrairDadosContabeisECD(registros) {
+        const periodosI150 = registros['I150'] || [];
+        const reg0000 = registros['0000'] && registros['0000'].length > 0 ? registros['0000'][0] : {};
+        const dataInicial = converterDataSped(periodosI150[0]?.dataInicial || reg0000.dataInicial);
+        const dataFinal = converterDataSped(periodosI150[periodosI150.length - 1]?.dataFinal || reg0000.dataFinal);
+        const dias = dataInicial && dataFinal ? Math.round((dataFinal - dataInicial) / 86400000) + 1 : 0;
+
+        // Plano de contas: classificação das contas analíticas
+        const planoPorCodigo = {};
+        (registros['I050'] || []).forEach(conta => {
+            planoPorCodigo[conta.codCta] = { superior: conta.codCtaSup, nome: conta.nomeCta, conta };
+        });
+        const categoriaPorConta = {};
+        Object.keys(planoPorCodigo).forEach(codigo => {
+            const { conta } = planoPorCodigo[codigo];
+            if (conta.indCta !== 'A') return;
+            const categoria = classificarContaECD(conta.codNatureza, descreverHierarquia(codigo, planoPorCodigo));
+            if (categoria) categoriaPorConta[codigo] = categoria;
+        });
+
+        const contas = {};
+        Object.keys(CLASSIFICACAO_CONTAS_ECD).forEach(categoria => { contas[categoria] = []; });
+
+        // Saldos finais por período (índice do I150) e saldo inicial do primeiro período
+        const finaisPorPeriodo = { clientes: [], estoques: [], fornecedores: [] };
+        const iniciais = { clientes: 0, estoques: 0, fornecedores: 0 };
+        let receitaBruta = 0;
+        let custoVendas = 0;
+
+        (registros['I155'] || []).forEach(saldo => {
+            const categoria = categoriaPorConta[saldo.codCta];
+            if (!categoria) return;
+            if (!contas[categoria].includes(saldo.codCta)) contas[categoria].push(saldo.codCta);
+
+            if (categoria === 'receitaBruta') {
+                receitaBruta += saldo.vlCred;
+                return;
+            }
+            if (categoria === 'custoVendas') {
+                custoVendas += saldo.vlDeb;
+                return;
+            }
+
+            const devedora = categoria !== 'fornecedores';
+            const periodo = saldo.indicePeriodo ?? 0;
+            finaisPorPeriodo[categoria][periodo] = (finaisPorPeriodo[categoria][periodo] || 0) +
+                saldoPelaNatureza(saldo.vlSldFin, saldo.indDcFin, devedora);
+            if (periodo === 0) {
+                iniciais[categoria] += saldoPelaNatureza(saldo.vlSldIni, saldo.indDcIni, devedora);
+            }
+        });
+
+        const quantidadePeriodos = Math.max(1, periodosI150.length);
+        const saldos = {};
+        Object.keys(finaisPorPeriodo).forEach(categoria => {
+            if (contas[categoria].length === 0) {
+                saldos[categoria] = null;
+                return;
+            }
+
+            // Períodos sem I155 da categoria têm saldo zero
+            const finais = Array.from({ length: quantidadePeriodos }, (_, indice) => finaisPorPeriodo[categoria][indice] || 0);
+            saldos[categoria] = {
+                inicial: iniciais[categoria],
+                final: finais[finais.length - 1],
+                medio: finais.reduce((soma, valor) => soma + valor, 0) / finais.length,
+                registro: 'I155'
+            };
+        });
+
+        // Balanço patrimonial: saldos das categorias ausentes no I155 e capital circulante líquido
+        const balanco = registros['J100'] || [];
+        const balancoPorCodigo = {};
+        balanco.forEach(linha => {
+            balancoPorCodigo[linha.codAgl] = { superior: linha.codAglSup, nome: linha.descricao };
+        });
+        const naturezaBalanco = linha => linha.indGrpBal === 'A' ? NATUREZA_CONTA.ATIVO : NATUREZA_CONTA.PASSIVO;
+
+        balanco.filter(linha => linha.indCodAgl === 'D').forEach(linha => {
+            const categoria = classificarContaECD(naturezaBalanco(linha), descreverHierarquia(linha.codAgl, balancoPorCodigo));
+            if (!categoria || !finaisPorPeriodo[categoria] || (saldos[categoria] && saldos[categoria].registro === 'I155')) return;
+
+            const devedora = linha.indGrpBal === 'A';
+            const inicial = saldoPelaNatureza(linha.vlCtaIni, linha.indDcIni, devedora);
+            const final = saldoPelaNatureza(linha.vlCtaFin, linha.indDcFin, devedora);
+            const atual = saldos[categoria] || { inicial: 0, final: 0, medio: 0, registro: 'J100' };
+            atual.inicial += inicial;
+            atual.final += final;
+            atual.medio = (atual.inicial + atual.final) / 2;
+            saldos[categoria] = atual;
+            contas[categoria].push(linha.codAgl);
+        });
+
+        const totalizadorBalanco = (grupo, padrao) => balanco.find(linha =>
+            linha.indGrpBal === grupo && padrao.test(linha.descricao || '') && !PADRAO_LONGO_PRAZO.test(linha.descricao || ''));
+        const ativoCirculante = totalizadorBalanco('A', /ativo circulante/i);
+        const passivoCirculante = totalizadorBalanco('P', /passivo circulante/i);
+        let capitalCirculanteLiquido = null;
+        if (ativoCirculante && passivoCirculante) {
+            const ativo = saldoPelaNatureza(ativoCirculante.vlCtaFin, ativoCirculante.indDcFin, true);
+            const passivo = saldoPelaNatureza(passivoCirculante.vlCtaFin, passivoCirculante.indDcFin, false);
+            capitalCirculanteLiquido = { ativoCirculante: ativo, passivoCirculante: passivo, valor: ativo - passivo };
+        }
+
+        const possuiSaldos = Object.values(saldos).some(saldo => saldo !== null);
+        if (!possuiSaldos && receitaBruta === 0 && !capitalCirculanteLiquido) {
+            console.warn('SPED-EXTRACTOR: Nenhuma conta do ciclo financeiro reconhecida na ECD');
+            return null;
+        }
+
+        return {
+            periodo: {
+                dataInicial: periodosI150[0]?.dataInicial || reg0000.dataInicial || '',
+                dataFinal: periodosI150[periodosI150.length - 1]?.dataFinal || reg0000.dataFinal || '',
+                dias
+            },
+            saldos,
+            receitaBruta: contas.receitaBruta.length > 0 ? receitaBruta : null,
+            custoVendas: contas.custoVendas.length > 0 ? custoVendas : null,
+            capitalCirculanteLiquido,
+            contas
+        };
+    }
+
+    /**
+     * Calcula o ciclo financeiro a partir dos dados contábeis da ECD, com a fonte de cada valor
+     * PMR = clientes médio / receita bruta × dias; PME = estoques médio / CMV × dias;
+     * PMP = fornecedores médio / compras × dias, com compras = CMV + estoque final - estoque inicial.
+     * Prazos que não puderem ser calculados mantêm o valor atual, marcado como estimado.
+     * @param {Object} dadosContabeis - Resultado de extrairDadosContabeisECD
+     * @param {Object} cicloAtual - Ciclo financeiro vigente { pmr, pmp, pme }
+     * @param {number} [faturamentoMensal] - Faturamento mensal de outro arquivo, usado se a ECD não trouxer a receita
+     * @returns {Object} - { pmr, pmp, pme, fontes: { pmr, pmp, pme, necessidadeCapitalGiro, capitalCirculanteLiquido } }
+     */
+    function calcularCicloFinanceiroContabil(dadosContabeis, cicloAtual, faturamentoMensal) {
+        const { saldos, periodo, receitaBruta, custoVendas, contas } = dadosContabeis;
+        const ciclo = { fontes: {} };
+
+        function definirPrazo(chave, saldo, base, dias, metadados) {
+            const prazo = saldo && base > 0 && dias > 0 ? Math.round((saldo.medio / base) * dias) : null;
+
+            if (prazo !== null && prazo >= 0 && prazo <= PRAZO_MAXIMO_CICLO) {
+                ciclo[chave] = prazo;
+                ciclo.fontes[chave] = criarValorComFonte(prazo, FonteDados.CALCULADO, {
+                    registro: saldo.registro,
+                    saldoMedio: saldo.medio,
+                    base,
+                    dias,
+                    ...metadados
+                });
+                console.log(`SPED-EXTRACTOR: ${chave.toUpperCase()} calculado pela ECD: ${prazo} dias`);
+                return;
+            }
+
+            if (prazo !== null) {
+                console.warn(`SPED-EXTRACTOR: ${chave.toUpperCase()} calculado pela ECD fora dos limites: ${prazo} dias, mantido o valor atual`);
+            }
+            ciclo[chave] = cicloAtual[chave];
+            ciclo.fontes[chave] = cicloAtual.fontes?.[chave] || criarValorComFonte(cicloAtual[chave], FonteDados.ESTIMADO, {
+                motivo: prazo !== null ? 'prazo calculado fora dos limites' : 'contas insuficientes na ECD'
+            });
+        }
+
+        // PMR: receita bruta da ECD ou, na falta dela, o faturamento mensal dos demais arquivos SPED
+        if (receitaBruta > 0) {
+            definirPrazo('pmr', saldos.clientes, receitaBruta, periodo.dias, {
+                contas: [...contas.clientes, ...contas.receitaBruta],
+                registroBase: 'I155',
+                formula: 'saldo médio de clientes / receita bruta × dias do período'
+            });
+        } else {
+            definirPrazo('pmr', saldos.clientes, faturamentoMensal || 0, 30, {
+                contas: [...contas.clientes],
+                formula: 'saldo médio de clientes / faturamento mensal × 30',
+                receita: 'faturamento do SPED Fiscal/Contribuições'
+            });
+        }
+
+        definirPrazo('pme', saldos.estoques, custoVendas || 0, periodo.dias, {
+            contas: [...contas.estoques, ...contas.custoVendas],
+            registroBase: 'I155',
+            formula: 'saldo médio de estoques / custo das vendas × dias do período'
+        });
+
+        const variacaoEstoques = saldos.estoques ? saldos.estoques.final - saldos.estoques.inicial : 0;
+        definirPrazo('pmp', saldos.fornecedores, custoVendas > 0 ? custoVendas + variacaoEstoques : 0, periodo.dias, {
+            contas: [...contas.fornecedores, ...contas.custoVendas, ...contas.estoques],
+            registroBase: 'I155',
+            formula: 'saldo médio de fornecedores / (custo das vendas + variação dos estoques) × dias do período'
+        });
+
+        // Necessidade de capital de giro operacional ao fim do período
+        if (saldos.clientes || saldos.estoques || saldos.fornecedores) {
+            const final = categoria => saldos[categoria] ? saldos[categoria].final : 0;
+            ciclo.fontes.necessidadeCapitalGiro = criarValorComFonte(
+                final('clientes') + final('estoques') - final('fornecedores'),
+                FonteDados.CALCULADO,
+                {
+                    registros: ['clientes', 'estoques', 'fornecedores']
+                        .filter(categoria => saldos[categoria])
+                        .map(categoria => saldos[categoria].registro)
+                        .filter((registro, indice, lista) => lista.indexOf(registro) === indice),
+                    clientes: final('clientes'),
+                    estoques: final('estoques'),
+                    fornecedores: final('fornecedores'),
+                    formula: 'clientes + estoques - fornecedores'
+                }
+            );
+        }
+
+        if (dadosContabeis.capitalCirculanteLiquido) {
+            const { ativoCirculante, passivoCirculante, valor } = dadosContabeis.capitalCirculanteLiquido;
+            ciclo.fontes.capitalCirculanteLiquido = criarValorComFonte(valor, FonteDados.SPED, {
+                registro: 'J100',
+                ativoCirculante,
+                passivoCirculante
+            });
+        }
+
+        return ciclo;
+    }
+
+    /**
+     * Aplica os dados contábeis da ECD ao ciclo financeiro de um conjunto de dados do simulador
+     * @param {Object} dados - Dados na estrutura aninhada (alterados no local)
+     * @param {Object} dadosContabeis - Resultado de extrairDadosContabeisECD
+     * @returns {Object} - Os mesmos dados, com cicloFinanceiro.fontes e dadosContabeis
+     */
+    function aplicarDadosContabeis(dados, dadosContabeis) {
+        if (!dados || !dadosContabeis) return dados;
+
+        const cicloAtual = dados.cicloFinanceiro || criarEstruturaCanonica().cicloFinanceiro;
+        const ciclo = calcularCicloFinanceiroContabil(dadosContabeis, cicloAtual, dados.empresa?.faturamento);
+
+        dados.cicloFinanceiro = { ...cicloAtual, ...ciclo };
+        dados.dadosContabeis = dadosContabeis;
+        return dados;
+    }
+
+    /**
+     * Custo de aquisição por item, pelas entradas do SPED Fiscal (C170 dos C100 de entrada com efeito fiscal)
+     * @param {Object} registros - Registros do SPED Fiscal
+     * @returns {Object} - { codItem: { quantidade, valor, icms, ipi } }
+     */
+    function calcularCustosAquisicao(registros) {
+        const notas = registros['C100'] || [];
+        const custos = {};
+
+        (registros['C170'] || []).forEach(item => {
+            const nota = notas[item.indiceC100];
+            if (!nota || nota.indOper !== '0' || SITUACOES_SEM_EFEITO.includes(nota.codSit)) return;
+            if (!(item.qtd > 0)) return;
+
+            const custo = custos[item.codItem] = custos[item.codItem] || { quantidade: 0, valor: 0, icms: 0, ipi: 0 };
+            custo.quantidade += item.qtd;
+            custo.valor += (item.valorItem || 0) - (item.valorDesc || 0);
+            custo.icms += item.valorIcms || 0;
+            custo.ipi += item.valorIpi || 0;
+        });
+
+        return custos;
+    }
+
+    /**
+     * Extrai produção, consumo de insumos e estoques do Bloco K (K100, K200, K230, K235)
+     * O Bloco K informa apenas quantidades: os insumos são valorados pelo custo médio de aquisição
+     * das entradas do período (C170), e os produtos fabricados pelo custo dos insumos consumidos
+     * nas ordens de produção. Itens sem entrada no período ficam sem valor e são contados à parte.
+     * @param {Object} registros - Registros do SPED Fiscal
+     * @returns {Object|null} - { periodo, ordens, produtos, consumo, estoque } ou null sem Bloco K
+     */
+    function extrairProducaoBlocoK(registros) {
+        const ordens = registros['K230'] || [];
+        const estoques = (registros['K200'] || []).filter(reg => reg.indEst !== ESTOQUE_DE_TERCEIROS);
+        if (ordens.length === 0 && estoques.length === 0) {
+            return null;
+        }
+
+        const custos = calcularCustosAquisicao(registros);
+        const itens = {};
+        (registros['0200'] || []).forEach(item => { itens[item.codItem] = item; });
+        const custoUnitario = codItem => custos[codItem] && custos[codItem].valor > 0 ?
+            custos[codItem].valor / custos[codItem].quantidade : null;
+
+        // Insumos consumidos (K235), com os créditos de ICMS/IPI destacados na aquisição
+        const consumo = {
+            registros: 0, semCusto: 0, valor: 0,
+            valorComCreditoICMS: 0, valorComCreditoIPI: 0, creditoICMS: 0, creditoIPI: 0
+        };
+        const custoPorOrdem = ordens.map(() => 0);
+        (registros['K235'] || []).forEach(reg => {
+            consumo.registros++;
+            const unitario = custoUnitario(reg.codItem);
+            if (unitario === null) {
+                consumo.semCusto++;
+                return;
+            }
+
+            const valor = reg.qtd * unitario;
+            const aquisicao = custos[reg.codItem];
+            consumo.valor += valor;
+            if (aquisicao.icms > 0) {
+                consumo.valorComCreditoICMS += valor;
+                consumo.creditoICMS += valor * aquisicao.icms / aquisicao.valor;
+            }
+            if (aquisicao.ipi > 0) {
+                consumo.valorComCreditoIPI += valor;
+                consumo.creditoIPI += valor * aquisicao.ipi / aquisicao.valor;
+            }
+            if (reg.indiceK230 !== undefined) {
+                custoPorOrdem[reg.indiceK230] += valor;
+            }
+        });
+
+        // Itens produzidos (K230), agrupados por produto
+        const produtos = {};
+        ordens.forEach((ordem, indice) => {
+            const produto = produtos[ordem.codItem] = produtos[ordem.codItem] || {
+                codItem: ordem.codItem,
+                descricao: itens[ordem.codItem]?.descrItem || '',
+                unidade: itens[ordem.codItem]?.unidInv || '',
+                ordens: 0,
+                quantidade: 0,
+                custoInsumos: 0
+            };
+            produto.ordens++;
+            produto.quantidade += ordem.qtdProduzida || 0;
+            produto.custoInsumos += custoPorOrdem[indice];
+        });
+
+        // Estoque escriturado (K200) ao fim do período
+        const estoque = {
+            data: '', valor: 0, semCusto: 0,
+            porGrupo: { insumos: 0, emProcesso: 0, acabados: 0, revenda: 0, outros: 0 }
+        };
+        estoques.forEach(reg => {
+            const produzido = produtos[reg.codItem];
+            const unitario = produzido && produzido.quantidade > 0 && produzido.custoInsumos > 0 ?
+                produzido.custoInsumos / produzido.quantidade : custoUnitario(reg.codItem);
+            estoque.data = reg.dataEstoque || estoque.data;
+            if (unitario === null) {
+                estoque.semCusto++;
+                return;
+            }
+
+            const valor = reg.qtd * unitario;
+            estoque.valor += valor;
+            estoque.porGrupo[GRUPO_ESTOQUE_TIPO_ITEM[itens[reg.codItem]?.tipoItem] || 'outros'] += valor;
+        });
+
+        // Período do Bloco K (K100) ou, na falta dele, o da escrituração (0000)
+        const periodosK100 = registros['K100'] || [];
+        const reg0000 = registros['0000']?.[0] || {};
+        const dataInicial = periodosK100[0]?.dataInicial || reg0000.dataInicial;
+        const dataFinal = periodosK100[periodosK100.length - 1]?.dataFinal || reg0000.dataFinal;
+        const inicio = converterDataSped(dataInicial);
+        const fim = converterDataSped(dataFinal);
+
+        const dadosProducao = {
+            periodo: {
+                dataInicial: dataInicial || '',
+                dataFinal: dataFinal || '',
+                dias: inicio && fim ? Math.round((fim - inicio) / 86400000) + 1 : 0
+            },
+            ordens: ordens.length,
+            produtos: Object.values(produtos).sort((a, b) => b.custoInsumos - a.custoInsumos),
+            consumo,
+            estoque
+        };
+
+        console.log('SPED-EXTRACTOR: Bloco K -', {
+            ordens: dadosProducao.ordens,
+            produtos: dadosProducao.produtos.length,
+            insumosConsumidos: consumo.valor,
+            estoqueFinal: estoque.valor,
+            semCusto: consumo.semCusto + estoque.semCusto
+        });
+        return dadosProducao;
+    }
+
+    /**
+     * Consolida o Bloco K de vários períodos: produção e consumo somados, estoque do período mais recente
+     * @param {Array} lista - dadosProducao de cada período, em ordem cronológica (nulos são ignorados)
+     * @returns {Object|null} - dadosProducao consolidado
+     */
+    function consolidarDadosProducao(lista) {
+        const validos = (lista || []).filter(Boolean);
+        if (validos.length === 0) {
+            return null;
+        }
+
+        const consumo = {};
+        const produtos = {};
+        validos.forEach(dadosProducao => {
+            Object.entries(dadosProducao.consumo).forEach(([chave, valor]) => {
+                consumo[chave] = (consumo[chave] || 0) + valor;
+            });
+            dadosProducao.produtos.forEach(produto => {
+                const consolidado = produtos[produto.codItem] = produtos[produto.codItem] ||
+                    { ...produto, ordens: 0, quantidade: 0, custoInsumos: 0 };
+                consolidado.ordens += produto.ordens;
+                consolidado.quantidade += produto.quantidade;
+                consolidado.custoInsumos += produto.custoInsumos;
+            });
+        });
+
+        const ultimo = validos[validos.length - 1];
+        return {
+            periodo: {
+                dataInicial: validos[0].periodo.dataInicial,
+                dataFinal: ultimo.periodo.dataFinal,
+                dias: validos.reduce((soma, dadosProducao) => soma + dadosProducao.periodo.dias, 0)
+            },
+            ordens: validos.reduce((soma, dadosProducao) => soma + dadosProducao.ordens, 0),
+            produtos: Object.values(produtos).sort((a, b) => b.custoInsumos - a.custoInsumos),
+            consumo,
+            estoque: ultimo.estoque
+        };
+    }
+
+    /**
+     * Aplica o Bloco K a um conjunto de dados do simulador: base de crédito de ICMS/IPI pelos insumos
+     * consumidos (em relação ao faturamento mensal) e PME pelo estoque final. O PME calculado pela ECD
+     * prevalece sobre o do Bloco K.
+     * @param {Object} dados - Dados na estrutura aninhada (alterados no local)
+     * @param {Object} dadosProducao - Resultado de extrairProducaoBlocoK ou consolidarDadosProducao
+     * @returns {Object} - Os mesmos dados, com dadosProducao.indicadores e cicloFinanceiro.fontes.pme
+     */
+    function aplicarDadosProducao(dados, dadosProducao) {
+        if (!dados || !dadosProducao) return dados;
+
+        const { periodo, consumo, estoque } = dadosProducao;
+        const faturamentoMensal = dados.empresa?.faturamento || 0;
+        const fatorMensal = periodo.dias > 0 ? 30 / periodo.dias : 1;
+        const participacao = (valor, base) => base > 0 ? Math.min(1, valor / base) : null;
+
+        const indicadores = {
+            custoInsumosMensal: consumo.valor * fatorMensal,
+            creditoICMSMensal: consumo.creditoICMS * fatorMensal,
+            creditoIPIMensal: consumo.creditoIPI * fatorMensal,
+            insumosComCreditoICMS: participacao(consumo.valorComCreditoICMS, consumo.valor),
+            insumosComCreditoIPI: participacao(consumo.valorComCreditoIPI, consumo.valor),
+            baseCreditoICMS: participacao(consumo.valorComCreditoICMS * fatorMensal, faturamentoMensal),
+            baseCreditoIPI: participacao(consumo.valorComCreditoIPI * fatorMensal, faturamentoMensal)
+        };
+
+        // PME: estoque final valorado sobre o consumo de insumos do período
+        const ciclo = { ...(dados.cicloFinanceiro || criarEstruturaCanonica().cicloFinanceiro) };
+        const fontePme = ciclo.fontes?.pme;
+        const pmeContabil = fontePme?.fonte === FonteDados.CALCULADO && fontePme.metadados?.origem !== 'BLOCO_K';
+        const pme = estoque.valor > 0 && consumo.valor > 0 && periodo.dias > 0 ?
+            Math.round((estoque.valor / consumo.valor) * periodo.dias) : null;
+
+        if (pme !== null && pme <= PRAZO_MAXIMO_CICLO && !pmeContabil) {
+            ciclo.pme = pme;
+            ciclo.fontes = {
+                ...(ciclo.fontes || {}),
+                pme: criarValorComFonte(pme, FonteDados.CALCULADO, {
+                    origem: 'BLOCO_K',
+                    registro: 'K200',
+                    registroBase: 'K235',
+                    estoque: estoque.valor,
+                    consumo: consumo.valor,
+                    dias: periodo.dias,
+                    formula: 'estoque final valorado (K200) / insumos consumidos (K235) × dias do período'
+                })
+            };
+            console.log(`SPED-EXTRACTOR: PME calculado pelo Bloco K: ${pme} dias`);
+        } else if (pme !== null && pme > PRAZO_MAXIMO_CICLO) {
+            console.warn(`SPED-EXTRACTOR: PME calculado pelo Bloco K fora dos limites: ${pme} dias, mantido o valor atual`);
+        }
+
+        dados.cicloFinanceiro = ciclo;
+        dados.dadosProducao = { ...dadosProducao, indicadores };
+
+        // Ordens de produção caracterizam atividade industrial
+        if (dadosProducao.ordens > 0 && dados.empresa && !dados.empresa.tipoEmpresa) {
+            dados.empresa.tipoEmpresa = 'industria';
+        }
+
+        return dados;
+    }
+
+    /**
+     * Seleciona os períodos da ECF que compõem o exercício, pelo PER_APUR do L030/P030
+     * A00 é o resultado anual; sem ele, somam-se os trimestres (T01 a T04). Os balancetes de
+     * suspensão/redução (A01 a A12) são acumulados, então vale apenas o último.
+     * @param {Array} periodos - Registros L030 ou P030
+     * @returns {Array} - Índices dos períodos (vazio se o arquivo não tiver registros de período)
+     */
+    function selecionarPeriodosECF(periodos) {
+        const indices = periodos.map((_, indice) => indice);
+        const anual = indices.find(indice => periodos[indice].perApur === 'A00');
+        if (anual !== undefined) return [anual];
+
+        const trimestres = indices.filter(indice => /^T0[1-4]$/.test(periodos[indice].perApur || ''));
+        if (trimestres.length > 0) return trimestres;
+
+        return indices.length > 0 ? [indices[indices.length - 1]] : [];
+    }
+
+    /**
+     * Verifica se a descrição de uma linha atende à regra (padrão e exceção)
+     * @param {Object} regra - { padrao, exceto }
+     * @param {string} descricao - Descrição da linha
+     * @returns {boolean}
+     */
+    function linhaCorresponde(regra, descricao) {
+        return regra.padrao.test(descricao || '') && !(regra.exceto && regra.exceto.test(descricao || ''));
+    }
+
+    /**
+     * Extrai da ECF a demonstração do resultado e o contexto de IRPJ/CSLL
+     * A DRE vem do L300 (Lucro Real) ou, na falta dele, do P150 (Lucro Presumido); a base de cálculo
+     * do IRPJ presumido vem do P200. Valores credores são positivos; a despesa de IRPJ/CSLL é positiva.
+     * @param {Object} registros - Registros extraídos da ECF
+     * @returns {Object|null} - DRE anual com { registro, periodo, receitaBruta, ..., lucroLiquido, tributacao } ou null
+     */
+    function extrairResultadoECF(registros) {
+        const reg0000 = registros['0000'] && registros['0000'].length > 0 ? registros['0000'][0] : {};
+        const reg0010 = registros['0010'] && registros['0010'].length > 0 ? registros['0010'][0] : {};
+        const formaTributacao = FORMA_TRIBUTACAO_ECF[reg0010.formaTrib] || null;
+
+        const registroDre = ['L300', 'P150'].find(registro => (registros[registro] || []).length > 0) || null;
+        if (!registroDre && !formaTributacao) {
+            console.warn('SPED-EXTRACTOR: ECF sem forma de tributação (0010) nem DRE (L300/P150)');
+            return null;
+        }
+
+        const dre = {
+            registro: registroDre,
+            periodo: {
+                dataInicial: reg0000.dataInicial || '',
+                dataFinal: reg0000.dataFinal || ''
+            }
+        };
+        Object.keys(LINHAS_DRE_ECF).forEach(chave => { dre[chave] = null; });
+        dre.irpjCsll = null;
+
+        if (registroDre) {
+            const linhas = registros[registroDre];
+            const periodos = selecionarPeriodosECF(registros[REGISTRO_PERIODO[registroDre]] || []);
+            const linhasDoPeriodo = periodos.length > 0 ?
+                indice => linhas.filter(linha => linha.indicePeriodo === indice) :
+                () => linhas;
+            const saldoCredor = linha => linha.indValor === 'D' ? -linha.valor : linha.valor;
+
+            (periodos.length > 0 ? periodos : [null]).forEach(indice => {
+                const doPeriodo = linhasDoPeriodo(indice);
+
+                Object.keys(LINHAS_DRE_ECF).forEach(chave => {
+                    const linha = doPeriodo.find(item => linhaCorresponde(LINHAS_DRE_ECF[chave], item.descricao));
+                    if (linha) dre[chave] = (dre[chave] || 0) + saldoCredor(linha);
+                });
+
+                doPeriodo
+                    .filter(linha => linha.tipo === 'A' && linhaCorresponde(LINHA_IRPJ_CSLL_ECF, linha.descricao))
+                    .forEach(linha => { dre.irpjCsll = (dre.irpjCsll || 0) - saldoCredor(linha); });
+            });
+        }
+
+        // Regimes mistos (3, 4) seguem a demonstração entregue
+        const regime = formaTributacao?.regime ||
+            (registroDre === 'L300' ? 'real' : (registroDre === 'P150' || (registros['P200'] || []).length > 0 ? 'presumido' : null));
+
+        dre.tributacao = {
+            formaTributacao: reg0010.formaTrib || '',
+            descricao: formaTributacao?.descricao || '',
+            regime,
+            formaApuracao: reg0010.formaApur === 'T' ? 'trimestral' : 'anual',
+            aliquotaEfetiva: null,
+            baseCalculoIRPJ: null,
+            irpjEstimado: null
+        };
+
+        // Lucro Real: alíquota efetiva de IRPJ/CSLL sobre o resultado antes dos tributos
+        if (dre.irpjCsll !== null && dre.resultadoAntesTributos > 0) {
+            const maxima = ALIQUOTAS_IRPJ_CSLL.irpj + ALIQUOTAS_IRPJ_CSLL.adicionalIRPJ + ALIQUOTAS_IRPJ_CSLL.csll;
+            dre.tributacao.aliquotaEfetiva = Math.max(0, Math.min(maxima, dre.irpjCsll / dre.resultadoAntesTributos));
+        }
+
+        // Lucro Presumido: base de cálculo do IRPJ (última linha "base de cálculo" de cada trimestre)
+        const linhasP200 = registros['P200'] || [];
+        if (linhasP200.length > 0) {
+            const periodosP030 = selecionarPeriodosECF(registros['P030'] || []);
+            let baseCalculo = 0;
+            (periodosP030.length > 0 ? periodosP030 : [null]).forEach(indice => {
+                const doPeriodo = indice === null ? linhasP200 : linhasP200.filter(linha => linha.indicePeriodo === indice);
+                const linhasBase = doPeriodo.filter(linha => /base de c[áa]lculo/i.test(linha.descricao || ''));
+                if (linhasBase.length > 0) baseCalculo += linhasBase[linhasBase.length - 1].valor;
+            });
+
+            const meses = 3 * Math.max(1, periodosP030.length);
+            dre.tributacao.baseCalculoIRPJ = baseCalculo;
+            dre.tributacao.irpjEstimado = baseCalculo * ALIQUOTAS_IRPJ_CSLL.irpj +
+                Math.max(0, baseCalculo - ALIQUOTAS_IRPJ_CSLL.limiteAdicionalMensal * meses) * ALIQUOTAS_IRPJ_CSLL.adicionalIRPJ;
+        }
+
+        return dre;
+    }
+
+    /**
+     * Aplica a DRE da ECF a um conjunto de dados do simulador: regime tributário, margem operacional
+     * (lucro operacional / receita líquida) e a própria DRE em empresa.dre
+     * @param {Object} dados - Dados na estrutura aninhada (alterados no local)
+     * @param {Object} dre - Resultado de extrairResultadoECF
+     * @returns {Object} - Os mesmos dados
+     */
+    function aplicarResultadoECF(dados, dre) {
+        if (!dados || !dre) return dados;
+
+        dados.empresa.dre = dre;
+
+        if (dre.tributacao?.regime) {
+            dados.empresa.regime = dre.tributacao.regime;
+            console.log(`SPED-EXTRACTOR: Regime tributário pela ECF (0010): ${dre.tributacao.descricao || dre.tributacao.regime}`);
+        }
+
+        const receita = dre.receitaLiquida || dre.receitaBruta;
+        const lucro = dre.lucroOperacional !== null ? dre.lucroOperacional : dre.resultadoAntesTributos;
+        if (receita > 0 && lucro !== null) {
+            const margem = Math.max(0, lucro / receita);
+            dados.empresa.margem = margem;
+            dados.empresa.fontes = {
+                ...(dados.empresa.fontes || {}),
+                margem: criarValorComFonte(margem, FonteDados.CALCULADO, {
+                    registro: dre.registro,
+                    lucro,
+                    receita,
+                    formula: dre.lucroOperacional !== null ?
+                        'lucro operacional / receita líquida' : 'resultado antes dos tributos / receita líquida'
+                })
+            };
+        }
+
+        return dados;
+    }
+
     /**
      * Extrai dados consolidados para o simulador
      * @param {Object} resultado - Resultado do processamento do arquivo SPED
@@ -620,8 +1916,8 @@ window.SpedExtractor = (function() {
           }
         }
 
-        // FALLBACK: SPED Fiscal (C100)
-        if ((faturamentoEncontrado === null || faturamentoEncontrado === 0) && 
+        // FALLBACK: SPED Fiscal (C100) - no Contribuições o C100 serve apenas à conciliação
+        if (tipoArquivo === 'FISCAL' && (faturamentoEncontrado === null || faturamentoEncontrado === 0) && 
             registros['C100'] && registros['C100'].length > 0) {
             const notasSaida = registros['C100'].filter(nota => nota.indOper === '1');
             let valorTotalSaidas = 0;
@@ -664,6 +1960,10 @@ window.SpedExtractor = (function() {
 
             // Também atribuir ao campo creditos padrão
             dadosCanonicos.parametrosFiscais.creditos.icms = totalCreditosICMS;
+
+            // Saldo credor transportado para o período seguinte (campo 14)
+            dadosCanonicos.parametrosFiscais.saldoCredorICMS = registros['E110'][0].vlSldCredorTransportar || 0;
+            dadosCanonicos.parametrosFiscais.saldoCredorICMSAnterior = registros['E110'][0].vlSldCredorAnt || 0;
           }
 
           if (registros['E520'] && registros['E520'].length > 0) {
@@ -683,6 +1983,18 @@ window.SpedExtractor = (function() {
             // Também atribuir ao campo creditos padrão
             dadosCanonicos.parametrosFiscais.creditos.ipi = totalCreditosIPI;
           }
+
+          // Recálculo CBS/IBS pelo mix real de produtos (C170 + 0200)
+          const recalculoIVAItens = recalcularIVAPorItens(registros);
+          if (recalculoIVAItens) {
+            dadosCanonicos.parametrosFiscais.recalculoIVAItens = recalculoIVAItens;
+          }
+
+          // Composição das vendas por destino para o IBS (C100/C190 + participante 0150)
+          const vendasPorDestino = extrairVendasPorDestino(registros);
+          if (vendasPorDestino) {
+            dadosCanonicos.parametrosFiscais.vendasPorDestino = vendasPorDestino;
+          }
         }
 
         // Ciclo Financeiro - valores padrão
@@ -694,6 +2006,30 @@ window.SpedExtractor = (function() {
             percPrazo: 0.7
         };
 
+        // Bloco K: produção, consumo de insumos e estoques (industriais)
+        if (tipoArquivo === 'FISCAL') {
+            const dadosProducao = extrairProducaoBlocoK(registros);
+            if (dadosProducao) {
+                aplicarDadosProducao(dadosCanonicos, dadosProducao);
+            }
+        }
+
+        // ECD: ciclo financeiro e capital de giro pelos saldos contábeis
+        if (tipoArquivo === 'ECD') {
+            const dadosContabeis = extrairDadosContabeisECD(registros);
+            if (dadosContabeis) {
+                aplicarDadosContabeis(dadosCanonicos, dadosContabeis);
+            }
+        }
+
+        // ECF: regime, margem operacional e DRE do exercício
+        if (tipoArquivo === 'ECF') {
+            const dre = extrairResultadoECF(registros);
+            if (dre) {
+                aplicarResultadoECF(dadosCanonicos, dre);
+            }
+        }
+
         // Validar e normalizar os dados - com verificação robusta
         try {
             if (window.DataManager && typeof window.DataManager.validarENormalizar === 'function') {
@@ -724,9 +2060,11 @@ window.SpedExtractor = (function() {
      * Integra dados de múltiplos arquivos SPED
      * @param {Object} dadosFiscal - Dados extraídos do SPED Fiscal
      * @param {Object} dadosContribuicoes - Dados extraídos do SPED Contribuições
+     * @param {Object} [dadosContabil] - Dados extraídos da ECD (ciclo financeiro pelos saldos contábeis)
+     * @param {Object} [dadosEcf] - Dados extraídos da ECF (regime, margem e DRE)
      * @returns {Object} - Dados integrados na estrutura aninhada
      */
-    function integrarDados(dadosFiscal, dadosContribuicoes) {
+    function integrarDados(dadosFiscal, dadosContribuicoes, dadosContabil, dadosEcf) {
         // Inicializar com estrutura canônica vazia - com verificação robusta
         let dadosIntegrados;
         try {
@@ -770,8 +2108,10 @@ window.SpedExtractor = (function() {
         }
 
         // Empresa
-        dadosIntegrados.empresa.nome = dadosContribuicoes?.empresa?.nome || dadosFiscal?.empresa?.nome || '';
-        dadosIntegrados.empresa.cnpj = dadosContribuicoes?.empresa?.cnpj || dadosFiscal?.empresa?.cnpj || '';
+        dadosIntegrados.empresa.nome = dadosContribuicoes?.empresa?.nome || dadosFiscal?.empresa?.nome ||
+            dadosContabil?.empresa?.nome || dadosEcf?.empresa?.nome || '';
+        dadosIntegrados.empresa.cnpj = dadosContribuicoes?.empresa?.cnpj || dadosFiscal?.empresa?.cnpj ||
+            dadosContabil?.empresa?.cnpj || dadosEcf?.empresa?.cnpj || '';
         dadosIntegrados.empresa.faturamento = faturamento;
         dadosIntegrados.empresa.uf = dadosContribuicoes?.empresa?.uf || dadosFiscal?.empresa?.uf || '';
 
@@ -889,6 +2229,37 @@ window.SpedExtractor = (function() {
             ibs: 0
         };
 
+        // Recálculo CBS/IBS por item (somente SPED Fiscal)
+        if (dadosFiscal?.parametrosFiscais?.recalculoIVAItens) {
+            dadosIntegrados.parametrosFiscais.recalculoIVAItens = dadosFiscal.parametrosFiscais.recalculoIVAItens;
+        }
+
+        // Vendas por destino do IBS (somente SPED Fiscal)
+        if (dadosFiscal?.parametrosFiscais?.vendasPorDestino) {
+            dadosIntegrados.parametrosFiscais.vendasPorDestino = dadosFiscal.parametrosFiscais.vendasPorDestino;
+        }
+
+        // Saldo credor de ICMS (somente SPED Fiscal)
+        if (dadosFiscal?.parametrosFiscais?.saldoCredorICMS !== undefined) {
+            dadosIntegrados.parametrosFiscais.saldoCredorICMS = dadosFiscal.parametrosFiscais.saldoCredorICMS;
+            dadosIntegrados.parametrosFiscais.saldoCredorICMSAnterior = dadosFiscal.parametrosFiscais.saldoCredorICMSAnterior;
+        }
+
+        // Ciclo financeiro pelos saldos contábeis (somente ECD); o faturamento integrado supre a receita ausente
+        if (dadosContabil?.dadosContabeis) {
+            aplicarDadosContabeis(dadosIntegrados, dadosContabil.dadosContabeis);
+        }
+
+        // Produção e estoques pelo Bloco K (somente SPED Fiscal); o PME da ECD prevalece
+        if (dadosFiscal?.dadosProducao) {
+            aplicarDadosProducao(dadosIntegrados, dadosFiscal.dadosProducao);
+        }
+
+        // Regime e margem pela ECF (somente ECF): a forma de tributação prevalece sobre a inferida do 0110
+        if (dadosEcf?.empresa?.dre) {
+            aplicarResultadoECF(dadosIntegrados, dadosEcf.empresa.dre);
+        }
+
         // Adicionar flag para identificar dados SPED
         dadosIntegrados.dadosSpedImportados = true;
 
@@ -906,17 +2277,177 @@ window.SpedExtractor = (function() {
         }
     }
     
+    /**
+     * Identifica tipo, período e CNPJ de um arquivo SPED a partir do registro 0000
+     * EFD ICMS/IPI traz DT_INI no 4º campo; EFD-Contribuições, no 6º; ECD e ECF são identificadas por LECD/LECF no 2º
+     * @param {string} conteudo - Conteúdo do arquivo SPED
+     * @returns {Object|null} - { tipoArquivo: 'FISCAL'|'CONTRIBUICOES'|'ECD'|'ECF', periodo: 'AAAA-MM', cnpj } ou null
+     */
+    function identificarArquivo(conteudo) {
+        if (typeof conteudo !== 'string') {
+            return null;
+        }
+
+        const linha0000 = conteudo.split('\n', 5)
+            .map(linha => linha.replace(/^\uFEFF/, '').trim())
+            .find(linha => linha.startsWith('|0000|'));
+        if (!linha0000) {
+            return null;
+        }
+
+        const campos = linha0000.split('|');
+        if (campos[2] === 'LECD') {
+            if (!/^\d{8}$/.test(campos[3] || '')) {
+                return null;
+            }
+            return {
+                tipoArquivo: 'ECD',
+                periodo: `${campos[3].substring(4, 8)}-${campos[3].substring(2, 4)}`,
+                cnpj: campos[6]
+            };
+        }
+
+        if (campos[2] === 'LECF') {
+            if (!/^\d{8}$/.test(campos[10] || '')) {
+                return null;
+            }
+            return {
+                tipoArquivo: 'ECF',
+                periodo: `${campos[10].substring(4, 8)}-${campos[10].substring(2, 4)}`,
+                cnpj: campos[4]
+            };
+        }
+
+        const fiscal = /^\d{8}$/.test(campos[4] || '');
+        const dataInicial = fiscal ? campos[4] : campos[6];
+        if (!/^\d{8}$/.test(dataInicial || '')) {
+            return null;
+        }
+
+        return {
+            tipoArquivo: fiscal ? 'FISCAL' : 'CONTRIBUICOES',
+            periodo: `${dataInicial.substring(4, 8)}-${dataInicial.substring(2, 4)}`,
+            cnpj: fiscal ? campos[7] : campos[9]
+        };
+    }
+
+    /**
+     * Consolida os dados integrados de vários períodos em um único conjunto para o simulador
+     * Valores mensais (faturamento, débitos e créditos) são a média dos períodos; os demais
+     * dados vêm do período mais recente. A série completa fica em empresa.historicoMensal.
+     * @param {Array} periodos - Lista [{ periodo: 'AAAA-MM', dados }] com dados de integrarDados
+     * @returns {Object|null} - Dados consolidados na estrutura aninhada
+     */
+    function consolidarPeriodos(periodos) {
+        if (!Array.isArray(periodos) || periodos.length === 0) {
+            return null;
+        }
+
+        const ordenados = [...periodos].sort((a, b) => a.periodo.localeCompare(b.periodo));
+
+        const historicoMensal = ordenados.map(({ periodo, dados }) => {
+            const composicao = dados.parametrosFiscais?.composicaoTributaria || {};
+            return {
+                periodo,
+                faturamento: dados.empresa?.faturamento || 0,
+                debitos: { ...composicao.debitos },
+                creditos: { ...composicao.creditos },
+                saldoCredorICMSAnterior: dados.parametrosFiscais?.saldoCredorICMSAnterior || 0,
+                saldoCredorICMS: dados.parametrosFiscais?.saldoCredorICMS || 0
+            };
+        });
+
+        // O saldo credor transportado de um mês deve ser o saldo anterior do mês seguinte
+        historicoMensal.forEach((mes, indice) => {
+            const anterior = historicoMensal[indice - 1];
+            if (anterior && Math.abs(anterior.saldoCredorICMS - mes.saldoCredorICMSAnterior) > 0.01) {
+                console.warn(`SPED-EXTRACTOR: Saldo credor de ICMS transportado em ${anterior.periodo} ` +
+                    `(${anterior.saldoCredorICMS.toFixed(2)}) difere do saldo anterior de ${mes.periodo} ` +
+                    `(${mes.saldoCredorICMSAnterior.toFixed(2)}) - verifique períodos ausentes ou ajustes`);
+            }
+        });
+
+        const media = valores => valores.reduce((soma, valor) => soma + (valor || 0), 0) / valores.length;
+
+        const consolidado = JSON.parse(JSON.stringify(ordenados[ordenados.length - 1].dados));
+        consolidado.empresa.faturamento = media(historicoMensal.map(mes => mes.faturamento));
+
+        const composicao = consolidado.parametrosFiscais.composicaoTributaria;
+        ['debitos', 'creditos'].forEach(tipo => {
+            Object.keys(composicao[tipo]).forEach(tributo => {
+                composicao[tipo][tributo] = media(historicoMensal.map(mes => mes[tipo][tributo]));
+            });
+        });
+
+        Object.keys(consolidado.parametrosFiscais.creditos || {}).forEach(tributo => {
+            if (composicao.creditos[tributo] !== undefined) {
+                consolidado.parametrosFiscais.creditos[tributo] = composicao.creditos[tributo];
+            }
+        });
+
+        consolidado.empresa.historicoMensal = historicoMensal;
+
+        // O saldo credor acumulado é o do período mais recente, e não a média
+        consolidado.parametrosFiscais.saldoCredorICMS = historicoMensal[historicoMensal.length - 1].saldoCredorICMS;
+
+        // Bloco K: indicadores recalculados sobre a produção de todos os períodos e o faturamento médio
+        const dadosProducao = consolidarDadosProducao(ordenados.map(({ dados }) => dados.dadosProducao));
+        if (dadosProducao) {
+            aplicarDadosProducao(consolidado, dadosProducao);
+        }
+
+        // Vendas por destino somadas em todos os períodos
+        const valoresPorMunicipio = {};
+        ordenados.forEach(({ dados }) => {
+            (dados.parametrosFiscais?.vendasPorDestino || []).forEach(destino => {
+                const chave = destino.codigoMunicipio || destino.uf;
+                if (!valoresPorMunicipio[chave]) {
+                    valoresPorMunicipio[chave] = { ...destino, valor: 0 };
+                }
+                valoresPorMunicipio[chave].valor += destino.valor || 0;
+            });
+        });
+        const vendasPorDestino = agruparVendasPorDestino(valoresPorMunicipio);
+        if (vendasPorDestino.length > 0) {
+            consolidado.parametrosFiscais.vendasPorDestino = vendasPorDestino;
+        }
+
+        console.log(`SPED-EXTRACTOR: ${historicoMensal.length} períodos consolidados (${historicoMensal[0].periodo} a ${historicoMensal[historicoMensal.length - 1].periodo})`);
+        return consolidado;
+    }
+    
     // Interface pública do módulo
     return {
         // Processa arquivo SPED e retorna registros importantes
         processarArquivo: processarArquivo,
         
+        // Processamento em partes para arquivos grandes (File.slice)
+        processarArquivoEmPartes: processarArquivoEmPartes,
+        criarProcessadorIncremental: criarProcessadorIncremental,
+        
         // Extrai dados consolidados para o simulador
         extrairDadosParaSimulador: extrairDadosParaSimulador,
         
         // Integra dados de múltiplos arquivos SPED
         integrarDados: integrarDados,
         
+        // Importação em lote: identificação e consolidação de vários períodos
+        identificarArquivo: identificarArquivo,
+        consolidarPeriodos: consolidarPeriodos,
+        
+        // Estrutura canônica e agrupamento de destinos, compartilhados com o importador de XML
+        criarEstruturaCanonica: criarEstruturaCanonica,
+        agruparVendasPorDestino: agruparVendasPorDestino,
+        
+        // ECD: ciclo financeiro pelos saldos contábeis; ECF: regime, margem e DRE; Bloco K: produção e estoques
+        aplicarDadosContabeis: aplicarDadosContabeis,
+        aplicarDadosProducao: aplicarDadosProducao,
+        aplicarResultadoECF: aplicarResultadoECF,
+        
+        // Rastreamento da fonte dos dados
+        FonteDados: FonteDados,
+        criarValorComFonte: criarValorComFonte,
+        
         // Função de utilidade para conversão de valores
         parseValorMonetario: parseValorMonetario,
         
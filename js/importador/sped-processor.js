@@ -16,8 +16,10 @@ const SpedProcessor = (function() {
 * @param {HTMLInputElement} inputFiscal - Input do arquivo SPED Fiscal
 * @param {HTMLInputElement} inputContribuicoes - Input do arquivo SPED Contribuições
 * @param {Function} callback - Função a ser chamada com os dados processados
+* @param {HTMLInputElement} [inputEcd] - Input do arquivo ECD (opcional; ciclo financeiro pelos saldos contábeis)
+* @param {HTMLInputElement} [inputEcf] - Input do arquivo ECF (opcional; regime, margem e DRE)
 */
-function processarArquivosSped(inputFiscal, inputContribuicoes, callback) {
+function processarArquivosSped(inputFiscal, inputContribuicoes, callback, inputEcd, inputEcf) {
     console.log('=== SPED-PROCESSOR: PROCESSAMENTO SIMPLIFICADO ===');
     
     // Verificar arquivos selecionados
@@ -52,8 +54,14 @@ function processarArquivosSped(inputFiscal, inputContribuicoes, callback) {
     // Variáveis para armazenar dados processados
     let dadosFiscalProcessados = null;
     let dadosContribuicoesProcessados = null;
+    let registrosFiscal = null;
+    let registrosContribuicoes = null;
+    let dadosContabilProcessados = null;
+    let dadosEcfProcessados = null;
     let arquivosProcessados = 0;
-    const totalArquivos = 2;
+    const possuiEcd = !!(inputEcd && inputEcd.files && inputEcd.files.length > 0);
+    const possuiEcf = !!(inputEcf && inputEcf.files && inputEcf.files.length > 0);
+    const totalArquivos = 2 + (possuiEcd ? 1 : 0) + (possuiEcf ? 1 : 0);
     
     // Função para finalizar processamento quando ambos arquivos estiverem prontos
     function finalizarProcessamento() {
@@ -62,7 +70,9 @@ function processarArquivosSped(inputFiscal, inputContribuicoes, callback) {
         if (arquivosProcessados === totalArquivos) {
             try {
                 // Integrar dados sem conversões desnecessárias
-                const dadosIntegrados = SpedExtractor.integrarDados(dadosFiscalProcessados, dadosContribuicoesProcessados);
+                const dadosIntegrados = SpedExtractor.integrarDados(
+                    dadosFiscalProcessados, dadosContribuicoesProcessados, dadosContabilProcessados, dadosEcfProcessados
+                );
                 
                 // PRESERVAR: Flag de dados SPED
                 dadosIntegrados.dadosSpedImportados = true;
@@ -73,9 +83,16 @@ function processarArquivosSped(inputFiscal, inputContribuicoes, callback) {
                 
                 console.log('SPED-PROCESSOR: Dados integrados com preservação:', dadosIntegrados);
                 
+                // Conciliação entre os arquivos, apresentada antes do preenchimento do simulador
+                let conciliacao = null;
+                if (window.SpedValidationModule && registrosFiscal && registrosContribuicoes) {
+                    conciliacao = SpedValidationModule.conciliarArquivosSped(registrosFiscal, registrosContribuicoes);
+                }
+                
                 callback({
                     sucesso: true,
-                    dados: dadosIntegrados
+                    dados: dadosIntegrados,
+                    conciliacao: conciliacao
                 });
                 
             } catch (erro) {
@@ -88,66 +105,428 @@ function processarArquivosSped(inputFiscal, inputContribuicoes, callback) {
         }
     }
     
-    // Processar SPED Fiscal
-    const leitorFiscal = new FileReader();
-    leitorFiscal.onload = function(e) {
-        const conteudoFiscal = e.target.result;
-        try {
-            console.log('SPED-PROCESSOR: Processando SPED Fiscal...');
-            const resultadoFiscal = SpedExtractor.processarArquivo(conteudoFiscal, 'FISCAL');
-            dadosFiscalProcessados = SpedExtractor.extrairDadosParaSimulador(resultadoFiscal);
-            
-            console.log('SPED-PROCESSOR: SPED Fiscal processado:', dadosFiscalProcessados);
-            finalizarProcessamento();
-            
-        } catch (erro) {
-            console.error('SPED-PROCESSOR: Erro ao processar SPED Fiscal:', erro);
-            // Continuar mesmo com erro no Fiscal
-            dadosFiscalProcessados = null;
-            finalizarProcessamento();
+    // Processar SPED Fiscal e SPED Contribuições (arquivos grandes são lidos em partes)
+    let cancelado = false;
+
+    function tratarErroLeitura(descricao, erro) {
+        if (erro && erro.cancelado) {
+            if (!cancelado) {
+                cancelado = true;
+                callback({
+                    sucesso: false,
+                    cancelado: true,
+                    mensagem: 'Importação cancelada pelo usuário'
+                });
+            }
+            return;
         }
-    };
-    
-    leitorFiscal.onerror = function(e) {
-        console.error('SPED-PROCESSOR: Erro ao ler arquivo SPED Fiscal:', e);
-        dadosFiscalProcessados = null;
+
+        console.error(`SPED-PROCESSOR: Erro ao processar ${descricao}:`, erro);
+        // Continuar mesmo com erro em um dos arquivos
         finalizarProcessamento();
-    };
-    
-    // Processar SPED Contribuições
-    const leitorContribuicoes = new FileReader();
-    leitorContribuicoes.onload = function(e) {
-        const conteudoContribuicoes = e.target.result;
-        try {
-            console.log('SPED-PROCESSOR: Processando SPED Contribuições...');
-            const resultadoContribuicoes = SpedExtractor.processarArquivo(conteudoContribuicoes, 'CONTRIBUICOES');
-            dadosContribuicoesProcessados = SpedExtractor.extrairDadosParaSimulador(resultadoContribuicoes);
-            
-            console.log('SPED-PROCESSOR: SPED Contribuições processado:', dadosContribuicoesProcessados);
+    }
+
+    lerRegistrosSped(inputFiscal.files[0], 'FISCAL').then(resultadoFiscal => {
+        if (cancelado) return;
+        console.log('SPED-PROCESSOR: Processando SPED Fiscal...');
+        registrosFiscal = resultadoFiscal;
+        dadosFiscalProcessados = SpedExtractor.extrairDadosParaSimulador(resultadoFiscal);
+
+        console.log('SPED-PROCESSOR: SPED Fiscal processado:', dadosFiscalProcessados);
+        finalizarProcessamento();
+    }).catch(erro => tratarErroLeitura('SPED Fiscal', erro));
+
+    lerRegistrosSped(inputContribuicoes.files[0], 'CONTRIBUICOES').then(resultadoContribuicoes => {
+        if (cancelado) return;
+        console.log('SPED-PROCESSOR: Processando SPED Contribuições...');
+        registrosContribuicoes = resultadoContribuicoes;
+        dadosContribuicoesProcessados = SpedExtractor.extrairDadosParaSimulador(resultadoContribuicoes);
+
+        console.log('SPED-PROCESSOR: SPED Contribuições processado:', dadosContribuicoesProcessados);
+        finalizarProcessamento();
+    }).catch(erro => tratarErroLeitura('SPED Contribuições', erro));
+
+    if (possuiEcd) {
+        lerRegistrosSped(inputEcd.files[0], 'ECD').then(resultadoEcd => {
+            if (cancelado) return;
+            console.log('SPED-PROCESSOR: Processando ECD...');
+            dadosContabilProcessados = SpedExtractor.extrairDadosParaSimulador(resultadoEcd);
+
+            console.log('SPED-PROCESSOR: ECD processada:', dadosContabilProcessados);
             finalizarProcessamento();
-            
-        } catch (erro) {
-            console.error('SPED-PROCESSOR: Erro ao processar SPED Contribuições:', erro);
-            // Continuar mesmo com erro no Contribuições
-            dadosContribuicoesProcessados = null;
+        }).catch(erro => tratarErroLeitura('ECD', erro));
+    }
+
+    if (possuiEcf) {
+        lerRegistrosSped(inputEcf.files[0], 'ECF').then(resultadoEcf => {
+            if (cancelado) return;
+            console.log('SPED-PROCESSOR: Processando ECF...');
+            dadosEcfProcessados = SpedExtractor.extrairDadosParaSimulador(resultadoEcf);
+
+            console.log('SPED-PROCESSOR: ECF processada:', dadosEcfProcessados);
             finalizarProcessamento();
+        }).catch(erro => tratarErroLeitura('ECF', erro));
+    }
+}
+
+/**
+* Lê um arquivo SPED e extrai seus registros
+* Arquivos grandes são lidos em partes pelo SpedStreamReader (progresso no EventBus, cancelável)
+* @param {File} arquivo - Arquivo SPED
+* @param {string} tipoArquivo - 'FISCAL', 'CONTRIBUICOES', 'ECD' ou 'ECF'
+* @returns {Promise<Object>} - Resultado de SpedExtractor.processarArquivo
+*/
+function lerRegistrosSped(arquivo, tipoArquivo) {
+    if (window.SpedStreamReader && SpedStreamReader.deveUsarStreaming(arquivo)) {
+        console.log(`SPED-PROCESSOR: ${arquivo.name} (${arquivo.size} bytes) será lido em partes`);
+        return SpedStreamReader.lerArquivo(arquivo, { tipoArquivo }).promessa;
+    }
+
+    return new Promise((resolve, reject) => {
+        const leitor = new FileReader();
+        leitor.onload = function(e) {
+            try {
+                resolve(SpedExtractor.processarArquivo(e.target.result, tipoArquivo));
+            } catch (erro) {
+                reject(erro);
+            }
+        };
+        leitor.onerror = () => reject(new Error(`Falha na leitura do arquivo ${arquivo.name}`));
+        leitor.readAsText(arquivo);
+    });
+}
+
+/**
+* Lê um arquivo do lote, expandindo arquivos .zip (via JSZip) nos arquivos internos da extensão
+* Arquivos SPED (.txt) grandes são identificados pelo início e lidos em partes
+* @param {File} arquivo - Arquivo selecionado pelo usuário
+* @param {string} [extensao='txt'] - Extensão dos arquivos do lote ('txt' para SPED, 'xml' para documentos fiscais)
+* @returns {Promise<Array>} - Lista [{ nome, conteudo }] ou [{ nome, identificacao, resultado }]
+*/
+function lerArquivoLote(arquivo, extensao = 'txt') {
+    const nome = arquivo.name || '';
+    const padraoExtensao = new RegExp(`\\.${extensao}$`, 'i');
+
+    if (/\.zip$/i.test(nome)) {
+        if (typeof JSZip === 'undefined') {
+            console.warn(`SPED-PROCESSOR: JSZip não disponível, arquivo ${nome} ignorado`);
+            return Promise.resolve([]);
         }
-    };
-    
-    leitorContribuicoes.onerror = function(e) {
-        console.error('SPED-PROCESSOR: Erro ao ler arquivo SPED Contribuições:', e);
-        dadosContribuicoesProcessados = null;
-        finalizarProcessamento();
-    };
-    
-    // Iniciar leitura dos arquivos
-    leitorFiscal.readAsText(inputFiscal.files[0]);
-    leitorContribuicoes.readAsText(inputContribuicoes.files[0]);
+
+        return JSZip.loadAsync(arquivo).then(zip => {
+            const internos = Object.values(zip.files).filter(item => !item.dir && padraoExtensao.test(item.name));
+            return Promise.all(internos.map(item =>
+                item.async('string').then(conteudo => ({ nome: `${nome}/${item.name}`, conteudo }))
+            ));
+        });
+    }
+
+    if (!padraoExtensao.test(nome)) {
+        return Promise.resolve([]);
+    }
+
+    if (extensao === 'txt' && window.SpedStreamReader && SpedStreamReader.deveUsarStreaming(arquivo)) {
+        return arquivo.slice(0, 64 * 1024).text().then(inicio => {
+            const identificacao = SpedExtractor.identificarArquivo(inicio);
+            if (!identificacao) {
+                return [{ nome, conteudo: inicio }];
+            }
+
+            return SpedStreamReader.lerArquivo(arquivo, { tipoArquivo: identificacao.tipoArquivo }).promessa
+                .then(resultado => [{ nome, identificacao, resultado }]);
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        const leitor = new FileReader();
+        leitor.onload = e => resolve([{ nome, conteudo: e.target.result }]);
+        leitor.onerror = () => reject(new Error(`Falha na leitura do arquivo ${nome}`));
+        leitor.readAsText(arquivo);
+    });
+}
+
+/**
+* Processa um lote de arquivos SPED (vários meses, Fiscal e Contribuições misturados, .txt ou .zip)
+* Os arquivos são agrupados por período pelo registro 0000, integrados mês a mês e consolidados
+* com a série mensal de faturamento, débitos e créditos em empresa.historicoMensal
+* Uma ECD no lote define o ciclo financeiro pelos saldos contábeis; uma ECF, o regime, a margem e a DRE
+* @param {FileList|Array} arquivos - Arquivos selecionados (individualmente ou por pasta)
+* @param {Function} callback - Função chamada com { sucesso, dados, conciliacao, periodos } ou { sucesso: false, mensagem }
+*/
+function processarLoteSped(arquivos, callback) {
+    console.log('=== SPED-PROCESSOR: PROCESSAMENTO EM LOTE ===');
+
+    const lista = Array.from(arquivos || []);
+    if (lista.length === 0) {
+        callback({
+            sucesso: false,
+            mensagem: 'Nenhum arquivo selecionado para a importação em lote'
+        });
+        return;
+    }
+
+    if (!window.SpedExtractor) {
+        console.error('SPED-PROCESSOR: SpedExtractor não está disponível');
+        callback({
+            sucesso: false,
+            mensagem: 'Módulo SpedExtractor não disponível. Verifique a ordem de carregamento dos scripts.'
+        });
+        return;
+    }
+
+    // Registros agrupados por período: { 'AAAA-MM': { FISCAL, CONTRIBUICOES } }
+    const registrosPorPeriodo = {};
+    const ignorados = [];
+
+    // ECD e ECF do lote: anuais, aplicadas aos dados consolidados
+    let registrosContabeis = null;
+    let registrosEcf = null;
+
+    function processarConteudo({ nome, conteudo, identificacao, resultado }) {
+        // Arquivos lidos em partes já chegam identificados e processados
+        identificacao = identificacao || SpedExtractor.identificarArquivo(conteudo);
+        if (!identificacao) {
+            console.warn(`SPED-PROCESSOR: ${nome} não reconhecido como SPED Fiscal, Contribuições, ECD ou ECF`);
+            ignorados.push(nome);
+            return;
+        }
+
+        if (identificacao.tipoArquivo === 'ECD') {
+            if (registrosContabeis) {
+                console.warn(`SPED-PROCESSOR: ECD repetida, mantido o primeiro arquivo (${nome} ignorado)`);
+                ignorados.push(nome);
+                return;
+            }
+            console.log(`SPED-PROCESSOR: ${nome} -> ECD ${identificacao.periodo}`);
+            registrosContabeis = resultado || SpedExtractor.processarArquivo(conteudo, 'ECD');
+            return;
+        }
+
+        if (identificacao.tipoArquivo === 'ECF') {
+            if (registrosEcf) {
+                console.warn(`SPED-PROCESSOR: ECF repetida, mantido o primeiro arquivo (${nome} ignorado)`);
+                ignorados.push(nome);
+                return;
+            }
+            console.log(`SPED-PROCESSOR: ${nome} -> ECF ${identificacao.periodo}`);
+            registrosEcf = resultado || SpedExtractor.processarArquivo(conteudo, 'ECF');
+            return;
+        }
+
+        const { periodo, tipoArquivo } = identificacao;
+        registrosPorPeriodo[periodo] = registrosPorPeriodo[periodo] || {};
+        if (registrosPorPeriodo[periodo][tipoArquivo]) {
+            console.warn(`SPED-PROCESSOR: ${tipoArquivo} de ${periodo} repetido, mantido o primeiro arquivo (${nome} ignorado)`);
+            ignorados.push(nome);
+            return;
+        }
+
+        console.log(`SPED-PROCESSOR: ${nome} -> ${tipoArquivo} ${periodo}`);
+        registrosPorPeriodo[periodo][tipoArquivo] = resultado || SpedExtractor.processarArquivo(conteudo, tipoArquivo);
+    }
+
+    // Leitura sequencial para não manter todos os arquivos do ano em memória
+    lista.reduce((cadeia, arquivo) => cadeia
+        .then(() => lerArquivoLote(arquivo))
+        .then(conteudos => conteudos.forEach(processarConteudo)),
+        Promise.resolve()
+    ).then(() => {
+        const periodos = Object.keys(registrosPorPeriodo).sort();
+        if (periodos.length === 0) {
+            callback({
+                sucesso: false,
+                mensagem: 'Nenhum arquivo SPED Fiscal ou Contribuições válido encontrado no lote'
+            });
+            return;
+        }
+
+        const divergencias = [];
+        const observacoes = [];
+        const totais = {};
+        const documentos = { fiscal: 0, contribuicoes: 0 };
+        const dadosPorPeriodo = periodos.map(periodo => {
+            const { FISCAL, CONTRIBUICOES } = registrosPorPeriodo[periodo];
+            const dadosFiscal = FISCAL ? SpedExtractor.extrairDadosParaSimulador(FISCAL) : null;
+            const dadosContribuicoes = CONTRIBUICOES ? SpedExtractor.extrairDadosParaSimulador(CONTRIBUICOES) : null;
+
+            if (window.SpedValidationModule && FISCAL && CONTRIBUICOES) {
+                const conciliacaoPeriodo = SpedValidationModule.conciliarArquivosSped(FISCAL, CONTRIBUICOES);
+                conciliacaoPeriodo.divergencias.forEach(divergencia => {
+                    divergencias.push({ ...divergencia, descricao: `[${periodo}] ${divergencia.descricao}` });
+                });
+                conciliacaoPeriodo.observacoes.forEach(observacao => observacoes.push(`[${periodo}] ${observacao}`));
+                Object.entries(conciliacaoPeriodo.totais || {}).forEach(([chave, valor]) => {
+                    totais[chave] = (totais[chave] || 0) + valor;
+                });
+                documentos.fiscal += conciliacaoPeriodo.documentos?.fiscal || 0;
+                documentos.contribuicoes += conciliacaoPeriodo.documentos?.contribuicoes || 0;
+            } else {
+                observacoes.push(`[${periodo}] Conciliação não realizada: falta o SPED ${FISCAL ? 'Contribuições' : 'Fiscal'} do período.`);
+            }
+
+            return {
+                periodo,
+                dados: SpedExtractor.integrarDados(dadosFiscal, dadosContribuicoes)
+            };
+        });
+
+        const dadosConsolidados = SpedExtractor.consolidarPeriodos(dadosPorPeriodo);
+        if (registrosContabeis) {
+            const dadosContabil = SpedExtractor.extrairDadosParaSimulador(registrosContabeis);
+            SpedExtractor.aplicarDadosContabeis(dadosConsolidados, dadosContabil.dadosContabeis);
+        }
+        if (registrosEcf) {
+            const dadosEcf = SpedExtractor.extrairDadosParaSimulador(registrosEcf);
+            SpedExtractor.aplicarResultadoECF(dadosConsolidados, dadosEcf.empresa?.dre);
+        }
+        dadosConsolidados.dadosSpedImportados = true;
+        dadosConsolidados.preservarValoresOriginais = true;
+        dadosConsolidados.metadados = dadosConsolidados.metadados || {};
+        dadosConsolidados.metadados.importacaoLote = true;
+        dadosConsolidados.metadados.periodos = periodos;
+        dadosConsolidados.metadados.arquivosIgnorados = ignorados;
+        dadosConsolidados.metadados.timestampProcessamento = new Date().toISOString();
+
+        let conciliacao = null;
+        if (window.SpedValidationModule) {
+            const porSeveridade = { critica: 0, alta: 0, media: 0, baixa: 0 };
+            divergencias.forEach(divergencia => {
+                porSeveridade[divergencia.severidade] = (porSeveridade[divergencia.severidade] || 0) + 1;
+            });
+
+            conciliacao = {
+                timestamp: new Date().toISOString(),
+                totais,
+                documentos,
+                divergencias,
+                observacoes,
+                resumo: {
+                    totalDivergencias: divergencias.length,
+                    porSeveridade,
+                    requerConfirmacao: porSeveridade.critica > 0 || porSeveridade.alta > 0
+                }
+            };
+        }
+
+        callback({
+            sucesso: true,
+            dados: dadosConsolidados,
+            conciliacao,
+            periodos: periodos.map(periodo => ({
+                periodo,
+                fiscal: !!registrosPorPeriodo[periodo].FISCAL,
+                contribuicoes: !!registrosPorPeriodo[periodo].CONTRIBUICOES
+            }))
+        });
+    }).catch(erro => {
+        if (erro.cancelado) {
+            callback({
+                sucesso: false,
+                cancelado: true,
+                mensagem: 'Importação cancelada pelo usuário'
+            });
+            return;
+        }
+
+        console.error('SPED-PROCESSOR: Erro no processamento em lote:', erro);
+        callback({
+            sucesso: false,
+            mensagem: 'Erro no processamento do lote SPED: ' + erro.message
+        });
+    });
+}
+
+/**
+* Processa um lote de XML de NF-e, NFC-e e CT-e (arquivos .xml ou .zip), alternativa ao SPED
+* Eventos de cancelamento no lote excluem os documentos cancelados; os dados são consolidados
+* por mês de emissão como na importação em lote do SPED
+* @param {FileList|Array} arquivos - Arquivos selecionados (individualmente ou por pasta)
+* @param {Function} callback - Função chamada com { sucesso, dados, conciliacao, periodos } ou { sucesso: false, mensagem }
+* @param {Object} [opcoes] - { cnpj } da empresa; por padrão, o de maior ocorrência nos documentos
+*/
+function processarLoteXml(arquivos, callback, opcoes = {}) {
+    console.log('=== SPED-PROCESSOR: PROCESSAMENTO DE XML ===');
+
+    const lista = Array.from(arquivos || []);
+    if (lista.length === 0) {
+        callback({
+            sucesso: false,
+            mensagem: 'Nenhum arquivo XML selecionado para a importação'
+        });
+        return;
+    }
+
+    if (!window.NfeXmlExtractor || !window.SpedExtractor) {
+        console.error('SPED-PROCESSOR: NfeXmlExtractor ou SpedExtractor não está disponível');
+        callback({
+            sucesso: false,
+            mensagem: 'Módulo NfeXmlExtractor não disponível. Verifique a ordem de carregamento dos scripts.'
+        });
+        return;
+    }
+
+    const documentos = [];
+    const ignorados = [];
+
+    // Leitura sequencial: lotes de XML costumam ter milhares de arquivos pequenos
+    lista.reduce((cadeia, arquivo) => cadeia
+        .then(() => lerArquivoLote(arquivo, 'xml'))
+        .then(conteudos => conteudos.forEach(({ nome, conteudo }) => {
+            const documento = NfeXmlExtractor.processarXml(conteudo);
+            if (!documento) {
+                console.warn(`SPED-PROCESSOR: ${nome} não reconhecido como NF-e, NFC-e, CT-e ou evento de cancelamento`);
+                ignorados.push(nome);
+                return;
+            }
+            documentos.push(documento);
+        })),
+        Promise.resolve()
+    ).then(() => {
+        const dados = NfeXmlExtractor.extrairDadosParaSimulador(documentos, opcoes);
+        if (!dados) {
+            callback({
+                sucesso: false,
+                mensagem: 'Nenhum documento autorizado da empresa encontrado nos XML selecionados'
+            });
+            return;
+        }
+
+        dados.dadosSpedImportados = true;
+        dados.preservarValoresOriginais = true;
+        dados.metadados.arquivosIgnorados = ignorados;
+        dados.metadados.timestampProcessamento = new Date().toISOString();
+
+        // CBS/IBS declarados no grupo IBSCBS x cálculo do simulador (informativo)
+        let auditoriaCBSIBS = null;
+        if (window.SpedValidationModule) {
+            const { cnpj, classificados } = NfeXmlExtractor.selecionarDocumentosEmpresa(documentos, opcoes);
+            auditoriaCBSIBS = SpedValidationModule.auditarCBSIBSDeclarados(classificados, cnpj);
+        }
+
+        callback({
+            sucesso: true,
+            dados,
+            conciliacao: null,
+            auditoriaCBSIBS,
+            periodos: dados.metadados.periodos.map(periodo => ({
+                periodo,
+                xml: true
+            }))
+        });
+    }).catch(erro => {
+        console.error('SPED-PROCESSOR: Erro no processamento dos XML:', erro);
+        callback({
+            sucesso: false,
+            mensagem: 'Erro no processamento dos XML: ' + erro.message
+        });
+    });
 }
 
 // Interface pública
 return {
-    processarArquivos: processarArquivosSped
+    processarArquivos: processarArquivosSped,
+    processarLote: processarLoteSped,
+    processarLoteXml: processarLoteXml
 };
 
 })();
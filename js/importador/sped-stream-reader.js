@@ -0,0 +1,223 @@
+/**
+ * SPED Stream Reader - Leitura em partes de arquivos SPED grandes
+ * Lê o arquivo por File.slice (preferencialmente em um Web Worker), publica o progresso
+ * no EventBus e permite cancelar a leitura. O resultado é o mesmo de SpedExtractor.processarArquivo.
+ *
+ * Eventos publicados:
+ * - spedLeituraProgresso: { id, arquivo, bytesLidos, totalBytes, percentual, linhasProcessadas }
+ * - spedLeituraConcluida: { id, arquivo, tipoArquivo }
+ * - spedLeituraCancelada: { id, arquivo }
+ * - spedLeituraErro: { id, arquivo, mensagem }
+ * Evento ouvido:
+ * - spedLeituraCancelar: { id } cancela uma leitura; sem id, cancela todas
+ */
+
+const SpedStreamReader = (function() {
+    // A partir deste tamanho a leitura completa em memória trava o navegador
+    const TAMANHO_MINIMO_STREAMING = 20 * 1024 * 1024;
+
+    const CAMINHO_WORKER = 'js/importador/sped-stream-worker.js';
+
+    const EVENTOS = {
+        PROGRESSO: 'spedLeituraProgresso',
+        CONCLUIDA: 'spedLeituraConcluida',
+        CANCELADA: 'spedLeituraCancelada',
+        ERRO: 'spedLeituraErro',
+        CANCELAR: 'spedLeituraCancelar'
+    };
+
+    // Leituras em andamento, por id
+    const leiturasAtivas = {};
+    let proximoId = 1;
+
+    function publicar(evento, dados) {
+        if (typeof EventBus !== 'undefined') {
+            EventBus.publish(evento, dados);
+        }
+    }
+
+    function criarErroCancelamento() {
+        const erro = new Error('Leitura do arquivo SPED cancelada');
+        erro.cancelado = true;
+        return erro;
+    }
+
+    /**
+     * Cria o Web Worker de leitura, se o ambiente permitir (file:// costuma bloquear)
+     * @returns {Worker|null}
+     */
+    function criarWorker() {
+        if (typeof Worker === 'undefined') {
+            return null;
+        }
+
+        try {
+            return new Worker(CAMINHO_WORKER);
+        } catch (erro) {
+            console.warn('SPED-STREAM: Web Worker indisponível, leitura na thread principal:', erro.message);
+            return null;
+        }
+    }
+
+    /**
+     * Indica se o arquivo deve ser lido em partes
+     * @param {File} arquivo - Arquivo selecionado
+     * @returns {boolean}
+     */
+    function deveUsarStreaming(arquivo) {
+        return !!arquivo && arquivo.size >= TAMANHO_MINIMO_STREAMING;
+    }
+
+    /**
+     * Inicia a leitura em partes de um arquivo SPED
+     * @param {File} arquivo - Arquivo SPED
+     * @param {Object} opcoes - { tipoArquivo, tamanhoBloco, codificacao, usarWorker (padrão true) }
+     * @returns {Object} - { id, promessa, cancelar() }; a promessa resolve com { tipoArquivo, registros }
+     */
+    function lerArquivo(arquivo, opcoes = {}) {
+        const id = proximoId++;
+        const leitura = { id, nome: arquivo.name, cancelado: false, worker: null, rejeitar: null };
+        leiturasAtivas[id] = leitura;
+
+        const aoProgresso = progresso => publicar(EVENTOS.PROGRESSO, { id, arquivo: arquivo.name, ...progresso });
+
+        const promessa = new Promise((resolve, reject) => {
+            leitura.rejeitar = reject;
+
+            function lerNaThreadPrincipal() {
+                SpedExtractor.processarArquivoEmPartes(arquivo, opcoes.tipoArquivo, {
+                    tamanhoBloco: opcoes.tamanhoBloco,
+                    codificacao: opcoes.codificacao,
+                    onProgresso: aoProgresso,
+                    cancelado: () => leitura.cancelado
+                }).then(resolve, reject);
+            }
+
+            const worker = opcoes.usarWorker === false ? null : criarWorker();
+            if (!worker) {
+                lerNaThreadPrincipal();
+                return;
+            }
+
+            let iniciado = false;
+            leitura.worker = worker;
+
+            worker.onmessage = function(evento) {
+                const mensagem = evento.data;
+                iniciado = true;
+
+                if (mensagem.tipo === 'progresso') {
+                    aoProgresso(mensagem.progresso);
+                } else if (mensagem.tipo === 'concluido') {
+                    resolve(mensagem.resultado);
+                } else if (mensagem.tipo === 'erro') {
+                    reject(new Error(mensagem.mensagem));
+                }
+            };
+
+            worker.onerror = function(evento) {
+                evento.preventDefault();
+                worker.terminate();
+                leitura.worker = null;
+
+                // Falha ao carregar o worker: seguir na thread principal
+                if (!iniciado && !leitura.cancelado) {
+                    console.warn('SPED-STREAM: Falha no Web Worker, leitura na thread principal:', evento.message);
+                    lerNaThreadPrincipal();
+                } else {
+                    reject(new Error(evento.message || 'Erro no Web Worker de leitura SPED'));
+                }
+            };
+
+            worker.postMessage({
+                arquivo,
+                tipoArquivo: opcoes.tipoArquivo || null,
+                tamanhoBloco: opcoes.tamanhoBloco,
+                codificacao: opcoes.codificacao
+            });
+        }).then(resultado => {
+            finalizarLeitura(id);
+            publicar(EVENTOS.CONCLUIDA, { id, arquivo: arquivo.name, tipoArquivo: resultado.tipoArquivo });
+            return resultado;
+        }, erro => {
+            finalizarLeitura(id);
+            if (erro.cancelado) {
+                publicar(EVENTOS.CANCELADA, { id, arquivo: arquivo.name });
+            } else {
+                publicar(EVENTOS.ERRO, { id, arquivo: arquivo.name, mensagem: erro.message });
+            }
+            throw erro;
+        });
+
+        return {
+            id,
+            promessa,
+            cancelar: () => cancelar(id)
+        };
+    }
+
+    function finalizarLeitura(id) {
+        const leitura = leiturasAtivas[id];
+        if (leitura && leitura.worker) {
+            leitura.worker.terminate();
+        }
+        delete leiturasAtivas[id];
+    }
+
+    /**
+     * Cancela uma leitura em andamento
+     * @param {number} id - Identificador retornado por lerArquivo
+     * @returns {boolean} - true se havia leitura ativa com o id
+     */
+    function cancelar(id) {
+        const leitura = leiturasAtivas[id];
+        if (!leitura) {
+            return false;
+        }
+
+        console.log(`SPED-STREAM: Cancelando leitura de ${leitura.nome}`);
+        leitura.cancelado = true;
+        if (leitura.worker) {
+            leitura.worker.terminate();
+            leitura.worker = null;
+        }
+        leitura.rejeitar(criarErroCancelamento());
+        return true;
+    }
+
+    /**
+     * Cancela todas as leituras em andamento
+     * @returns {number} - Quantidade de leituras canceladas
+     */
+    function cancelarTodas() {
+        return Object.keys(leiturasAtivas).filter(id => cancelar(Number(id))).length;
+    }
+
+    // Cancelamento também pode ser solicitado pelo EventBus
+    if (typeof EventBus !== 'undefined') {
+        EventBus.subscribe(EVENTOS.CANCELAR, function(dados) {
+            if (dados && dados.id) {
+                cancelar(dados.id);
+            } else {
+                cancelarTodas();
+            }
+        });
+    }
+
+    return {
+        EVENTOS,
+        deveUsarStreaming,
+        lerArquivo,
+        cancelar,
+        cancelarTodas,
+        possuiLeiturasAtivas: function() {
+            return Object.keys(leiturasAtivas).length > 0;
+        }
+    };
+})();
+
+// Expor o módulo globalmente
+if (typeof window !== 'undefined') {
+    window.SpedStreamReader = SpedStreamReader;
+    console.log('SPED-STREAM: Módulo de leitura em partes carregado com sucesso!');
+}
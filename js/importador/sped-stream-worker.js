@@ -0,0 +1,24 @@
+/**
+ * Web Worker de leitura de arquivos SPED em partes
+ * Executa SpedExtractor.processarArquivoEmPartes fora da thread principal.
+ * Mensagens enviadas: { tipo: 'progresso' | 'concluido' | 'erro', ... }
+ * O cancelamento é feito pela thread principal com worker.terminate().
+ */
+
+// O SpedExtractor e o rastreamento de fonte se registram em window
+self.window = self;
+importScripts('fonte-dados.js', 'sped-extractor.js');
+
+self.onmessage = function(evento) {
+    const { arquivo, tipoArquivo, tamanhoBloco, codificacao } = evento.data;
+
+    self.SpedExtractor.processarArquivoEmPartes(arquivo, tipoArquivo, {
+        tamanhoBloco,
+        codificacao,
+        onProgresso: progresso => self.postMessage({ tipo: 'progresso', progresso })
+    }).then(resultado => {
+        self.postMessage({ tipo: 'concluido', resultado });
+    }).catch(erro => {
+        self.postMessage({ tipo: 'erro', mensagem: erro.message });
+    });
+};
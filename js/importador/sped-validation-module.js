@@ -473,6 +473,519 @@ const SpedValidationModule = (function() {
         return html;
     }
     
+    // Tolerâncias da conciliação SPED Fiscal x Contribuições
+    const TOLERANCIA_VALOR_CONCILIACAO = 1.00;       // Diferenças até R$ 1,00 são arredondamento
+    const LIMITE_SEVERIDADE_MEDIA = 0.01;            // Acima de 1% da receita
+    const LIMITE_SEVERIDADE_ALTA = 0.05;             // Acima de 5% da receita
+
+    // Situações de documento que não integram a EFD-Contribuições (cancelado, denegado, inutilizado)
+    const SITUACOES_DOCUMENTO_EXCLUIDAS = ['02', '03', '04', '05'];
+
+    /**
+     * Converte data SPED (DDMMAAAA) em Date
+     */
+    function converterDataSped(data) {
+        if (!data || String(data).length !== 8) return null;
+        const texto = String(data);
+        return new Date(Number(texto.substring(4, 8)), Number(texto.substring(2, 4)) - 1, Number(texto.substring(0, 2)));
+    }
+
+    /**
+     * Classifica a severidade de uma diferença de valor relativa à receita de referência
+     */
+    function classificarSeveridadeValor(diferenca, referencia) {
+        const proporcao = referencia > 0 ? Math.abs(diferenca) / referencia : 1;
+        if (proporcao > LIMITE_SEVERIDADE_ALTA) return 'alta';
+        if (proporcao > LIMITE_SEVERIDADE_MEDIA) return 'media';
+        return 'baixa';
+    }
+
+    /**
+     * Gera a chave de um documento C100 (chave NF-e ou modelo/série/número/participante)
+     */
+    function chaveDocumento(doc) {
+        if (doc.chvNfe && String(doc.chvNfe).length === 44) {
+            return doc.chvNfe;
+        }
+        return [doc.codMod, doc.serie, doc.numDoc, doc.codPart].join('|');
+    }
+
+    /**
+     * Soma um campo numérico de uma lista de registros
+     */
+    function somarCampo(registros, campo) {
+        return (registros || []).reduce((total, registro) => total + (registro[campo] || 0), 0);
+    }
+
+    /**
+     * Concilia os registros do SPED Fiscal com os do SPED Contribuições
+     * Confere CNPJ e período (0000), receita de saídas (C190/C100) x receita bruta e bases (M210/M610)
+     * e documentos (C100) presentes em apenas um dos arquivos
+     * @param {Object} resultadoFiscal - Retorno de SpedExtractor.processarArquivo para o SPED Fiscal
+     * @param {Object} resultadoContribuicoes - Retorno de SpedExtractor.processarArquivo para o SPED Contribuições
+     * @returns {Object} Relatório com totais, divergências (valor e severidade) e observações
+     */
+    function conciliarArquivosSped(resultadoFiscal, resultadoContribuicoes) {
+        console.log('SPED-VALIDATION: Iniciando conciliação SPED Fiscal x Contribuições');
+
+        const relatorio = {
+            timestamp: new Date().toISOString(),
+            totais: {},
+            documentos: {},
+            divergencias: [],
+            observacoes: [],
+            resumo: {}
+        };
+
+        const regFiscal = resultadoFiscal?.registros || {};
+        const regContrib = resultadoContribuicoes?.registros || {};
+
+        const registrar = (tipo, severidade, descricao, valores = {}) => {
+            relatorio.divergencias.push({
+                tipo,
+                severidade,
+                descricao,
+                valorFiscal: valores.valorFiscal ?? null,
+                valorContribuicoes: valores.valorContribuicoes ?? null,
+                diferenca: valores.diferenca ?? null,
+                documento: valores.documento ?? null
+            });
+        };
+
+        // 1. CNPJ e período (registro 0000)
+        const aberturaFiscal = regFiscal['0000']?.[0];
+        const aberturaContrib = regContrib['0000']?.[0];
+
+        if (!aberturaFiscal || !aberturaContrib) {
+            relatorio.observacoes.push('Registro 0000 ausente em um dos arquivos: CNPJ e período não conferidos.');
+        } else {
+            const cnpjFiscal = String(aberturaFiscal.cnpj || '').replace(/\D/g, '');
+            const cnpjContrib = String(aberturaContrib.cnpj || '').replace(/\D/g, '');
+
+            if (cnpjFiscal !== cnpjContrib) {
+                // Mesma raiz (8 dígitos) indica estabelecimentos diferentes da mesma empresa
+                const mesmaRaiz = cnpjFiscal.substring(0, 8) === cnpjContrib.substring(0, 8);
+                registrar('cnpj', mesmaRaiz ? 'media' : 'critica',
+                    mesmaRaiz ?
+                        `CNPJ de estabelecimentos diferentes: Fiscal ${aberturaFiscal.cnpj}, Contribuições ${aberturaContrib.cnpj}` :
+                        `CNPJ divergente: Fiscal ${aberturaFiscal.cnpj}, Contribuições ${aberturaContrib.cnpj}`);
+            }
+
+            const inicioFiscal = converterDataSped(aberturaFiscal.dataInicial);
+            const fimFiscal = converterDataSped(aberturaFiscal.dataFinal);
+            const inicioContrib = converterDataSped(aberturaContrib.dataInicial);
+            const fimContrib = converterDataSped(aberturaContrib.dataFinal);
+
+            if (inicioFiscal && fimFiscal && inicioContrib && fimContrib &&
+                (inicioFiscal.getTime() !== inicioContrib.getTime() || fimFiscal.getTime() !== fimContrib.getTime())) {
+                const haSobreposicao = inicioFiscal <= fimContrib && inicioContrib <= fimFiscal;
+                registrar('periodo', haSobreposicao ? 'alta' : 'critica',
+                    `Período divergente: Fiscal ${aberturaFiscal.dataInicial}-${aberturaFiscal.dataFinal}, ` +
+                    `Contribuições ${aberturaContrib.dataInicial}-${aberturaContrib.dataFinal}` +
+                    (haSobreposicao ? ' (sobreposição parcial)' : ' (sem sobreposição)'));
+            }
+        }
+
+        // 2. Receita de saídas x receita bruta e bases de PIS/COFINS
+        const receitaC190 = (regFiscal['C190'] || [])
+            .filter(reg => ['5', '6', '7'].includes(String(reg.cfop || '').charAt(0)))
+            .reduce((total, reg) => total + (reg.valorOperacao || 0), 0);
+        const docsFiscalValidos = (regFiscal['C100'] || [])
+            .filter(doc => !SITUACOES_DOCUMENTO_EXCLUIDAS.includes(doc.codSit));
+        const receitaC100 = docsFiscalValidos
+            .filter(doc => doc.indOper === '1')
+            .reduce((total, doc) => total + (doc.valorTotal || 0), 0);
+        const receitaFiscal = receitaC190 > 0 ? receitaC190 : receitaC100;
+
+        const receitaBrutaPis = somarCampo(regContrib['M210'], 'vlRecBrt');
+        const receitaBrutaCofins = somarCampo(regContrib['M610'], 'vlRecBrt');
+        const basePis = somarCampo(regContrib['M210'], 'vlBcCont');
+        const baseCofins = somarCampo(regContrib['M610'], 'vlBcCont');
+
+        relatorio.totais = {
+            receitaFiscalC190: receitaC190,
+            receitaFiscalC100: receitaC100,
+            receitaBrutaContribuicoes: receitaBrutaPis || receitaBrutaCofins,
+            basePis,
+            baseCofins,
+            debitoPis: regContrib['M200']?.[0]?.vlTotContNcPer || 0,
+            debitoCofins: regContrib['M600']?.[0]?.vlTotContNcPer || 0
+        };
+        relatorio.documentos = {
+            fiscal: docsFiscalValidos.length,
+            contribuicoes: (regContrib['C100'] || []).length
+        };
+
+        if (receitaC190 > 0 && receitaC100 > 0 &&
+            Math.abs(receitaC190 - receitaC100) > TOLERANCIA_VALOR_CONCILIACAO) {
+            registrar('receita', classificarSeveridadeValor(receitaC190 - receitaC100, receitaC190),
+                'Saídas no C190 diferem do total dos documentos de saída (C100) no próprio SPED Fiscal',
+                { valorFiscal: receitaC190, valorContribuicoes: null, diferenca: receitaC190 - receitaC100 });
+        }
+
+        const receitaContrib = relatorio.totais.receitaBrutaContribuicoes;
+        if (receitaFiscal > 0 || receitaContrib > 0) {
+            const diferenca = receitaFiscal - receitaContrib;
+            if (Math.abs(diferenca) > TOLERANCIA_VALOR_CONCILIACAO) {
+                registrar('receita', classificarSeveridadeValor(diferenca, Math.max(receitaFiscal, receitaContrib)),
+                    `Receita de saídas (${receitaC190 > 0 ? 'C190' : 'C100'}) diferente da receita bruta declarada (M210/M610)`,
+                    { valorFiscal: receitaFiscal, valorContribuicoes: receitaContrib, diferenca });
+            }
+        }
+
+        if (basePis > 0 && Math.abs(receitaFiscal - basePis) > TOLERANCIA_VALOR_CONCILIACAO) {
+            // Exclusões legais (isenções, alíquota zero, monofásicos) explicam parte desta diferença
+            const diferenca = receitaFiscal - basePis;
+            registrar('base', diferenca > 0 ? 'baixa' : classificarSeveridadeValor(diferenca, receitaFiscal),
+                'Base de cálculo do PIS (M210) diferente da receita de saídas do SPED Fiscal',
+                { valorFiscal: receitaFiscal, valorContribuicoes: basePis, diferenca });
+        }
+
+        if (basePis > 0 && baseCofins > 0 && Math.abs(basePis - baseCofins) > TOLERANCIA_VALOR_CONCILIACAO) {
+            registrar('base', classificarSeveridadeValor(basePis - baseCofins, basePis),
+                'Bases de cálculo do PIS (M210) e da COFINS (M610) diferentes',
+                { valorFiscal: null, valorContribuicoes: baseCofins, diferenca: basePis - baseCofins });
+        }
+
+        // 3. Documentos presentes em apenas um dos arquivos
+        if (!regContrib['C100'] || regContrib['C100'].length === 0) {
+            relatorio.observacoes.push('SPED Contribuições sem registros C100 (escrituração consolidada): documentos não conferidos.');
+        } else {
+            const docsContrib = {};
+            regContrib['C100'].forEach(doc => { docsContrib[chaveDocumento(doc)] = doc; });
+            const docsFiscal = {};
+            docsFiscalValidos.forEach(doc => { docsFiscal[chaveDocumento(doc)] = doc; });
+
+            Object.entries(docsFiscal).forEach(([chave, doc]) => {
+                if (docsContrib[chave]) return;
+                // Entradas sem direito a crédito não precisam constar na EFD-Contribuições
+                const saida = doc.indOper === '1';
+                registrar('documento', saida ? 'alta' : 'baixa',
+                    `${saida ? 'Saída' : 'Entrada'} nº ${doc.numDoc} (série ${doc.serie || '-'}) ausente no SPED Contribuições`,
+                    { valorFiscal: doc.valorTotal || 0, valorContribuicoes: 0, diferenca: doc.valorTotal || 0, documento: chave });
+            });
+
+            Object.entries(docsContrib).forEach(([chave, doc]) => {
+                if (docsFiscal[chave]) return;
+                registrar('documento', 'alta',
+                    `Documento nº ${doc.numDoc} (série ${doc.serie || '-'}) ausente no SPED Fiscal`,
+                    { valorFiscal: 0, valorContribuicoes: doc.valorTotal || 0, diferenca: -(doc.valorTotal || 0), documento: chave });
+            });
+        }
+
+        // Resumo por severidade
+        const porSeveridade = { critica: 0, alta: 0, media: 0, baixa: 0 };
+        relatorio.divergencias.forEach(div => { porSeveridade[div.severidade]++; });
+        relatorio.resumo = {
+            totalDivergencias: relatorio.divergencias.length,
+            porSeveridade,
+            requerConfirmacao: porSeveridade.critica > 0 || porSeveridade.alta > 0
+        };
+
+        console.log('SPED-VALIDATION: Conciliação concluída', relatorio.resumo);
+        return relatorio;
+    }
+
+    /**
+     * Gera o relatório de conciliação em formato HTML
+     */
+    function gerarRelatorioConciliacaoHTML(relatorio) {
+        const coresSeveridade = {
+            critica: '#dc3545',
+            alta: '#fd7e14',
+            media: '#ffc107',
+            baixa: '#17a2b8'
+        };
+        const formatarValor = valor => valor === null ? '-' : formatarValorLog(valor);
+        const resumo = relatorio.resumo;
+
+        const linhas = relatorio.divergencias.map(div => `
+            <tr>
+                <td><span style="color: ${coresSeveridade[div.severidade]}; font-weight: bold;">${div.severidade.toUpperCase()}</span></td>
+                <td>${div.tipo}</td>
+                <td>${div.descricao}</td>
+                <td style="text-align: right;">${formatarValor(div.valorFiscal)}</td>
+                <td style="text-align: right;">${formatarValor(div.valorContribuicoes)}</td>
+                <td style="text-align: right;">${formatarValor(div.diferenca)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="relatorio-conciliacao" style="font-family: Arial, sans-serif; margin: 20px 0;">
+                <p style="margin: 0 0 10px 0;">
+                    Documentos: ${relatorio.documentos.fiscal} no SPED Fiscal, ${relatorio.documentos.contribuicoes} no SPED Contribuições.
+                    ${resumo.totalDivergencias} divergência(s):
+                    ${Object.entries(resumo.porSeveridade).map(([sev, qtd]) =>
+                        `<span style="color: ${coresSeveridade[sev]};">${sev} ${qtd}</span>`).join(' | ')}
+                </p>
+                ${gerarSecaoRelatorio('Observações', relatorio.observacoes, '#6c757d')}
+                ${resumo.totalDivergencias > 0 ? `
+                <div class="table-container" style="max-height: 300px; overflow-y: auto;">
+                    <table class="data-table" style="width: 100%; font-size: 13px;">
+                        <thead>
+                            <tr>
+                                <th>Severidade</th>
+                                <th>Tipo</th>
+                                <th>Descrição</th>
+                                <th>SPED Fiscal</th>
+                                <th>SPED Contribuições</th>
+                                <th>Diferença</th>
+                            </tr>
+                        </thead>
+                        <tbody>${linhas}</tbody>
+                    </table>
+                </div>` : '<p style="color: #28a745;">Arquivos conciliados sem divergências.</p>'}
+                <div class="estatisticas" style="margin-top: 15px;">
+                    ${gerarEstatisticasHTML({ totais: relatorio.totais })}
+                </div>
+            </div>
+        `;
+    }
+
+    // Auditoria da CBS/IBS declarada nas NF-e (grupo IBSCBS da NT 2025.002)
+    const TOLERANCIA_VALOR_ITEM_IBSCBS = 0.05;       // Arredondamento por item
+
+    // Primeiro dígito do CST IBS/CBS x categorias do simulador
+    // (5xx diferimento/suspensão e 8xx ajustes não têm categoria correspondente)
+    const CATEGORIAS_POR_CST_IBSCBS = {
+        '0': ['standard'],
+        '2': ['reduced', 'reduced60'],
+        '4': ['exempt'],
+        '6': ['monofasico']
+    };
+
+    /**
+     * Audita a CBS e o IBS declarados nos itens das NF-e/NFC-e (grupo IBSCBS) contra o cálculo do simulador
+     * Para cada item com o grupo, recalcula a CBS (calcularCBS) e o IBS (calcularIBSPorDestino, pelas alíquotas
+     * estadual + municipal do destino do documento) sobre a base declarada (vBC, ou o valor do item na falta dela),
+     * com as alíquotas do ano de emissão no perfil de legislação ativo e a categoria de classificarItemIVA para o
+     * CNPJ da empresa. As divergências são agrupadas por tributo, NCM e cClassTrib.
+     * A EFD ainda não traz campos de CBS/IBS, então a auditoria se aplica apenas aos lotes de XML.
+     * O relatório é informativo: não requer confirmação para prosseguir com a importação.
+     * @param {Array} classificados - Documentos da empresa ({ documento, direcao }) de NfeXmlExtractor.selecionarDocumentosEmpresa
+     * @param {string} [cnpj] - CNPJ da empresa (selecionarDocumentosEmpresa), para as exceções de classificação NCM
+     * @returns {Object} Relatório com totais, divergências (valor declarado x calculado e severidade) e observações
+     */
+    function auditarCBSIBSDeclarados(classificados, cnpj) {
+        console.log('SPED-VALIDATION: Iniciando auditoria da CBS/IBS declarada nas NF-e');
+
+        const relatorio = {
+            timestamp: new Date().toISOString(),
+            totais: {},
+            documentos: { total: 0, comIBSCBS: 0, semIBSCBS: 0, itensAuditados: 0 },
+            divergencias: [],
+            observacoes: [],
+            resumo: {}
+        };
+
+        const iva = typeof window !== 'undefined' ? window.IVADualSystem : null;
+        if (!iva || typeof LegislacaoRepository === 'undefined') {
+            relatorio.observacoes.push('IVADualSystem ou LegislacaoRepository indisponível: CBS/IBS declarados não auditados.');
+            relatorio.resumo = { totalDivergencias: 0, porSeveridade: { critica: 0, alta: 0, media: 0, baixa: 0 }, requerConfirmacao: false };
+            return relatorio;
+        }
+
+        const totais = { cbsDeclarada: 0, cbsCalculada: 0, ibsDeclarado: 0, ibsCalculado: 0, impostoSeletivoDeclarado: 0 };
+        const grupos = {};
+        const classificacoes = {};
+        const anosSemCBSIBS = new Set();
+        let documentosSemDestino = 0;
+
+        (classificados || []).forEach(({ documento }) => {
+            if (documento.tipo === 'CTE') return;
+            relatorio.documentos.total++;
+            if (!documento.possuiIBSCBS) {
+                relatorio.documentos.semIBSCBS++;
+                return;
+            }
+            relatorio.documentos.comIBSCBS++;
+            totais.impostoSeletivoDeclarado += documento.totais.impostoSeletivo || 0;
+
+            const ano = parseInt(documento.periodo, 10);
+            const parametros = LegislacaoRepository.obterParametrosAno(ano);
+            if (!parametros.cbs && !parametros.ibs) {
+                anosSemCBSIBS.add(ano);
+            }
+
+            // IBS devido ao destino: sem destino identificado, a alíquota do perfil
+            const destino = window.NfeXmlExtractor ? NfeXmlExtractor.destinoDaVenda(documento) : null;
+            if (!destino) {
+                documentosSemDestino++;
+            }
+            const calcularIBSDocumento = (base, categoria) => {
+                const porDestino = destino ?
+                    iva.calcularIBSPorDestino(base, [{ ...destino, participacao: 1 }], parametros.ibs || 0, { categoriaIva: categoria }) :
+                    null;
+                return porDestino ? porDestino.ibsPonderado : iva.calcularIBS(base, parametros.ibs || 0, 0, categoria);
+            };
+
+            documento.itens.forEach(item => {
+                const declarado = item.ibscbs;
+                if (!declarado) return;
+
+                const categoria = iva.classificarItemIVA(item.ncm, item.cfop, cnpj);
+                const base = declarado.baseCalculo > 0 ? declarado.baseCalculo : item.valor;
+                const calculado = {
+                    cbs: iva.calcularCBS(base, parametros.cbs || 0, 0, categoria),
+                    ibs: calcularIBSDocumento(base, categoria)
+                };
+
+                relatorio.documentos.itensAuditados++;
+                totais.cbsDeclarada += declarado.cbs;
+                totais.cbsCalculada += calculado.cbs;
+                totais.ibsDeclarado += declarado.ibs;
+                totais.ibsCalculado += calculado.ibs;
+
+                ['cbs', 'ibs'].forEach(tributo => {
+                    const diferenca = declarado[tributo] - calculado[tributo];
+                    if (Math.abs(diferenca) <= TOLERANCIA_VALOR_ITEM_IBSCBS) return;
+
+                    const chave = [tributo, item.ncm, declarado.cClassTrib].join('|');
+                    const grupo = grupos[chave] = grupos[chave] || {
+                        tributo, ncm: item.ncm, cClassTrib: declarado.cClassTrib, categoria,
+                        itens: 0, declarado: 0, calculado: 0, documentos: new Set()
+                    };
+                    grupo.itens++;
+                    grupo.declarado += declarado[tributo];
+                    grupo.calculado += calculado[tributo];
+                    grupo.documentos.add(documento.chave);
+                });
+
+                // Classificação declarada (CST) x categoria do simulador
+                const aceitas = CATEGORIAS_POR_CST_IBSCBS[String(declarado.cst).charAt(0)];
+                if (aceitas && !aceitas.includes(categoria)) {
+                    const chave = [item.ncm, declarado.cst, categoria].join('|');
+                    const classificacao = classificacoes[chave] = classificacoes[chave] || {
+                        ncm: item.ncm, cst: declarado.cst, cClassTrib: declarado.cClassTrib, categoria, itens: 0, valor: 0
+                    };
+                    classificacao.itens++;
+                    classificacao.valor += base;
+                }
+            });
+        });
+
+        const registrar = (tipo, severidade, descricao, valores = {}) => {
+            relatorio.divergencias.push({
+                tipo,
+                severidade,
+                descricao,
+                valorDeclarado: valores.valorDeclarado ?? null,
+                valorCalculado: valores.valorCalculado ?? null,
+                diferenca: valores.diferenca ?? null,
+                documento: valores.documento ?? null
+            });
+        };
+
+        Object.values(grupos).forEach(grupo => {
+            const diferenca = grupo.declarado - grupo.calculado;
+            registrar(grupo.tributo, classificarSeveridadeValor(diferenca, grupo.calculado),
+                `${grupo.tributo === 'cbs' ? 'CBS declarada diferente da calculada' : 'IBS declarado diferente do calculado'}: ` +
+                `NCM ${grupo.ncm || '-'}, ` +
+                `cClassTrib ${grupo.cClassTrib || '-'} (categoria ${grupo.categoria}), ${grupo.itens} item(ns)`,
+                {
+                    valorDeclarado: grupo.declarado,
+                    valorCalculado: grupo.calculado,
+                    diferenca,
+                    documento: grupo.documentos.size === 1 ? [...grupo.documentos][0] : null
+                });
+        });
+
+        Object.values(classificacoes).forEach(classificacao => {
+            registrar('classificacao', 'media',
+                `NCM ${classificacao.ncm || '-'} declarado com CST ${classificacao.cst} (cClassTrib ${classificacao.cClassTrib || '-'}), ` +
+                `mas classificado como '${classificacao.categoria}' no simulador: ${classificacao.itens} item(ns)`,
+                { valorDeclarado: null, valorCalculado: classificacao.valor, diferenca: null });
+        });
+
+        Object.keys(totais).forEach(chave => { totais[chave] = Math.round(totais[chave] * 100) / 100; });
+        relatorio.totais = totais;
+
+        if (relatorio.documentos.semIBSCBS > 0) {
+            relatorio.observacoes.push(`${relatorio.documentos.semIBSCBS} NF-e/NFC-e sem o grupo IBSCBS ` +
+                '(emitidas antes da obrigatoriedade ou por optantes do Simples Nacional): não auditadas.');
+        }
+        if (documentosSemDestino > 0) {
+            relatorio.observacoes.push(`${documentosSemDestino} documento(s) sem UF de destino identificada: ` +
+                'IBS calculado pela alíquota do perfil de legislação.');
+        }
+        if (anosSemCBSIBS.size > 0) {
+            relatorio.observacoes.push(`Perfil de legislação sem alíquotas de CBS/IBS em ${[...anosSemCBSIBS].sort().join(', ')}: ` +
+                'valores declarados comparados com zero.');
+        }
+        if (relatorio.documentos.itensAuditados === 0) {
+            relatorio.observacoes.push('Nenhum item com o grupo IBSCBS no lote: CBS/IBS declarados não auditados.');
+        }
+
+        // Resumo por severidade; a auditoria é informativa e não bloqueia a importação
+        const porSeveridade = { critica: 0, alta: 0, media: 0, baixa: 0 };
+        relatorio.divergencias.forEach(div => { porSeveridade[div.severidade]++; });
+        relatorio.resumo = {
+            totalDivergencias: relatorio.divergencias.length,
+            porSeveridade,
+            requerConfirmacao: false
+        };
+
+        console.log('SPED-VALIDATION: Auditoria CBS/IBS concluída', relatorio.resumo);
+        return relatorio;
+    }
+
+    /**
+     * Gera o relatório da auditoria CBS/IBS em formato HTML
+     */
+    function gerarRelatorioAuditoriaCBSIBSHTML(relatorio) {
+        const coresSeveridade = {
+            critica: '#dc3545',
+            alta: '#fd7e14',
+            media: '#ffc107',
+            baixa: '#17a2b8'
+        };
+        const formatarValor = valor => valor === null ? '-' : formatarValorLog(valor);
+        const resumo = relatorio.resumo;
+
+        const linhas = relatorio.divergencias.map(div => `
+            <tr>
+                <td><span style="color: ${coresSeveridade[div.severidade]}; font-weight: bold;">${div.severidade.toUpperCase()}</span></td>
+                <td>${div.tipo}</td>
+                <td>${div.descricao}</td>
+                <td style="text-align: right;">${formatarValor(div.valorDeclarado)}</td>
+                <td style="text-align: right;">${formatarValor(div.valorCalculado)}</td>
+                <td style="text-align: right;">${formatarValor(div.diferenca)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="relatorio-auditoria-cbs-ibs" style="font-family: Arial, sans-serif; margin: 20px 0;">
+                <p style="margin: 0 0 10px 0;">
+                    NF-e/NFC-e: ${relatorio.documentos.comIBSCBS} com o grupo IBSCBS, ${relatorio.documentos.semIBSCBS} sem.
+                    ${resumo.totalDivergencias} divergência(s):
+                    ${Object.entries(resumo.porSeveridade).map(([sev, qtd]) =>
+                        `<span style="color: ${coresSeveridade[sev]};">${sev} ${qtd}</span>`).join(' | ')}
+                </p>
+                ${gerarSecaoRelatorio('Observações', relatorio.observacoes, '#6c757d')}
+                ${resumo.totalDivergencias > 0 ? `
+                <div class="table-container" style="max-height: 300px; overflow-y: auto;">
+                    <table class="data-table" style="width: 100%; font-size: 13px;">
+                        <thead>
+                            <tr>
+                                <th>Severidade</th>
+                                <th>Tipo</th>
+                                <th>Descrição</th>
+                                <th>Declarado</th>
+                                <th>Calculado</th>
+                                <th>Diferença</th>
+                            </tr>
+                        </thead>
+                        <tbody>${linhas}</tbody>
+                    </table>
+                </div>` : (relatorio.documentos.itensAuditados > 0 ?
+                    '<p style="color: #28a745;">CBS/IBS declarados conferem com o cálculo do simulador.</p>' : '')}
+                <div class="estatisticas" style="margin-top: 15px;">
+                    ${gerarEstatisticasHTML({ totais: relatorio.totais })}
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Valida formato de CNPJ
      */
@@ -504,6 +1017,10 @@ const SpedValidationModule = (function() {
     return {
         validarDadosSped,
         gerarRelatorioHTML,
+        conciliarArquivosSped,
+        gerarRelatorioConciliacaoHTML,
+        auditarCBSIBSDeclarados,
+        gerarRelatorioAuditoriaCBSIBSHTML,
         versao: '1.0.0'
     };
 })();
@@ -44,6 +44,11 @@ document.addEventListener('DOMContentLoaded', function() {
         SetoresManager.preencherDropdownSetores('setor');
     }
     
+    // Inicializar repositório de classificação NCM (carrega personalizações persistidas)
+    if (typeof NcmRepository !== 'undefined') {
+        NcmRepository.inicializar();
+    }
+    
     // Inicializar UI components
     const uiComponents = [
         { name: 'TabsManager', method: 'inicializar' },
@@ -277,25 +282,30 @@ function inicializarEventosPrincipais() {
                     console.log('Repositório atualizado com os dados do formulário e SPED');
                 }
 
-                // Executar simulação, passando os dados obtidos
-                const resultado = window.SimuladorFluxoCaixa.simular(dadosAninhados);
-
-                if (!resultado) {
-                    throw new Error('A simulação não retornou resultados');
-                }
-
-                // Processar resultados
-                atualizarInterface(resultado);
-                
-                // **ADICIONAR AQUI:**
-                mostrarPainelResultados();
+                // Executar simulação no Web Worker, passando os dados obtidos
+                // (null quando a simulação falha ou é cancelada)
+                window.SimuladorFluxoCaixa.simularAssincrono(dadosAninhados).then(resultado => {
+                    if (!resultado) {
+                        alert('Não foi possível realizar a simulação.');
+                        return;
+                    }
 
-                // Atualizar gráficos se o ChartManager estiver disponível
-                if (typeof window.ChartManager !== 'undefined' && typeof window.ChartManager.renderizarGraficos === 'function') {
-                    window.ChartManager.renderizarGraficos(resultado);
-                } else {
-                    console.warn('ChartManager não encontrado ou função renderizarGraficos indisponível');
-                }
+                    // Processar resultados
+                    atualizarInterface(resultado);
+                    
+                    // **ADICIONAR AQUI:**
+                    mostrarPainelResultados();
+
+                    // Atualizar gráficos se o ChartManager estiver disponível
+                    if (typeof window.ChartManager !== 'undefined' && typeof window.ChartManager.renderizarGraficos === 'function') {
+                        window.ChartManager.renderizarGraficos(resultado);
+                    } else {
+                        console.warn('ChartManager não encontrado ou função renderizarGraficos indisponível');
+                    }
+                }).catch(erro => {
+                    console.error('Erro ao executar simulação:', erro);
+                    alert('Não foi possível realizar a simulação: ' + erro.message);
+                });
 
             } catch (erro) {
                 console.error('Erro ao executar simulação:', erro);
@@ -474,6 +484,7 @@ function inicializarEventosPrincipais() {
                 document.getElementById('reducao').value = '';
                 document.getElementById('aliquota').value = '';
                 document.getElementById('categoria-iva').value = 'standard';
+                document.getElementById('aliquota-is').value = '0';
                 return;
             }
 
@@ -493,6 +504,9 @@ function inicializarEventosPrincipais() {
                     // Definir categoria tributária
                     document.getElementById('categoria-iva').value = dadosSetor.categoriaIva || 'standard';
 
+                    // Imposto Seletivo do setor (editável para o mix de produtos da empresa)
+                    document.getElementById('aliquota-is').value = ((dadosSetor.aliquotaIS || 0) * 100).toFixed(2);
+
                     console.log(`Setor ${dadosSetor.nome} selecionado - campos preenchidos automaticamente`);
                 } else {
                     console.warn(`Dados do setor ${setorCodigo} não encontrados`);
@@ -615,8 +629,8 @@ function inicializarEventosPrincipais() {
     if (btnSimularEstrategias) {
         btnSimularEstrategias.addEventListener('click', function() {
             // Corrigir a referência para a função
-            if (window.SimuladorFluxoCaixa && typeof window.SimuladorFluxoCaixa.simularEstrategias === 'function') {
-                window.SimuladorFluxoCaixa.simularEstrategias();
+            if (window.SimuladorFluxoCaixa && typeof window.SimuladorFluxoCaixa.simularEstrategiasAssincrono === 'function') {
+                window.SimuladorFluxoCaixa.simularEstrategiasAssincrono();
             } else {
                 console.error('Função de simulação de estratégias não encontrada');
                 alert('Não foi possível simular estratégias. Verifique se todos os módulos foram carregados corretamente.');
@@ -1390,6 +1404,18 @@ function atualizarInterface(resultado) {
 
         // Atualizar tabela de transição com dados válidos
         atualizarTabelaTransicao(resultado);
+
+        // Atualizar IBS por destino das vendas
+        atualizarTabelaIBSDestino(resultado);
+
+        // Atualizar comparação das opções do Simples Nacional
+        atualizarTabelaSimplesNacional(resultado);
+
+        // Atualizar saldo credor de ICMS e ICMS-ST na transição
+        atualizarTabelaSaldoCredorICMS(resultado);
+        atualizarTabelaRessarcimentoCreditos(resultado);
+        atualizarTabelaImpactoResultadoECF(resultado);
+        atualizarTabelaMeiosPagamento(resultado);
         
         const divResultadosDetalhados = document.getElementById('resultados-detalhados');
         if (divResultadosDetalhados) {
@@ -2532,6 +2558,322 @@ function atualizarTabelaTransicao(resultado) {
     console.log('Tabela de transição atualizada com sucesso');
 }
 
+/**
+ * Atualiza a comparação anual entre as opções do Simples Nacional (CBS/IBS no DAS x regime híbrido)
+ * Exibida apenas para empresas do Simples Nacional
+ * @param {Object} resultado - Resultados da simulação
+ */
+function atualizarTabelaSimplesNacional(resultado) {
+    const container = document.getElementById('simples-nacional-resultado');
+    const tbody = document.querySelector('#tabela-simples-nacional tbody');
+    if (!container || !tbody) return;
+
+    const simplesNacional = resultado.simplesNacional;
+    tbody.innerHTML = '';
+    if (!simplesNacional) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const rotulos = { integral: 'Integral', hibrido: 'Híbrido' };
+    const anoInicioOpcao = simplesNacional.parametros.anoInicioOpcao;
+    const descricaoSemOpcao = anoInicioOpcao ? `Integral (opção a partir de ${anoInicioOpcao})` : 'Integral (sem opção no perfil)';
+
+    Object.keys(simplesNacional.porAno).sort().forEach(ano => {
+        const { integral, hibrido, recomendacao, economia } = simplesNacional.porAno[ano];
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${ano}</td>
+            <td>${formatarMoeda(integral.das)}</td>
+            <td>${formatarMoeda(integral.creditoTransferido)}</td>
+            <td>${formatarMoeda(integral.perdaCompetitiva)}</td>
+            <td>${hibrido ? formatarMoeda(hibrido.das + hibrido.ivaLiquido) : '-'}</td>
+            <td>${hibrido ? formatarMoeda(hibrido.creditoTransferido) : '-'}</td>
+            <td>${formatarMoeda(integral.valorRetidoSplit)} / ${hibrido ? formatarMoeda(hibrido.valorRetidoSplit) : '-'}</td>
+            <td>${formatarMoeda(integral.custoTotal)} / ${hibrido ? formatarMoeda(hibrido.custoTotal) : '-'}</td>
+            <td>${hibrido ? `${rotulos[recomendacao]} (economia de ${formatarMoeda(economia)})` : descricaoSemOpcao}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+
+    const resumo = document.getElementById('simples-nacional-resumo');
+    if (resumo) {
+        const { parametros, anosHibridoVantajoso, recomendacao } = simplesNacional;
+        resumo.textContent = `Opção informada: ${rotulos[parametros.opcaoInformada]}. ` +
+            `Recomendação para o período: ${rotulos[recomendacao]}` +
+            (anosHibridoVantajoso.length > 0 ? ` (híbrido vantajoso em ${anosHibridoVantajoso.join(', ')})` : '') + '. ' +
+            `Premissas: ${(parametros.percentualB2B * 100).toFixed(0)}% das vendas a contribuintes do regime regular, ` +
+            `compras com crédito de ${(parametros.percentualCompras * 100).toFixed(0)}% do faturamento, ` +
+            `${(parametros.repasseCredito * 100).toFixed(0)}% do crédito não transferido descontado no preço.`;
+    }
+
+    container.style.display = 'block';
+}
+
+/**
+ * Atualiza a tabela do saldo credor de ICMS e do ICMS-ST ao longo da transição
+ * Exibida quando há saldo credor (informado ou formado na projeção) ou operações com ST
+ * @param {Object} resultado - Resultados da simulação
+ */
+function atualizarTabelaSaldoCredorICMS(resultado) {
+    const container = document.getElementById('icms-saldo-credor-resultado');
+    const tbody = document.querySelector('#tabela-icms-saldo-credor tbody');
+    if (!container || !tbody) return;
+
+    const saldoCredor = resultado.projecaoTemporal?.saldoCredorICMS;
+    const resultadosAnuais = resultado.projecaoTemporal?.resultadosAnuais || {};
+    tbody.innerHTML = '';
+
+    const possuiSaldo = saldoCredor && Object.values(saldoCredor.porAno)
+        .some(ano => ano.transicao.saldoInicial > 0 || ano.transicao.saldoFinal > 0 || ano.transicao.saldoConvertido > 0);
+    if (!saldoCredor || (!possuiSaldo && !resultado.icmsST)) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const formatarPercentual = (valor) => window.DataManager.formatarPercentual(valor * 100);
+
+    Object.keys(saldoCredor.porAno).sort().forEach(ano => {
+        const { remanescenteICMS, transicao } = saldoCredor.porAno[ano];
+        const icmsSTMensal = resultadosAnuais[ano]?.resultadoIVASemSplit?.impostos?.icmsST || 0;
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${ano}</td>
+            <td>${formatarPercentual(remanescenteICMS)}</td>
+            <td>${formatarMoeda(transicao.saldoInicial)}</td>
+            <td>${formatarMoeda(transicao.saldoUtilizado)}</td>
+            <td>${formatarMoeda(transicao.icmsRecolher)}</td>
+            <td>${formatarMoeda(icmsSTMensal * 12)}</td>
+            <td>${formatarMoeda(transicao.saldoFinal)}</td>
+            <td>${transicao.saldoConvertido > 0 ? formatarMoeda(transicao.saldoConvertido) : '-'}</td>
+            <td>${formatarMoeda(transicao.compensacaoIBS)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+
+    const resumo = document.getElementById('icms-saldo-credor-resumo');
+    if (resumo) {
+        const partes = [`Saldo credor inicial: ${formatarMoeda(saldoCredor.saldoInicial)}.`];
+        if (saldoCredor.anoConversao) {
+            partes.push(`Saldo convertido em ${saldoCredor.anoConversao}: ${formatarMoeda(saldoCredor.saldoConvertido)}, ` +
+                `compensado com o IBS em ${saldoCredor.parcelasCompensacaoIBS} parcelas de ${formatarMoeda(saldoCredor.parcelaMensalIBS)}.`);
+        }
+        if (resultado.icmsST) {
+            const st = resultado.icmsST;
+            partes.push(`ICMS-ST (${st.condicao === 'substituto' ? 'substituto' : 'substituído'}): MVA aplicada ` +
+                `${formatarPercentual(st.mvaAplicada)}, base ST ${formatarMoeda(st.baseST)}, ICMS-ST ${formatarMoeda(st.icmsST)}` +
+                (st.ressarcimento > 0 ? `, ressarcimento ${formatarMoeda(st.ressarcimento)}` : '') + ' por mês.');
+        }
+        resumo.textContent = partes.join(' ');
+    }
+
+    container.style.display = 'block';
+}
+
+/**
+ * Atualiza a tabela da carteira de créditos de CBS/IBS (compensação e ressarcimento)
+ * Exibida apenas quando a simulação considera o acúmulo de créditos
+ * @param {Object} resultado - Resultados da simulação
+ */
+function atualizarTabelaRessarcimentoCreditos(resultado) {
+    const container = document.getElementById('ressarcimento-creditos-resultado');
+    const tbody = document.querySelector('#tabela-ressarcimento-creditos tbody');
+    if (!container || !tbody) return;
+
+    const resultadosAnuais = resultado.projecaoTemporal?.resultadosAnuais || {};
+    const anos = Object.keys(resultadosAnuais).sort().filter(ano => resultadosAnuais[ano].ressarcimentoCreditos);
+    tbody.innerHTML = '';
+    if (anos.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const formatarMoeda = window.DataManager.formatarMoeda;
+
+    anos.forEach(ano => {
+        const carteira = resultadosAnuais[ano].ressarcimentoCreditos;
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${ano}</td>
+            <td>${formatarMoeda(carteira.creditosGerados)}</td>
+            <td>${formatarMoeda(carteira.creditosCompensados)}</td>
+            <td>${formatarMoeda(carteira.ressarcimentoSolicitado)}</td>
+            <td>${formatarMoeda(carteira.ressarcimentoRecebido)}</td>
+            <td>${formatarMoeda(carteira.saldoCredorFinal)}</td>
+            <td>${formatarMoeda(carteira.ressarcimentoEmAnalise)}</td>
+            <td>${formatarMoeda(carteira.capitalRetidoMedio)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+
+    const resumo = document.getElementById('ressarcimento-creditos-resumo');
+    if (resumo) {
+        const ultimo = resultadosAnuais[anos[anos.length - 1]].ressarcimentoCreditos;
+        const maiorRetencao = anos.reduce((maior, ano) =>
+            Math.max(maior, resultadosAnuais[ano].ressarcimentoCreditos.capitalRetidoMedio), 0);
+        resumo.textContent = `Capital retido médio máximo: ${formatarMoeda(maiorRetencao)}, descontado do capital de giro disponível. ` +
+            `Ao final de ${anos[anos.length - 1]}: saldo credor ${formatarMoeda(ultimo.saldoCredorFinal)} e ` +
+            `ressarcimento em análise ${formatarMoeda(ultimo.ressarcimentoEmAnalise)}.`;
+    }
+
+    container.style.display = 'block';
+}
+
+/**
+ * Atualiza a tabela de impacto do split payment no lucro líquido da DRE importada da ECF
+ * Exibida apenas quando a simulação dispõe da DRE (L300/P150)
+ * @param {Object} resultado - Resultados da simulação
+ */
+function atualizarTabelaImpactoResultadoECF(resultado) {
+    const container = document.getElementById('impacto-resultado-ecf');
+    const tbody = document.querySelector('#tabela-impacto-resultado-ecf tbody');
+    if (!container || !tbody) return;
+
+    const resultadosAnuais = resultado.projecaoTemporal?.resultadosAnuais || {};
+    const anos = Object.keys(resultadosAnuais).sort()
+        .filter(ano => resultadosAnuais[ano].impactoResultado?.fonteResultado === 'ecf');
+    tbody.innerHTML = '';
+    if (anos.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const formatarPercentual = valor => (valor * 100).toFixed(2) + '%';
+
+    anos.forEach(ano => {
+        const impacto = resultadosAnuais[ano].impactoResultado;
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${ano}</td>
+            <td>${formatarMoeda(impacto.custoAnual)}</td>
+            <td>${formatarMoeda(impacto.economiaTributaria || 0)}</td>
+            <td>${formatarMoeda(impacto.impactoLucroLiquido ?? impacto.custoAnual)}</td>
+            <td>${impacto.lucroLiquidoAjustado !== undefined ? formatarMoeda(impacto.lucroLiquidoAjustado) : '-'}</td>
+            <td>${impacto.margemLiquida !== undefined ? formatarPercentual(impacto.margemLiquida) : '-'}</td>
+            <td>${impacto.margemLiquidaAjustada !== undefined ? formatarPercentual(impacto.margemLiquidaAjustada) : '-'}</td>
+            <td>${impacto.percentualDoLucroLiquido !== undefined ? impacto.percentualDoLucroLiquido.toFixed(2) + '%' : '-'}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+
+    const resumo = document.getElementById('impacto-resultado-ecf-resumo');
+    if (resumo) {
+        const primeiro = resultadosAnuais[anos[0]].impactoResultado;
+        resumo.textContent = `Receita de ${formatarMoeda(primeiro.faturamentoAnual)} e lucro operacional de ` +
+            `${formatarMoeda(primeiro.lucroOperacionalAnual)} pela ECF. ` +
+            (primeiro.regime === 'real' ?
+                `Lucro Real: o custo financeiro é dedutível, com alíquota efetiva de IRPJ/CSLL de ${formatarPercentual(primeiro.aliquotaEfetiva)}.` :
+                'Sem dedução do custo financeiro na base de IRPJ/CSLL (lucro presumido).');
+    }
+
+    container.style.display = 'block';
+}
+
+/**
+ * Atualiza a tabela de recebíveis por meio de pagamento do fluxo de caixa mensal
+ * Exibida apenas quando a simulação informa as vendas por meio de pagamento
+ * @param {Object} resultado - Resultados da simulação
+ */
+function atualizarTabelaMeiosPagamento(resultado) {
+    const container = document.getElementById('meios-pagamento-resultado');
+    const tbody = document.querySelector('#tabela-meios-pagamento tbody');
+    if (!container || !tbody) return;
+
+    const meiosPagamento = resultado.fluxoCaixaMensal?.meiosPagamento;
+    tbody.innerHTML = '';
+    if (!meiosPagamento) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const formatarPercentual = (valor) => window.DataManager.formatarPercentual(valor * 100);
+
+    meiosPagamento.forEach(meio => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${meio.nome}</td>
+            <td>${formatarPercentual(meio.participacao)}</td>
+            <td>${meio.parcelas}</td>
+            <td>${meio.prazoMedioLiquidacao.toFixed(1)}</td>
+            <td>${formatarPercentual(meio.taxa)}</td>
+            <td>${formatarMoeda(meio.vendas)}</td>
+            <td>${formatarMoeda(meio.recebido)}</td>
+            <td>${formatarMoeda(meio.taxas)}</td>
+            <td>${meio.split ? formatarMoeda(meio.retencaoSplit) : 'Fora do split'}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+
+    const resumo = document.getElementById('meios-pagamento-resultado-resumo');
+    if (resumo) {
+        const prazoMedio = meiosPagamento.reduce((soma, meio) => soma + meio.participacao * meio.prazoMedioLiquidacao, 0);
+        const taxas = meiosPagamento.reduce((soma, meio) => soma + meio.taxas, 0);
+        resumo.textContent = `Prazo médio ponderado de liquidação: ${prazoMedio.toFixed(1)} dias; ` +
+            `a retenção do split acompanha cada liquidação. Taxas dos meios de pagamento no período: ${formatarMoeda(taxas)}.`;
+    }
+
+    container.style.display = 'block';
+}
+
+/**
+ * Atualiza a tabela do IBS por destino das vendas (UF/município)
+ * Exibida apenas quando a simulação informa a composição das vendas por destino
+ * @param {Object} resultado - Resultados da simulação
+ */
+function atualizarTabelaIBSDestino(resultado) {
+    const container = document.getElementById('ibs-destino-resultado');
+    const tbody = document.querySelector('#tabela-ibs-destino tbody');
+    if (!container || !tbody) return;
+
+    const ibsPorDestino = resultado.ibsPorDestino;
+    tbody.innerHTML = '';
+    if (!ibsPorDestino) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const formatarMoeda = window.DataManager.formatarMoeda;
+    const formatarPercentual = (valor) => window.DataManager.formatarPercentual(valor * 100);
+
+    ibsPorDestino.porDestino.forEach(destino => {
+        const linha = document.createElement('tr');
+        linha.innerHTML = `
+            <td>${destino.uf === 'EX' ? 'Exterior' : destino.uf}</td>
+            <td>${destino.municipio || destino.codigoMunicipio || 'Todos'}</td>
+            <td>${formatarPercentual(destino.participacao)}</td>
+            <td>${formatarPercentual(destino.aliquotaDestino)}</td>
+            <td>${formatarMoeda(destino.base)}</td>
+            <td>${formatarMoeda(destino.ibs)}</td>
+        `;
+        tbody.appendChild(linha);
+    });
+
+    const linhaTotal = document.createElement('tr');
+    linhaTotal.innerHTML = `
+        <td colspan="3"><strong>Total ponderado</strong></td>
+        <td><strong>${formatarPercentual(ibsPorDestino.aliquotaDestinoPonderada)}</strong></td>
+        <td><strong>${formatarMoeda(ibsPorDestino.base)}</strong></td>
+        <td><strong>${formatarMoeda(ibsPorDestino.ibsPonderado)}</strong></td>
+    `;
+    tbody.appendChild(linhaTotal);
+
+    const resumo = document.getElementById('ibs-destino-resumo-resultado');
+    if (resumo) {
+        const diferenca = ibsPorDestino.diferenca;
+        resumo.textContent = `Alíquota efetiva do IBS: ${formatarPercentual(ibsPorDestino.aliquotaEfetiva)} ` +
+            `(configurada: ${formatarPercentual(ibsPorDestino.aliquotaConfigurada)}). ` +
+            `IBS pela composição de destinos: ${formatarMoeda(ibsPorDestino.ibsPonderado)} contra ` +
+            `${formatarMoeda(ibsPorDestino.ibsAliquotaUnica)} pela alíquota única ` +
+            `(${diferenca >= 0 ? '+' : ''}${formatarMoeda(diferenca)} ao mês).`;
+    }
+
+    container.style.display = 'block';
+}
+
 // ADICIONAR esta nova função:
 function renderizarGraficosDetalhamento(resultado) {
     console.log('Renderizando gráficos de detalhamento...');
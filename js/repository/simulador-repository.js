@@ -56,9 +56,30 @@ window.SimuladorRepository = {
         interfaceState: {
             simulacaoRealizada: false
         },
-        historicoCalculos: [] // Novo campo para o histórico de cálculos
+        historicoCalculos: [], // Novo campo para o histórico de cálculos
+        cenarios: [], // Cenários nomeados salvos pelo usuário
+        carteira: [] // Perfis de empresas da carteira (simulação em lote)
     },
 
+    // Estrutura de um cenário:
+    // {
+    //   id: String,
+    //   nome: String, // Ex: "Base", "Fornecedores renegociados", "Preço +3%"
+    //   criadoEm: String (ISO), atualizadoEm: String (ISO),
+    //   dados: Object, // Dados da simulação (formato aninhado)
+    //   resumo: Object // Resumo dos resultados (ver CenariosController.resumirResultados)
+    // }
+
+    // Estrutura de um perfil da carteira:
+    // {
+    //   id: String, nome: String, cnpj: String,
+    //   empresa: Object, cicloFinanceiro: Object, parametrosFiscais: Object, // Seções no formato aninhado
+    //   ivaConfig: Object | null, estrategias: Object | null, // null: perfil anterior, usa as do formulário
+    //   sped: { importadoEm, composicaoTributaria } | null, // Importação SPED opcional
+    //   ultimaSimulacao: { simuladoEm, resumo, erro } | null,
+    //   criadoEm: String (ISO), atualizadoEm: String (ISO)
+    // }
+
     /**
      * Inicializa o repositório
      */
@@ -92,7 +113,12 @@ window.SimuladorRepository = {
             if (!Array.isArray(this._dadosSimulador.historicoCalculos)) {
                 this._dadosSimulador.historicoCalculos = [];
             }
-
+            if (!Array.isArray(this._dadosSimulador.cenarios)) {
+                this._dadosSimulador.cenarios = [];
+            }
+            if (!Array.isArray(this._dadosSimulador.carteira)) {
+                this._dadosSimulador.carteira = [];
+            }
 
             console.log('Dados carregados do localStorage. Histórico de cálculos possui ' + (this._dadosSimulador.historicoCalculos ? this._dadosSimulador.historicoCalculos.length : 0) + ' itens.');
             return true;
@@ -103,6 +129,12 @@ window.SimuladorRepository = {
             if (!Array.isArray(this._dadosSimulador.historicoCalculos)) { // Ensure historicoCalculos is an array after reset
                  this._dadosSimulador.historicoCalculos = [];
             }
+            if (!Array.isArray(this._dadosSimulador.cenarios)) {
+                this._dadosSimulador.cenarios = [];
+            }
+            if (!Array.isArray(this._dadosSimulador.carteira)) {
+                this._dadosSimulador.carteira = [];
+            }
             return false;
         }
     },
@@ -190,6 +222,220 @@ window.SimuladorRepository = {
         this._dadosSimulador.historicoCalculos = [];
         this.salvar();
         console.log('Histórico de cálculos limpo.');
+    },
+
+    /**
+     * Obtém todos os cenários salvos
+     * @returns {Array} - Cenários em ordem de criação
+     */
+    obterCenarios: function() {
+        return this._dadosSimulador.cenarios || [];
+    },
+
+    /**
+     * Obtém um cenário pelo identificador
+     * @param {string} id - Identificador do cenário
+     * @returns {Object|null} - Cenário ou null se não existir
+     */
+    obterCenario: function(id) {
+        return this.obterCenarios().find(cenario => cenario.id === id) || null;
+    },
+
+    /**
+     * Salva um novo cenário nomeado
+     * @param {string} nome - Nome do cenário
+     * @param {Object} dados - Dados da simulação (formato aninhado)
+     * @param {Object} resumo - Resumo dos resultados da simulação
+     * @returns {Object|null} - Cenário criado ou null se o nome for inválido ou já existir
+     */
+    salvarCenario: function(nome, dados, resumo) {
+        const nomeNormalizado = (nome || '').trim();
+        if (!nomeNormalizado || this._existeNomeCenario(nomeNormalizado)) {
+            return null;
+        }
+
+        const agora = new Date().toISOString();
+        const cenario = {
+            id: 'cen-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6),
+            nome: nomeNormalizado,
+            criadoEm: agora,
+            atualizadoEm: agora,
+            dados: JSON.parse(JSON.stringify(dados || {})),
+            resumo: resumo ? JSON.parse(JSON.stringify(resumo)) : null
+        };
+
+        if (!Array.isArray(this._dadosSimulador.cenarios)) {
+            this._dadosSimulador.cenarios = [];
+        }
+        this._dadosSimulador.cenarios.push(cenario);
+        this.salvar();
+        console.log(`Cenário "${cenario.nome}" salvo.`);
+        return cenario;
+    },
+
+    /**
+     * Atualiza nome, dados ou resumo de um cenário existente
+     * @param {string} id - Identificador do cenário
+     * @param {Object} alteracoes - { nome?, dados?, resumo? }
+     * @returns {Object|null} - Cenário atualizado ou null se não existir ou o novo nome já estiver em uso
+     */
+    atualizarCenario: function(id, alteracoes) {
+        const cenario = this.obterCenario(id);
+        if (!cenario) {
+            return null;
+        }
+
+        if (alteracoes.nome !== undefined) {
+            const nome = (alteracoes.nome || '').trim();
+            if (!nome || this._existeNomeCenario(nome, id)) {
+                return null;
+            }
+            cenario.nome = nome;
+        }
+        if (alteracoes.dados !== undefined) {
+            cenario.dados = JSON.parse(JSON.stringify(alteracoes.dados));
+        }
+        if (alteracoes.resumo !== undefined) {
+            cenario.resumo = alteracoes.resumo ? JSON.parse(JSON.stringify(alteracoes.resumo)) : null;
+        }
+        cenario.atualizadoEm = new Date().toISOString();
+
+        this.salvar();
+        return cenario;
+    },
+
+    /**
+     * Cria uma cópia de um cenário com outro nome
+     * @param {string} id - Identificador do cenário de origem
+     * @param {string} novoNome - Nome da cópia
+     * @returns {Object|null} - Cenário criado ou null em caso de falha
+     */
+    clonarCenario: function(id, novoNome) {
+        const origem = this.obterCenario(id);
+        if (!origem) {
+            return null;
+        }
+        return this.salvarCenario(novoNome, origem.dados, origem.resumo);
+    },
+
+    /**
+     * Remove um cenário
+     * @param {string} id - Identificador do cenário
+     * @returns {boolean} - true se o cenário existia
+     */
+    removerCenario: function(id) {
+        const cenarios = this.obterCenarios();
+        const indice = cenarios.findIndex(cenario => cenario.id === id);
+        if (indice < 0) {
+            return false;
+        }
+        cenarios.splice(indice, 1);
+        this.salvar();
+        return true;
+    },
+
+    /**
+     * Obtém todos os perfis de empresas da carteira
+     * @returns {Array} - Perfis em ordem de cadastro
+     */
+    obterPerfisCarteira: function() {
+        return this._dadosSimulador.carteira || [];
+    },
+
+    /**
+     * Obtém um perfil da carteira pelo identificador
+     * @param {string} id - Identificador do perfil
+     * @returns {Object|null} - Perfil ou null se não existir
+     */
+    obterPerfilCarteira: function(id) {
+        return this.obterPerfisCarteira().find(perfil => perfil.id === id) || null;
+    },
+
+    /**
+     * Inclui um perfil na carteira ou substitui o perfil com o mesmo id
+     * A substituição descarta a última simulação, que deixa de corresponder aos dados
+     * @param {Object} perfil - { id?, nome, cnpj, empresa, cicloFinanceiro, parametrosFiscais, ivaConfig, estrategias, sped }
+     * @returns {Object|null} - Perfil salvo ou null se não houver nome
+     */
+    salvarPerfilCarteira: function(perfil) {
+        const nome = (perfil.nome || '').trim();
+        if (!nome) {
+            return null;
+        }
+
+        if (!Array.isArray(this._dadosSimulador.carteira)) {
+            this._dadosSimulador.carteira = [];
+        }
+
+        const agora = new Date().toISOString();
+        const existente = perfil.id ? this.obterPerfilCarteira(perfil.id) : null;
+        const perfilSalvo = {
+            id: existente ? existente.id : 'emp-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6),
+            nome,
+            cnpj: perfil.cnpj || '',
+            empresa: JSON.parse(JSON.stringify(perfil.empresa || {})),
+            cicloFinanceiro: JSON.parse(JSON.stringify(perfil.cicloFinanceiro || {})),
+            parametrosFiscais: JSON.parse(JSON.stringify(perfil.parametrosFiscais || {})),
+            ivaConfig: perfil.ivaConfig ? JSON.parse(JSON.stringify(perfil.ivaConfig)) : null,
+            estrategias: perfil.estrategias ? JSON.parse(JSON.stringify(perfil.estrategias)) : null,
+            sped: perfil.sped ? JSON.parse(JSON.stringify(perfil.sped)) : null,
+            ultimaSimulacao: null,
+            criadoEm: existente ? existente.criadoEm : agora,
+            atualizadoEm: agora
+        };
+
+        if (existente) {
+            const carteira = this._dadosSimulador.carteira;
+            carteira[carteira.indexOf(existente)] = perfilSalvo;
+        } else {
+            this._dadosSimulador.carteira.push(perfilSalvo);
+        }
+
+        this.salvar();
+        console.log(`Perfil "${perfilSalvo.nome}" salvo na carteira.`);
+        return perfilSalvo;
+    },
+
+    /**
+     * Registra o resultado da simulação em lote de um perfil
+     * @param {string} id - Identificador do perfil
+     * @param {Object} ultimaSimulacao - { simuladoEm, resumo, erro }
+     * @returns {boolean} - true se o perfil existe
+     */
+    registrarSimulacaoPerfilCarteira: function(id, ultimaSimulacao) {
+        const perfil = this.obterPerfilCarteira(id);
+        if (!perfil) {
+            return false;
+        }
+        perfil.ultimaSimulacao = JSON.parse(JSON.stringify(ultimaSimulacao));
+        this.salvar();
+        return true;
+    },
+
+    /**
+     * Remove um perfil da carteira
+     * @param {string} id - Identificador do perfil
+     * @returns {boolean} - true se o perfil existia
+     */
+    removerPerfilCarteira: function(id) {
+        const carteira = this.obterPerfisCarteira();
+        const indice = carteira.findIndex(perfil => perfil.id === id);
+        if (indice < 0) {
+            return false;
+        }
+        carteira.splice(indice, 1);
+        this.salvar();
+        return true;
+    },
+
+    /**
+     * Verifica se já existe cenário com o nome (sem diferenciar maiúsculas)
+     * @private
+     */
+    _existeNomeCenario: function(nome, idIgnorado) {
+        const nomeComparado = nome.toLowerCase();
+        return this.obterCenarios().some(cenario =>
+            cenario.id !== idIgnorado && cenario.nome.toLowerCase() === nomeComparado);
     }
 };
 
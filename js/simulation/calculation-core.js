@@ -69,12 +69,57 @@ window.CalculationCore = (function() {
             return 1.3;
         }
 
-        // Implementação básica: fator padrão de 1.3 (30% de aumento)
-        // Em uma implementação real, este cálculo seria baseado em dados históricos
-        // de sazonalidade específicos da empresa ou do setor
+        // Com série mensal importada do SPED, o fator é o pico sobre a média mensal
+        const indices = calcularIndicesSazonais(dados.historicoMensal);
+        if (indices) {
+            const fator = Math.max(...Object.values(indices));
+            console.log(`Fator de sazonalidade calculado a partir de ${dados.historicoMensal.length} meses: ${fator.toFixed(4)}`);
+            return fator;
+        }
+
+        // Sem histórico: fator padrão de 1.3 (30% de aumento)
         return 1.3;
     }
 
+    /**
+     * Calcula os índices sazonais por mês do ano a partir da série mensal de faturamento
+     * Meses repetidos em anos diferentes são combinados pela média
+     * @param {Array} historicoMensal - Série [{ periodo: 'AAAA-MM', faturamento }]
+     * @returns {Object|null} - Índices por mês (1-12) relativos à média, ou null se houver menos de 3 meses
+     */
+    function calcularIndicesSazonais(historicoMensal) {
+        if (!Array.isArray(historicoMensal)) {
+            return null;
+        }
+
+        const porMes = {};
+        historicoMensal.forEach(registro => {
+            const mes = parseInt(String(registro.periodo || '').split('-')[1], 10);
+            const faturamento = Number(registro.faturamento) || 0;
+            if (mes >= 1 && mes <= 12 && faturamento > 0) {
+                porMes[mes] = porMes[mes] || [];
+                porMes[mes].push(faturamento);
+            }
+        });
+
+        const meses = Object.keys(porMes);
+        if (meses.length < 3) {
+            return null;
+        }
+
+        const mediasMes = {};
+        meses.forEach(mes => {
+            mediasMes[mes] = porMes[mes].reduce((a, b) => a + b, 0) / porMes[mes].length;
+        });
+        const mediaGeral = Object.values(mediasMes).reduce((a, b) => a + b, 0) / meses.length;
+
+        const indices = {};
+        meses.forEach(mes => {
+            indices[mes] = mediasMes[mes] / mediaGeral;
+        });
+        return indices;
+    }
+
     /**
      * Calcula o fator de crescimento para ajuste da necessidade de capital
      * @param {Object} dados - Dados planos de simulação
@@ -224,6 +269,8 @@ window.CalculationCore = (function() {
 
     /**
      * Calcula o impacto no resultado de um custo financeiro
+     * Com a DRE da ECF (dados.dre), usa a receita e os lucros reais do exercício
+     * e estima o efeito no lucro líquido conforme o regime de IRPJ/CSLL
      * @param {Object} dados - Dados planos de simulação
      * @param {number} custoAnual - Custo financeiro anual
      * @returns {Object} - Análise de impacto no resultado
@@ -252,11 +299,18 @@ window.CalculationCore = (function() {
         const margem = typeof dados.margem === 'number' && !isNaN(dados.margem) ? 
                       dados.margem : 0;
 
+        // DRE importada da ECF: usar os valores reais do exercício em vez da margem informada
+        const dre = dados.dre && typeof dados.dre === 'object' ? dados.dre : null;
+        const receitaDre = dre ? (dre.receitaBruta || dre.receitaLiquida || 0) : 0;
+        const usarDre = receitaDre > 0;
+
         // Calcular faturamento anual
-        const faturamentoAnual = faturamento * 12;
+        const faturamentoAnual = usarDre ? receitaDre : faturamento * 12;
 
         // Calcular lucro operacional anual
-        const lucroOperacionalAnual = faturamentoAnual * margem;
+        const lucroOperacionalAnual = usarDre && typeof dre.lucroOperacional === 'number' ?
+                                    dre.lucroOperacional :
+                                    faturamentoAnual * margem;
 
         // Calcular percentuais com proteção contra divisão por zero
         const percentualDaReceita = faturamentoAnual > 0 ? 
@@ -269,14 +323,42 @@ window.CalculationCore = (function() {
         const margemAjustada = faturamentoAnual > 0 ? 
                               resultadoAjustado / faturamentoAnual : 0;
 
-        return {
+        const resultado = {
             faturamentoAnual,
             lucroOperacionalAnual,
             custoAnual,
             percentualDaReceita,
             percentualDoLucro,
             resultadoAjustado,
-            margemAjustada
+            margemAjustada,
+            fonteResultado: usarDre ? 'ecf' : 'margem informada'
+        };
+
+        if (!usarDre || typeof dre.lucroLiquido !== 'number') {
+            return resultado;
+        }
+
+        // No Lucro Real a despesa financeira é dedutível e reduz IRPJ/CSLL; no Presumido não há economia
+        const tributacao = dre.tributacao || {};
+        const regime = tributacao.regime || dados.regime;
+        const aliquotaEfetiva = typeof tributacao.aliquotaEfetiva === 'number' ? tributacao.aliquotaEfetiva : 0.34;
+        const economiaTributaria = regime === 'real' ? custoAnual * aliquotaEfetiva : 0;
+        const impactoLucroLiquido = custoAnual - economiaTributaria;
+        const lucroLiquidoAnual = dre.lucroLiquido;
+        const lucroLiquidoAjustado = lucroLiquidoAnual - impactoLucroLiquido;
+
+        return {
+            ...resultado,
+            regime,
+            aliquotaEfetiva: regime === 'real' ? aliquotaEfetiva : 0,
+            economiaTributaria,
+            impactoLucroLiquido,
+            lucroLiquidoAnual,
+            lucroLiquidoAjustado,
+            margemLiquida: faturamentoAnual > 0 ? lucroLiquidoAnual / faturamentoAnual : 0,
+            margemLiquidaAjustada: faturamentoAnual > 0 ? lucroLiquidoAjustado / faturamentoAnual : 0,
+            percentualDoLucroLiquido: lucroLiquidoAnual > 0 ?
+                                    (impactoLucroLiquido / lucroLiquidoAnual) * 100 : 0
         };
     }
 
@@ -368,7 +450,7 @@ window.CalculationCore = (function() {
     /**
      * Gera memória crítica de cálculo
      * @param {Object} dados - Dados planos de simulação
-     * @param {Object} valores - Valores adicionais para cálculo (opcional)
+     * @param {Object} valores - Valores adicionais para cálculo (opcional; ano para a vigência do Imposto Seletivo)
      * @returns {Object} - Memória crítica de cálculo
      */
     function gerarMemoriaCritica(dados, valores = null) {
@@ -400,8 +482,17 @@ window.CalculationCore = (function() {
         const percPrazo = typeof dados.percPrazo === 'number' && !isNaN(dados.percPrazo) ? 
                          dados.percPrazo : 0;
 
+        // Imposto Seletivo: sem ano informado, considera a alíquota configurada
+        let aliquotaIS = typeof dados.aliquotaIS === 'number' && !isNaN(dados.aliquotaIS) ? dados.aliquotaIS : 0;
+        if (aliquotaIS > 0 && valores?.ano && window.CurrentTaxSystem &&
+            window.CurrentTaxSystem.obterPercentualImplementacao(valores.ano, 'impostoSeletivo') === 0) {
+            aliquotaIS = 0;
+        }
+        const valorImpostoSeletivo = faturamento * aliquotaIS;
+
         // Calcular valores básicos sem recursão
-        const valorImpostoTotal = faturamento * aliquota;
+        const baseCbsIbs = faturamento + valorImpostoSeletivo;
+        const valorImpostoTotal = baseCbsIbs * aliquota;
         const valorImpostoLiquido = Math.max(0, valorImpostoTotal - creditos);
 
         // Usar função formatarMoeda do DataManager se disponível, senão usar implementação local
@@ -411,7 +502,7 @@ window.CalculationCore = (function() {
         };
 
         // Criar o objeto base de memória crítica
-        return {
+        const memoria = {
             tituloRegime: "Regime Tributário",
             descricaoRegime: "Simulação de Split Payment e Reforma Tributária",
             formula: `Impacto = Valor do Imposto × Percentual de Implementação`,
@@ -423,6 +514,39 @@ window.CalculationCore = (function() {
                 `Distribuição de vendas: ${(percVista*100).toFixed(1)}% à vista e ${(percPrazo*100).toFixed(1)}% a prazo.`
             ]
         };
+
+        if (valorImpostoSeletivo > 0) {
+            memoria.formula = `Impacto = (CBS + IBS sobre Faturamento + IS) × Percentual de Implementação`;
+            memoria.passoAPasso = [
+                `1. Cálculo do Imposto Seletivo: ${formatoMoeda(faturamento)} × ${(aliquotaIS*100).toFixed(2)}% = ${formatoMoeda(valorImpostoSeletivo)}`,
+                `2. Base da CBS/IBS (faturamento + IS): ${formatoMoeda(faturamento)} + ${formatoMoeda(valorImpostoSeletivo)} = ${formatoMoeda(baseCbsIbs)}`,
+                `3. Cálculo do Imposto Total: ${formatoMoeda(baseCbsIbs)} × ${(aliquota*100).toFixed(2)}% = ${formatoMoeda(valorImpostoTotal)}`,
+                `4. Cálculo do Imposto Líquido: ${formatoMoeda(valorImpostoTotal)} - ${formatoMoeda(creditos)} = ${formatoMoeda(valorImpostoLiquido)}`
+            ];
+            memoria.observacoes.push(
+                `Imposto Seletivo (${descreverVigenciaImpostoSeletivo()}): recolhido pelo contribuinte, não sujeito ao split payment e sem direito a crédito.`
+            );
+        }
+
+        return memoria;
+    }
+
+    /**
+     * Obtém o último ano da transição segundo o perfil de legislação ativo
+     * @returns {number} Ano final
+     */
+    function obterAnoFinalTransicao() {
+        return typeof LegislacaoRepository !== 'undefined' ? LegislacaoRepository.obterPeriodo().anoFinal : 2033;
+    }
+
+    /**
+     * Descreve o início da cobrança do Imposto Seletivo segundo o perfil de legislação ativo
+     * @returns {string} Ex.: 'a partir de 2027'
+     */
+    function descreverVigenciaImpostoSeletivo() {
+        const anoInicio = typeof LegislacaoRepository !== 'undefined' ?
+            LegislacaoRepository.obterAnoInicio('impostoSeletivo') : 2027;
+        return anoInicio ? `a partir de ${anoInicio}` : 'sem vigência no perfil de legislação';
     }
 
     /**
@@ -434,6 +558,7 @@ window.CalculationCore = (function() {
      */
     function gerarSecaoAnaliseSensibilidade(dados, diferencaCapitalGiro, ano) {
         let texto = '';
+        const anoFinal = obterAnoFinalTransicao();
 
         // Tabela de sensibilidade para diferentes percentuais de implementação
         texto += `6.1. SENSIBILIDADE A DIFERENTES PERCENTUAIS DE IMPLEMENTAÇÃO:\n`;
@@ -453,7 +578,7 @@ window.CalculationCore = (function() {
         // Sensibilidade a diferentes taxas de crescimento
         texto += `6.2. SENSIBILIDADE A DIFERENTES TAXAS DE CRESCIMENTO:\n`;
         texto += `A tabela abaixo mostra o impacto acumulado para diferentes cenários de crescimento.\n\n`;
-        texto += `| Cenário       | Taxa de Crescimento | Impacto Acumulado (${ano}-2033) |\n`;
+        texto += `| Cenário       | Taxa de Crescimento | Impacto Acumulado (${ano}-${anoFinal}) |\n`;
         texto += `|--------------|--------------------|---------------------------------|\n`;
 
         const cenarios = [
@@ -465,7 +590,7 @@ window.CalculationCore = (function() {
 
         cenarios.forEach(cenario => {
             // Cálculo simplificado do impacto acumulado
-            const anos = 2033 - ano + 1;
+            const anos = anoFinal - ano + 1;
             const fatorAcumulado = (1 - Math.pow(1 + cenario.taxa, anos)) / (1 - (1 + cenario.taxa));
             const impactoAcumulado = Math.abs(diferencaCapitalGiro) * fatorAcumulado;
 
@@ -483,8 +608,9 @@ window.CalculationCore = (function() {
      */
     function gerarSecaoProjecaoTemporal(dados, ano) {
         let texto = '';
+        const anoFinal = obterAnoFinalTransicao();
 
-        // Projeção anual até 2033
+        // Projeção anual até o fim da transição
         texto += `7.1. PROJEÇÃO ANUAL DO IMPACTO NO CAPITAL DE GIRO:\n`;
         texto += `A tabela abaixo mostra a projeção do impacto no capital de giro até a implementação completa do Split Payment.\n\n`;
         texto += `| Ano  | % Implementação | Faturamento Projetado | Impacto no Capital de Giro | Necessidade Adicional |\n`;
@@ -493,7 +619,7 @@ window.CalculationCore = (function() {
         let faturamentoAtual = dados.faturamento;
         const taxaCrescimento = dados.taxaCrescimento || (dados.cenario === 'conservador' ? 0.02 : dados.cenario === 'otimista' ? 0.08 : 0.05);
 
-        for (let anoProj = ano; anoProj <= 2033; anoProj++) {
+        for (let anoProj = ano; anoProj <= anoFinal; anoProj++) {
             const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(anoProj);
             const valorImposto = faturamentoAtual * dados.aliquota;
             const impactoCapitalGiro = -valorImposto * percentualImplementacao;
@@ -508,13 +634,13 @@ window.CalculationCore = (function() {
         texto += `\n`;
 
         // Cálculo do impacto acumulado
-        texto += `7.2. CÁLCULO DO IMPACTO ACUMULADO (${ano}-2033):\n`;
+        texto += `7.2. CÁLCULO DO IMPACTO ACUMULADO (${ano}-${anoFinal}):\n`;
 
         let impactoAcumulado = 0;
         let custoFinanceiroAcumulado = 0;
         faturamentoAtual = dados.faturamento;
 
-        for (let anoProj = ano; anoProj <= 2033; anoProj++) {
+        for (let anoProj = ano; anoProj <= anoFinal; anoProj++) {
             const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(anoProj);
             const valorImposto = faturamentoAtual * dados.aliquota;
             const impactoCapitalGiro = -valorImposto * percentualImplementacao;
@@ -629,6 +755,7 @@ window.CalculationCore = (function() {
     return {
         calcularTempoMedioCapitalGiro,
         calcularFatorSazonalidade,
+        calcularIndicesSazonais,
         calcularFatorCrescimento,
         calcularOpcoesFinanciamento,
         calcularImpactoResultado,
@@ -637,6 +764,7 @@ window.CalculationCore = (function() {
         gerarSecaoAnaliseSensibilidade,
         gerarSecaoProjecaoTemporal,        
         traduzirNomeEstrategia,
+        descreverVigenciaImpostoSeletivo,
 		formatarMoeda: formatarMoeda,
 		formatarValorSeguro: formatarMoeda, // Ambos apontam para a mesma função
         getFuncaoCusto		
@@ -95,9 +95,189 @@ const CreditCompensationModule = (function() {
         };
     }
     
+    /**
+     * Calcula a disponibilidade dos créditos de compras no split payment: o crédito do adquirente
+     * só é reconhecido quando o tributo do fornecedor é efetivamente pago (LC 214/2025, art. 47).
+     * Nas compras liquidadas via split, isso ocorre no pagamento ao fornecedor (PMP); no regime
+     * atual, o crédito é apropriado na entrada da nota. Créditos de fornecedores que não recolhem
+     * o tributo não são reconhecidos.
+     * @param {number} creditos - Créditos mensais das compras
+     * @param {Object} opcoes - Parâmetros das compras
+     * @param {number} [opcoes.pmp=30] - Prazo médio de pagamento a fornecedores (dias)
+     * @param {number} [opcoes.conformidadeFornecedores=1] - Parcela das compras de fornecedores adimplentes (decimal)
+     * @param {number} [opcoes.percentualImplementacao=1] - Parcela das compras liquidadas via split (decimal)
+     * @returns {Object} - Créditos reconhecidos, não reconhecidos e em trânsito (aguardando o pagamento)
+     */
+    function calcularDisponibilidadeCreditos(creditos, opcoes = {}) {
+        const creditosInformados = Math.max(0, creditos || 0);
+        const pmp = Math.max(0, parseFloat(opcoes.pmp) || 0);
+
+        const conformidadeInformada = parseFloat(opcoes.conformidadeFornecedores);
+        const conformidadeFornecedores = isNaN(conformidadeInformada) ? 1 : Math.max(0, Math.min(1, conformidadeInformada));
+
+        const percentualInformado = parseFloat(opcoes.percentualImplementacao);
+        const percentualImplementacao = isNaN(percentualInformado) ? 1 : Math.max(0, Math.min(1, percentualInformado));
+
+        const creditosReconhecidos = creditosInformados * conformidadeFornecedores;
+
+        return {
+            creditosInformados,
+            conformidadeFornecedores,
+            creditosReconhecidos,
+            creditosNaoReconhecidos: creditosInformados - creditosReconhecidos,
+            defasagemDias: pmp,
+            // Estoque de créditos já incorridos que aguardam o pagamento ao fornecedor
+            creditosEmTransito: creditosReconhecidos * percentualImplementacao * (pmp / 30)
+        };
+    }
+
+    // Meses entre a apuração do crédito e sua compensação com os débitos retidos no split
+    const DEFASAGEM_COMPENSACAO = { automatica: 0, mensal: 1, trimestral: 3 };
+
+    // Prazo padrão de análise do pedido de ressarcimento, em dias
+    const PRAZO_RESSARCIMENTO_PADRAO = 60;
+
+    /**
+     * Cria a carteira de créditos de CBS/IBS acompanhada mês a mês: créditos aguardando
+     * compensação, saldo credor acumulado e pedidos de ressarcimento em análise.
+     * O saldo que excede os débitos do período é pedido em ressarcimento (total ou parcial)
+     * e devolvido após o prazo de análise; o que não é pedido segue para compensação futura.
+     * @param {Object} opcoes - Configuração da carteira
+     * @param {string} [opcoes.tipoCompensacao='automatica'] - 'automatica', 'mensal' ou 'trimestral'
+     * @param {number} [opcoes.prazoRessarcimento=60] - Prazo de análise do pedido (dias)
+     * @param {number} [opcoes.percentualRessarcimento=1] - Parcela do saldo credor pedida em ressarcimento (decimal)
+     * @param {number} [opcoes.saldoInicial=0] - Saldo credor no início da projeção
+     * @param {number} [opcoes.defasagemCredito=0] - Dias até o reconhecimento do crédito (pagamento ao fornecedor)
+     * @returns {Object} - Carteira com processarMes, processarAno e obterEstado
+     */
+    function criarCarteiraCreditos(opcoes = {}) {
+        const tipoCompensacao = DEFASAGEM_COMPENSACAO[opcoes.tipoCompensacao] !== undefined ?
+            opcoes.tipoCompensacao : 'automatica';
+        const defasagem = DEFASAGEM_COMPENSACAO[tipoCompensacao] +
+            Math.round(Math.max(0, parseFloat(opcoes.defasagemCredito) || 0) / 30);
+
+        const prazoInformado = parseFloat(opcoes.prazoRessarcimento);
+        const prazoRessarcimento = isNaN(prazoInformado) ? PRAZO_RESSARCIMENTO_PADRAO : Math.max(0, prazoInformado);
+        const mesesPrazo = Math.ceil(prazoRessarcimento / 30);
+
+        const percentualInformado = parseFloat(opcoes.percentualRessarcimento);
+        const percentualRessarcimento = isNaN(percentualInformado) ? 1 : Math.max(0, Math.min(1, percentualInformado));
+
+        let mesCorrente = 0;
+        let saldoCredor = Math.max(0, parseFloat(opcoes.saldoInicial) || 0);
+        const pendentes = [];   // { credito, debito, mesCompensacao }
+        const pedidos = [];     // { valor, mesPagamento }
+
+        const somar = (lista, campo) => lista.reduce((soma, item) => soma + item[campo], 0);
+
+        /**
+         * Processa um mês de apuração
+         * @param {number} debito - Débito de CBS/IBS do mês
+         * @param {number} credito - Crédito de CBS/IBS apropriado no mês
+         * @returns {Object} - Movimentação e posição da carteira no fim do mês
+         */
+        function processarMes(debito, credito) {
+            mesCorrente++;
+            pendentes.push({
+                credito: Math.max(0, credito || 0),
+                debito: Math.max(0, debito || 0),
+                mesCompensacao: mesCorrente + defasagem
+            });
+
+            // Compensar os créditos cujo período de apuração se encerrou
+            let creditosCompensados = 0;
+            while (pendentes.length && pendentes[0].mesCompensacao <= mesCorrente) {
+                const periodo = pendentes.shift();
+                const disponivel = periodo.credito + saldoCredor;
+                const compensado = Math.min(disponivel, periodo.debito);
+                creditosCompensados += compensado;
+                saldoCredor = disponivel - compensado;
+            }
+
+            // Pedir o ressarcimento do saldo credor remanescente
+            const ressarcimentoSolicitado = saldoCredor * percentualRessarcimento;
+            if (ressarcimentoSolicitado > 0) {
+                saldoCredor -= ressarcimentoSolicitado;
+                pedidos.push({ valor: ressarcimentoSolicitado, mesPagamento: mesCorrente + mesesPrazo });
+            }
+
+            let ressarcimentoRecebido = 0;
+            while (pedidos.length && pedidos[0].mesPagamento <= mesCorrente) {
+                ressarcimentoRecebido += pedidos.shift().valor;
+            }
+
+            const creditosAguardandoCompensacao = somar(pendentes, 'credito');
+            const ressarcimentoEmAnalise = somar(pedidos, 'valor');
+
+            return {
+                mes: mesCorrente,
+                debito,
+                credito,
+                creditosCompensados,
+                ressarcimentoSolicitado,
+                ressarcimentoRecebido,
+                creditosAguardandoCompensacao,
+                saldoCredor,
+                ressarcimentoEmAnalise,
+                capitalRetido: creditosAguardandoCompensacao + saldoCredor + ressarcimentoEmAnalise
+            };
+        }
+
+        /**
+         * Processa os doze meses de um ano com débito e crédito mensais constantes
+         * @param {number} debitoMensal - Débito mensal de CBS/IBS
+         * @param {number} creditoMensal - Crédito mensal de CBS/IBS
+         * @returns {Object} - Totais do ano, posição final e capital retido médio
+         */
+        function processarAno(debitoMensal, creditoMensal) {
+            const saldoCredorInicial = saldoCredor;
+            const meses = [];
+            for (let mes = 0; mes < 12; mes++) {
+                meses.push(processarMes(debitoMensal, creditoMensal));
+            }
+
+            const ultimo = meses[meses.length - 1];
+            return {
+                debitoMensal,
+                creditoMensal,
+                saldoCredorInicial,
+                creditosGerados: somar(meses, 'credito'),
+                creditosCompensados: somar(meses, 'creditosCompensados'),
+                ressarcimentoSolicitado: somar(meses, 'ressarcimentoSolicitado'),
+                ressarcimentoRecebido: somar(meses, 'ressarcimentoRecebido'),
+                creditosAguardandoCompensacao: ultimo.creditosAguardandoCompensacao,
+                saldoCredorFinal: ultimo.saldoCredor,
+                ressarcimentoEmAnalise: ultimo.ressarcimentoEmAnalise,
+                capitalRetidoFinal: ultimo.capitalRetido,
+                // Média mensal do capital parado: com split, inclui os créditos aguardando
+                // compensação (o débito foi retido integralmente); sem split, só saldo e pedidos
+                capitalRetidoMedio: somar(meses, 'capitalRetido') / meses.length,
+                capitalRetidoMedioSemSplit: meses.reduce((soma, m) => soma + m.saldoCredor + m.ressarcimentoEmAnalise, 0) / meses.length,
+                meses
+            };
+        }
+
+        return {
+            tipoCompensacao,
+            prazoRessarcimento,
+            percentualRessarcimento,
+            processarMes,
+            processarAno,
+            obterEstado: () => ({
+                mes: mesCorrente,
+                saldoCredor,
+                creditosAguardandoCompensacao: somar(pendentes, 'credito'),
+                ressarcimentoEmAnalise: somar(pedidos, 'valor')
+            })
+        };
+    }
+
     // API pública
     return {
         calcularRetencaoEfetiva,
-        calcularImpactoFluxoCaixa
+        calcularImpactoFluxoCaixa,
+        calcularDisponibilidadeCreditos,
+        criarCarteiraCreditos,
+        PRAZO_RESSARCIMENTO_PADRAO
     };
 })();
\ No newline at end of file
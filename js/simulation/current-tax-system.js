@@ -57,8 +57,29 @@ window.CurrentTaxSystem = (function() {
         irpj: 0.15,        // Alíquota básica
         csll: 0.09         // Alíquota padrão
     };
+
+    /**
+     * MVA original de referência por segmento sujeito à ST (convênios e protocolos ICMS).
+     * Os valores variam por UF e por item; a MVA informada pelo usuário tem prioridade
+     * @type {Object}
+     */
+    const tabelaMVA = {
+        autopecas: { nome: 'Autopeças', mva: 0.7178 },
+        bebidas: { nome: 'Bebidas (cervejas, refrigerantes e águas)', mva: 0.70 },
+        cosmeticos: { nome: 'Perfumaria e higiene pessoal', mva: 0.3758 },
+        construcao: { nome: 'Materiais de construção', mva: 0.39 },
+        eletronicos: { nome: 'Eletroeletrônicos e eletrodomésticos', mva: 0.37 },
+        alimentos: { nome: 'Produtos alimentícios', mva: 0.30 },
+        limpeza: { nome: 'Materiais de limpeza', mva: 0.3456 },
+        pneus: { nome: 'Pneumáticos e câmaras de ar', mva: 0.42 },
+        tintas: { nome: 'Tintas e vernizes', mva: 0.35 }
+    };
+
+    // Parcelas mensais de compensação com o IBS dos saldos credores de ICMS (LC 214/2025),
+    // usadas somente se o LegislacaoRepository não estiver carregado
+    const PARCELAS_SALDO_CREDOR_ICMS_PADRAO = 240;
     
-    // Em current-tax-system.js
+    // Cronogramas usados somente se o LegislacaoRepository não estiver carregado
     const cronogramasPadrao = {
         splitPayment: {
             2026: 0.10,
@@ -94,8 +115,10 @@ window.CurrentTaxSystem = (function() {
 
     /**
      * Obtém o percentual de implementação para um tipo específico de imposto/mecanismo
+     * O cronograma vem do perfil de legislação ativo (LegislacaoRepository), salvo quando
+     * o setor possui cronograma próprio
      * @param {number} ano - Ano para obter o percentual
-     * @param {string} tipo - Tipo de cronograma ('splitPayment', 'cbs', 'ibs')
+     * @param {string} tipo - Tipo de cronograma ('splitPayment', 'cbs', 'ibs', 'pisCofins', 'icmsIss', 'impostoSeletivo')
      * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
      * @returns {number} - Percentual de implementação (decimal)
      */
@@ -115,10 +138,44 @@ window.CurrentTaxSystem = (function() {
             return parametrosSetoriais.cronogramas[tipo][ano];
         }
 
-        // Caso contrário, utilizar o cronograma padrão
-        const cronograma = cronogramasPadrao[tipo] || cronogramasPadrao.splitPayment;
-        return cronograma[ano] || 0;
-    }    
+        const tipoValido = typeof tipo === 'string' ? tipo : 'splitPayment';
+        if (typeof LegislacaoRepository !== 'undefined') {
+            return LegislacaoRepository.obterPercentualImplementacao(ano, tipoValido);
+        }
+
+        // Sem repositório de legislação, utilizar o cronograma padrão
+        if (tipoValido === 'pisCofins') {
+            return ano >= 2027 ? 0 : 1;
+        }
+        if (tipoValido === 'icmsIss') {
+            return 1 - (cronogramasPadrao.ibs[Math.min(ano, 2033)] || 0);
+        }
+        if (tipoValido === 'impostoSeletivo') {
+            return ano >= 2027 ? 1 : 0;
+        }
+        const cronograma = cronogramasPadrao[tipoValido] || cronogramasPadrao.splitPayment;
+        return cronograma[Math.min(ano, 2033)] || 0;
+    }
+
+    /**
+     * Obtém os parâmetros legais de um ano segundo o perfil de legislação ativo
+     * @param {number} ano - Ano desejado
+     * @returns {Object} { cbs, ibs, pisCofins, icmsIss, impostoSeletivo, splitPayment, compensacaoTeste }
+     */
+    function obterParametrosLegislacao(ano) {
+        if (typeof LegislacaoRepository !== 'undefined') {
+            return LegislacaoRepository.obterParametrosAno(ano);
+        }
+        return {
+            cbs: obterPercentualImplementacao(ano, 'cbs') * 0.088,
+            ibs: obterPercentualImplementacao(ano, 'ibs') * 0.177,
+            pisCofins: obterPercentualImplementacao(ano, 'pisCofins'),
+            icmsIss: obterPercentualImplementacao(ano, 'icmsIss'),
+            impostoSeletivo: obterPercentualImplementacao(ano, 'impostoSeletivo') === 1,
+            splitPayment: obterPercentualImplementacao(ano, 'splitPayment'),
+            compensacaoTeste: false
+        };
+    }
 
     /**
      * Calcula o PIS a ser recolhido
@@ -176,7 +233,8 @@ window.CurrentTaxSystem = (function() {
      * @param {number} revenue - Receita bruta
      * @param {number} [rate=aliquotasPadrao.icms.intrastate] - Alíquota do ICMS
      * @param {number} [credits=0] - Créditos de ICMS a serem descontados
-     * @param {boolean} [substituicaoTributaria=false] - Indica se aplica-se o regime de substituição tributária
+     * @param {boolean|number} [substituicaoTributaria=false] - Regime de substituição tributária (contribuinte substituído):
+     *        true para toda a receita ou a fração (0-1) das vendas com ICMS retido anteriormente
      * @returns {number} Valor do ICMS a recolher
      */
     function calcularICMS(revenue, rate = aliquotasPadrao.icms.intrastate, credits = 0, substituicaoTributaria = false) {
@@ -184,15 +242,116 @@ window.CurrentTaxSystem = (function() {
         revenue = typeof revenue === 'number' && !isNaN(revenue) ? revenue : 0;
         rate = typeof rate === 'number' && !isNaN(rate) ? rate : aliquotasPadrao.icms.intrastate;
         credits = typeof credits === 'number' && !isNaN(credits) ? Math.max(0, credits) : 0;
-        substituicaoTributaria = !!substituicaoTributaria; // Converte para booleano
+        const fracaoST = typeof substituicaoTributaria === 'number' && !isNaN(substituicaoTributaria) ?
+                         Math.max(0, Math.min(1, substituicaoTributaria)) :
+                         (substituicaoTributaria ? 1 : 0);
+
+        // No caso de ST, o ICMS das vendas já foi recolhido anteriormente e as entradas
+        // correspondentes não geram crédito
+        const tax = revenue * (1 - fracaoST) * rate;
+        return Math.max(0, tax - credits * (1 - fracaoST));
+    }
 
-        if (substituicaoTributaria) {
-            // No caso de ST, considera-se que o ICMS já foi recolhido anteriormente
-            return 0;
+    /**
+     * Calcula a MVA ajustada das operações interestaduais, que neutraliza a diferença
+     * entre a alíquota interestadual e a interna do destino
+     * MVA ajustada = [(1 + MVA original) × (1 - ALQ inter) / (1 - ALQ intra)] - 1
+     * @param {number} mvaOriginal - MVA original (decimal)
+     * @param {number} aliquotaInterestadual - Alíquota interestadual (decimal)
+     * @param {number} aliquotaInterna - Alíquota interna do destino (decimal)
+     * @returns {number} MVA ajustada (decimal)
+     */
+    function calcularMVAAjustada(mvaOriginal, aliquotaInterestadual, aliquotaInterna) {
+        if (!(aliquotaInterna < 1) || aliquotaInterestadual >= aliquotaInterna) {
+            return mvaOriginal;
         }
+        return ((1 + mvaOriginal) * (1 - aliquotaInterestadual) / (1 - aliquotaInterna)) - 1;
+    }
 
-        const tax = revenue * rate;
-        return Math.max(0, tax - credits);
+    /**
+     * Obtém a MVA original de um segmento da tabela de referência
+     * @param {string} segmento - Chave do segmento em tabelaMVA
+     * @returns {number|null} MVA (decimal) ou null se o segmento não existir
+     */
+    function obterMVASegmento(segmento) {
+        return tabelaMVA[segmento] ? tabelaMVA[segmento].mva : null;
+    }
+
+    /**
+     * Calcula o ICMS retido por substituição tributária em uma operação
+     * Base ST = (valor da operação + IPI) × (1 + MVA); ICMS-ST = Base ST × alíquota interna - ICMS próprio
+     * @param {number} valorOperacao - Valor da operação própria
+     * @param {Object} [opcoes] - Parâmetros da ST
+     * @param {number} [opcoes.mva] - MVA original (decimal); se ausente, usa a do segmento
+     * @param {string} [opcoes.segmentoMVA] - Segmento da tabela de MVA de referência
+     * @param {number} [opcoes.aliquotaInterna] - Alíquota interna do destino (decimal)
+     * @param {number} [opcoes.aliquotaOperacao] - Alíquota da operação própria (decimal)
+     * @param {number} [opcoes.valorIPI=0] - IPI da operação, que integra a base da ST
+     * @returns {Object} { mvaAplicada, baseST, icmsProprio, icmsST }
+     */
+    function calcularICMSST(valorOperacao, opcoes = {}) {
+        valorOperacao = typeof valorOperacao === 'number' && !isNaN(valorOperacao) ? Math.max(0, valorOperacao) : 0;
+        const aliquotaInterna = typeof opcoes.aliquotaInterna === 'number' ? opcoes.aliquotaInterna : aliquotasPadrao.icms.intrastate;
+        const aliquotaOperacao = typeof opcoes.aliquotaOperacao === 'number' ? opcoes.aliquotaOperacao : aliquotaInterna;
+        const mvaOriginal = typeof opcoes.mva === 'number' && !isNaN(opcoes.mva) ?
+                            opcoes.mva :
+                            (obterMVASegmento(opcoes.segmentoMVA) ?? 0);
+
+        // Em operação interestadual a MVA é ajustada pela diferença de alíquotas
+        const mvaAplicada = aliquotaOperacao < aliquotaInterna ?
+                            calcularMVAAjustada(mvaOriginal, aliquotaOperacao, aliquotaInterna) :
+                            mvaOriginal;
+
+        const baseST = (valorOperacao + (opcoes.valorIPI || 0)) * (1 + mvaAplicada);
+        const icmsProprio = valorOperacao * aliquotaOperacao;
+
+        return {
+            mvaAplicada,
+            baseST,
+            icmsProprio,
+            icmsST: Math.max(0, baseST * aliquotaInterna - icmsProprio)
+        };
+    }
+
+    /**
+     * Calcula o efeito mensal da substituição tributária do ICMS para a empresa
+     * Substituto: retém e recolhe o ICMS-ST sobre as vendas sujeitas à ST.
+     * Substituído: suporta o ICMS-ST nas aquisições (estimadas pelo custo das vendas com ST)
+     * e pode pedir o ressarcimento da parcela retida a maior, que entra como crédito na apuração própria
+     * @param {number} faturamento - Faturamento mensal
+     * @param {Object} icmsST - Configuração (parametrosFiscais.icmsST)
+     * @param {number} [margem=0] - Margem operacional (decimal), usada para estimar as aquisições
+     * @returns {Object} { condicao, baseOperacao, mvaAplicada, baseST, icmsST, ressarcimento, icmsSTLiquido }
+     */
+    function calcularEfeitoICMSST(faturamento, icmsST, margem = 0) {
+        const config = icmsST || {};
+        margem = margem > 1 ? margem / 100 : margem;
+        const percentualVendasST = Math.max(0, Math.min(1, config.percentualVendasST || 0));
+        const substituido = config.condicao !== 'substituto';
+
+        const baseOperacao = substituido ?
+                             faturamento * percentualVendasST * (1 - Math.max(0, Math.min(1, margem || 0))) :
+                             faturamento * percentualVendasST;
+
+        const st = calcularICMSST(baseOperacao, {
+            mva: config.mva,
+            segmentoMVA: config.segmentoMVA,
+            aliquotaInterna: config.aliquotaInterna,
+            aliquotaOperacao: config.aliquotaInterestadual
+        });
+
+        // Ressarcimento (STF RE 593.849 e saídas interestaduais): só para o substituído
+        const ressarcimento = substituido ? st.icmsST * Math.max(0, Math.min(1, config.percentualRessarcimento || 0)) : 0;
+
+        return {
+            condicao: substituido ? 'substituido' : 'substituto',
+            baseOperacao,
+            mvaAplicada: st.mvaAplicada,
+            baseST: st.baseST,
+            icmsST: st.icmsST,
+            ressarcimento,
+            icmsSTLiquido: st.icmsST - ressarcimento
+        };
     }
 
 
@@ -236,6 +395,8 @@ window.CurrentTaxSystem = (function() {
      * @param {boolean} [params.serviceCompany=false] - Indica se é empresa de serviços
      * @param {boolean} [params.cumulativeRegime=false] - Regime cumulativo (true) ou não-cumulativo (false)
      * @param {Object} [params.credits] - Créditos tributários disponíveis
+     * @param {Object} [params.icmsST] - Configuração da substituição tributária do ICMS (parametrosFiscais.icmsST)
+     * @param {number} [params.margem] - Margem operacional (decimal), usada na estimativa das aquisições com ST
      * @returns {Object} Objeto contendo todos os impostos calculados
      */
     function calcularTodosImpostosAtuais(params) {
@@ -271,8 +432,16 @@ window.CurrentTaxSystem = (function() {
         if (serviceCompany) {
             result.iss = calcularISS(revenue, aliquotasPadrao.issqn);
         } else {
-            result.icms = calcularICMS(revenue, aliquotasPadrao.icms.intrastate, credits.icms);
+            const icmsST = params.icmsST?.ativo ? params.icmsST : null;
+            const fracaoSubstituido = icmsST && icmsST.condicao !== 'substituto' ? icmsST.percentualVendasST || 0 : 0;
+
+            result.icms = calcularICMS(revenue, aliquotasPadrao.icms.intrastate, credits.icms, fracaoSubstituido);
             result.ipi = calcularIPI(revenue, aliquotasPadrao.ipi, credits.ipi);
+
+            // ICMS-ST retido (substituto) ou suportado nas aquisições, líquido do ressarcimento (substituído)
+            if (icmsST) {
+                result.icmsST = calcularEfeitoICMSST(revenue, icmsST, params.margem).icmsSTLiquido;
+            }
         }
 
         // Cálculo total
@@ -463,7 +632,9 @@ window.CurrentTaxSystem = (function() {
                 cofins: dados.creditosCOFINS || 0,
                 icms: dados.creditosICMS || 0,
                 ipi: dados.creditosIPI || 0
-            }
+            },
+            icmsST: dados.icmsST,
+            margem: dados.margem
         });
 
         // Resultado completo
@@ -531,6 +702,131 @@ window.CurrentTaxSystem = (function() {
         return calcularFluxoCaixaAtual(dadosProcessamento);
     }
 
+    /**
+     * Obtém o número de parcelas mensais em que os saldos credores de ICMS remanescentes
+     * são compensados com o IBS após a extinção do ICMS
+     * @returns {number} Quantidade de parcelas
+     */
+    function obterParcelasSaldoCredorICMS() {
+        if (typeof LegislacaoRepository !== 'undefined' && typeof LegislacaoRepository.obterParcelasSaldoCredorICMS === 'function') {
+            return LegislacaoRepository.obterParcelasSaldoCredorICMS();
+        }
+        return PARCELAS_SALDO_CREDOR_ICMS_PADRAO;
+    }
+
+    /**
+     * Projeta, mês a mês, o saldo credor acumulado de ICMS (EFD, registro E110) em dois cenários:
+     * - atual: sem reforma, o saldo é absorvido pelo débito líquido de cada mês;
+     * - transicao: débitos e créditos de ICMS caem com o cronograma de extinção (2029-2032), o que
+     *   reduz o ritmo de absorção; quando o ICMS é extinto, o saldo remanescente é convertido e
+     *   compensado com o IBS em parcelas mensais (LC 214/2025)
+     *
+     * @param {Object} dados - Dados em formato plano (faturamento, creditosICMS, saldoCredorICMS, icmsST)
+     * @param {number} anoInicial - Ano inicial da projeção
+     * @param {number} anoFinal - Ano final da projeção
+     * @param {Object} [opcoes] - Opções da projeção
+     * @param {Object} [opcoes.faturamentoPorAno] - Faturamento mensal de cada ano; se ausente, cresce à taxaCrescimento
+     * @param {number} [opcoes.taxaCrescimento=0] - Crescimento anual do faturamento (decimal)
+     * @param {Object} [opcoes.parametrosSetoriais] - Parâmetros setoriais (cronograma próprio)
+     * @returns {Object|null} Projeção anual com os saldos mensais, ou null para empresas sem ICMS
+     */
+    function projetarSaldoCredorICMS(dados, anoInicial, anoFinal, opcoes = {}) {
+        if (dados.tipoEmpresa === 'servicos') {
+            return null;
+        }
+
+        const saldoInicial = Math.max(0, parseFloat(dados.saldoCredorICMS) || 0);
+        const creditoMensalInformado = Math.max(0, dados.creditosICMS || 0);
+        const icmsST = dados.icmsST?.ativo ? dados.icmsST : null;
+        const fracaoSubstituido = icmsST && icmsST.condicao !== 'substituto' ? icmsST.percentualVendasST || 0 : 0;
+        const parcelas = obterParcelasSaldoCredorICMS();
+        const taxaCrescimento = opcoes.taxaCrescimento || 0;
+
+        const atual = { saldo: saldoInicial };
+        const transicao = { saldo: saldoInicial, saldoConvertido: null, parcela: 0, aCompensar: 0 };
+        const porAno = {};
+        let faturamento = dados.faturamento || 0;
+        let anoConversao = null;
+
+        for (let ano = anoInicial; ano <= anoFinal; ano++) {
+            if (opcoes.faturamentoPorAno && typeof opcoes.faturamentoPorAno[ano] === 'number') {
+                faturamento = opcoes.faturamentoPorAno[ano];
+            }
+
+            const remanescente = obterPercentualImplementacao(ano, 'icmsIss', opcoes.parametrosSetoriais);
+            const debitoMensal = faturamento * (1 - fracaoSubstituido) * aliquotasPadrao.icms.intrastate;
+            const creditoMensal = creditoMensalInformado * (1 - fracaoSubstituido);
+
+            // Extinção do ICMS: o saldo existente é convertido para compensação com o IBS
+            if (remanescente === 0 && transicao.saldoConvertido === null) {
+                anoConversao = ano;
+                transicao.saldoConvertido = transicao.saldo;
+                transicao.aCompensar = transicao.saldo;
+                transicao.parcela = parcelas > 0 ? transicao.saldo / parcelas : transicao.saldo;
+                transicao.saldo = 0;
+            }
+
+            const resultadoAno = {
+                remanescenteICMS: remanescente,
+                debitoMensal,
+                creditoMensal,
+                atual: { saldoInicial: atual.saldo, saldoUtilizado: 0, icmsRecolher: 0, saldoFinal: 0, saldosMensais: [] },
+                transicao: {
+                    saldoInicial: transicao.saldo,
+                    saldoUtilizado: 0,
+                    icmsRecolher: 0,
+                    saldoFinal: 0,
+                    saldoConvertido: ano === anoConversao ? transicao.saldoConvertido : 0,
+                    compensacaoIBS: 0,
+                    saldoConvertidoRemanescente: 0,
+                    saldosMensais: []
+                }
+            };
+
+            for (let mes = 1; mes <= 12; mes++) {
+                // Regime atual: débito e crédito integrais
+                const liquidoAtual = debitoMensal - creditoMensal;
+                const utilizadoAtual = Math.min(atual.saldo, Math.max(0, liquidoAtual));
+                atual.saldo = Math.max(0, atual.saldo - liquidoAtual);
+                resultadoAno.atual.saldoUtilizado += utilizadoAtual;
+                resultadoAno.atual.icmsRecolher += Math.max(0, liquidoAtual - utilizadoAtual);
+                resultadoAno.atual.saldosMensais.push(atual.saldo);
+
+                // Transição: débito e crédito reduzidos na mesma proporção do ICMS remanescente
+                const liquidoTransicao = (debitoMensal - creditoMensal) * remanescente;
+                const utilizadoTransicao = Math.min(transicao.saldo, Math.max(0, liquidoTransicao));
+                transicao.saldo = Math.max(0, transicao.saldo - liquidoTransicao);
+                resultadoAno.transicao.saldoUtilizado += utilizadoTransicao;
+                resultadoAno.transicao.icmsRecolher += Math.max(0, liquidoTransicao - utilizadoTransicao);
+
+                if (transicao.aCompensar > 0) {
+                    const compensado = Math.min(transicao.parcela, transicao.aCompensar);
+                    transicao.aCompensar -= compensado;
+                    resultadoAno.transicao.compensacaoIBS += compensado;
+                }
+                resultadoAno.transicao.saldosMensais.push(transicao.saldo + transicao.aCompensar);
+            }
+
+            resultadoAno.atual.saldoFinal = atual.saldo;
+            resultadoAno.transicao.saldoFinal = transicao.saldo;
+            resultadoAno.transicao.saldoConvertidoRemanescente = transicao.aCompensar;
+            porAno[ano] = resultadoAno;
+
+            if (!opcoes.faturamentoPorAno) {
+                faturamento = Math.round(faturamento * (1 + taxaCrescimento) * 100) / 100;
+            }
+        }
+
+        return {
+            saldoInicial,
+            parcelasCompensacaoIBS: parcelas,
+            anoConversao,
+            saldoConvertido: transicao.saldoConvertido || 0,
+            parcelaMensalIBS: transicao.parcela,
+            porAno
+        };
+    }
+
     /**
      * Calcula a análise de sensibilidade do impacto em função do percentual de implementação
      * 
@@ -795,15 +1091,21 @@ window.CurrentTaxSystem = (function() {
     return {
         aliquotasPadrao,
         obterPercentualImplementacao,
+        obterParametrosLegislacao,
         calcularPIS,
         calcularCOFINS,
         calcularICMS,
+        calcularMVAAjustada,
+        calcularICMSST,
+        calcularEfeitoICMSST,
+        tabelaMVA,
         calcularIPI,
         calcularISS,
         calcularTodosImpostosAtuais,
         calcularTodosImpostosAtuaisCompat, // Nova função de compatibilidade
         calcularFluxoCaixaAtual,
         calcularFluxoCaixaAtualCompat,     // Nova função de compatibilidade
+        projetarSaldoCredorICMS,
         calcularAnaliseSensibilidade,
         calcularImpactoMargem,
         inicializarIntegracaoCalculos,
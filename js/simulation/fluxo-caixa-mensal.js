@@ -0,0 +1,505 @@
+/**
+ * @fileoverview Razão mensal (e opcionalmente diário) do fluxo de caixa com Split Payment
+ * @module fluxo-caixa-mensal
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ */
+
+/**
+ * Módulo de Fluxo de Caixa Mensal
+ * Diferente de IVADualSystem.calcularFluxoCaixaSplitPayment, que consolida o ano em um
+ * único retrato médio, este módulo registra cada recebimento, retenção, compensação de
+ * créditos e vencimento de guia na data em que ocorre, permitindo identificar o mês em que
+ * o caixa acumulado mais se distancia do sistema atual (vale de caixa) ao longo da transição 2026-2033.
+ */
+window.FluxoCaixaMensal = (function() {
+    // Dia do mês seguinte em que vence a guia dos tributos não retidos
+    const DIA_VENCIMENTO_PADRAO = 25;
+
+    // Taxas de crescimento anuais por cenário (mesmas da projeção temporal)
+    const TAXAS_CENARIO = {
+        conservador: 0.02,
+        moderado: 0.05,
+        otimista: 0.08
+    };
+
+    const NOMES_MESES = ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez'];
+
+    // Meios de pagamento: liquidação da 1ª parcela (D+N), parcelas e taxa padrão do adquirente/banco.
+    // A retenção do split ocorre na liquidação de cada parcela; o dinheiro em espécie não passa
+    // por prestador de serviço de pagamento e tem o tributo recolhido por guia
+    const MEIOS_PAGAMENTO = {
+        pix: { nome: 'PIX', prazoLiquidacao: 0, parcelas: 1, intervaloParcelas: 30, taxa: 0, split: true },
+        debito: { nome: 'Cartão de débito', prazoLiquidacao: 1, parcelas: 1, intervaloParcelas: 30, taxa: 0.01, split: true },
+        credito: { nome: 'Cartão de crédito', prazoLiquidacao: 30, parcelas: 1, intervaloParcelas: 30, taxa: 0.03, split: true },
+        boleto: { nome: 'Boleto', prazoLiquidacao: 31, parcelas: 1, intervaloParcelas: 30, taxa: 0, split: true },
+        dinheiro: { nome: 'Dinheiro', prazoLiquidacao: 0, parcelas: 1, intervaloParcelas: 30, taxa: 0, split: false }
+    };
+
+    /**
+     * Normaliza um percentual informado como inteiro (ex.: 30) ou decimal (ex.: 0.3)
+     * @param {number} valor - Valor a normalizar
+     * @param {number} padrao - Valor padrão (decimal) se o informado for inválido
+     * @returns {number} Percentual em formato decimal
+     */
+    function normalizarPercentual(valor, padrao) {
+        if (typeof valor !== 'number' || isNaN(valor)) {
+            return padrao;
+        }
+        return valor > 1 ? valor / 100 : valor;
+    }
+
+    /**
+     * Obtém a taxa de crescimento anual conforme o cenário dos dados
+     * @param {Object} dados - Dados em formato plano
+     * @returns {number} Taxa de crescimento anual (decimal)
+     */
+    function obterTaxaCrescimento(dados) {
+        if (dados.cenario === 'personalizado') {
+            return normalizarPercentual(dados.taxaCrescimento, TAXAS_CENARIO.moderado);
+        }
+        return TAXAS_CENARIO[dados.cenario] !== undefined ? TAXAS_CENARIO[dados.cenario] : TAXAS_CENARIO.moderado;
+    }
+
+    /**
+     * Obtém o percentual de Split Payment vigente no ano, priorizando o cronograma informado
+     * @param {Object} dados - Dados em formato plano
+     * @param {number} ano - Ano de referência
+     * @param {Object} [parametrosSetoriais] - Parâmetros setoriais com cronograma próprio
+     * @returns {number} Percentual de implementação (decimal)
+     */
+    function obterPercentualSplit(dados, ano, parametrosSetoriais = null) {
+        if (ano < 2026) {
+            return 0;
+        }
+
+        const cronograma = dados.cronogramaImplementacao;
+        if (cronograma && typeof cronograma[ano] === 'number' && !isNaN(cronograma[ano])) {
+            return Math.max(0, Math.min(1, normalizarPercentual(cronograma[ano], 0)));
+        }
+
+        if (window.CurrentTaxSystem && typeof window.CurrentTaxSystem.obterPercentualImplementacao === 'function') {
+            return window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'splitPayment', parametrosSetoriais);
+        }
+
+        return 0;
+    }
+
+    /**
+     * Completa os meios de pagamento informados com os padrões do catálogo e
+     * normaliza as participações para somarem 100%
+     * @param {Array} meiosPagamento - [{ meio, participacao, parcelas, prazoLiquidacao, taxa }]
+     * @returns {Array|null} Meios normalizados ou null se nenhum tiver participação
+     */
+    function normalizarMeiosPagamento(meiosPagamento) {
+        if (!Array.isArray(meiosPagamento)) {
+            return null;
+        }
+
+        const meios = meiosPagamento
+            .filter(item => MEIOS_PAGAMENTO[item.meio])
+            .map(item => {
+                const padrao = MEIOS_PAGAMENTO[item.meio];
+                const numero = (valor, padraoCampo) => typeof valor === 'number' && !isNaN(valor) ? valor : padraoCampo;
+                return {
+                    meio: item.meio,
+                    nome: padrao.nome,
+                    participacao: Math.max(0, normalizarPercentual(item.participacao, 0)),
+                    parcelas: Math.max(1, Math.round(numero(item.parcelas, padrao.parcelas))),
+                    prazoLiquidacao: Math.max(0, Math.round(numero(item.prazoLiquidacao, padrao.prazoLiquidacao))),
+                    intervaloParcelas: Math.max(1, Math.round(numero(item.intervaloParcelas, padrao.intervaloParcelas))),
+                    taxa: Math.min(1, Math.max(0, normalizarPercentual(item.taxa, padrao.taxa))),
+                    split: padrao.split
+                };
+            })
+            .filter(item => item.participacao > 0);
+
+        const participacaoTotal = meios.reduce((soma, item) => soma + item.participacao, 0);
+        if (participacaoTotal <= 0) {
+            return null;
+        }
+        if (Math.abs(participacaoTotal - 1) > 0.001) {
+            console.warn('A soma das participações dos meios de pagamento difere de 100%. Considerando proporcional.');
+        }
+
+        return meios.map(item => ({ ...item, participacao: item.participacao / participacaoTotal }));
+    }
+
+    /**
+     * Monta o cronograma de liquidação de um meio de pagamento
+     * @param {Object} meio - Meio normalizado ({ prazoLiquidacao, parcelas, intervaloParcelas })
+     * @returns {Array} Liquidações [{ dias, fracao }] a partir da data da venda
+     */
+    function calcularCronogramaLiquidacao(meio) {
+        const cronograma = [];
+        for (let parcela = 0; parcela < meio.parcelas; parcela++) {
+            cronograma.push({
+                dias: meio.prazoLiquidacao + parcela * meio.intervaloParcelas,
+                fracao: 1 / meio.parcelas
+            });
+        }
+        return cronograma;
+    }
+
+    /**
+     * Gera a chave de período (AAAA-MM ou AAAA-MM-DD) de uma data UTC
+     * @param {Date} data - Data de referência
+     * @param {boolean} diaria - Se verdadeiro, retorna a chave diária
+     * @returns {string} Chave do período
+     */
+    function chavePeriodo(data, diaria) {
+        const iso = data.toISOString();
+        return diaria ? iso.slice(0, 10) : iso.slice(0, 7);
+    }
+
+    /**
+     * Cria um registro vazio do razão para um período
+     * @param {string} periodo - Chave do período
+     * @returns {Object} Registro zerado
+     */
+    function criarRegistro(periodo) {
+        const ano = parseInt(periodo.slice(0, 4), 10);
+        const mes = parseInt(periodo.slice(5, 7), 10);
+        return {
+            periodo,
+            ano,
+            mes,
+            rotulo: periodo.length > 7 ? periodo.split('-').reverse().join('/') : `${NOMES_MESES[mes - 1]}/${ano}`,
+            percentualImplementacao: 0,
+            vendas: 0,
+            recebimentoVista: 0,
+            recebimentoPrazo: 0,
+            recebimentos: 0,
+            taxasMeiosPagamento: 0,
+            retencaoBruta: 0,
+            creditosCompensados: 0,
+            retencaoSplit: 0,
+            impostoRecolhido: 0,
+            dataVencimento: null,
+            pagamentoFornecedores: 0,
+            fluxoLiquido: 0,
+            saldoAcumulado: 0,
+            impostoRecolhidoAtual: 0,
+            fluxoLiquidoAtual: 0,
+            saldoAcumuladoAtual: 0,
+            diferencaFluxo: 0,
+            diferencaAcumulada: 0
+        };
+    }
+
+    /**
+     * Gera o razão de fluxo de caixa com Split Payment, dia a dia, agregado por mês
+     *
+     * Cada dia de venda gera os seguintes lançamentos:
+     * - recebimento à vista no próprio dia e a prazo após o PMR ou, se informados os meios de
+     *   pagamento, na liquidação de cada parcela (PIX, cartão, boleto), líquido da taxa do meio;
+     * - retenção do Split Payment no momento de cada recebimento, líquida dos créditos compensados;
+     * - recolhimento da parcela não retida no dia 25 do mês seguinte ao da venda;
+     * - pagamento a fornecedores após o PMP.
+     * Vendas anteriores ao início do horizonte são simuladas para que os primeiros meses
+     * já recebam o fluxo de vendas passadas, evitando um vale artificial de partida.
+     *
+     * @param {Object} dados - Dados em formato plano (faturamento mensal)
+     * @param {number} [anoInicial=2026] - Ano inicial do razão
+     * @param {number} [anoFinal=2033] - Ano final do razão
+     * @param {Object} [opcoes] - Opções adicionais
+     * @param {string} [opcoes.granularidade='mensal'] - 'mensal' ou 'diaria'
+     * @param {Object} [opcoes.parametrosSetoriais] - Parâmetros setoriais com cronograma próprio
+     * @param {number} [opcoes.diaVencimento=25] - Dia de vencimento da guia no mês seguinte
+     * @returns {Object} Razão com registros mensais, diários (opcional), resumo anual e vale crítico
+     */
+    function calcularFluxoCaixaMensal(dados, anoInicial = 2026, anoFinal = 2033, opcoes = {}) {
+        // Verificar se os dados estão em formato plano
+        if (dados.empresa !== undefined) {
+            throw new Error('calcularFluxoCaixaMensal espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
+        }
+
+        if (typeof dados.faturamento !== 'number' || isNaN(dados.faturamento)) {
+            throw new Error('Faturamento inválido ou não informado');
+        }
+        if (typeof dados.aliquota !== 'number' || isNaN(dados.aliquota)) {
+            throw new Error('Alíquota inválida ou não informada');
+        }
+        if (anoFinal < anoInicial) {
+            throw new Error('Ano final deve ser maior ou igual ao ano inicial');
+        }
+
+        const granularidade = opcoes.granularidade === 'diaria' ? 'diaria' : 'mensal';
+        const parametrosSetoriais = opcoes.parametrosSetoriais || null;
+        const diaVencimento = opcoes.diaVencimento || DIA_VENCIMENTO_PADRAO;
+
+        // Extrair e normalizar parâmetros relevantes
+        const faturamentoBase = dados.faturamento;
+        const aliquota = normalizarPercentual(dados.aliquota, 0);
+        const margem = normalizarPercentual(dados.margem, 0);
+        const pmr = Math.max(0, parseInt(dados.pmr) || 0);
+        const pmp = Math.max(0, parseInt(dados.pmp) || 0);
+        let percVista = normalizarPercentual(dados.percVista, 0.3);
+        let percPrazo = normalizarPercentual(dados.percPrazo, 1 - percVista);
+        const creditosMensais = Math.max(0, dados.creditos || 0);
+        const taxaCrescimento = obterTaxaCrescimento(dados);
+
+        // Tornar os percentuais proporcionais caso não somem 100%
+        const somaPercentuais = percVista + percPrazo;
+        if (somaPercentuais > 0 && Math.abs(somaPercentuais - 1) > 0.001) {
+            console.warn('A soma dos percentuais de vendas à vista e a prazo difere de 100%. Considerando proporcional.');
+            percVista = percVista / somaPercentuais;
+            percPrazo = percPrazo / somaPercentuais;
+        }
+
+        // Liquidações de cada venda: pelos meios de pagamento informados ou pela divisão à vista/a prazo
+        const meiosPagamento = normalizarMeiosPagamento(dados.meiosPagamento);
+        const liquidacoes = meiosPagamento ?
+            meiosPagamento.flatMap((meio, indice) => calcularCronogramaLiquidacao(meio).map(liquidacao => ({
+                indice,
+                dias: liquidacao.dias,
+                fracao: meio.participacao * liquidacao.fracao,
+                taxa: meio.taxa,
+                split: meio.split,
+                campo: liquidacao.dias === 0 ? 'recebimentoVista' : 'recebimentoPrazo'
+            }))) :
+            [
+                { indice: null, dias: 0, fracao: percVista, taxa: 0, split: true, campo: 'recebimentoVista' },
+                { indice: null, dias: pmr, fracao: percPrazo, taxa: 0, split: true, campo: 'recebimentoPrazo' }
+            ];
+        const participacaoSplit = liquidacoes.reduce((soma, liquidacao) => soma + (liquidacao.split ? liquidacao.fracao : 0), 0);
+        const maiorPrazoLiquidacao = liquidacoes.reduce((maior, liquidacao) => Math.max(maior, liquidacao.dias), 0);
+
+        // Totais por meio de pagamento no horizonte
+        const totaisMeios = (meiosPagamento || []).map(() => ({ vendas: 0, recebido: 0, taxas: 0, retencaoSplit: 0 }));
+
+        const inicioHorizonte = Date.UTC(anoInicial, 0, 1);
+        const fimHorizonte = Date.UTC(anoFinal, 11, 31);
+        const umDia = 24 * 60 * 60 * 1000;
+
+        // Vendas anteriores ao horizonte que ainda produzem efeitos no caixa
+        const diasAquecimento = Math.max(maiorPrazoLiquidacao, pmp) + 62;
+        const inicioVendas = inicioHorizonte - diasAquecimento * umDia;
+
+        const percentuaisPorAno = {};
+        for (let ano = anoInicial - 1; ano <= anoFinal; ano++) {
+            percentuaisPorAno[ano] = obterPercentualSplit(dados, ano, parametrosSetoriais);
+        }
+
+        // Registros diários indexados pela chave AAAA-MM-DD
+        const registrosDiarios = {};
+        const lancar = (timestamp, campo, valor) => {
+            if (timestamp < inicioHorizonte || timestamp > fimHorizonte || !valor) {
+                return;
+            }
+            const chave = chavePeriodo(new Date(timestamp), true);
+            if (!registrosDiarios[chave]) {
+                registrosDiarios[chave] = criarRegistro(chave);
+            }
+            registrosDiarios[chave][campo] += valor;
+        };
+
+        for (let timestamp = inicioVendas; timestamp <= fimHorizonte; timestamp += umDia) {
+            const data = new Date(timestamp);
+            const ano = data.getUTCFullYear();
+            const mes = data.getUTCMonth();
+            const diasNoMes = new Date(Date.UTC(ano, mes + 1, 0)).getUTCDate();
+
+            // Faturamento cresce a cada ano do horizonte, como na projeção temporal
+            const anosDecorridos = Math.max(0, ano - anoInicial);
+            const vendaDia = faturamentoBase * Math.pow(1 + taxaCrescimento, anosDecorridos) / diasNoMes;
+            const percentualSplit = percentuaisPorAno[ano] !== undefined ? percentuaisPorAno[ano] : 0;
+
+            const impostoBruto = vendaDia * aliquota;
+            const creditoDia = Math.min(creditosMensais / diasNoMes, impostoBruto);
+            const impostoLiquido = impostoBruto - creditoDia;
+
+            const dataVencimento = Date.UTC(ano, mes + 1, diaVencimento);
+            const custoOperacional = Math.max(0, vendaDia * (1 - margem) - impostoLiquido);
+
+            lancar(timestamp, 'vendas', vendaDia);
+
+            // Recebimentos e retenções do Split Payment no momento de cada liquidação
+            liquidacoes.forEach(liquidacao => {
+                const dataLiquidacao = timestamp + liquidacao.dias * umDia;
+                const valor = vendaDia * liquidacao.fracao;
+                const fracaoRetida = liquidacao.split ? percentualSplit * liquidacao.fracao : 0;
+
+                lancar(dataLiquidacao, liquidacao.campo, valor * (1 - liquidacao.taxa));
+                lancar(dataLiquidacao, 'taxasMeiosPagamento', valor * liquidacao.taxa);
+                lancar(dataLiquidacao, 'retencaoBruta', impostoBruto * fracaoRetida);
+                lancar(dataLiquidacao, 'creditosCompensados', creditoDia * fracaoRetida);
+
+                const totais = totaisMeios[liquidacao.indice];
+                if (totais && dataLiquidacao >= inicioHorizonte && dataLiquidacao <= fimHorizonte) {
+                    totais.recebido += valor * (1 - liquidacao.taxa);
+                    totais.taxas += valor * liquidacao.taxa;
+                    totais.retencaoSplit += (impostoBruto - creditoDia) * fracaoRetida;
+                }
+            });
+            if (timestamp >= inicioHorizonte) {
+                totaisMeios.forEach((totais, indice) => {
+                    totais.vendas += vendaDia * meiosPagamento[indice].participacao;
+                });
+            }
+
+            // Guia mensal: parcela não retida (Split) e imposto integral (sistema atual)
+            lancar(dataVencimento, 'impostoRecolhido', impostoLiquido * (1 - percentualSplit * participacaoSplit));
+            lancar(dataVencimento, 'impostoRecolhidoAtual', impostoLiquido);
+
+            lancar(timestamp + pmp * umDia, 'pagamentoFornecedores', custoOperacional);
+        }
+
+        // Consolidar registros diários em ordem cronológica
+        const dias = Object.keys(registrosDiarios).sort().map(chave => registrosDiarios[chave]);
+        const registrosMensais = {};
+
+        dias.forEach(dia => {
+            dia.recebimentos = dia.recebimentoVista + dia.recebimentoPrazo;
+            dia.retencaoSplit = dia.retencaoBruta - dia.creditosCompensados;
+            dia.percentualImplementacao = percentuaisPorAno[dia.ano] || 0;
+            if (dia.impostoRecolhidoAtual > 0) {
+                dia.dataVencimento = dia.periodo;
+            }
+
+            const chaveMes = dia.periodo.slice(0, 7);
+            if (!registrosMensais[chaveMes]) {
+                registrosMensais[chaveMes] = criarRegistro(chaveMes);
+                registrosMensais[chaveMes].percentualImplementacao = dia.percentualImplementacao;
+            }
+            const registroMes = registrosMensais[chaveMes];
+            ['vendas', 'recebimentoVista', 'recebimentoPrazo', 'recebimentos', 'taxasMeiosPagamento', 'retencaoBruta',
+             'creditosCompensados', 'retencaoSplit', 'impostoRecolhido', 'pagamentoFornecedores',
+             'impostoRecolhidoAtual'].forEach(campo => {
+                registroMes[campo] += dia[campo];
+            });
+            if (dia.dataVencimento) {
+                registroMes.dataVencimento = dia.dataVencimento;
+            }
+        });
+
+        const meses = Object.keys(registrosMensais).sort().map(chave => registrosMensais[chave]);
+
+        // Saldos acumulados nos dois regimes
+        const acumularSaldos = (registros) => {
+            let saldo = 0;
+            let saldoAtual = 0;
+            registros.forEach(registro => {
+                registro.fluxoLiquido = registro.recebimentos - registro.retencaoSplit -
+                                        registro.impostoRecolhido - registro.pagamentoFornecedores;
+                registro.fluxoLiquidoAtual = registro.recebimentos - registro.impostoRecolhidoAtual -
+                                             registro.pagamentoFornecedores;
+                registro.diferencaFluxo = registro.fluxoLiquido - registro.fluxoLiquidoAtual;
+
+                saldo += registro.fluxoLiquido;
+                saldoAtual += registro.fluxoLiquidoAtual;
+                registro.saldoAcumulado = saldo;
+                registro.saldoAcumuladoAtual = saldoAtual;
+                registro.diferencaAcumulada = saldo - saldoAtual;
+            });
+        };
+
+        acumularSaldos(meses);
+        if (granularidade === 'diaria') {
+            acumularSaldos(dias);
+        }
+
+        // Resumo anual com o mês crítico de cada ano
+        const resumoAnual = {};
+        meses.forEach(registro => {
+            if (!resumoAnual[registro.ano]) {
+                resumoAnual[registro.ano] = {
+                    ano: registro.ano,
+                    percentualImplementacao: registro.percentualImplementacao,
+                    recebimentos: 0,
+                    taxasMeiosPagamento: 0,
+                    retencaoSplit: 0,
+                    creditosCompensados: 0,
+                    impostoRecolhido: 0,
+                    impostoRecolhidoAtual: 0,
+                    mesCritico: registro,
+                    menorDiferencaAcumulada: registro.diferencaAcumulada
+                };
+            }
+            const resumo = resumoAnual[registro.ano];
+            resumo.recebimentos += registro.recebimentos;
+            resumo.taxasMeiosPagamento += registro.taxasMeiosPagamento;
+            resumo.retencaoSplit += registro.retencaoSplit;
+            resumo.creditosCompensados += registro.creditosCompensados;
+            resumo.impostoRecolhido += registro.impostoRecolhido;
+            resumo.impostoRecolhidoAtual += registro.impostoRecolhidoAtual;
+            if (registro.fluxoLiquido < resumo.mesCritico.fluxoLiquido) {
+                resumo.mesCritico = registro;
+            }
+            resumo.menorDiferencaAcumulada = Math.min(resumo.menorDiferencaAcumulada, registro.diferencaAcumulada);
+        });
+
+        Object.values(resumoAnual).forEach(resumo => {
+            const mes = resumo.mesCritico;
+            resumo.mesCritico = { periodo: mes.periodo, rotulo: mes.rotulo, fluxoLiquido: mes.fluxoLiquido };
+        });
+
+        // Vale de caixa do split payment: período de menor diferença acumulada frente ao sistema atual,
+        // que é também o da maior necessidade adicional de capital
+        const menorPor = (registros, campo) => registros.reduce((pior, registro) =>
+            !pior || registro[campo] < pior[campo] ? registro : pior, null);
+        const resumirVale = (registro) => registro ? {
+            periodo: registro.periodo,
+            rotulo: registro.rotulo,
+            fluxoLiquido: registro.fluxoLiquido,
+            saldoAcumulado: registro.saldoAcumulado,
+            diferencaAcumulada: registro.diferencaAcumulada
+        } : null;
+
+        const valeCritico = menorPor(meses, 'diferencaAcumulada');
+        const valeDiario = granularidade === 'diaria' ? menorPor(dias, 'diferencaAcumulada') : null;
+        const maiorNecessidade = valeDiario || valeCritico;
+
+        const resultado = {
+            parametros: {
+                anoInicial,
+                anoFinal,
+                granularidade,
+                faturamento: faturamentoBase,
+                aliquota,
+                margem,
+                pmr,
+                pmp,
+                percVista,
+                percPrazo,
+                creditos: creditosMensais,
+                meiosPagamento,
+                taxaCrescimento,
+                diaVencimento,
+                percentuaisImplementacao: percentuaisPorAno
+            },
+            meses,
+            dias: granularidade === 'diaria' ? dias : null,
+            resumoAnual,
+            // Prazo médio ponderado de liquidação: a retenção do split acompanha cada liquidação
+            meiosPagamento: meiosPagamento ? meiosPagamento.map((meio, indice) => ({
+                ...meio,
+                prazoMedioLiquidacao: meio.prazoLiquidacao + (meio.parcelas - 1) * meio.intervaloParcelas / 2,
+                ...totaisMeios[indice]
+            })) : null,
+            valeCritico: resumirVale(valeCritico),
+            valeDiario: resumirVale(valeDiario),
+            maiorNecessidadeCapital: maiorNecessidade ? {
+                periodo: maiorNecessidade.periodo,
+                rotulo: maiorNecessidade.rotulo,
+                valor: Math.max(0, -maiorNecessidade.diferencaAcumulada)
+            } : null
+        };
+
+        if (window.DataManager && typeof window.DataManager.logTransformacao === 'function') {
+            window.DataManager.logTransformacao(dados, resultado.valeCritico, 'Razão Mensal do Fluxo de Caixa');
+        }
+
+        return resultado;
+    }
+
+    // API pública
+    return {
+        calcularFluxoCaixaMensal,
+        normalizarMeiosPagamento,
+        calcularCronogramaLiquidacao,
+        obterMeiosPagamento: () => JSON.parse(JSON.stringify(MEIOS_PAGAMENTO)),
+        obterPercentualSplit,
+        obterTaxaCrescimento
+    };
+})();
@@ -18,6 +18,9 @@ if (typeof window.DataManager === 'undefined') {
         extrairValorNumerico: function(valor) { 
             return typeof valor === 'number' ? valor : parseFloat(valor) || 0; 
         },
+        extrairValorMonetario: function(valor) {
+            return typeof valor === 'number' ? valor : parseFloat(valor) || 0;
+        },
         formatarMoeda: function(valor) {
             return typeof valor === 'number' ? 
                    'R$ ' + valor.toFixed(2).replace('.', ',') : 
@@ -83,15 +86,27 @@ window.IVADualSystem = (function() {
         }
     };
 
+    /**
+     * Obtém a alíquota de referência (plena) do perfil de legislação ativo
+     * @param {string} tributo - 'cbs' ou 'ibs'
+     * @returns {number} Alíquota decimal
+     */
+    function obterAliquotaReferencia(tributo) {
+        if (typeof LegislacaoRepository !== 'undefined') {
+            return LegislacaoRepository.obterAliquotasReferencia()[tributo];
+        }
+        return aliquotasIVADual[tributo];
+    }
+
     /**
      * Calcula o CBS (Contribuição sobre Bens e Serviços)
      * @param {number} baseValue - Valor base para cálculo
-     * @param {number} [rate=aliquotasIVADual.cbs] - Alíquota do CBS
+     * @param {number} [rate] - Alíquota do CBS (padrão: referência do perfil de legislação ativo)
      * @param {number} [credits=0] - Créditos de CBS a serem descontados
-     * @param {string} [taxCategory='standard'] - Categoria tributária ('standard', 'reduced', 'exempt')
+     * @param {string} [taxCategory='standard'] - Categoria tributária ('standard', 'reduced', 'reduced60', 'exempt', 'monofasico')
      * @returns {number} Valor do CBS a recolher
      */
-    function calcularCBS(baseValue, rate = aliquotasIVADual.cbs, credits = 0, taxCategory = 'standard') {
+    function calcularCBS(baseValue, rate = obterAliquotaReferencia('cbs'), credits = 0, taxCategory = 'standard') {
         let appliedRate;
 
         // Melhorar a lógica de determinação de alíquota com base na categoria
@@ -100,9 +115,15 @@ window.IVADualSystem = (function() {
                 // Categoria reduzida: 50% da alíquota padrão (ou usar valor explícito passado)
                 appliedRate = rate * 0.5; // Usa a rate específica do setor com redução
                 break;
+            case 'reduced60':
+                appliedRate = rate * 0.4; // Redução de 60% (LC 214/2025)
+                break;
             case 'exempt':
                 appliedRate = 0; // Isento
                 break;
+            case 'monofasico':
+                appliedRate = 0; // Tributação concentrada no produtor/importador
+                break;
             default:
                 appliedRate = rate;
         }
@@ -119,11 +140,14 @@ window.IVADualSystem = (function() {
      * @param {number} baseValue - Valor base para cálculo
      * @param {number} rate - Alíquota do IBS (valor decimal, ex: 0.177 para 17.7%)
      * @param {number} credits - Créditos de IBS a serem descontados
-     * @param {string} taxCategory - Categoria tributária ('standard', 'reduced', 'exempt')
+     * @param {string} taxCategory - Categoria tributária ('standard', 'reduced', 'reduced60', 'exempt', 'monofasico')
      * @param {Object} options - Opções adicionais para o cálculo
+     * @param {number} [options.reducaoEspecial] - Redução adicional específica do setor (decimal)
+     * @param {Array} [options.destinos] - Vendas por destino; a alíquota é ponderada pelas alíquotas
+     *                                     estadual + municipal de cada destino (ver calcularFatorDestinoIBS)
      * @returns {number} Valor do IBS a recolher
      */
-    function calcularIBS(baseValue, rate = aliquotasIVADual.ibs, credits = 0, taxCategory = 'standard', options = {}) {
+    function calcularIBS(baseValue, rate = obterAliquotaReferencia('ibs'), credits = 0, taxCategory = 'standard', options = {}) {
         // Validar e normalizar parâmetros
         if (typeof baseValue !== 'number' || isNaN(baseValue)) {
             console.warn('Valor base inválido para cálculo do IBS. Usando zero.');
@@ -132,7 +156,7 @@ window.IVADualSystem = (function() {
 
         if (typeof rate !== 'number' || isNaN(rate)) {
             console.warn(`Alíquota IBS inválida: ${rate}. Usando alíquota padrão.`);
-            rate = aliquotasIVADual.ibs;
+            rate = obterAliquotaReferencia('ibs');
         }
 
         if (typeof credits !== 'number' || isNaN(credits)) {
@@ -140,6 +164,16 @@ window.IVADualSystem = (function() {
             credits = 0;
         }
 
+        // IBS devido ao destino: ajustar a alíquota pela composição das vendas por UF/município
+        const composicaoDestino = calcularFatorDestinoIBS(options.destinos);
+        if (composicaoDestino) {
+            const rateAntes = rate;
+            rate = rate * composicaoDestino.fator;
+
+            console.log(`IBS: Ponderando alíquota pelos destinos (fator ${composicaoDestino.fator.toFixed(4)}). 
+                       Rate antes: ${rateAntes}, Rate depois: ${rate}`);
+        }
+
         // Determinar alíquota aplicável com base na categoria tributária
         let appliedRate;
         let reducaoAdicional = options.reducaoEspecial || 0;
@@ -154,6 +188,22 @@ window.IVADualSystem = (function() {
                            Rate original: ${rate}, Rate aplicada: ${appliedRate}`);
                 break;
 
+            case 'reduced60':
+                // Para categoria com redução de 60% (LC 214/2025)
+                appliedRate = rate * 0.4;
+
+                console.log(`IBS: Aplicando redução de 60% para categoria 'reduced60'. 
+                           Rate original: ${rate}, Rate aplicada: ${appliedRate}`);
+                break;
+
+            case 'monofasico':
+                // Tributação concentrada no produtor/importador: sem débito na revenda
+                appliedRate = 0;
+
+                console.log(`IBS: Categoria 'monofasico', sem débito na operação. 
+                           Rate aplicada: ${appliedRate}`);
+                break;
+
             case 'exempt':
                 // Para categoria isenta: alíquota zero
                 appliedRate = 0;
@@ -197,30 +247,430 @@ window.IVADualSystem = (function() {
     }
 
     /**
-     * Calcula o imposto total no sistema IVA Dual (CBS + IBS)
+     * Calcula a composição das vendas por destino para o IBS
+     * O IBS é cobrado à soma das alíquotas estadual e municipal do destino (EC 132/2023, art. 156-A).
+     * O fator relaciona a alíquota média dos destinos, ponderada pela participação nas vendas, à
+     * alíquota de referência do perfil de legislação ativo, e ajusta a alíquota configurada do IBS.
+     * Destinos sem alíquotas informadas são resolvidos pelo AliquotasIBSRepository, quando disponível.
+     * @param {Array} destinos - [{ uf, codigoMunicipio, municipio, participacao, aliquotaEstadual, aliquotaMunicipal }]
+     * @returns {Object|null} { aliquotaReferencia, aliquotaPonderada, fator, destinos } ou null sem destinos válidos
+     */
+    function calcularFatorDestinoIBS(destinos) {
+        if (!Array.isArray(destinos) || destinos.length === 0) {
+            return null;
+        }
+
+        const aliquotaReferencia = obterAliquotaReferencia('ibs');
+        const destinosValidos = destinos
+            .map(destino => {
+                let participacao = parseFloat(destino.participacao) || 0;
+                if (participacao > 1) participacao = participacao / 100;
+
+                let aliquotaEstadual = destino.aliquotaEstadual;
+                let aliquotaMunicipal = destino.aliquotaMunicipal;
+                if (typeof aliquotaEstadual !== 'number' || typeof aliquotaMunicipal !== 'number') {
+                    if (typeof AliquotasIBSRepository !== 'undefined') {
+                        const aliquota = AliquotasIBSRepository.obterAliquota(destino.uf, destino.codigoMunicipio);
+                        aliquotaEstadual = aliquota.estadual;
+                        aliquotaMunicipal = aliquota.municipal;
+                    } else {
+                        // Sem tabela de alíquotas: exportação imune, demais destinos pela referência
+                        aliquotaEstadual = destino.uf === 'EX' ? 0 : aliquotaReferencia;
+                        aliquotaMunicipal = 0;
+                    }
+                }
+
+                return {
+                    uf: destino.uf || '',
+                    codigoMunicipio: destino.codigoMunicipio || '',
+                    municipio: destino.municipio || '',
+                    participacao,
+                    aliquotaEstadual,
+                    aliquotaMunicipal,
+                    aliquotaDestino: aliquotaEstadual + aliquotaMunicipal
+                };
+            })
+            .filter(destino => destino.participacao > 0);
+
+        const participacaoTotal = destinosValidos.reduce((soma, destino) => soma + destino.participacao, 0);
+        if (participacaoTotal <= 0 || !(aliquotaReferencia > 0)) {
+            return null;
+        }
+
+        // Participações normalizadas: a composição informada pode não somar 100%
+        destinosValidos.forEach(destino => {
+            destino.participacao = destino.participacao / participacaoTotal;
+        });
+
+        const aliquotaPonderada = destinosValidos.reduce(
+            (soma, destino) => soma + destino.participacao * destino.aliquotaDestino, 0
+        );
+
+        return {
+            aliquotaReferencia,
+            aliquotaPonderada,
+            fator: aliquotaPonderada / aliquotaReferencia,
+            destinos: destinosValidos
+        };
+    }
+
+    /**
+     * Calcula o IBS por destino, comparando com a alíquota única configurada
+     * @param {number} baseValue - Valor base para cálculo
+     * @param {Array} destinos - Vendas por destino (ver calcularFatorDestinoIBS)
+     * @param {number} [aliquotaIBS] - Alíquota configurada do IBS (padrão: referência do perfil de legislação ativo)
+     * @param {Object} [opcoes] - { categoriaIva, reducaoEspecial }
+     * @returns {Object|null} Comparação e detalhamento por destino, ou null sem destinos válidos
+     */
+    function calcularIBSPorDestino(baseValue, destinos, aliquotaIBS = obterAliquotaReferencia('ibs'), opcoes = {}) {
+        const composicao = calcularFatorDestinoIBS(destinos);
+        if (!composicao) {
+            return null;
+        }
+
+        const categoriaIva = opcoes.categoriaIva || 'standard';
+        const reducaoEspecial = opcoes.reducaoEspecial || 0;
+
+        const porDestino = composicao.destinos.map(destino => {
+            const base = baseValue * destino.participacao;
+            const fatorDestino = destino.aliquotaDestino / composicao.aliquotaReferencia;
+            return {
+                ...destino,
+                base,
+                ibs: calcularIBS(base, aliquotaIBS * fatorDestino, 0, categoriaIva, { reducaoEspecial })
+            };
+        });
+
+        const ibsAliquotaUnica = calcularIBS(baseValue, aliquotaIBS, 0, categoriaIva, { reducaoEspecial });
+        const ibsPonderado = porDestino.reduce((soma, destino) => soma + destino.ibs, 0);
+
+        return {
+            aliquotaConfigurada: aliquotaIBS,
+            aliquotaReferencia: composicao.aliquotaReferencia,
+            aliquotaDestinoPonderada: composicao.aliquotaPonderada,
+            fatorDestino: composicao.fator,
+            aliquotaEfetiva: aliquotaIBS * composicao.fator,
+            base: baseValue,
+            ibsAliquotaUnica,
+            ibsPonderado,
+            diferenca: ibsPonderado - ibsAliquotaUnica,
+            porDestino
+        };
+    }
+
+    /**
+     * Calcula o Imposto Seletivo (IS) - LC 214/2025, Livro II
+     * Incide uma única vez sobre bens e serviços prejudiciais à saúde ou ao meio ambiente
+     * (bebidas, fumígenos, veículos, bens minerais etc.), não gera crédito e não é
+     * recolhido pelo split payment
+     * @param {number} baseValue - Valor da operação
+     * @param {number} [rate=0] - Alíquota do IS (decimal; ad valorem)
+     * @returns {number} Valor do IS
+     */
+    function calcularImpostoSeletivo(baseValue, rate = 0) {
+        if (typeof baseValue !== 'number' || isNaN(baseValue) || baseValue <= 0) {
+            return 0;
+        }
+        if (typeof rate !== 'number' || isNaN(rate) || rate <= 0) {
+            return 0;
+        }
+        return baseValue * rate;
+    }
+
+    /**
+     * Obtém a alíquota do IS aplicável no ano, conforme a vigência do perfil de legislação ativo
+     * @param {number} ano - Ano de referência
+     * @param {Object} dados - Dados em formato plano (aliquotaIS)
+     * @param {Object} [parametrosSetoriais] - Parâmetros setoriais (aliquotaIS)
+     * @returns {number} Alíquota decimal (zero antes da vigência do IS)
+     */
+    function obterAliquotaISAno(ano, dados = {}, parametrosSetoriais = null) {
+        const aliquota = dados.aliquotaIS || parametrosSetoriais?.aliquotaIS || 0;
+        if (!(aliquota > 0)) {
+            return 0;
+        }
+        return window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'impostoSeletivo') > 0 ? aliquota : 0;
+    }
+
+    /**
+     * Calcula o imposto total no sistema IVA Dual (CBS + IBS + IS)
+     * O IS integra a base de cálculo da CBS e do IBS (EC 132/2023)
      * @param {number} baseValue - Valor base para cálculo
      * @param {Object} [rates] - Alíquotas a serem aplicadas
      * @param {number} rates.cbs - Alíquota do CBS
      * @param {number} rates.ibs - Alíquota do IBS
+     * @param {number} [rates.impostoSeletivo=0] - Alíquota do IS
      * @param {Object} [credits] - Créditos a serem descontados
      * @param {number} credits.cbs - Créditos de CBS
      * @param {number} credits.ibs - Créditos de IBS
-     * @param {string} [taxCategory='standard'] - Categoria tributária ('standard', 'reduced', 'exempt')
-     * @returns {Object} Objeto contendo os valores de CBS, IBS e total
+     * @param {string} [taxCategory='standard'] - Categoria tributária ('standard', 'reduced', 'reduced60', 'exempt', 'monofasico')
+     * @returns {Object} Objeto contendo os valores de CBS, IBS, IS, a base da CBS/IBS e o total
      */
     function calcularTotalIVA(baseValue, rates = {}, credits = {}, taxCategory = 'standard') {
-        const cbsRate = rates.cbs || aliquotasIVADual.cbs;
-        const ibsRate = rates.ibs || aliquotasIVADual.ibs;
+        const cbsRate = rates.cbs || obterAliquotaReferencia('cbs');
+        const ibsRate = rates.ibs || obterAliquotaReferencia('ibs');
         const cbsCredits = credits.cbs || 0;
         const ibsCredits = credits.ibs || 0;
 
-        const cbs = calcularCBS(baseValue, cbsRate, cbsCredits, taxCategory);
-        const ibs = calcularIBS(baseValue, ibsRate, ibsCredits, taxCategory);
+        const impostoSeletivo = calcularImpostoSeletivo(baseValue, rates.impostoSeletivo || 0);
+        const baseCbsIbs = baseValue + impostoSeletivo;
+
+        const cbs = calcularCBS(baseCbsIbs, cbsRate, cbsCredits, taxCategory);
+        const ibs = calcularIBS(baseCbsIbs, ibsRate, ibsCredits, taxCategory);
 
         return {
             cbs,
             ibs,
-            total: cbs + ibs
+            impostoSeletivo,
+            baseCbsIbs,
+            total: cbs + ibs + impostoSeletivo
+        };
+    }
+
+    // Sufixos de CFOP que representam devoluções (x.201, x.202, x.410, x.411)
+    const sufixosCFOPDevolucao = ['201', '202', '410', '411'];
+
+    /**
+     * Classifica um item na categoria IVA a partir do NCM e do CFOP
+     * A classificação por NCM é consultada no NcmRepository, incluindo exceções da empresa
+     * @param {string} ncm - Código NCM do item
+     * @param {string} cfop - CFOP da operação
+     * @param {string} [cnpj] - CNPJ da empresa para aplicar exceções de classificação
+     * @returns {string} Categoria tributária ('standard', 'reduced60', 'exempt', 'monofasico')
+     */
+    function classificarItemIVA(ncm, cfop, cnpj) {
+        // Exportações são imunes
+        if (String(cfop || '').charAt(0) === '7') {
+            return 'exempt';
+        }
+
+        if (typeof NcmRepository !== 'undefined') {
+            return NcmRepository.obterCategoriaIva(ncm, cnpj);
+        }
+
+        return 'standard';
+    }
+
+    /**
+     * Recalcula CBS e IBS item a item, a partir dos itens de documentos fiscais (C170)
+     * Saídas (CFOP 5, 6 e 7) geram débito, entradas (CFOP 1, 2 e 3) geram crédito,
+     * devoluções abatem a base do lado oposto e remessas (x.9xx) são desconsideradas.
+     * Nas saídas para o mercado interno, o Imposto Seletivo do NCM é somado à base da CBS/IBS.
+     *
+     * @param {Array} itens - Itens com { ncm, cfop, valor } (valor líquido de desconto)
+     * @param {Object} [opcoes] - Opções do recálculo
+     * @param {number} [opcoes.aliquotaCBS] - Alíquota padrão da CBS
+     * @param {number} [opcoes.aliquotaIBS] - Alíquota padrão do IBS
+     * @param {number} [opcoes.reducaoEspecial=0] - Redução adicional do IBS (decimal)
+     * @param {string} [opcoes.cnpj] - CNPJ da empresa para exceções de classificação NCM
+     * @param {Function} [opcoes.classificarItem] - Classificador alternativo (item) => categoria
+     * @param {Function} [opcoes.obterAliquotaIS] - Alíquota do IS alternativa (item) => decimal
+     * @returns {Object} Débitos, créditos, IS e alíquotas efetivas por categoria e por NCM
+     */
+    function calcularIVAPorItens(itens, opcoes = {}) {
+        const aliquotaCBS = opcoes.aliquotaCBS || obterAliquotaReferencia('cbs');
+        const aliquotaIBS = opcoes.aliquotaIBS || obterAliquotaReferencia('ibs');
+        const reducaoEspecial = opcoes.reducaoEspecial || 0;
+        const classificar = typeof opcoes.classificarItem === 'function' ?
+                            opcoes.classificarItem :
+                            item => classificarItemIVA(item.ncm, item.cfop, opcoes.cnpj);
+        const aliquotaISItem = typeof opcoes.obterAliquotaIS === 'function' ?
+                               opcoes.obterAliquotaIS :
+                               item => typeof NcmRepository !== 'undefined' ? NcmRepository.obterAliquotaIS(item.ncm, opcoes.cnpj) : 0;
+
+        const resultado = {
+            aliquotaCBS,
+            aliquotaIBS,
+            itensProcessados: 0,
+            itensIgnorados: 0,
+            baseSaidas: 0,
+            baseEntradas: 0,
+            cbsDebito: 0,
+            ibsDebito: 0,
+            cbsCredito: 0,
+            ibsCredito: 0,
+            impostoSeletivo: 0,
+            porCategoria: {},
+            porNcm: {}
+        };
+
+        if (!Array.isArray(itens) || itens.length === 0) {
+            return resultado;
+        }
+
+        // Agrupar bases por direção, categoria e NCM antes de tributar
+        const grupos = {};
+        itens.forEach(item => {
+            const cfop = String(item.cfop || '').replace(/\D/g, '');
+            const valor = typeof item.valor === 'number' ? item.valor : parseFloat(item.valor) || 0;
+            const primeiroDigito = cfop.charAt(0);
+            const sufixo = cfop.substring(1);
+
+            if (cfop.length !== 4 || valor === 0 || sufixo.charAt(0) === '9') {
+                resultado.itensIgnorados++;
+                return;
+            }
+
+            let direcao = ['5', '6', '7'].includes(primeiroDigito) ? 'saida' :
+                          ['1', '2', '3'].includes(primeiroDigito) ? 'entrada' : null;
+            if (!direcao) {
+                resultado.itensIgnorados++;
+                return;
+            }
+
+            // Devolução de venda reduz as saídas; devolução de compra reduz as entradas
+            let sinal = 1;
+            if (sufixosCFOPDevolucao.includes(sufixo)) {
+                direcao = direcao === 'saida' ? 'entrada' : 'saida';
+                sinal = -1;
+            }
+
+            const categoria = classificar(item) || 'standard';
+            const ncm = String(item.ncm || '').replace(/\D/g, '') || 'sem-ncm';
+            const chave = `${direcao}|${categoria}|${ncm}`;
+
+            if (!grupos[chave]) {
+                // IS apenas nas saídas para o mercado interno; não gera crédito na entrada
+                const aliquotaIS = direcao === 'saida' && primeiroDigito !== '7' ? (aliquotaISItem(item) || 0) : 0;
+                grupos[chave] = { direcao, categoria, ncm, aliquotaIS, base: 0, quantidade: 0 };
+            }
+            grupos[chave].base += sinal * valor;
+            grupos[chave].quantidade++;
+            resultado.itensProcessados++;
+        });
+
+        Object.values(grupos).forEach(grupo => {
+            const base = Math.max(0, grupo.base);
+            const impostoSeletivo = calcularImpostoSeletivo(base, grupo.aliquotaIS);
+            const cbs = calcularCBS(base + impostoSeletivo, aliquotaCBS, 0, grupo.categoria);
+            const ibs = calcularIBS(base + impostoSeletivo, aliquotaIBS, 0, grupo.categoria, { reducaoEspecial });
+
+            if (!resultado.porCategoria[grupo.categoria]) {
+                resultado.porCategoria[grupo.categoria] = {
+                    baseSaidas: 0, baseEntradas: 0, cbsDebito: 0, ibsDebito: 0, cbsCredito: 0, ibsCredito: 0, impostoSeletivo: 0
+                };
+            }
+            if (!resultado.porNcm[grupo.ncm]) {
+                resultado.porNcm[grupo.ncm] = {
+                    categoria: grupo.categoria, baseSaidas: 0, baseEntradas: 0, cbs: 0, ibs: 0,
+                    aliquotaIS: 0, impostoSeletivo: 0, quantidade: 0
+                };
+            }
+
+            const categoria = resultado.porCategoria[grupo.categoria];
+            const porNcm = resultado.porNcm[grupo.ncm];
+            porNcm.quantidade += grupo.quantidade;
+
+            if (grupo.direcao === 'saida') {
+                resultado.baseSaidas += base;
+                resultado.cbsDebito += cbs;
+                resultado.ibsDebito += ibs;
+                resultado.impostoSeletivo += impostoSeletivo;
+                categoria.baseSaidas += base;
+                categoria.cbsDebito += cbs;
+                categoria.ibsDebito += ibs;
+                categoria.impostoSeletivo += impostoSeletivo;
+                porNcm.baseSaidas += base;
+                porNcm.cbs += cbs;
+                porNcm.ibs += ibs;
+                porNcm.impostoSeletivo += impostoSeletivo;
+                porNcm.aliquotaIS = grupo.aliquotaIS;
+            } else {
+                resultado.baseEntradas += base;
+                resultado.cbsCredito += cbs;
+                resultado.ibsCredito += ibs;
+                categoria.baseEntradas += base;
+                categoria.cbsCredito += cbs;
+                categoria.ibsCredito += ibs;
+                porNcm.baseEntradas += base;
+            }
+        });
+
+        // Alíquotas efetivas sobre as saídas, refletindo o mix real de produtos.
+        // CBS/IBS sobre a base já acrescida do IS, pois o simulador soma o IS à base ao aplicá-las
+        const baseCbsIbsSaidas = resultado.baseSaidas + resultado.impostoSeletivo;
+        resultado.aliquotaEfetivaCBS = baseCbsIbsSaidas > 0 ? resultado.cbsDebito / baseCbsIbsSaidas : 0;
+        resultado.aliquotaEfetivaIBS = baseCbsIbsSaidas > 0 ? resultado.ibsDebito / baseCbsIbsSaidas : 0;
+        resultado.aliquotaEfetivaIS = resultado.baseSaidas > 0 ? resultado.impostoSeletivo / resultado.baseSaidas : 0;
+        resultado.aliquotaEfetivaTotal = resultado.aliquotaEfetivaCBS + resultado.aliquotaEfetivaIBS;
+        resultado.cbsLiquido = Math.max(0, resultado.cbsDebito - resultado.cbsCredito);
+        resultado.ibsLiquido = Math.max(0, resultado.ibsDebito - resultado.ibsCredito);
+
+        return resultado;
+    }
+
+    /**
+     * Disponibilidade dos créditos das compras conforme o PMP e a conformidade dos fornecedores
+     * @param {number} creditos - Créditos mensais das compras
+     * @param {Object} dados - Dados da empresa (formato plano)
+     * @param {number} percentualImplementacao - Parcela das compras liquidadas via split
+     * @returns {Object} - Resultado de CreditCompensationModule.calcularDisponibilidadeCreditos
+     * @private
+     */
+    function calcularDisponibilidadeCreditosCompras(creditos, dados, percentualImplementacao) {
+        if (typeof CreditCompensationModule === 'undefined') {
+            return {
+                creditosInformados: creditos,
+                conformidadeFornecedores: 1,
+                creditosReconhecidos: creditos,
+                creditosNaoReconhecidos: 0,
+                defasagemDias: 0,
+                creditosEmTransito: 0
+            };
+        }
+
+        return CreditCompensationModule.calcularDisponibilidadeCreditos(creditos, {
+            pmp: dados.pmp,
+            conformidadeFornecedores: dados.conformidadeFornecedores,
+            percentualImplementacao
+        });
+    }
+
+    /**
+     * Substitui percVista, percPrazo e PMR pelo perfil de recebimento dos meios de pagamento, quando informados
+     * A parcela à vista é a liquidada em D+0; o PMR é a média ponderada das liquidações posteriores
+     * (prazo de liquidação e parcelas de cada meio). Vendas em dinheiro não passam por prestador
+     * de pagamento e ficam fora da retenção do split.
+     * @param {Object} dados - Dados da empresa (formato plano)
+     * @returns {Object} - Cópia dos dados com o perfil de recebimento em `perfilRecebimento`
+     *                     ({ participacaoSplit, meios }), ou os próprios dados sem meios de pagamento
+     */
+    function aplicarMeiosPagamento(dados) {
+        if (dados.perfilRecebimento || typeof window.FluxoCaixaMensal === 'undefined') {
+            return dados;
+        }
+
+        const meios = window.FluxoCaixaMensal.normalizarMeiosPagamento(dados.meiosPagamento);
+        if (!meios) {
+            return dados;
+        }
+
+        let percVista = 0;
+        let percPrazo = 0;
+        let diasPonderados = 0;
+        let participacaoSplit = 0;
+
+        meios.forEach(meio => {
+            window.FluxoCaixaMensal.calcularCronogramaLiquidacao(meio).forEach(liquidacao => {
+                const fracao = meio.participacao * liquidacao.fracao;
+                if (liquidacao.dias === 0) {
+                    percVista += fracao;
+                } else {
+                    percPrazo += fracao;
+                    diasPonderados += fracao * liquidacao.dias;
+                }
+            });
+            if (meio.split) {
+                participacaoSplit += meio.participacao;
+            }
+        });
+
+        return {
+            ...dados,
+            percVista,
+            percPrazo,
+            pmr: percPrazo > 0 ? Math.round(diasPonderados / percPrazo) : 0,
+            perfilRecebimento: { participacaoSplit, meios }
         };
     }
 
@@ -238,6 +688,7 @@ window.IVADualSystem = (function() {
         if (dados.empresa !== undefined) {
             throw new Error('calcularFluxoCaixaSplitPayment espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
         }
+        dados = aplicarMeiosPagamento(dados);
 
         // Validar campos essenciais
         if (typeof dados.faturamento !== 'number' || isNaN(dados.faturamento)) {
@@ -251,12 +702,12 @@ window.IVADualSystem = (function() {
         }
 
         // Extrair e normalizar parâmetros relevantes
-        const faturamento = window.DataManager.extrairValorNumerico(dados.faturamento);
+        const faturamento = window.DataManager.extrairValorMonetario(dados.faturamento);
         const aliquota = dados.aliquota > 1 ? dados.aliquota / 100 : dados.aliquota; // Normalizar percentual
         const pmr = Math.max(0, parseInt(dados.pmr) || 0);
         const percVista = dados.percVista > 1 ? dados.percVista / 100 : dados.percVista;
         const percPrazo = dados.percPrazo > 1 ? dados.percPrazo / 100 : dados.percPrazo;
-        const creditos = window.DataManager.extrairValorNumerico(dados.creditos) || 0;
+        const creditos = window.DataManager.extrairValorMonetario(dados.creditos) || 0;
         const compensacao = dados.compensacao || 'automatica';
 
         // Verificar consistência de percentuais
@@ -267,16 +718,33 @@ window.IVADualSystem = (function() {
         // Obter percentual de implementação para o ano específico
         const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(ano, parametrosSetoriais);
 
+        // Imposto Seletivo: fora do split payment, mas integra a base da CBS/IBS
+        const aliquotaIS = obterAliquotaISAno(ano, dados, parametrosSetoriais);
+        const valorImpostoSeletivo = calcularImpostoSeletivo(faturamento, aliquotaIS);
+
+        // IBS ao destino: a parcela do IBS na alíquota total segue a composição das vendas por UF/município
+        const composicaoDestino = calcularFatorDestinoIBS(dados.destinosIBS || parametrosSetoriais?.destinosIBS);
+        const aliquotaIBSConfigurada = dados.aliquotaIBS || parametrosSetoriais?.aliquotaIBS || obterAliquotaReferencia('ibs');
+        const aliquotaAplicada = composicaoDestino ?
+            Math.max(0, aliquota + aliquotaIBSConfigurada * (composicaoDestino.fator - 1)) :
+            aliquota;
+
+        // Créditos das compras: só reconhecidos após o pagamento do tributo pelo fornecedor
+        const disponibilidadeCreditos = calcularDisponibilidadeCreditosCompras(creditos, dados, percentualImplementacao);
+
         // Cálculos do fluxo de caixa com Split Payment
-        const valorImpostoTotal = faturamento * aliquota;
-        const valorImpostoLiquido = Math.max(0, valorImpostoTotal - creditos);
+        const valorImpostoTotal = (faturamento + valorImpostoSeletivo) * aliquotaAplicada;
+        const valorImpostoLiquido = Math.max(0, valorImpostoTotal - disponibilidadeCreditos.creditosReconhecidos);
 
-        // Valor dos impostos afetados pelo Split Payment
-        const valorImpostoSplit = valorImpostoLiquido * percentualImplementacao;
+        // Valor dos impostos afetados pelo Split Payment (apenas vendas liquidadas por prestador de pagamento)
+        const participacaoSplit = dados.perfilRecebimento ? dados.perfilRecebimento.participacaoSplit : 1;
+        const valorImpostoSplit = valorImpostoLiquido * percentualImplementacao * participacaoSplit;
         const valorImpostoNormal = valorImpostoLiquido - valorImpostoSplit;
 
-        // Cálculo do capital de giro disponível (apenas a parte não afetada pelo Split Payment)
-        const capitalGiroDisponivel = percentualImplementacao > 0 ? valorImpostoNormal : valorImpostoLiquido;
+        // Cálculo do capital de giro disponível (apenas a parte não afetada pelo Split Payment),
+        // descontados os créditos que aguardam o pagamento aos fornecedores
+        const capitalGiroDisponivel = (percentualImplementacao > 0 ? valorImpostoNormal : valorImpostoLiquido) -
+                                      disponibilidadeCreditos.creditosEmTransito;
 
         // Cálculo dos recebimentos
         // Para vendas à vista: recebimento - split payment imediato
@@ -327,7 +795,9 @@ window.IVADualSystem = (function() {
                 aliquotaCBS: dados.aliquotaCBS,
                 aliquotaIBS: dados.aliquotaIBS,
                 categoriaIva: dados.categoriaIVA,
-                reducaoEspecial: dados.reducaoEspecial
+                reducaoEspecial: dados.reducaoEspecial,
+                aliquotaIS: dados.aliquotaIS,
+                destinosIBS: dados.destinosIBS
             };
 
             // Usar calcularTransicaoIVADual para consistência
@@ -352,7 +822,7 @@ window.IVADualSystem = (function() {
             if (window.DataManager.gerarMemoriaCritica) {
                 memoriaCritica = window.DataManager.gerarMemoriaCritica({
                     faturamento, 
-                    aliquota, 
+                    aliquota: aliquotaAplicada, 
                     percVista, 
                     percPrazo, 
                     creditos,
@@ -361,7 +831,7 @@ window.IVADualSystem = (function() {
                     percentualImplementacao
                 });
             } else if (window.CalculationCore.gerarMemoriaCritica) {
-                memoriaCritica = window.CalculationCore.gerarMemoriaCritica(dados, null);
+                memoriaCritica = window.CalculationCore.gerarMemoriaCritica(dados, { ano });
             } else {
                 memoriaCritica = {
                     tituloRegime: "Sistema de Split Payment",
@@ -383,8 +853,12 @@ window.IVADualSystem = (function() {
         // Resultado completo
         const resultado = {
             faturamento,
+            aliquotaIS,
+            valorImpostoSeletivo,
+            fatorDestinoIBS: composicaoDestino ? composicaoDestino.fator : 1,
             valorImpostoTotal,
             creditos,
+            disponibilidadeCreditos,
             valorImpostoLiquido,
             valorImpostoSplit,
             valorImpostoNormal,
@@ -426,6 +900,7 @@ window.IVADualSystem = (function() {
         if (dados.empresa !== undefined) {
             throw new Error('calcularImpactoCapitalGiro espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
         }
+        dados = aplicarMeiosPagamento(dados);
 
         // Validar campos essenciais
         if (typeof dados.faturamento !== 'number' || isNaN(dados.faturamento)) {
@@ -465,7 +940,9 @@ window.IVADualSystem = (function() {
                     aliquotaCBS: parametrosSetoriais?.aliquotaCBS || dados.aliquotaCBS,
                     aliquotaIBS: parametrosSetoriais?.aliquotaIBS || dados.aliquotaIBS,
                     categoriaIva: parametrosSetoriais?.categoriaIva || dados.categoriaIVA,
-                    reducaoEspecial: parametrosSetoriais?.reducaoEspecial || dados.reducaoEspecial
+                    reducaoEspecial: parametrosSetoriais?.reducaoEspecial || dados.reducaoEspecial,
+                    aliquotaIS: parametrosSetoriais?.aliquotaIS || dados.aliquotaIS,
+                    destinosIBS: parametrosSetoriais?.destinosIBS || dados.destinosIBS
                 };
 
                 // Calcular impostos IVA Dual considerando parâmetros setoriais
@@ -516,7 +993,9 @@ window.IVADualSystem = (function() {
                 // Recalcular explicitamente o capital de giro disponível com Split Payment
                 const percentualImplementacao = window.CurrentTaxSystem.obterPercentualImplementacao(ano, parametrosSetoriais);
                 const valorImpostoTotal = resultadoImpostosIVA?.total || 0;
-                const valorImpostoSplit = valorImpostoTotal * percentualImplementacao;
+                // O IS é recolhido pelo próprio contribuinte, fora do split payment
+                const participacaoSplit = dados.perfilRecebimento ? dados.perfilRecebimento.participacaoSplit : 1;
+                const valorImpostoSplit = (valorImpostoTotal - (resultadoImpostosIVA?.impostoSeletivo || 0)) * percentualImplementacao * participacaoSplit;
 
                 // No regime Split Payment, o capital de giro disponível é reduzido pelo valor do imposto afetado pelo Split
                 resultadoSplitPayment.capitalGiroDisponivel = resultadoAtual.capitalGiroDisponivel - valorImpostoSplit;
@@ -528,6 +1007,21 @@ window.IVADualSystem = (function() {
                 resultadoSplitPayment = resultadoIVASemSplit;
             }
 
+            // Créditos de CBS/IBS parados (aguardando compensação, saldo credor e ressarcimento
+            // em análise) deixam de compor o capital de giro disponível
+            const ressarcimentoCreditos = processarCarteiraCreditosAno(
+                dados, ano, parametrosSetoriais, resultadoImpostosIVA, arguments[3]?.carteiraCreditos
+            );
+            if (ressarcimentoCreditos) {
+                resultadoIVASemSplit.capitalGiroDisponivel -= ressarcimentoCreditos.capitalRetidoMedioSemSplit;
+                if (resultadoSplitPayment !== resultadoIVASemSplit) {
+                    // A carteira já considera os créditos aguardando o pagamento aos fornecedores
+                    resultadoSplitPayment.capitalGiroDisponivel -= ressarcimentoCreditos.capitalRetidoMedio;
+                }
+            } else if (resultadoSplitPayment !== resultadoIVASemSplit) {
+                resultadoSplitPayment.capitalGiroDisponivel -= resultadoSplitPayment.disponibilidadeCreditos?.creditosEmTransito || 0;
+            }
+
             // Validar resultados obtidos
             if (!resultadoAtual || !resultadoSplitPayment || !resultadoIVASemSplit) {
                 throw new Error('Erro ao calcular os fluxos de caixa necessários para a análise');
@@ -556,7 +1050,7 @@ window.IVADualSystem = (function() {
             const impactoDiasFaturamentoIVASemSplit = resultadoAtual.beneficioDiasCapitalGiro - resultadoIVASemSplit.beneficioDiasCapitalGiro;
 
             // Extrair e normalizar parâmetros para cálculo de impacto na margem
-            const faturamento = window.DataManager.extrairValorNumerico(dados.faturamento);
+            const faturamento = window.DataManager.extrairValorMonetario(dados.faturamento);
             const margem = dados.margem > 1 ? dados.margem / 100 : (dados.margem || 0.15);
             const taxaCapitalGiro = dados.taxaCapitalGiro > 1 ? dados.taxaCapitalGiro / 100 : 
                                    (dados.taxaCapitalGiro || 0.021); // Valor padrão: 2,1% a.m.
@@ -593,6 +1087,10 @@ window.IVADualSystem = (function() {
                 percentualReducaoMargem: margem > 0 ? (impactoPercentualIVASemSplit / (margem * 100)) * 100 : 0
             };
 
+            // Com a DRE da ECF, o custo do capital de giro é medido contra o lucro líquido real
+            const impactoResultado = dados.dre && window.CalculationCore ?
+                window.CalculationCore.calcularImpactoResultado(dados, custoAnualCapitalGiro) : null;
+
             // Inicializar o objeto resultado com um objeto impactoBase vazio
             const resultado = {
                 ano,
@@ -615,6 +1113,8 @@ window.IVADualSystem = (function() {
                 impactoMargemDetalhado,
                 impactoMargemDetalhadoIVASemSplit,
                 splitPaymentConsiderado: considerarSplitPayment,
+                ressarcimentoCreditos,
+                impactoResultado,
                 impactoBase: {}
             };
 
@@ -676,7 +1176,7 @@ window.IVADualSystem = (function() {
      */
     function calcularImpactoCapitalGiroSimplificado(dados, ano, parametrosSetoriais) {
         // Extrair e normalizar parâmetros essenciais
-        const faturamento = window.DataManager.extrairValorNumerico(dados.faturamento) || 1;
+        const faturamento = window.DataManager.extrairValorMonetario(dados.faturamento) || 1;
         const aliquota = dados.aliquota > 1 ? dados.aliquota / 100 : (dados.aliquota || 0.265);
         const margem = dados.margem > 1 ? dados.margem / 100 : (dados.margem || 0.15);
         const taxaCapitalGiro = dados.taxaCapitalGiro > 1 ? dados.taxaCapitalGiro / 100 : 
@@ -801,6 +1301,102 @@ window.IVADualSystem = (function() {
         return resultado;
     }
 
+    /**
+     * Substitui o ICMS mensal do ano pelo valor apurado com o saldo credor acumulado
+     * (regime atual e transição) e abate do IBS a parcela de compensação do saldo convertido
+     * @param {Object} impactoAno - Resultado de calcularImpactoCapitalGiro para o ano
+     * @param {Object} saldoAno - Ano de CurrentTaxSystem.projetarSaldoCredorICMS
+     * @private
+     */
+    function aplicarSaldoCredorICMSAno(impactoAno, saldoAno) {
+        if (!impactoAno || !saldoAno) return;
+
+        const ajustar = (impostos, icmsMensal, compensacaoIBSMensal) => {
+            if (!impostos || typeof impostos.icms !== 'number') return;
+            const ibsCompensado = Math.min(impostos.ibs || 0, compensacaoIBSMensal);
+            impostos.total = (impostos.total || 0) - (impostos.icms - icmsMensal) - ibsCompensado;
+            impostos.icms = icmsMensal;
+            if (ibsCompensado > 0) {
+                impostos.ibs -= ibsCompensado;
+            }
+        };
+
+        ajustar(impactoAno.resultadoAtual?.impostos, saldoAno.atual.icmsRecolher / 12, 0);
+
+        // Com e sem split payment os cenários IVA compartilham o mesmo objeto de impostos
+        const impostosIVA = new Set([
+            impactoAno.resultadoIVASemSplit?.impostos,
+            impactoAno.resultadoSplitPayment?.impostos
+        ]);
+        impostosIVA.forEach(impostos => {
+            ajustar(impostos, saldoAno.transicao.icmsRecolher / 12, saldoAno.transicao.compensacaoIBS / 12);
+        });
+
+        const semSplit = impactoAno.resultadoIVASemSplit;
+        if (semSplit?.impostos) {
+            semSplit.valorImpostoTotal = semSplit.impostos.total;
+            semSplit.valorImpostoLiquido = semSplit.impostos.total;
+        }
+
+        impactoAno.saldoCredorICMS = saldoAno;
+    }
+
+    /**
+     * Cria a carteira de créditos de CBS/IBS da simulação, se o acúmulo de créditos estiver ativo
+     * @param {Object} dados - Dados da empresa (formato plano)
+     * @returns {Object|null} - { carteira, faturamentoBase } ou null
+     * @private
+     */
+    function criarCarteiraCreditosIVA(dados) {
+        const config = dados.ressarcimentoCreditos;
+        if (!config?.ativo || typeof CreditCompensationModule === 'undefined') return null;
+
+        return {
+            carteira: CreditCompensationModule.criarCarteiraCreditos({
+                tipoCompensacao: dados.compensacao,
+                prazoRessarcimento: config.prazoRessarcimento,
+                percentualRessarcimento: config.percentualRessarcimento,
+                // Com split, o crédito só é reconhecido no pagamento ao fornecedor
+                defasagemCredito: dados.splitPayment !== false ? dados.pmp : 0
+            }),
+            faturamentoBase: dados.faturamento
+        };
+    }
+
+    /**
+     * Processa na carteira de créditos os doze meses do ano: débitos de CBS/IBS do ano e
+     * créditos de fornecedores adimplentes, na proporção do faturamento e do cronograma de implementação
+     * @param {Object} dados - Dados da empresa (formato plano)
+     * @param {number} ano - Ano de referência
+     * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
+     * @param {Object} impostosIVA - Impostos do ano (calcularTransicaoIVADual)
+     * @param {Object} [carteiraCreditos] - Carteira da projeção; sem ela, uma nova é criada para o ano
+     * @returns {Object|null} - Resumo do ano (CreditCompensationModule) ou null se inativo
+     * @private
+     */
+    function processarCarteiraCreditosAno(dados, ano, parametrosSetoriais, impostosIVA, carteiraCreditos) {
+        const carteiraAno = carteiraCreditos || criarCarteiraCreditosIVA(dados);
+        if (!carteiraAno || !impostosIVA) return null;
+
+        const config = dados.ressarcimentoCreditos;
+        const aliquotaCBS = dados.aliquotaCBS || parametrosSetoriais?.aliquotaCBS || obterAliquotaReferencia('cbs');
+        const aliquotaIBS = dados.aliquotaIBS || parametrosSetoriais?.aliquotaIBS || obterAliquotaReferencia('ibs');
+        const percentualCBS = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'cbs', parametrosSetoriais);
+        const percentualIBS = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'ibs', parametrosSetoriais);
+        const fracaoVigente = aliquotaCBS + aliquotaIBS > 0 ?
+            (aliquotaCBS * percentualCBS + aliquotaIBS * percentualIBS) / (aliquotaCBS + aliquotaIBS) : 0;
+
+        const creditosInformados = typeof config.creditosMensais === 'number' ?
+            config.creditosMensais : (dados.creditosCBS || 0) + (dados.creditosIBS || 0);
+        const creditosPlenos = calcularDisponibilidadeCreditosCompras(creditosInformados, dados, 1).creditosReconhecidos;
+        const fatorFaturamento = carteiraAno.faturamentoBase > 0 ? dados.faturamento / carteiraAno.faturamentoBase : 1;
+
+        const debitoMensal = (impostosIVA.cbs || 0) + (impostosIVA.ibs || 0);
+        const creditoMensal = creditosPlenos * fatorFaturamento * fracaoVigente;
+
+        return carteiraAno.carteira.processarAno(debitoMensal, creditoMensal);
+    }
+
     /**
      * Simula o impacto do Split Payment ao longo do período de transição
      * 
@@ -818,15 +1414,18 @@ window.IVADualSystem = (function() {
         if (dados.empresa !== undefined) {
             throw new Error('calcularProjecaoTemporal espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
         }
+        dados = aplicarMeiosPagamento(dados);
 
         // Validar dados essenciais
         if (typeof dados.faturamento !== 'number' || isNaN(dados.faturamento) || dados.faturamento <= 0) {
             throw new Error('Faturamento inválido ou não positivo');
         }
 
-        // Validar intervalo de anos
-        if (anoInicial < 2026 || anoFinal > 2033 || anoInicial > anoFinal) {
-            throw new Error('Intervalo de anos inválido. O período deve estar entre 2026 e 2033, com ano inicial menor que o final.');
+        // Validar intervalo de anos contra o período do perfil de legislação ativo
+        const periodo = typeof LegislacaoRepository !== 'undefined' ?
+            LegislacaoRepository.obterPeriodo() : { anoInicial: 2026, anoFinal: 2033 };
+        if (anoInicial < periodo.anoInicial || anoFinal > periodo.anoFinal || anoInicial > anoFinal) {
+            throw new Error(`Intervalo de anos inválido. O período deve estar entre ${periodo.anoInicial} e ${periodo.anoFinal}, com ano inicial menor que o final.`);
         }
 
         // Normalizar e validar cenário
@@ -896,10 +1495,23 @@ window.IVADualSystem = (function() {
             let dadosAno = JSON.parse(JSON.stringify(dados));
             let somaImpactoMargem = 0;
 
+            // Saldo credor de ICMS acompanhado mês a mês, com o mesmo crescimento do faturamento
+            const faturamentoPorAno = {};
+            for (let ano = anoInicial, faturamentoAno = dados.faturamento; ano <= anoFinal; ano++) {
+                faturamentoPorAno[ano] = faturamentoAno;
+                faturamentoAno = Math.round(faturamentoAno * (1 + taxaCrescimento) * 100) / 100;
+            }
+            const saldoCredorICMS = window.CurrentTaxSystem.projetarSaldoCredorICMS(
+                dados, anoInicial, anoFinal, { faturamentoPorAno, parametrosSetoriais }
+            );
+
+            // Créditos de CBS/IBS acumulados e ressarcimentos passam de um ano para o outro
+            const carteiraCreditos = criarCarteiraCreditosIVA(dados);
+
             // Simular cada ano do período
             for (let ano = anoInicial; ano <= anoFinal; ano++) {
                 // Calcular impacto para o ano atual
-                const impactoAno = calcularImpactoCapitalGiro(dadosAno, ano, parametrosSetoriais);
+                const impactoAno = calcularImpactoCapitalGiro(dadosAno, ano, parametrosSetoriais, { carteiraCreditos });
 
                 // INÍCIO DA MODIFICAÇÃO
                 // Garantir que o resultado IVA sem Split existe para cada ano
@@ -917,6 +1529,10 @@ window.IVADualSystem = (function() {
                 }
                 // FIM DA MODIFICAÇÃO
 
+                if (saldoCredorICMS) {
+                    aplicarSaldoCredorICMSAno(impactoAno, saldoCredorICMS.porAno[ano]);
+                }
+
                 // Armazenar resultado do ano
                 resultadosAnuais[ano] = impactoAno;
 
@@ -1017,6 +1633,7 @@ window.IVADualSystem = (function() {
                 },
                 resultadosAnuais,  // Resultados para cada ano individualmente
                 impactoAcumulado,
+                saldoCredorICMS,   // Saldo credor de ICMS mês a mês e conversão para o IBS
                 comparacaoRegimes, // Nova estrutura para comparações e gráficos
                 memoriaCritica
             };
@@ -1074,6 +1691,8 @@ window.IVADualSystem = (function() {
      * @returns {Object} - Análise detalhada do impacto no ciclo financeiro
      */
     function calcularImpactoCicloFinanceiro(dados, ano = 2026, parametrosSetoriais = null) {
+        dados = aplicarMeiosPagamento(dados);
+
         // Extrair parâmetros relevantes
         const pmr = dados.pmr;
         const pmp = dados.pmp;
@@ -1153,6 +1772,9 @@ window.IVADualSystem = (function() {
      * @returns {Object} - Análise detalhada da efetividade das estratégias
      */
     function calcularEfeitividadeMitigacao(dados, estrategias, ano = 2026, parametrosSetoriais = null) {
+        // As estratégias partem do perfil de recebimento dos meios de pagamento, quando informados
+        dados = aplicarMeiosPagamento(dados);
+
         // Calcular impacto base sem mitigação
         const impactoBase = calcularImpactoCapitalGiro(dados, ano, parametrosSetoriais);
 
@@ -1982,6 +2604,520 @@ window.IVADualSystem = (function() {
         };
     }
 
+    /**
+     * Alavancas do cálculo de ponto de equilíbrio. Cada uma varia um único parâmetro da
+     * estratégia (na unidade do formulário) e reaproveita a função de efetividade correspondente.
+     * As configurações seguem o formato de DataManager.obterDadosDoFormulario() e são convertidas
+     * para as unidades esperadas pelas funções de efetividade.
+     */
+    const ALAVANCAS_EQUILIBRIO = {
+        ajustePrecos: {
+            parametro: 'percentualAumento',
+            descricao: 'Aumento de preços',
+            unidade: '%',
+            minimo: 0,
+            maximo: 50,
+            configurar: function(dados, estrategia, valor) {
+                return {
+                    ...estrategia,
+                    percentualAumento: valor,
+                    elasticidade: typeof estrategia.elasticidade === 'number' ? estrategia.elasticidade : -1.2,
+                    periodoAjuste: estrategia.periodoAjuste || estrategia.periodo || 3
+                };
+            },
+            calcular: (dados, estrategia, impactoBase) => calcularEfeitividadeAjustePrecos(dados, estrategia, impactoBase)
+        },
+        renegociacaoPrazos: {
+            parametro: 'aumentoPrazo',
+            descricao: 'Extensão do prazo com fornecedores',
+            unidade: 'dias',
+            minimo: 0,
+            maximo: 180,
+            configurar: function(dados, estrategia, valor) {
+                return {
+                    ...estrategia,
+                    aumentoPrazo: valor,
+                    percentualFornecedores: estrategia.percentualFornecedores ?? 60,
+                    // Formulário em decimal; a função de efetividade espera percentual
+                    custoContrapartida: (estrategia.custoContrapartida || 0) * 100
+                };
+            },
+            calcular: (dados, estrategia, impactoBase) => calcularEfeitividadeRenegociacaoPrazos(dados, estrategia, impactoBase)
+        },
+        antecipacaoRecebiveis: {
+            parametro: 'percentualAntecipacao',
+            descricao: 'Antecipação de recebíveis',
+            unidade: '% das vendas a prazo',
+            minimo: 0,
+            maximo: 100,
+            configurar: function(dados, estrategia, valor) {
+                return {
+                    ...estrategia,
+                    percentualAntecipacao: valor,
+                    // Formulário em percentual; a função de efetividade espera decimal
+                    taxaDesconto: (estrategia.taxaDesconto ?? 1.8) / 100,
+                    prazoAntecipacao: estrategia.prazoAntecipacao || 25
+                };
+            },
+            calcular: (dados, estrategia, impactoBase) => calcularEfeitividadeAntecipacaoRecebiveis(dados, estrategia, impactoBase)
+        },
+        meiosPagamento: {
+            parametro: 'deslocamentoVista',
+            descricao: 'Migração de vendas a prazo para à vista',
+            unidade: 'p.p. de vendas à vista',
+            minimo: 0,
+            maximo: dados => Math.max(0, 100 - (dados.percVista || 0) * 100),
+            configurar: function(dados, estrategia, valor) {
+                return {
+                    ...estrategia,
+                    ...distribuirMeiosPagamento(dados, valor),
+                    taxaIncentivo: estrategia.taxaIncentivo ?? 3
+                };
+            },
+            calcular: (dados, estrategia, impactoBase) => calcularEfeitividadeMeiosPagamento(dados, estrategia, impactoBase)
+        }
+    };
+
+    /**
+     * Monta as distribuições atual e nova de meios de pagamento a partir dos dados da empresa,
+     * deslocando vendas a prazo para à vista. As vendas a prazo restantes são divididas entre
+     * as faixas de 30/60/90 dias de forma a reproduzir o PMR atual.
+     * @param {Object} dados - Dados planos da empresa
+     * @param {number} deslocamentoVista - Pontos percentuais de vendas migradas para à vista
+     * @returns {Object} { distribuicaoAtual, distribuicaoNova }
+     */
+    function distribuirMeiosPagamento(dados, deslocamentoVista) {
+        const vistaAtual = (dados.percVista || 0) * 100;
+        const prazoAtual = 100 - vistaAtual;
+        const vistaNova = Math.min(100, vistaAtual + deslocamentoVista);
+        const prazoNovo = 100 - vistaNova;
+
+        // Prazo médio das vendas a prazo, limitado às faixas disponíveis
+        const prazoMedio = prazoAtual > 0 ? Math.min(90, Math.max(30, (dados.pmr || 0) / (prazoAtual / 100))) : 30;
+        const faixaInferior = Math.min(60, Math.floor(prazoMedio / 30) * 30);
+        const pesoSuperior = (prazoMedio - faixaInferior) / 30;
+
+        const distribuicaoNova = { vista: vistaNova, dias30: 0, dias60: 0, dias90: 0 };
+        distribuicaoNova['dias' + faixaInferior] += prazoNovo * (1 - pesoSuperior);
+        distribuicaoNova['dias' + (faixaInferior + 30)] += prazoNovo * pesoSuperior;
+
+        return {
+            distribuicaoAtual: { vista: vistaAtual, prazo: prazoAtual },
+            distribuicaoNova
+        };
+    }
+
+    /**
+     * Busca o menor valor do intervalo em que a função atinge a meta: varredura em passos
+     * (as funções de efetividade não são necessariamente monótonas) seguida de bisseção.
+     * @param {Function} funcao - Recebe o valor e retorna a efetividade (%)
+     * @param {number} minimo - Limite inferior
+     * @param {number} maximo - Limite superior
+     * @param {number} meta - Efetividade desejada (%)
+     * @returns {Object} { valor, atingivel, melhorValor, melhorEfetividade }
+     */
+    function buscarValorMinimo(funcao, minimo, maximo, meta) {
+        const passos = 100;
+        let anterior = minimo;
+        let melhorValor = minimo;
+        let melhorEfetividade = funcao(minimo);
+
+        if (melhorEfetividade >= meta) {
+            return { valor: minimo, atingivel: true, melhorValor, melhorEfetividade };
+        }
+
+        for (let passo = 1; passo <= passos; passo++) {
+            const valor = minimo + (maximo - minimo) * passo / passos;
+            const efetividade = funcao(valor);
+
+            if (efetividade > melhorEfetividade) {
+                melhorValor = valor;
+                melhorEfetividade = efetividade;
+            }
+
+            if (efetividade >= meta) {
+                let inferior = anterior;
+                let superior = valor;
+                for (let iteracao = 0; iteracao < 40; iteracao++) {
+                    const meio = (inferior + superior) / 2;
+                    if (funcao(meio) >= meta) {
+                        superior = meio;
+                    } else {
+                        inferior = meio;
+                    }
+                }
+                return { valor: superior, atingivel: true, melhorValor, melhorEfetividade };
+            }
+
+            anterior = valor;
+        }
+
+        return { valor: null, atingivel: false, melhorValor, melhorEfetividade };
+    }
+
+    /**
+     * Calcula, para uma meta de neutralização do impacto do Split Payment, o valor mínimo de
+     * cada parâmetro de mitigação (individualmente) e a intensidade mínima da combinação
+     * das alavancas selecionadas.
+     *
+     * Na combinação, todas as alavancas variam juntas, do valor mínimo até o valor de equilíbrio
+     * individual (ou o limite da alavanca, quando o equilíbrio individual não é atingível), e a
+     * efetividade é obtida por calcularEfeitividadeCombinada.
+     *
+     * @param {Object} dados - Dados planos da empresa
+     * @param {Object} estrategias - Configuração das estratégias (formato do formulário)
+     * @param {Object} opcoes - { ano, metaPercentual (padrão 100), parametrosSetoriais,
+     *                          alavancas (padrão: todas), alavancasCombinacao (padrão: as mesmas) }
+     * @returns {Object} - Valores de equilíbrio por alavanca e da combinação
+     */
+    function calcularParametrosEquilibrio(dados, estrategias, opcoes = {}) {
+        dados = aplicarMeiosPagamento(dados);
+        const ano = opcoes.ano || 2026;
+        const metaPercentual = typeof opcoes.metaPercentual === 'number' ? opcoes.metaPercentual : 100;
+        const configuracoes = estrategias || dados.estrategias || {};
+        const alavancas = (opcoes.alavancas || Object.keys(ALAVANCAS_EQUILIBRIO))
+            .filter(chave => ALAVANCAS_EQUILIBRIO[chave]);
+        const alavancasCombinacao = (opcoes.alavancasCombinacao || alavancas)
+            .filter(chave => alavancas.includes(chave));
+
+        const impactoBase = calcularImpactoCapitalGiro(dados, ano, opcoes.parametrosSetoriais || null);
+        const necessidadeCapitalGiro = Math.abs(impactoBase.diferencaCapitalGiro || 0);
+
+        const resultado = {
+            ano,
+            metaPercentual,
+            necessidadeCapitalGiro,
+            valorMeta: necessidadeCapitalGiro * metaPercentual / 100,
+            individuais: {},
+            combinacao: null
+        };
+
+        // Sem impacto a neutralizar, qualquer alavanca no valor mínimo atende a meta
+        const semImpacto = necessidadeCapitalGiro < 0.01;
+
+        const limites = {};
+        alavancas.forEach(chave => {
+            const alavanca = ALAVANCAS_EQUILIBRIO[chave];
+            const estrategia = configuracoes[chave] || {};
+            const maximo = typeof alavanca.maximo === 'function' ? alavanca.maximo(dados) : alavanca.maximo;
+            const avaliar = valor => {
+                const efetividade = alavanca.calcular(dados, alavanca.configurar(dados, estrategia, valor), impactoBase).efetividadePercentual;
+                return Number.isFinite(efetividade) ? efetividade : 0;
+            };
+
+            const busca = semImpacto ?
+                { valor: alavanca.minimo, atingivel: true, melhorValor: alavanca.minimo, melhorEfetividade: 0 } :
+                buscarValorMinimo(avaliar, alavanca.minimo, maximo, metaPercentual);
+
+            limites[chave] = busca.atingivel ? busca.valor : busca.melhorValor;
+
+            resultado.individuais[chave] = {
+                parametro: alavanca.parametro,
+                descricao: alavanca.descricao,
+                unidade: alavanca.unidade,
+                valorConfigurado: alavanca.parametro === 'deslocamentoVista' ? null : (estrategia[alavanca.parametro] ?? null),
+                valorNecessario: busca.atingivel ? busca.valor : null,
+                atingivel: busca.atingivel,
+                limite: maximo,
+                efetividadeMaxima: busca.melhorEfetividade,
+                valorEfetividadeMaxima: busca.melhorValor
+            };
+        });
+
+        if (alavancasCombinacao.length > 1 && !semImpacto) {
+            const montarCombinacao = fator => {
+                const configuradas = {};
+                const resultadosEstrategias = {};
+                alavancasCombinacao.forEach(chave => {
+                    const alavanca = ALAVANCAS_EQUILIBRIO[chave];
+                    const valor = alavanca.minimo + (limites[chave] - alavanca.minimo) * fator;
+                    configuradas[chave] = alavanca.configurar(dados, configuracoes[chave] || {}, valor);
+                    resultadosEstrategias[chave] = alavanca.calcular(dados, configuradas[chave], impactoBase);
+                });
+                return calcularEfeitividadeCombinada(dados, configuradas, resultadosEstrategias, impactoBase);
+            };
+
+            const busca = buscarValorMinimo(fator => {
+                const efetividade = montarCombinacao(fator).efetividadePercentual;
+                return Number.isFinite(efetividade) ? efetividade : 0;
+            }, 0, 1, metaPercentual);
+            const fator = busca.atingivel ? busca.valor : busca.melhorValor;
+            const combinada = montarCombinacao(fator);
+
+            resultado.combinacao = {
+                alavancas: alavancasCombinacao,
+                atingivel: busca.atingivel,
+                fator,
+                valores: Object.fromEntries(alavancasCombinacao.map(chave => {
+                    const alavanca = ALAVANCAS_EQUILIBRIO[chave];
+                    return [chave, alavanca.minimo + (limites[chave] - alavanca.minimo) * fator];
+                })),
+                efetividadePercentual: combinada.efetividadePercentual,
+                mitigacaoTotal: combinada.mitigacaoTotal,
+                custoTotal: combinada.custoTotal
+            };
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Alavancas do otimizador de combinação: as do ponto de equilíbrio mais a captação de capital de giro
+     */
+    const ALAVANCAS_OTIMIZACAO = {
+        ...ALAVANCAS_EQUILIBRIO,
+        capitalGiro: {
+            parametro: 'valorCaptacao',
+            descricao: 'Captação de capital de giro',
+            unidade: '% da necessidade',
+            minimo: 0,
+            maximo: 100,
+            configurar: function(dados, estrategia, valor) {
+                return {
+                    ...estrategia,
+                    valorCaptacao: valor,
+                    // Formulário em percentual; a função de efetividade espera decimal
+                    taxaJuros: (estrategia.taxaJuros ?? 2.1) / 100,
+                    prazoPagamento: estrategia.prazoPagamento || 12,
+                    carencia: estrategia.carencia ?? 3
+                };
+            },
+            calcular: (dados, estrategia, impactoBase) => calcularEfeitividadeCapitalGiro(dados, estrategia, impactoBase)
+        }
+    };
+
+    /**
+     * Busca direta por coordenadas (compass search) em [0, 1]^n: testa passos positivos e
+     * negativos em cada coordenada e reduz o passo à metade quando nenhum movimento melhora.
+     * @param {Function} objetivo - Recebe o vetor e retorna o valor a minimizar
+     * @param {Array<number>} inicial - Ponto inicial
+     * @param {number} maxAvaliacoes - Limite de avaliações do objetivo
+     * @returns {Object} { ponto, valor, avaliacoes }
+     */
+    function buscarMinimoPorCoordenadas(objetivo, inicial, maxAvaliacoes = 400) {
+        let ponto = inicial.slice();
+        let valor = objetivo(ponto);
+        let avaliacoes = 1;
+        let passo = 0.25;
+
+        while (passo >= 0.002 && avaliacoes < maxAvaliacoes) {
+            let melhorou = false;
+
+            for (let indice = 0; indice < ponto.length && !melhorou; indice++) {
+                for (const direcao of [1, -1]) {
+                    const candidato = ponto.slice();
+                    candidato[indice] = Math.min(1, Math.max(0, candidato[indice] + direcao * passo));
+                    if (candidato[indice] === ponto[indice]) continue;
+
+                    const valorCandidato = objetivo(candidato);
+                    avaliacoes++;
+                    if (valorCandidato < valor) {
+                        ponto = candidato;
+                        valor = valorCandidato;
+                        melhorou = true;
+                        break;
+                    }
+                }
+            }
+
+            if (!melhorou) {
+                passo /= 2;
+            }
+        }
+
+        return { ponto, valor, avaliacoes };
+    }
+
+    /**
+     * Otimiza os parâmetros contínuos das estratégias de mitigação sob restrições e retorna
+     * a fronteira de Pareto entre custo e impacto neutralizado.
+     *
+     * Para cada nível de neutralização, minimiza o custo total (calcularEfeitividadeCombinada)
+     * exigindo efetividade mínima e respeitando as restrições, por busca direta com penalidades.
+     * A fronteira reúne as soluções viáveis não dominadas encontradas em todas as buscas.
+     *
+     * A margem resultante é a margem ajustada da efetividade combinada (que já considera os juros
+     * da captação) descontados o deságio da antecipação, o incentivo à vista e a contrapartida
+     * aos fornecedores, por mês, sobre o faturamento.
+     *
+     * @param {Object} dados - Dados planos da empresa
+     * @param {Object} estrategias - Configuração das estratégias (formato do formulário)
+     * @param {Object} opcoes - {
+     *   ano, parametrosSetoriais,
+     *   alavancas (padrão: todas as de ALAVANCAS_OTIMIZACAO),
+     *   restricoes: { aumentoPrecoMaximo (%), custoFinanceiroMensalMaximo (R$), margemMinima (decimal) },
+     *   niveis (percentuais de neutralização; padrão 10 a 100)
+     * }
+     * @returns {Object} - Soluções por nível e fronteira de Pareto
+     */
+    function otimizarCombinacaoEstrategias(dados, estrategias, opcoes = {}) {
+        dados = aplicarMeiosPagamento(dados);
+        const ano = opcoes.ano || 2026;
+        const configuracoes = estrategias || dados.estrategias || {};
+        const restricoes = opcoes.restricoes || {};
+        const niveis = opcoes.niveis || [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+        const alavancas = (opcoes.alavancas || Object.keys(ALAVANCAS_OTIMIZACAO))
+            .filter(chave => ALAVANCAS_OTIMIZACAO[chave]);
+
+        if (alavancas.length === 0) {
+            throw new Error('Selecione ao menos uma estratégia para otimizar');
+        }
+
+        const impactoBase = calcularImpactoCapitalGiro(dados, ano, opcoes.parametrosSetoriais || null);
+        const necessidadeCapitalGiro = Math.abs(impactoBase.diferencaCapitalGiro || 0);
+        const faturamento = window.DataManager.extrairValorMonetario(dados.faturamento);
+
+        // Limites de cada alavanca, já com a restrição de aumento de preços
+        const limites = alavancas.map(chave => {
+            const alavanca = ALAVANCAS_OTIMIZACAO[chave];
+            let maximo = typeof alavanca.maximo === 'function' ? alavanca.maximo(dados) : alavanca.maximo;
+            if (chave === 'ajustePrecos' && typeof restricoes.aumentoPrecoMaximo === 'number') {
+                maximo = Math.min(maximo, Math.max(alavanca.minimo, restricoes.aumentoPrecoMaximo));
+            }
+            return { minimo: alavanca.minimo, maximo };
+        });
+
+        const converterPonto = ponto => Object.fromEntries(alavancas.map((chave, indice) =>
+            [chave, limites[indice].minimo + (limites[indice].maximo - limites[indice].minimo) * ponto[indice]]));
+
+        // Soluções viáveis avaliadas (candidatas à fronteira)
+        const viaveis = [];
+        let totalAvaliacoes = 0;
+
+        function avaliar(ponto) {
+            totalAvaliacoes++;
+            const valores = converterPonto(ponto);
+            const configuradas = {};
+            const resultados = {};
+            alavancas.forEach(chave => {
+                const alavanca = ALAVANCAS_OTIMIZACAO[chave];
+                // No valor mínimo a estratégia fica inativa (sem custos fixos, como a contrapartida)
+                if (valores[chave] <= alavanca.minimo) return;
+                configuradas[chave] = alavanca.configurar(dados, configuracoes[chave] || {}, valores[chave]);
+                resultados[chave] = alavanca.calcular(dados, configuradas[chave], impactoBase);
+            });
+
+            const combinada = calcularEfeitividadeCombinada(dados, configuradas, resultados, impactoBase);
+            const custoFinanceiroMensal = (resultados.capitalGiro?.custoMensalJuros || 0) +
+                (resultados.antecipacaoRecebiveis?.custoAntecipacao || 0);
+            const custosMensaisMargem = (resultados.antecipacaoRecebiveis?.custoAntecipacao || 0) +
+                (resultados.meiosPagamento?.valorIncentivoMensal || 0) +
+                (resultados.renegociacaoPrazos ? resultados.renegociacaoPrazos.custoTotal / resultados.renegociacaoPrazos.duracaoEfeito : 0);
+            const margemResultante = (combinada.margemAjustada || 0) - (faturamento > 0 ? custosMensaisMargem / faturamento : 0);
+
+            const avaliacao = {
+                ponto,
+                valores,
+                efetividadePercentual: Number.isFinite(combinada.efetividadePercentual) ? combinada.efetividadePercentual : 0,
+                mitigacaoTotal: combinada.mitigacaoTotal || 0,
+                custoTotal: Number.isFinite(combinada.custoTotal) ? Math.max(0, combinada.custoTotal) : Infinity,
+                custoFinanceiroMensal,
+                margemResultante
+            };
+
+            avaliacao.violacoes = {
+                custoFinanceiro: typeof restricoes.custoFinanceiroMensalMaximo === 'number' ?
+                    Math.max(0, custoFinanceiroMensal - restricoes.custoFinanceiroMensalMaximo) : 0,
+                margem: typeof restricoes.margemMinima === 'number' ?
+                    Math.max(0, restricoes.margemMinima - margemResultante) : 0
+            };
+            avaliacao.viavel = avaliacao.violacoes.custoFinanceiro === 0 && avaliacao.violacoes.margem === 0 &&
+                Number.isFinite(avaliacao.custoTotal);
+
+            if (avaliacao.viavel) {
+                viaveis.push(avaliacao);
+            }
+            return avaliacao;
+        }
+
+        // Custo normalizado pela necessidade de capital, com penalidades para meta e restrições.
+        // O termo mínimo sobre os parâmetros desempata soluções de mesmo custo em favor da menor intervenção.
+        const escalaCusto = Math.max(necessidadeCapitalGiro, 1);
+        const escalaFinanceira = Math.max(restricoes.custoFinanceiroMensalMaximo || 0, 1);
+        function criarObjetivo(nivel) {
+            return ponto => {
+                const avaliacao = avaliar(ponto);
+                const deficitMeta = Math.max(0, nivel - avaliacao.efetividadePercentual) / 100;
+                const custo = Number.isFinite(avaliacao.custoTotal) ? avaliacao.custoTotal / escalaCusto : 1e6;
+                const intervencao = ponto.reduce((total, valor) => total + valor, 0) * 1e-4;
+                return custo + intervencao + 1000 * (deficitMeta +
+                    avaliacao.violacoes.custoFinanceiro / escalaFinanceira +
+                    avaliacao.violacoes.margem);
+            };
+        }
+
+        // Solução viável mais barata já avaliada que atinge o nível
+        const melhorViavel = nivel => viaveis
+            .filter(avaliacao => avaliacao.efetividadePercentual >= nivel - 0.01)
+            .reduce((melhor, avaliacao) => (!melhor || avaliacao.custoTotal < melhor.custoTotal ? avaliacao : melhor), null);
+
+        const melhoresBuscas = niveis.map(nivel => {
+            const objetivo = criarObjetivo(nivel);
+            const inicios = [alavancas.map(() => 0), alavancas.map(() => Math.min(1, nivel / 100))];
+            const anterior = melhorViavel(nivel);
+            if (anterior) inicios.unshift(anterior.ponto);
+
+            let melhorBusca = null;
+            inicios.forEach(inicio => {
+                const busca = buscarMinimoPorCoordenadas(objetivo, inicio);
+                if (!melhorBusca || busca.valor < melhorBusca.valor) melhorBusca = busca;
+            });
+            return melhorBusca;
+        });
+
+        // As buscas de um nível podem encontrar soluções melhores para outros: escolher só ao final
+        const solucoesPorNivel = niveis.map((nivel, indice) => {
+            const solucao = melhorViavel(nivel);
+            const avaliacao = solucao || avaliar(melhoresBuscas[indice].ponto);
+            return {
+                nivel,
+                atingido: !!solucao,
+                valores: avaliacao.valores,
+                efetividadePercentual: avaliacao.efetividadePercentual,
+                custoTotal: avaliacao.custoTotal,
+                custoFinanceiroMensal: avaliacao.custoFinanceiroMensal,
+                margemResultante: avaliacao.margemResultante
+            };
+        });
+
+        // Fronteira: ordenar por custo e manter apenas quem aumenta o impacto neutralizado
+        // (limitado a 100%: acima disso não há impacto adicional a neutralizar)
+        const fronteira = [];
+        viaveis
+            .map(avaliacao => ({ ...avaliacao, impactoNeutralizado: Math.min(100, avaliacao.efetividadePercentual) }))
+            .sort((a, b) => a.custoTotal - b.custoTotal || b.impactoNeutralizado - a.impactoNeutralizado)
+            .forEach(avaliacao => {
+                const ultima = fronteira[fronteira.length - 1];
+                if (!ultima || avaliacao.impactoNeutralizado > ultima.impactoNeutralizado + 0.01) {
+                    fronteira.push({
+                        valores: avaliacao.valores,
+                        impactoNeutralizado: avaliacao.impactoNeutralizado,
+                        efetividadePercentual: avaliacao.efetividadePercentual,
+                        custoTotal: avaliacao.custoTotal,
+                        custoFinanceiroMensal: avaliacao.custoFinanceiroMensal,
+                        margemResultante: avaliacao.margemResultante
+                    });
+                }
+            });
+
+        return {
+            ano,
+            necessidadeCapitalGiro,
+            restricoes,
+            alavancas: alavancas.map((chave, indice) => ({
+                chave,
+                parametro: ALAVANCAS_OTIMIZACAO[chave].parametro,
+                descricao: ALAVANCAS_OTIMIZACAO[chave].descricao,
+                unidade: ALAVANCAS_OTIMIZACAO[chave].unidade,
+                minimo: limites[indice].minimo,
+                maximo: limites[indice].maximo
+            })),
+            solucoesPorNivel,
+            fronteira,
+            avaliacoes: totalAvaliacoes
+        };
+    }
+
     /**
      * Calcula o imposto em um ano específico durante a transição para o IVA Dual
      * @param {number} baseValue - Valor base para cálculo
@@ -1995,7 +3131,7 @@ window.IVADualSystem = (function() {
         const result = { ...currentTaxes };
         const dados = options.dados || {};
 
-        // Obter percentuais específicos para CBS e IBS
+        // Obter percentuais específicos para CBS e IBS e o cronograma de extinção dos tributos atuais
         const percentualCBS = window.CurrentTaxSystem.obterPercentualImplementacao(
             year, 'cbs', options.parametrosSetoriais
         );
@@ -2004,47 +3140,55 @@ window.IVADualSystem = (function() {
             year, 'ibs', options.parametrosSetoriais
         );
 
+        const remanescentePisCofins = window.CurrentTaxSystem.obterPercentualImplementacao(
+            year, 'pisCofins', options.parametrosSetoriais
+        );
+
+        const remanescenteIcmsIss = window.CurrentTaxSystem.obterPercentualImplementacao(
+            year, 'icmsIss', options.parametrosSetoriais
+        );
+
+        const legislacaoAno = window.CurrentTaxSystem.obterParametrosLegislacao(year);
+
         // Log para depuração
         console.log(`Calculando impostos para ano ${year}: CBS=${percentualCBS*100}%, IBS=${percentualIBS*100}%`);
 
         // Extrair alíquotas específicas do setor
-        const aliquotaCBS = dados.aliquotaCBS || options.parametrosSetoriais?.aliquotaCBS || aliquotasIVADual.cbs;
-        const aliquotaIBS = dados.aliquotaIBS || options.parametrosSetoriais?.aliquotaIBS || aliquotasIVADual.ibs;
+        const aliquotaCBS = dados.aliquotaCBS || options.parametrosSetoriais?.aliquotaCBS || obterAliquotaReferencia('cbs');
+        const aliquotaIBS = dados.aliquotaIBS || options.parametrosSetoriais?.aliquotaIBS || obterAliquotaReferencia('ibs');
         const categoriaIVA = dados.categoriaIVA || options.parametrosSetoriais?.categoriaIva || 'standard';
         const reducaoEspecial = dados.reducaoEspecial || options.parametrosSetoriais?.reducaoEspecial || 0;
+        const destinosIBS = dados.destinosIBS || options.parametrosSetoriais?.destinosIBS;
 
-        // Aplicar os cálculos de CBS se percentual maior que zero
-        if (percentualCBS > 0) {
-            // Calcular CBS usando alíquota e categoria específicas
-            const cbsTax = calcularCBS(baseValue, aliquotaCBS, 0, categoriaIVA) * percentualCBS;
+        // Imposto Seletivo a partir da vigência do perfil; integra a base da CBS/IBS
+        result.impostoSeletivo = calcularImpostoSeletivo(baseValue, obterAliquotaISAno(year, dados, options.parametrosSetoriais));
+        const baseCbsIbs = baseValue + result.impostoSeletivo;
 
-            // Reduzir PIS/COFINS proporcionalmente
-            if (result.pis) result.pis *= (1 - percentualCBS);
-            if (result.cofins) result.cofins *= (1 - percentualCBS);
+        // Reduzir PIS/COFINS e ICMS/ISS conforme o cronograma de extinção
+        if (result.pis) result.pis *= remanescentePisCofins;
+        if (result.cofins) result.cofins *= remanescentePisCofins;
+        if (result.icms) result.icms *= remanescenteIcmsIss;
+        if (result.icmsST) result.icmsST *= remanescenteIcmsIss;
+        if (result.iss) result.iss *= remanescenteIcmsIss;
 
-            result.cbs = cbsTax;
-        } else {
-            result.cbs = 0; // Garantir que o valor seja explicitamente definido
-        }
+        // Aplicar os cálculos de CBS se percentual maior que zero
+        result.cbs = percentualCBS > 0 ? calcularCBS(baseCbsIbs, aliquotaCBS, 0, categoriaIVA) * percentualCBS : 0;
 
         // Aplicar os cálculos de IBS se percentual maior que zero
-        if (percentualIBS > 0) {
-            // Calcular IBS usando alíquota e categoria específicas  
-            const ibsTax = calcularIBS(
-                baseValue, 
-                aliquotaIBS, 
-                0, 
-                categoriaIVA, 
-                { reducaoEspecial: reducaoEspecial }
-            ) * percentualIBS;
-
-            // Reduzir ICMS/ISS proporcionalmente
-            if (result.icms) result.icms *= (1 - percentualIBS);
-            if (result.iss) result.iss *= (1 - percentualIBS);
-
-            result.ibs = ibsTax;
-        } else {
-            result.ibs = 0; // Garantir que o valor seja explicitamente definido
+        result.ibs = percentualIBS > 0 ?
+            calcularIBS(baseCbsIbs, aliquotaIBS, 0, categoriaIVA, { reducaoEspecial: reducaoEspecial, destinos: destinosIBS }) * percentualIBS :
+            0;
+
+        // No ano de teste, CBS e IBS destacados são compensados com o PIS/COFINS devido
+        if (legislacaoAno.compensacaoTeste) {
+            let compensar = result.cbs + result.ibs;
+            ['pis', 'cofins'].forEach(tributo => {
+                const compensado = Math.min(result[tributo] || 0, compensar);
+                if (compensado > 0) {
+                    result[tributo] -= compensado;
+                    compensar -= compensado;
+                }
+            });
         }
 
         // Recalcular o total considerando todos os impostos
@@ -2061,6 +3205,166 @@ window.IVADualSystem = (function() {
         return result;
     }
 
+    /**
+     * Partilha do DAS entre os tributos substituídos pela CBS (PIS/COFINS) e pelo IBS (ICMS/ISS),
+     * na 1ª faixa dos anexos da LC 123/2006 (Anexo I comércio, II indústria, III serviços)
+     * @type {Object}
+     */
+    const PARTILHA_DAS = {
+        comercio: { pisCofins: 0.155, icmsIss: 0.34 },  // PIS 2,76% + COFINS 12,74%; ICMS 34%
+        industria: { pisCofins: 0.14, icmsIss: 0.32 },  // PIS 2,49% + COFINS 11,51%; ICMS 32%
+        servicos: { pisCofins: 0.156, icmsIss: 0.335 }  // PIS 2,78% + COFINS 12,82%; ISS 33,5%
+    };
+
+    /**
+     * Primeiro ano da opção do optante pelo Simples Nacional pelo regime regular de CBS/IBS (LC 214/2025, art. 41)
+     * Usado apenas sem o LegislacaoRepository; com ele, o ano vem do perfil de legislação ativo
+     * @type {number}
+     */
+    const ANO_INICIO_OPCAO_SIMPLES_HIBRIDO_PADRAO = 2027;
+
+    /**
+     * Participação das vendas a contribuintes do regime regular (B2B) pelo tipo de operação
+     * @type {Object}
+     */
+    const PERCENTUAL_B2B_POR_OPERACAO = { b2b: 1, b2c: 0, mista: 0.5 };
+
+    /**
+     * Compara, ano a ano, as opções do optante pelo Simples Nacional para CBS/IBS:
+     * - integral: CBS/IBS recolhidos no DAS; o cliente do regime regular só se credita do valor
+     *   pago no DAS e a diferença de crédito tende a ser descontada no preço
+     * - híbrido: CBS/IBS fora do DAS, pelo regime regular, com crédito das compras e crédito integral
+     *   transferido ao cliente
+     * Em ambas o split payment retém a CBS/IBS na liquidação; o custo da retenção é o custo mensal de capital de giro.
+     * Valores mensais, sobre o faturamento informado.
+     * @param {Object} dados - Dados em formato plano (faturamento, aliquota do Simples, tipoEmpresa, tipoOperacao, simplesNacional)
+     * @param {number} [anoInicial=2026] - Primeiro ano
+     * @param {number} [anoFinal=2033] - Último ano
+     * @param {Object} [parametrosSetoriais] - Parâmetros setoriais (aliquotaCBS, aliquotaIBS, cronogramas)
+     * @returns {Object} { parametros, porAno, recomendacao, anosHibridoVantajoso }
+     */
+    function calcularOpcaoSimplesNacional(dados, anoInicial = 2026, anoFinal = 2033, parametrosSetoriais = null) {
+        if (dados.empresa !== undefined) {
+            throw new Error('calcularOpcaoSimplesNacional espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
+        }
+
+        const faturamento = window.DataManager.extrairValorMonetario(dados.faturamento);
+        const aliquotaSimples = dados.aliquota > 1 ? dados.aliquota / 100 : (dados.aliquota || 0);
+        const simples = dados.simplesNacional || {};
+        const partilha = PARTILHA_DAS[dados.tipoEmpresa] || PARTILHA_DAS.comercio;
+
+        const percentualB2B = typeof simples.percentualB2B === 'number' ? simples.percentualB2B :
+            (PERCENTUAL_B2B_POR_OPERACAO[dados.tipoOperacao] ?? PERCENTUAL_B2B_POR_OPERACAO.mista);
+        const percentualCompras = typeof simples.percentualCompras === 'number' ? simples.percentualCompras : 0.4;
+        const repasseCredito = typeof simples.repasseCredito === 'number' ? simples.repasseCredito : 1;
+
+        const aliquotaCBS = dados.aliquotaCBS || parametrosSetoriais?.aliquotaCBS || obterAliquotaReferencia('cbs');
+        const aliquotaIBS = dados.aliquotaIBS || parametrosSetoriais?.aliquotaIBS || obterAliquotaReferencia('ibs');
+        const taxaCapitalGiro = dados.taxaCapitalGiro > 1 ? dados.taxaCapitalGiro / 100 :
+                               (dados.taxaCapitalGiro || 0.021);
+
+        // Início da opção híbrida conforme o perfil de legislação ativo (null: sem opção no período do perfil)
+        const anoInicioOpcao = typeof LegislacaoRepository !== 'undefined' ?
+            LegislacaoRepository.obterAnoInicioOpcaoSimplesHibrido() : ANO_INICIO_OPCAO_SIMPLES_HIBRIDO_PADRAO;
+
+        const porAno = {};
+        const anosHibridoVantajoso = [];
+
+        for (let ano = anoInicial; ano <= anoFinal; ano++) {
+            const percentualCBS = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'cbs', parametrosSetoriais);
+            const percentualIBS = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'ibs', parametrosSetoriais);
+            const remanescentePisCofins = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'pisCofins', parametrosSetoriais);
+            const remanescenteIcmsIss = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'icmsIss', parametrosSetoriais);
+            const percentualSplit = window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'splitPayment', parametrosSetoriais);
+
+            // Alíquota de CBS/IBS do regime regular no ano e parcela do DAS que já corresponde a CBS/IBS
+            const aliquotaIVAAno = aliquotaCBS * percentualCBS + aliquotaIBS * percentualIBS;
+            const parcelaIVANoDAS = partilha.pisCofins * (1 - remanescentePisCofins) +
+                                    partilha.icmsIss * (1 - remanescenteIcmsIss);
+
+            const das = faturamento * aliquotaSimples;
+            const creditoIntegralClientes = faturamento * percentualB2B * aliquotaIVAAno;
+
+            // Opção integral: CBS/IBS dentro do DAS
+            const ivaNoDAS = das * parcelaIVANoDAS;
+            const creditoTransferidoIntegral = faturamento * percentualB2B * aliquotaSimples * parcelaIVANoDAS;
+            const perdaCompetitiva = Math.max(0, creditoIntegralClientes - creditoTransferidoIntegral) * repasseCredito;
+            const valorRetidoIntegral = ivaNoDAS * percentualSplit;
+            const custoFinanceiroIntegral = valorRetidoIntegral * taxaCapitalGiro;
+
+            const integral = {
+                das,
+                ivaNoDAS,
+                ivaDebito: 0,
+                ivaCredito: 0,
+                ivaLiquido: 0,
+                creditoTransferido: creditoTransferidoIntegral,
+                perdaCompetitiva,
+                valorRetidoSplit: valorRetidoIntegral,
+                custoFinanceiroSplit: custoFinanceiroIntegral,
+                custoTotal: das + perdaCompetitiva + custoFinanceiroIntegral
+            };
+
+            // Opção híbrida: disponível a partir do ano de início da opção no perfil
+            let hibrido = null;
+            if (anoInicioOpcao !== null && ano >= anoInicioOpcao) {
+                const dasHibrido = das * (1 - parcelaIVANoDAS);
+                const ivaDebito = faturamento * aliquotaIVAAno;
+                const ivaCredito = faturamento * percentualCompras * aliquotaIVAAno;
+                const ivaLiquido = Math.max(0, ivaDebito - ivaCredito);
+                const valorRetidoHibrido = ivaLiquido * percentualSplit;
+                const custoFinanceiroHibrido = valorRetidoHibrido * taxaCapitalGiro;
+
+                hibrido = {
+                    das: dasHibrido,
+                    ivaNoDAS: 0,
+                    ivaDebito,
+                    ivaCredito,
+                    ivaLiquido,
+                    creditoTransferido: creditoIntegralClientes,
+                    perdaCompetitiva: 0,
+                    valorRetidoSplit: valorRetidoHibrido,
+                    custoFinanceiroSplit: custoFinanceiroHibrido,
+                    custoTotal: dasHibrido + ivaLiquido + custoFinanceiroHibrido
+                };
+            }
+
+            const recomendacao = hibrido && hibrido.custoTotal < integral.custoTotal ? 'hibrido' : 'integral';
+            if (recomendacao === 'hibrido') {
+                anosHibridoVantajoso.push(ano);
+            }
+
+            porAno[ano] = {
+                aliquotaIVAAno,
+                parcelaIVANoDAS,
+                percentualSplit,
+                integral,
+                hibrido,
+                recomendacao,
+                economia: hibrido ? Math.abs(hibrido.custoTotal - integral.custoTotal) : 0
+            };
+        }
+
+        const anosComOpcao = Object.keys(porAno).filter(ano => porAno[ano].hibrido).length;
+
+        return {
+            parametros: {
+                faturamento,
+                aliquotaSimples,
+                opcaoInformada: simples.opcaoIVA || 'integral',
+                partilha,
+                percentualB2B,
+                percentualCompras,
+                repasseCredito,
+                anoInicioOpcao
+            },
+            porAno,
+            anosHibridoVantajoso,
+            // Recomendação para o período: a opção mais vantajosa na maioria dos anos em que há escolha
+            recomendacao: anosComOpcao > 0 && anosHibridoVantajoso.length > anosComOpcao / 2 ? 'hibrido' : 'integral'
+        };
+    }
+
     /**
      * Compara os resultados entre o sistema atual e o IVA Dual
      * @param {Object} currentSystemResults - Resultados do sistema atual
@@ -2212,10 +3516,17 @@ window.IVADualSystem = (function() {
         // Funções de cálculo de tributos
         calcularCBS,
         calcularIBS,
+        calcularFatorDestinoIBS,
+        calcularIBSPorDestino,
+        calcularImpostoSeletivo,
         calcularTotalIVA,
         calcularTransicaoIVADual,
+        calcularOpcaoSimplesNacional,
+        classificarItemIVA,
+        calcularIVAPorItens,
 
         // Funções de análise de fluxo de caixa (uso interno)
+        aplicarMeiosPagamento,
         calcularFluxoCaixaSplitPayment,
         calcularImpactoCapitalGiro,
         calcularNecessidadeAdicionalCapital,
@@ -2232,6 +3543,8 @@ window.IVADualSystem = (function() {
         calcularEfeitividadeMeiosPagamento,
         calcularEfeitividadeCombinada,
         identificarCombinacaoOtima,
+        calcularParametrosEquilibrio,
+        otimizarCombinacaoEstrategias,
 
         // Funções utilitárias
         compareResults,
@@ -50,7 +50,7 @@ const MitigationStrategiesModule = (function() {
                     aumentoPrazo: estrategiasPlanas.rpAumentoPrazo,
                     percentualFornecedores: estrategiasPlanas.rpPercentualFornecedores,
                     contrapartidas: estrategiasPlanas.rpContrapartidas,
-                    custo: estrategiasPlanas.rpCusto
+                    custoContrapartida: estrategiasPlanas.rpCusto
                 }, 
                 impactoBase
             );
@@ -64,7 +64,7 @@ const MitigationStrategiesModule = (function() {
                 {
                     percentualAntecipacao: estrategiasPlanas.arPercentualAntecipacao,
                     taxaDesconto: estrategiasPlanas.arTaxaDesconto,
-                    prazo: estrategiasPlanas.arPrazo
+                    prazoAntecipacao: estrategiasPlanas.arPrazo
                 }, 
                 impactoBase
             );
@@ -78,7 +78,7 @@ const MitigationStrategiesModule = (function() {
                 {
                     valorCaptacao: estrategiasPlanas.cgValorCaptacao,
                     taxaJuros: estrategiasPlanas.cgTaxaJuros,
-                    prazo: estrategiasPlanas.cgPrazo,
+                    prazoPagamento: estrategiasPlanas.cgPrazo,
                     carencia: estrategiasPlanas.cgCarencia
                 }, 
                 impactoBase
@@ -92,7 +92,7 @@ const MitigationStrategiesModule = (function() {
                 dadosNormalizados, 
                 {
                     percentualAjuste: estrategiasPlanas.mpPercentualAjuste,
-                    foco: estrategiasPlanas.mpFoco,
+                    focoAjuste: estrategiasPlanas.mpFoco,
                     impactoReceita: estrategiasPlanas.mpImpactoReceita,
                     impactoMargem: estrategiasPlanas.mpImpactoMargem
                 }, 
@@ -514,13 +514,84 @@ const MitigationStrategiesModule = (function() {
         return calcularCombinacaoOtima(dadosPlanos, estrategiasPlanas, impactoBase);
     }
     
-    // Demais funções de cálculo de efetividade para cada estratégia
-    // ...
-    
+    /**
+     * Cria o cálculo de efetividade de uma estratégia a partir da implementação do IVADualSystem,
+     * expondo o custo no campo custoEstrategia usado pela combinação ótima
+     * @param {string} nomeFuncao - Função de efetividade do IVADualSystem
+     * @returns {Function} - (dadosPlanos, estrategia, impactoBase) => análise de efetividade
+     */
+    function criarCalculoIVADualSystem(nomeFuncao) {
+        return function(dadosPlanos, estrategia, impactoBase) {
+            const resultado = window.IVADualSystem[nomeFuncao](dadosPlanos, estrategia, impactoBase);
+            return {
+                ...resultado,
+                custoEstrategia: resultado.custoEstrategia ?? resultado.custoTotal ?? 0
+            };
+        };
+    }
+
+    // Demais estratégias: mesmo cálculo da simulação (IVADualSystem)
+    const calcularEfeitividadeRenegociacaoPrazos = criarCalculoIVADualSystem('calcularEfeitividadeRenegociacaoPrazos');
+    const calcularEfeitividadeAntecipacaoRecebiveis = criarCalculoIVADualSystem('calcularEfeitividadeAntecipacaoRecebiveis');
+    const calcularEfeitividadeCapitalGiro = criarCalculoIVADualSystem('calcularEfeitividadeCapitalGiro');
+    const calcularEfeitividadeMixProdutos = criarCalculoIVADualSystem('calcularEfeitividadeMixProdutos');
+    const calcularEfeitividadeMeiosPagamento = criarCalculoIVADualSystem('calcularEfeitividadeMeiosPagamento');
+
+    /**
+     * Converte as estratégias do formato aninhado (dadosAninhados.estrategias) para o formato plano
+     * esperado por calcularCombinacaoOtima (apAtivar, rpAtivar, ...)
+     * @param {Object} estrategias - { ajustePrecos: { ativar, ... }, renegociacaoPrazos: { ... }, ... }
+     * @returns {Object} - Estratégias em formato plano
+     */
+    function converterEstrategiasParaPlanas(estrategias = {}) {
+        const ap = estrategias.ajustePrecos || {};
+        const rp = estrategias.renegociacaoPrazos || {};
+        const ar = estrategias.antecipacaoRecebiveis || {};
+        const cg = estrategias.capitalGiro || {};
+        const mp = estrategias.mixProdutos || {};
+        const mpag = estrategias.meiosPagamento || {};
+
+        return {
+            apAtivar: ap.ativar === true,
+            apPercentualAumento: ap.percentualAumento,
+            apElasticidade: ap.elasticidade,
+            apImpactoVendas: ap.impactoVendas,
+            apPeriodo: ap.periodoAjuste ?? ap.periodo,
+            rpAtivar: rp.ativar === true,
+            rpAumentoPrazo: rp.aumentoPrazo,
+            rpPercentualFornecedores: rp.percentualFornecedores,
+            rpContrapartidas: rp.contrapartidas,
+            rpCusto: rp.custoContrapartida,
+            arAtivar: ar.ativar === true,
+            arPercentualAntecipacao: ar.percentualAntecipacao,
+            arTaxaDesconto: ar.taxaDesconto,
+            arPrazo: ar.prazoAntecipacao,
+            cgAtivar: cg.ativar === true,
+            cgValorCaptacao: cg.valorCaptacao,
+            cgTaxaJuros: cg.taxaJuros,
+            cgPrazo: cg.prazoPagamento,
+            cgCarencia: cg.carencia,
+            mpAtivar: mp.ativar === true,
+            mpPercentualAjuste: mp.percentualAjuste,
+            mpFoco: mp.focoAjuste,
+            mpImpactoReceita: mp.impactoReceita,
+            mpImpactoMargem: mp.impactoMargem,
+            mpagAtivar: mpag.ativar === true,
+            mpagVistaAtual: mpag.distribuicaoAtual?.vista,
+            mpagPrazoAtual: mpag.distribuicaoAtual?.prazo,
+            mpagVistaNovo: mpag.distribuicaoNova?.vista,
+            mpagDias30Novo: mpag.distribuicaoNova?.dias30,
+            mpagDias60Novo: mpag.distribuicaoNova?.dias60,
+            mpagDias90Novo: mpag.distribuicaoNova?.dias90,
+            mpagTaxaIncentivo: mpag.taxaIncentivo
+        };
+    }
+
     // API pública
     return {
         calcularCombinacaoOtima,
         calcularCombinacaoOtimaCompat, // Nova função wrapper
+        converterEstrategiasParaPlanas,
         calcularEfeitividadeAjustePrecos,
         calcularEfeitividadeRenegociacaoPrazos,
         calcularEfeitividadeAntecipacaoRecebiveis,
@@ -532,4 +603,7 @@ const MitigationStrategiesModule = (function() {
         validarEstruturaEstrategiasPlanas,
         normalizarDadosParaCalculo
     };
-})();
\ No newline at end of file
+})();
+
+// Exposto em window para a thread principal e o Web Worker de simulação (SimulacaoWorker)
+window.MitigationStrategiesModule = MitigationStrategiesModule;
@@ -111,9 +111,238 @@ const SensitivityAnalysisModule = (function() {
         }
     }
     
+    // Limites aplicados aos valores sorteados (formato plano, decimais)
+    const LIMITES_PARAMETROS = {
+        taxaCrescimento: { minimo: -0.5, maximo: 1 },
+        pmr: { minimo: 0, maximo: 360 },
+        percVista: { minimo: 0, maximo: 1 },
+        margem: { minimo: 0, maximo: 1 },
+        taxaCapitalGiro: { minimo: 0, maximo: 0.2 }
+    };
+
+    const ITERACOES_PADRAO = 2000;
+    const ITERACOES_MAXIMAS = 20000;
+
+    /**
+     * Obtém distribuições padrão em torno dos valores informados na simulação
+     * Tipos suportados: 'fixo' { valor }, 'uniforme' { minimo, maximo },
+     * 'normal' { media, desvioPadrao } e 'triangular' { minimo, moda, maximo }
+     * @param {Object} dados - Dados da simulação (formato plano)
+     * @returns {Object} - Distribuição por parâmetro (taxaCrescimento, pmr, percVista, margem, taxaCapitalGiro)
+     */
+    function obterDistribuicoesPadrao(dados) {
+        const taxaCrescimento = typeof dados.taxaCrescimento === 'number' ? dados.taxaCrescimento : 0.05;
+        const pmr = dados.pmr || 30;
+        const percVista = typeof dados.percVista === 'number' ? dados.percVista : 0.3;
+        const margem = dados.margem || 0.15;
+        const taxaCapitalGiro = dados.taxaCapitalGiro || 0.021;
+
+        return {
+            taxaCrescimento: { tipo: 'normal', media: taxaCrescimento, desvioPadrao: 0.03 },
+            pmr: { tipo: 'triangular', minimo: Math.round(pmr * 0.7), moda: pmr, maximo: Math.round(pmr * 1.5) },
+            percVista: { tipo: 'uniforme', minimo: Math.max(0, percVista - 0.1), maximo: Math.min(1, percVista + 0.1) },
+            margem: { tipo: 'normal', media: margem, desvioPadrao: margem * 0.2 },
+            taxaCapitalGiro: { tipo: 'triangular', minimo: taxaCapitalGiro * 0.8, moda: taxaCapitalGiro, maximo: taxaCapitalGiro * 1.4 }
+        };
+    }
+
+    /**
+     * Cria um gerador pseudoaleatório com semente (mulberry32), para resultados reproduzíveis
+     * @param {number} semente - Semente inteira
+     * @returns {Function} - Retorna números em [0, 1)
+     */
+    function criarGeradorAleatorio(semente) {
+        let estado = semente >>> 0;
+        return function() {
+            estado = (estado + 0x6D2B79F5) >>> 0;
+            let t = estado;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Sorteia um valor da distribuição
+     * @param {Object} distribuicao - Distribuição (ver obterDistribuicoesPadrao)
+     * @param {Function} aleatorio - Gerador em [0, 1)
+     * @returns {number} - Valor sorteado
+     */
+    function sortearValor(distribuicao, aleatorio) {
+        switch (distribuicao.tipo) {
+            case 'fixo':
+                return distribuicao.valor;
+
+            case 'uniforme':
+                return distribuicao.minimo + aleatorio() * (distribuicao.maximo - distribuicao.minimo);
+
+            case 'normal': {
+                // Box-Muller
+                const u1 = Math.max(aleatorio(), Number.EPSILON);
+                const u2 = aleatorio();
+                const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+                return distribuicao.media + z * distribuicao.desvioPadrao;
+            }
+
+            case 'triangular': {
+                const { minimo, moda, maximo } = distribuicao;
+                if (maximo <= minimo) return moda;
+                const u = aleatorio();
+                const corte = (moda - minimo) / (maximo - minimo);
+                return u < corte ?
+                    minimo + Math.sqrt(u * (maximo - minimo) * (moda - minimo)) :
+                    maximo - Math.sqrt((1 - u) * (maximo - minimo) * (maximo - moda));
+            }
+
+            default:
+                throw new Error(`Tipo de distribuição desconhecido: ${distribuicao.tipo}`);
+        }
+    }
+
+    /**
+     * Calcula o percentil por interpolação linear
+     * @param {Array<number>} ordenados - Valores em ordem crescente
+     * @param {number} percentil - Percentil entre 0 e 100
+     * @returns {number}
+     */
+    function calcularPercentil(ordenados, percentil) {
+        if (ordenados.length === 0) return 0;
+        const posicao = (ordenados.length - 1) * percentil / 100;
+        const inferior = Math.floor(posicao);
+        const superior = Math.ceil(posicao);
+        return ordenados[inferior] + (ordenados[superior] - ordenados[inferior]) * (posicao - inferior);
+    }
+
+    /**
+     * Resume uma amostra: percentis, média, desvio padrão e histograma
+     * @param {Array<number>} valores - Amostra
+     * @param {number} numeroFaixas - Quantidade de faixas do histograma
+     * @returns {Object} - { p5, p50, p95, media, desvioPadrao, minimo, maximo, histograma: [{ inicio, fim, frequencia }] }
+     */
+    function resumirAmostra(valores, numeroFaixas = 20) {
+        const ordenados = valores.slice().sort((a, b) => a - b);
+        const n = ordenados.length;
+        const media = n ? ordenados.reduce((soma, valor) => soma + valor, 0) / n : 0;
+        const variancia = n > 1 ? ordenados.reduce((soma, valor) => soma + Math.pow(valor - media, 2), 0) / (n - 1) : 0;
+        const minimo = n ? ordenados[0] : 0;
+        const maximo = n ? ordenados[n - 1] : 0;
+
+        const largura = (maximo - minimo) / numeroFaixas || 1;
+        const histograma = Array.from({ length: numeroFaixas }, (_, indice) => ({
+            inicio: minimo + indice * largura,
+            fim: minimo + (indice + 1) * largura,
+            frequencia: 0
+        }));
+        ordenados.forEach(valor => {
+            const indice = Math.min(numeroFaixas - 1, Math.floor((valor - minimo) / largura));
+            histograma[indice].frequencia++;
+        });
+
+        return {
+            p5: calcularPercentil(ordenados, 5),
+            p50: calcularPercentil(ordenados, 50),
+            p95: calcularPercentil(ordenados, 95),
+            media,
+            desvioPadrao: Math.sqrt(variancia),
+            minimo,
+            maximo,
+            histograma
+        };
+    }
+
+    function limitarValor(parametro, valor) {
+        const limites = LIMITES_PARAMETROS[parametro];
+        return limites ? Math.max(limites.minimo, Math.min(limites.maximo, valor)) : valor;
+    }
+
+    /**
+     * Simulação de Monte Carlo do impacto do Split Payment no capital de giro
+     * Sorteia crescimento do faturamento, PMR, percentual à vista, margem e custo do capital
+     * e executa IVADualSystem.calcularImpactoCapitalGiro para cada sorteio.
+     * O faturamento do ano de referência é o faturamento informado crescido pela taxa sorteada desde o ano base.
+     * @param {Object} dados - Dados da simulação (formato plano)
+     * @param {Object} opcoes - { iteracoes, ano, anoBase, semente, distribuicoes, parametrosSetoriais, numeroFaixas, aoProgresso }
+     * @returns {Object} - Percentis da necessidade de capital, do capital de giro com Split Payment e da
+     *                     margem ajustada, probabilidade de capital de giro negativo e histogramas
+     */
+    function calcularSimulacaoMonteCarlo(dados, opcoes = {}) {
+        if (dados.empresa !== undefined) {
+            throw new Error('calcularSimulacaoMonteCarlo espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
+        }
+        // PMR e percentual à vista sorteados em torno do perfil de recebimento dos meios de pagamento
+        dados = window.IVADualSystem.aplicarMeiosPagamento(dados);
+
+        const iteracoes = Math.min(ITERACOES_MAXIMAS, Math.max(1, parseInt(opcoes.iteracoes, 10) || ITERACOES_PADRAO));
+        const anoBase = opcoes.anoBase || parseInt(dados.dataInicial?.split('-')[0], 10) || 2026;
+        const ano = opcoes.ano || anoBase;
+        const semente = opcoes.semente !== undefined ? opcoes.semente : Math.floor(Math.random() * 4294967296);
+        const distribuicoes = { ...obterDistribuicoesPadrao(dados), ...(opcoes.distribuicoes || {}) };
+        const aleatorio = criarGeradorAleatorio(semente);
+        const faturamentoBase = window.DataManager.extrairValorMonetario(dados.faturamento);
+        const passoProgresso = Math.max(1, Math.floor(iteracoes / 20));
+
+        const necessidades = [];
+        const capitaisGiro = [];
+        const margensAjustadas = [];
+        let falhas = 0;
+
+        for (let iteracao = 1; iteracao <= iteracoes; iteracao++) {
+            const sorteio = {};
+            Object.keys(distribuicoes).forEach(parametro => {
+                sorteio[parametro] = limitarValor(parametro, sortearValor(distribuicoes[parametro], aleatorio));
+            });
+
+            const dadosSorteio = {
+                ...dados,
+                ...sorteio,
+                pmr: Math.round(sorteio.pmr !== undefined ? sorteio.pmr : dados.pmr),
+                percPrazo: 1 - (sorteio.percVista !== undefined ? sorteio.percVista : dados.percVista),
+                faturamento: faturamentoBase * Math.pow(1 + (sorteio.taxaCrescimento || 0), ano - anoBase)
+            };
+
+            try {
+                const impacto = window.IVADualSystem.calcularImpactoCapitalGiro(dadosSorteio, ano, opcoes.parametrosSetoriais || null);
+                necessidades.push(impacto.necessidadeAdicionalCapitalGiro || 0);
+                capitaisGiro.push(impacto.resultadoSplitPayment?.capitalGiroDisponivel || 0);
+                margensAjustadas.push(impacto.margemOperacionalAjustada || 0);
+            } catch (erro) {
+                falhas++;
+            }
+
+            if (typeof opcoes.aoProgresso === 'function' && (iteracao % passoProgresso === 0 || iteracao === iteracoes)) {
+                opcoes.aoProgresso({
+                    etapa: 'monteCarlo',
+                    percentual: Math.round(iteracao / iteracoes * 100),
+                    iteracao,
+                    iteracoes
+                });
+            }
+        }
+
+        if (necessidades.length === 0) {
+            throw new Error('Nenhuma iteração da simulação de Monte Carlo foi concluída');
+        }
+
+        const numeroFaixas = opcoes.numeroFaixas || 20;
+        return {
+            parametros: { iteracoes, ano, anoBase, semente, distribuicoes },
+            iteracoesValidas: necessidades.length,
+            falhas,
+            necessidadeCapital: resumirAmostra(necessidades, numeroFaixas),
+            capitalGiroSplit: resumirAmostra(capitaisGiro, numeroFaixas),
+            margemAjustada: resumirAmostra(margensAjustadas, numeroFaixas),
+            probabilidadeCapitalGiroNegativo: capitaisGiro.filter(valor => valor < 0).length / capitaisGiro.length
+        };
+    }
+
     // API pública
     return {
         calcularMatrizSensibilidade,
-        gerarMapaCalorSensibilidade
+        gerarMapaCalorSensibilidade,
+        obterDistribuicoesPadrao,
+        calcularSimulacaoMonteCarlo
     };
-})();
\ No newline at end of file
+})();
+
+// Expor o módulo globalmente (também usado no Web Worker de simulação)
+window.SensitivityAnalysisModule = SensitivityAnalysisModule;
\ No newline at end of file
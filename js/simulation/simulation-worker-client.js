@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Execução dos módulos de cálculo em Web Worker
+ * @module simulation-worker-client
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ */
+
+/**
+ * Cliente do Web Worker de simulação
+ * Envia tarefas ao worker (js/simulation/simulation-worker.js) por mensagens, repassa o
+ * progresso e permite cancelar. Sem suporte a Worker (ex.: página aberta via file://),
+ * as mesmas tarefas são executadas na thread principal.
+ *
+ * Mensagens enviadas ao worker: { id, acao: 'simular' | 'monteCarlo' | 'estrategias' | 'executar', ...payload }
+ * Mensagens recebidas: { id, tipo: 'progresso' | 'resultado' | 'erro', ... }
+ *
+ * O progresso também é publicado no EventBus como 'simulacaoProgresso'.
+ */
+window.SimulacaoWorker = (function() {
+    const CAMINHO_WORKER = 'js/simulation/simulation-worker.js';
+
+    // Módulos cujas funções podem ser chamadas pela ação 'executar'
+    const MODULOS_PERMITIDOS = ['CalculationCore', 'IVADualSystem', 'CurrentTaxSystem', 'FluxoCaixaMensal', 'SensitivityAnalysisModule',
+        'MitigationStrategiesModule'];
+
+    // Tarefas aguardando resposta do worker, por id
+    const tarefasPendentes = {};
+    let worker = null;
+    let workerIndisponivel = false;
+    let proximoId = 1;
+
+    function criarErroCancelamento() {
+        const erro = new Error('Simulação cancelada');
+        erro.cancelado = true;
+        return erro;
+    }
+
+    /**
+     * Executa uma tarefa de cálculo no contexto atual (worker ou thread principal)
+     * @param {string} acao - 'simular', 'monteCarlo', 'estrategias' ou 'executar'
+     * @param {Object} payload - { dados } para 'simular'; { dados, opcoes } para 'monteCarlo';
+     *                           { dados, estrategias, ano } para 'estrategias';
+     *                           { modulo, funcao, argumentos } para 'executar';
+     *                           em todas, { legislacao } com o perfil de legislação ativo
+     * @param {Function} aoProgresso - Recebe { etapa, percentual }
+     * @returns {*} Resultado da tarefa
+     */
+    function executarTarefa(acao, payload, aoProgresso) {
+        if (payload.legislacao && typeof LegislacaoRepository !== 'undefined') {
+            LegislacaoRepository.definirPerfilAtivo(payload.legislacao);
+        }
+
+        switch (acao) {
+            case 'simular':
+                return window.SimuladorFluxoCaixa.calcularResultados(payload.dados, aoProgresso);
+
+            case 'monteCarlo': {
+                const preparados = window.SimuladorFluxoCaixa.prepararDadosCalculo(payload.dados);
+                return window.SensitivityAnalysisModule.calcularSimulacaoMonteCarlo(preparados.dadosPlanos, {
+                    anoBase: preparados.anoInicial,
+                    parametrosSetoriais: preparados.parametrosSetoriais,
+                    ...payload.opcoes,
+                    aoProgresso
+                });
+            }
+
+            case 'estrategias':
+                return window.SimuladorFluxoCaixa.calcularEstrategias(payload.dados, payload.estrategias, payload.ano, aoProgresso);
+
+            case 'executar': {
+                const { modulo, funcao, argumentos = [] } = payload;
+                if (!MODULOS_PERMITIDOS.includes(modulo) || !window[modulo]) {
+                    throw new Error(`Módulo de cálculo indisponível: ${modulo}`);
+                }
+                if (typeof window[modulo][funcao] !== 'function') {
+                    throw new Error(`Função inexistente: ${modulo}.${funcao}`);
+                }
+                return window[modulo][funcao](...argumentos);
+            }
+
+            default:
+                throw new Error(`Ação desconhecida: ${acao}`);
+        }
+    }
+
+    function obterWorker() {
+        if (worker || workerIndisponivel) {
+            return worker;
+        }
+
+        if (typeof Worker === 'undefined') {
+            workerIndisponivel = true;
+            return null;
+        }
+
+        try {
+            worker = new Worker(CAMINHO_WORKER);
+        } catch (erro) {
+            console.warn('SimulacaoWorker: Web Worker indisponível, cálculos na thread principal:', erro.message);
+            workerIndisponivel = true;
+            return null;
+        }
+
+        worker.onmessage = function(evento) {
+            const mensagem = evento.data;
+            const tarefa = tarefasPendentes[mensagem.id];
+            if (!tarefa) return;
+
+            if (mensagem.tipo === 'progresso') {
+                tarefa.aoProgresso(mensagem.progresso);
+                return;
+            }
+
+            delete tarefasPendentes[mensagem.id];
+            if (mensagem.tipo === 'resultado') {
+                tarefa.resolver(mensagem.resultado);
+            } else {
+                tarefa.rejeitar(new Error(mensagem.mensagem));
+            }
+        };
+
+        worker.onerror = function(evento) {
+            evento.preventDefault();
+            console.warn('SimulacaoWorker: Falha no Web Worker, cálculos na thread principal:', evento.message);
+            descartarWorker();
+            workerIndisponivel = true;
+
+            // Tarefas já enviadas seguem na thread principal
+            Object.keys(tarefasPendentes).forEach(id => executarNaThreadPrincipal(tarefasPendentes[id]));
+        };
+
+        return worker;
+    }
+
+    function descartarWorker() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+    }
+
+    function executarNaThreadPrincipal(tarefa) {
+        if (tarefa.naThreadPrincipal) return;
+        tarefa.naThreadPrincipal = true;
+
+        // Adiar para que a interface exiba o estado de carregamento antes do cálculo
+        setTimeout(function() {
+            if (tarefa.cancelada) return;
+            delete tarefasPendentes[tarefa.id];
+            try {
+                tarefa.resolver(executarTarefa(tarefa.acao, tarefa.payload, tarefa.aoProgresso));
+            } catch (erro) {
+                tarefa.rejeitar(erro);
+            }
+        }, 0);
+    }
+
+    /**
+     * Envia uma tarefa de cálculo ao worker
+     * @param {string} acao - 'simular', 'monteCarlo', 'estrategias' ou 'executar'
+     * @param {Object} payload - Dados da tarefa (precisam ser clonáveis: sem funções ou elementos DOM)
+     * @param {Object} opcoes - { onProgresso(progresso) }
+     * @returns {Object} { id, promessa, cancelar() }
+     */
+    function executar(acao, payload, opcoes = {}) {
+        const id = proximoId++;
+
+        // O worker não acessa o localStorage: o perfil de legislação ativo segue com a tarefa
+        if (typeof LegislacaoRepository !== 'undefined' && !payload.legislacao) {
+            payload = { ...payload, legislacao: LegislacaoRepository.obterPerfilAtivo() };
+        }
+
+        const tarefa = {
+            id,
+            acao,
+            payload,
+            cancelada: false,
+            aoProgresso: function(progresso) {
+                if (typeof opcoes.onProgresso === 'function') {
+                    opcoes.onProgresso(progresso);
+                }
+                if (typeof EventBus !== 'undefined') {
+                    EventBus.publish('simulacaoProgresso', { id, acao, ...progresso });
+                }
+            }
+        };
+
+        const promessa = new Promise((resolve, reject) => {
+            tarefa.resolver = resolve;
+            tarefa.rejeitar = reject;
+        });
+
+        tarefasPendentes[id] = tarefa;
+        const workerAtivo = obterWorker();
+        if (workerAtivo) {
+            workerAtivo.postMessage({ id, acao, ...payload });
+        } else {
+            executarNaThreadPrincipal(tarefa);
+        }
+
+        return {
+            id,
+            promessa,
+            cancelar: () => cancelar(id)
+        };
+    }
+
+    /**
+     * Cancela uma tarefa. No worker, o cálculo é interrompido encerrando o worker,
+     * e as demais tarefas pendentes são reenviadas a um novo worker.
+     * Na thread principal, só é possível cancelar antes do início do cálculo.
+     * @param {number} id - Identificador da tarefa
+     * @returns {boolean} true se a tarefa estava pendente
+     */
+    function cancelar(id) {
+        const tarefa = tarefasPendentes[id];
+        if (!tarefa) {
+            return false;
+        }
+
+        console.log(`SimulacaoWorker: Cancelando tarefa ${id} (${tarefa.acao})`);
+        delete tarefasPendentes[id];
+        tarefa.cancelada = true;
+        tarefa.rejeitar(criarErroCancelamento());
+
+        if (tarefa.naThreadPrincipal) {
+            return true;
+        }
+
+        descartarWorker();
+        const restantes = Object.keys(tarefasPendentes)
+            .map(chave => tarefasPendentes[chave])
+            .filter(pendente => !pendente.naThreadPrincipal);
+        if (restantes.length > 0) {
+            const novoWorker = obterWorker();
+            restantes.forEach(pendente => {
+                if (novoWorker) {
+                    novoWorker.postMessage({ id: pendente.id, acao: pendente.acao, ...pendente.payload });
+                } else {
+                    executarNaThreadPrincipal(pendente);
+                }
+            });
+        }
+
+        return true;
+    }
+
+    return {
+        executarTarefa,
+        executar,
+        cancelar,
+
+        /**
+         * Executa a simulação completa (SimuladorFluxoCaixa.calcularResultados) no worker
+         * @param {Object} dadosAninhados - Dados da simulação (formato aninhado)
+         * @param {Object} opcoes - { onProgresso(progresso) }
+         * @returns {Object} { id, promessa, cancelar() }
+         */
+        simular: function(dadosAninhados, opcoes) {
+            return executar('simular', { dados: dadosAninhados }, opcoes);
+        },
+
+        /**
+         * Executa a simulação de Monte Carlo (SensitivityAnalysisModule.calcularSimulacaoMonteCarlo) no worker
+         * @param {Object} dadosAninhados - Dados da simulação (formato aninhado)
+         * @param {Object} opcoesMonteCarlo - { iteracoes, ano, semente, distribuicoes, numeroFaixas }
+         * @param {Object} opcoes - { onProgresso(progresso) }
+         * @returns {Object} { id, promessa, cancelar() }
+         */
+        simularMonteCarlo: function(dadosAninhados, opcoesMonteCarlo, opcoes) {
+            return executar('monteCarlo', { dados: dadosAninhados, opcoes: opcoesMonteCarlo || {} }, opcoes);
+        },
+
+        /**
+         * Simula as estratégias de mitigação (SimuladorFluxoCaixa.calcularEstrategias) no worker:
+         * efetividade de cada estratégia ativa e combinação ótima
+         * @param {Object} dadosPlanos - Dados da simulação (formato plano)
+         * @param {Object} estrategias - Estratégias (formato aninhado: { ajustePrecos: { ativar, ... }, ... })
+         * @param {number} ano - Ano de referência
+         * @param {Object} opcoes - { onProgresso(progresso) }
+         * @returns {Object} { id, promessa, cancelar() }
+         */
+        simularEstrategias: function(dadosPlanos, estrategias, ano, opcoes) {
+            return executar('estrategias', { dados: dadosPlanos, estrategias, ano }, opcoes);
+        },
+
+        /**
+         * Chama uma função de um módulo de cálculo no worker
+         * @param {string} modulo - Ex.: 'IVADualSystem'
+         * @param {string} funcao - Ex.: 'calcularProjecaoTemporal'
+         * @param {Array} argumentos - Argumentos da função
+         * @param {Object} opcoes - { onProgresso(progresso) }
+         * @returns {Object} { id, promessa, cancelar() }
+         */
+        chamar: function(modulo, funcao, argumentos, opcoes) {
+            return executar('executar', { modulo, funcao, argumentos }, opcoes);
+        },
+
+        /**
+         * Indica se há tarefas aguardando o worker
+         * @returns {boolean}
+         */
+        possuiTarefasPendentes: function() {
+            return Object.keys(tarefasPendentes).length > 0;
+        }
+    };
+})();
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Web Worker de simulação
+ * @module simulation-worker
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ *
+ * Carrega os módulos de cálculo fora da thread principal e atende às mensagens
+ * enviadas por SimulacaoWorker (simulation-worker-client.js).
+ * O cancelamento é feito pela thread principal com worker.terminate().
+ */
+
+// Os módulos de cálculo se registram em window
+self.window = self;
+
+importScripts(
+    '../utils/data-manager.js',
+    '../config/legislacao-repository.js',
+    '../config/aliquotas-ibs-repository.js',
+    'calculation-core.js',
+    'current-tax-system.js',
+    'credit-compensation.js',
+    'iva-dual-system.js',
+    'mitigation-strategies.js',
+    'fluxo-caixa-mensal.js',
+    'sensitivity-analysis.js',
+    'simulator.js',
+    'simulation-worker-client.js'
+);
+
+self.onmessage = function(evento) {
+    const { id, acao, ...payload } = evento.data;
+
+    try {
+        const resultado = self.SimulacaoWorker.executarTarefa(acao, payload, function(progresso) {
+            self.postMessage({ id, tipo: 'progresso', progresso });
+        });
+        self.postMessage({ id, tipo: 'resultado', resultado });
+    } catch (erro) {
+        self.postMessage({ id, tipo: 'erro', mensagem: erro.message });
+    }
+};
@@ -10,6 +10,26 @@
 let _resultadoAtual = null;
 let _resultadoSplitPayment = null;
 
+// Simulação em execução no Web Worker: { id, promessa }
+let _simulacaoEmAndamento = null;
+
+// Simulação de estratégias em execução no Web Worker: { id, promessa } (id nulo enquanto aguarda a simulação base)
+let _estrategiasEmAndamento = null;
+
+// Descrição das etapas informadas no progresso da simulação
+const NOMES_ETAPAS_SIMULACAO = {
+    inicio: 'preparando dados',
+    validacao: 'validação dos dados',
+    impactoBase: 'impacto base',
+    projecaoTemporal: 'projeção temporal',
+    analiseElasticidade: 'análise de elasticidade',
+    fluxoCaixaMensal: 'fluxo de caixa mensal',
+    memoriaCalculo: 'memória de cálculo',
+    estrategias: 'estratégias de mitigação',
+    combinacaoOtima: 'combinação ótima',
+    concluido: 'concluído'
+};
+
 /**
  * Coordena todos os cálculos necessários para a simulação
  * @param {Object} dados - Dados consolidados para simulação (formato plano)
@@ -115,6 +135,10 @@ function gerarMemoriaCalculo(dados, impactoBase, projecaoTemporal) {
     if (dados.empresa !== undefined) {
         throw new Error('Estrutura incompatível. Dados devem estar em formato plano para memória de cálculo.');
     }
+
+    // Início da opção do Simples Nacional pelo regime regular de CBS/IBS no perfil de legislação ativo
+    const anoOpcaoSimples = typeof LegislacaoRepository !== 'undefined' ?
+        LegislacaoRepository.obterAnoInicioOpcaoSimplesHibrido() : 2027;
     
     return {
         dadosEntrada: {
@@ -134,6 +158,7 @@ function gerarMemoriaCalculo(dados, impactoBase, projecaoTemporal) {
             },
             parametrosFiscais: {
                 aliquota: typeof dados.aliquota === 'number' ? dados.aliquota : 0.265,
+                aliquotaIS: typeof dados.aliquotaIS === 'number' ? dados.aliquotaIS : 0,
                 tipoOperacao: dados.tipoOperacao || '',
                 regime: dados.regime || '',
                 creditos: {
@@ -153,16 +178,20 @@ function gerarMemoriaCalculo(dados, impactoBase, projecaoTemporal) {
                     iss: typeof dados.debitosISS === 'number' ? dados.debitosISS : 0
                 },
                 // NOVA SEÇÃO: Cronograma de transição
-                cronogramaTransicao: {
-                    2026: 0.10, 2027: 0.25, 2028: 0.40, 2029: 0.55,
-                    2030: 0.70, 2031: 0.85, 2032: 0.95, 2033: 1.00
-                }
+                cronogramaTransicao: typeof LegislacaoRepository !== 'undefined' ?
+                    Object.fromEntries(Object.entries(LegislacaoRepository.obterPerfilAtivo().anos)
+                        .map(([ano, parametros]) => [ano, parametros.splitPayment])) :
+                    {
+                        2026: 0.10, 2027: 0.25, 2028: 0.40, 2029: 0.55,
+                        2030: 0.70, 2031: 0.85, 2032: 0.95, 2033: 1.00
+                    }
             },
             parametrosSimulacao: {
                 cenario: dados.cenario || 'moderado',
                 taxaCrescimento: typeof dados.taxaCrescimento === 'number' ? dados.taxaCrescimento : 0.05,
                 dataInicial: dados.dataInicial || '2026-01-01',
-                dataFinal: dados.dataFinal || '2033-12-31'
+                dataFinal: dados.dataFinal || '2033-12-31',
+                perfilLegislacao: dados.perfilLegislacao || 'lc214-2025'
             }
         },
         impactoBase: {
@@ -191,7 +220,38 @@ function gerarMemoriaCalculo(dados, impactoBase, projecaoTemporal) {
                 "O percentual do IVA Dual aumenta gradualmente de 10% (2026) para 100% (2033)",
                 "Cálculos baseiam-se na LC 214/2025 e regulamentação posterior",
                 "Valores podem variar conforme alterações na regulamentação"
-            ]
+            ].concat(dados.aliquotaIS > 0 ? [
+                `Imposto Seletivo de ${(dados.aliquotaIS * 100).toFixed(2)}% ${window.CalculationCore.descreverVigenciaImpostoSeletivo()}: integra a base da CBS/IBS, ` +
+                "não gera crédito e não é recolhido via split payment"
+            ] : []).concat(dados.regime === 'simples' ? [
+                anoOpcaoSimples ?
+                    `Simples Nacional: a partir de ${anoOpcaoSimples} é possível recolher CBS/IBS fora do DAS (regime híbrido), ` +
+                    "com crédito das compras e crédito integral ao cliente; a comparação anual indica a opção mais vantajosa" :
+                    "Simples Nacional: o perfil de legislação não prevê no período o recolhimento de CBS/IBS fora do DAS (regime híbrido)"
+            ] : []).concat(dados.icmsST?.ativo ? [
+                `ICMS-ST (${dados.icmsST.condicao === 'substituto' ? 'substituto' : 'substituído'}): base com MVA ajustada ` +
+                "nas operações interestaduais, líquida do ressarcimento; reduzido com o ICMS de 2029 a 2032"
+            ] : []).concat(dados.saldoCredorICMS > 0 ? [
+                `Saldo credor de ICMS de ${window.DataManager.formatarMoeda(dados.saldoCredorICMS)} acompanhado mês a mês: ` +
+                "absorvido pelo débito líquido (menor a partir de 2029) e, na extinção do ICMS, compensado com o IBS em parcelas mensais"
+            ] : []).concat(dados.creditos > 0 ? [
+                `Com split, o crédito das compras é reconhecido no pagamento ao fornecedor (PMP de ${dados.pmp} dias) ` +
+                `e apenas para ${Math.round((dados.conformidadeFornecedores ?? 1) * 100)}% das compras, de fornecedores adimplentes`
+            ] : []).concat(Array.isArray(dados.meiosPagamento) && dados.meiosPagamento.length > 0 ? [
+                `Vendas por ${dados.meiosPagamento.length} meio(s) de pagamento: no fluxo mensal, a retenção do split ocorre ` +
+                "na liquidação de cada parcela (PIX no ato, cartão em D+N, boleto na compensação), e o recebido é líquido da taxa do meio"
+            ] : []).concat(dados.ressarcimentoCreditos?.ativo ? [
+                `Créditos de CBS/IBS com compensação ${dados.compensacao || 'automatica'}: o saldo credor excedente tem ` +
+                `${Math.round(dados.ressarcimentoCreditos.percentualRessarcimento * 100)}% pedido em ressarcimento, recebido em ` +
+                `${dados.ressarcimentoCreditos.prazoRessarcimento} dias; o capital retido reduz o capital de giro disponível`
+            ] : []).concat(dados.dre?.receitaBruta > 0 || dados.dre?.receitaLiquida > 0 ? [
+                `Receita, lucro operacional e lucro líquido da DRE da ECF (${dados.dre.registro}); o custo do capital de giro ` +
+                ((dados.dre.tributacao?.regime || dados.regime) === 'real' ? "é deduzido do lucro líquido já líquido da economia de IRPJ/CSLL (Lucro Real)" :
+                    "reduz integralmente o lucro líquido, sem dedução na base de IRPJ/CSLL")
+            ] : []).concat(dados.destinosIBS && dados.destinosIBS.length > 0 ? [
+                `IBS ponderado pelas alíquotas estadual + municipal de ${dados.destinosIBS.length} destino(s) de venda, ` +
+                "conforme a participação de cada UF/município no faturamento"
+            ] : [])
         }
     };
 }
@@ -476,159 +536,269 @@ const SimuladorFluxoCaixa = {
     },
 
     /**
-     * Simula o impacto do Split Payment
-     * @param {Object} dadosExternos - Dados externos opcionais (formato aninhado)
+     * Prepara os dados de entrada para os módulos de cálculo: integração SPED, validação,
+     * conversão para formato plano, período e parâmetros setoriais
+     * @param {Object} dadosAninhados - Dados da simulação (formato aninhado)
+     * @returns {Object} { dadosValidados, dadosPlanos, anoInicial, anoFinal, parametrosSetoriais }
+     * @throws {Error} Se os dados forem inválidos
+     */
+    prepararDadosCalculo(dadosAninhados) {
+        if (!dadosAninhados) {
+            throw new Error('Não foi possível obter dados para a simulação');
+        }
+
+        // 1.5. NOVA ETAPA: Processar integração com dados SPED
+        dadosAninhados = processarDadosComIntegracaoSped(dadosAninhados);
+
+        // 2. Validar e normalizar os dados (formato aninhado)
+        const dadosValidados = this.validarDados(dadosAninhados);
+        console.log('Dados validados e normalizados:', dadosValidados);
+
+        // 2.5. Ativar o perfil de legislação da simulação. O snapshot enviado com os dados
+        // prevalece, pois no Web Worker as variantes salvas no navegador não estão acessíveis
+        if (typeof LegislacaoRepository !== 'undefined') {
+            const parametrosSimulacao = dadosValidados.parametrosSimulacao || {};
+            LegislacaoRepository.definirPerfilAtivo(parametrosSimulacao.legislacao || parametrosSimulacao.perfilLegislacao);
+        }
+
+        // 3. Converter para estrutura plana para cálculos
+        const dadosPlanos = window.DataManager.converterParaEstruturaPlana(dadosValidados);
+        console.log('Dados convertidos para formato plano:', dadosPlanos);
+
+        // 3.5. NOVA ETAPA: Adicionar dados SPED à estrutura plana
+        if (dadosValidados.dadosSpedImportados) {
+            integrarDadosSpedNaEstruturaPlana(dadosPlanos, dadosValidados.dadosSpedImportados);
+        }
+
+        // 4. Extrair dados temporais para cálculos
+        const anoInicial = parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026;
+        const anoFinal = parseInt(dadosPlanos.dataFinal?.split('-')[0], 10) || 2033;
+
+        // 5. Obter parametros setoriais em formato próprio para cálculos
+        const aliquotasReferencia = typeof LegislacaoRepository !== 'undefined' ?
+            LegislacaoRepository.obterAliquotasReferencia() : { cbs: 0.088, ibs: 0.177 };
+        const parametrosSetoriais = {
+            aliquotaCBS: dadosValidados.ivaConfig?.cbs || aliquotasReferencia.cbs,
+            aliquotaIBS: dadosValidados.ivaConfig?.ibs || aliquotasReferencia.ibs,
+            categoriaIva: dadosValidados.ivaConfig?.categoriaIva || 'standard',
+            reducaoEspecial: dadosValidados.ivaConfig?.reducaoEspecial || 0,
+            aliquotaIS: dadosValidados.ivaConfig?.aliquotaIS || 0,
+            destinosIBS: dadosValidados.ivaConfig?.destinos || [],
+            cronogramaProprio: false
+        };
+
+        return { dadosValidados, dadosPlanos, anoInicial, anoFinal, parametrosSetoriais };
+    },
+
+    /**
+     * Executa os cálculos da simulação sem acessar a interface
+     * Usado pela simulação síncrona e pelo Web Worker de simulação (SimulacaoWorker)
+     * @param {Object} dadosAninhados - Dados da simulação (formato aninhado)
+     * @param {Function} [aoProgresso] - Recebe { etapa, percentual } a cada etapa concluída
      * @returns {Object} Resultados da simulação
+     * @throws {Error} Se os dados forem inválidos
      */
-    simular(dadosExternos) {
-        console.log('Iniciando simulação de impacto do Split Payment...');
-            try {
-                // 1. Obter dados consolidados - do parâmetro ou do formulário
-                let dadosAninhados;
-                if (dadosExternos) {
-                    dadosAninhados = dadosExternos;
-                    console.log('Utilizando dados fornecidos externamente');
-                } else {
-                    dadosAninhados = window.DataManager.obterDadosDoFormulario();
-                    console.log('Dados obtidos do formulário');
-                }
+    calcularResultados(dadosAninhados, aoProgresso) {
+        const informarProgresso = (etapa, percentual) => {
+            if (typeof aoProgresso === 'function') {
+                aoProgresso({ etapa, percentual });
+            }
+        };
 
-                if (!dadosAninhados) {
-                    throw new Error('Não foi possível obter dados para a simulação');
-                }
+        const {
+            dadosValidados,
+            dadosPlanos,
+            anoInicial,
+            anoFinal,
+            parametrosSetoriais
+        } = this.prepararDadosCalculo(dadosAninhados);
+        informarProgresso('validacao', 10);
 
-                // 1.5. NOVA ETAPA: Processar integração com dados SPED
-                dadosAninhados = processarDadosComIntegracaoSped(dadosAninhados);
+        informarProgresso('impactoBase', 20);
 
-                // 2. Validar e normalizar os dados (formato aninhado)
-                const dadosValidados = this.validarDados(dadosAninhados);
-                console.log('Dados validados e normalizados:', dadosValidados);
+        // 6. Calcular impacto base com tratamento de erro robusto
+        let impactoBase;
+        try {
+            impactoBase = window.IVADualSystem.calcularImpactoCapitalGiro(
+                dadosPlanos,
+                anoInicial,
+                parametrosSetoriais
+            );
+            console.log('Impacto base calculado com sucesso');
 
-                // 3. Converter para estrutura plana para cálculos
-                const dadosPlanos = window.DataManager.converterParaEstruturaPlana(dadosValidados);
-                console.log('Dados convertidos para formato plano:', dadosPlanos);
+            // Validar estrutura do impacto base
+            this._validarImpactoBase(impactoBase);
 
-                // 3.5. NOVA ETAPA: Adicionar dados SPED à estrutura plana
-                if (dadosValidados.dadosSpedImportados) {
-                    integrarDadosSpedNaEstruturaPlana(dadosPlanos, dadosValidados.dadosSpedImportados);
-                }
+        } catch (erroImpacto) {
+            console.error('Erro ao calcular impacto base:', erroImpacto);
+            impactoBase = this.gerarImpactoBaseFallback(dadosPlanos);
+            console.log('Usando impacto base de fallback');
+        }
 
-                // 4. Extrair dados temporais para cálculos
-                const anoInicial = parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026;
-                const anoFinal = parseInt(dadosPlanos.dataFinal?.split('-')[0], 10) || 2033;
-
-                // 5. Obter parametros setoriais em formato próprio para cálculos
-                const parametrosSetoriais = {
-                    aliquotaCBS: dadosValidados.ivaConfig?.cbs || 0.088,
-                    aliquotaIBS: dadosValidados.ivaConfig?.ibs || 0.177,
-                    categoriaIva: dadosValidados.ivaConfig?.categoriaIva || 'standard',
-                    reducaoEspecial: dadosValidados.ivaConfig?.reducaoEspecial || 0,
-                    cronogramaProprio: false
-                };
-
-                // 6. Calcular impacto base com tratamento de erro robusto
-                let impactoBase;
-                try {
-                    impactoBase = window.IVADualSystem.calcularImpactoCapitalGiro(
-                        dadosPlanos,
-                        anoInicial,
-                        parametrosSetoriais
-                    );
-                    console.log('Impacto base calculado com sucesso');
+        // 7. Garantir que resultadoIVASemSplit existe e está completo
+        impactoBase = this._garantirResultadoIVASemSplit(impactoBase);
 
-                    // Validar estrutura do impacto base
-                    this._validarImpactoBase(impactoBase);
+        informarProgresso('projecaoTemporal', 35);
 
-                } catch (erroImpacto) {
-                    console.error('Erro ao calcular impacto base:', erroImpacto);
-                    impactoBase = this.gerarImpactoBaseFallback(dadosPlanos);
-                    console.log('Usando impacto base de fallback');
-                }
+        // 8. Calcular projeção temporal com fallback robusto
+        let projecaoTemporal;
+        try {
+            projecaoTemporal = window.IVADualSystem.calcularProjecaoTemporal(
+                dadosPlanos,
+                anoInicial,
+                anoFinal,
+                dadosPlanos.cenario,
+                dadosPlanos.taxaCrescimento,
+                parametrosSetoriais
+            );
+            console.log('Projeção temporal calculada com sucesso');
+
+            // Validar e completar projeção temporal
+            projecaoTemporal = this._validarECompletarProjecaoTemporal(projecaoTemporal, impactoBase, anoInicial, anoFinal);
+
+        } catch (erroProjecao) {
+            console.error('Erro ao calcular projeção temporal:', erroProjecao);
+            projecaoTemporal = this._gerarProjecaoTemporalFallback(impactoBase, dadosPlanos, anoInicial, anoFinal);
+        }
 
-                // 7. Garantir que resultadoIVASemSplit existe e está completo
-                impactoBase = this._garantirResultadoIVASemSplit(impactoBase);
-
-                // 8. Calcular projeção temporal com fallback robusto
-                let projecaoTemporal;
-                try {
-                    projecaoTemporal = window.IVADualSystem.calcularProjecaoTemporal(
-                        dadosPlanos,
-                        anoInicial,
-                        anoFinal,
-                        dadosPlanos.cenario,
-                        dadosPlanos.taxaCrescimento,
+        informarProgresso('analiseElasticidade', 60);
+
+        // 9. Calcular análise de elasticidade
+        let analiseElasticidade;
+        try {
+            analiseElasticidade = window.CalculationCore.calcularAnaliseElasticidade(
+                dadosPlanos,
+                anoInicial,
+                anoFinal
+            );
+            // Adicionar à projeção temporal
+            projecaoTemporal.analiseElasticidade = analiseElasticidade;
+        } catch (erroElasticidade) {
+            console.error('Erro ao calcular análise de elasticidade:', erroElasticidade);
+            // Não interrompe o fluxo se falhar
+        }
+
+        informarProgresso('fluxoCaixaMensal', 75);
+
+        // 9.5. Calcular razão mensal do fluxo de caixa (vale de caixa)
+        let fluxoCaixaMensal = null;
+        try {
+            if (window.FluxoCaixaMensal) {
+                fluxoCaixaMensal = window.FluxoCaixaMensal.calcularFluxoCaixaMensal(
+                    dadosPlanos,
+                    anoInicial,
+                    anoFinal,
+                    {
+                        granularidade: dadosPlanos.granularidadeFluxo || 'mensal',
                         parametrosSetoriais
-                    );
-                    console.log('Projeção temporal calculada com sucesso');
+                    }
+                );
+            }
+        } catch (erroFluxoMensal) {
+            console.error('Erro ao calcular fluxo de caixa mensal:', erroFluxoMensal);
+            // Não interrompe o fluxo se falhar
+        }
+
+        // 9.6. Simples Nacional: CBS/IBS no DAS ou pelo regime regular (híbrido), ano a ano
+        let simplesNacional = null;
+        if (dadosPlanos.regime === 'simples') {
+            try {
+                // Opção informada e premissas da comparação, já validadas no formato aninhado
+                simplesNacional = window.IVADualSystem.calcularOpcaoSimplesNacional(
+                    { ...dadosPlanos, simplesNacional: dadosValidados.parametrosFiscais.simplesNacional },
+                    anoInicial,
+                    anoFinal,
+                    parametrosSetoriais
+                );
+            } catch (erroSimples) {
+                console.error('Erro ao comparar as opções do Simples Nacional:', erroSimples);
+                // Não interrompe o fluxo se falhar
+            }
+        }
 
-                    // Validar e completar projeção temporal
-                    projecaoTemporal = this._validarECompletarProjecaoTemporal(projecaoTemporal, impactoBase, anoInicial, anoFinal);
+        // 9.7. IBS por destino: efeito da composição das vendas por UF/município sobre o IBS pleno
+        let ibsPorDestino = null;
+        if (parametrosSetoriais.destinosIBS.length > 0) {
+            try {
+                ibsPorDestino = window.IVADualSystem.calcularIBSPorDestino(
+                    dadosPlanos.faturamento,
+                    parametrosSetoriais.destinosIBS,
+                    parametrosSetoriais.aliquotaIBS,
+                    {
+                        categoriaIva: parametrosSetoriais.categoriaIva,
+                        reducaoEspecial: parametrosSetoriais.reducaoEspecial
+                    }
+                );
+            } catch (erroDestino) {
+                console.error('Erro ao calcular IBS por destino:', erroDestino);
+                // Não interrompe o fluxo se falhar
+            }
+        }
 
-                } catch (erroProjecao) {
-                    console.error('Erro ao calcular projeção temporal:', erroProjecao);
-                    projecaoTemporal = this._gerarProjecaoTemporalFallback(impactoBase, dadosPlanos, anoInicial, anoFinal);
-                }
+        // 9.8. Substituição tributária do ICMS: base com MVA e ressarcimento (mês inicial)
+        let icmsST = null;
+        if (dadosPlanos.icmsST?.ativo && dadosPlanos.tipoEmpresa !== 'servicos') {
+            try {
+                icmsST = window.CurrentTaxSystem.calcularEfeitoICMSST(
+                    dadosPlanos.faturamento,
+                    dadosPlanos.icmsST,
+                    dadosPlanos.margem
+                );
+            } catch (erroST) {
+                console.error('Erro ao calcular ICMS-ST:', erroST);
+                // Não interrompe o fluxo se falhar
+            }
+        }
 
-                // 9. Calcular análise de elasticidade
-                let analiseElasticidade;
-                try {
-                    analiseElasticidade = window.CalculationCore.calcularAnaliseElasticidade(
-                        dadosPlanos,
-                        anoInicial,
-                        anoFinal
-                    );
-                    // Adicionar à projeção temporal
-                    projecaoTemporal.analiseElasticidade = analiseElasticidade;
-                } catch (erroElasticidade) {
-                    console.error('Erro ao calcular análise de elasticidade:', erroElasticidade);
-                    // Não interrompe o fluxo se falhar
-                }
+        informarProgresso('memoriaCalculo', 90);
 
-                // 10. Gerar memória de cálculo
-                let memoriaCalculo;
-                try {
-                    memoriaCalculo = gerarMemoriaCalculo(
-                        dadosPlanos,
-                        impactoBase,
-                        projecaoTemporal
-                    );
-                } catch (erroMemoria) {
-                    console.error('Erro ao gerar memória de cálculo:', erroMemoria);
-                    memoriaCalculo = this._gerarMemoriaCalculoFallback(dadosPlanos, impactoBase, projecaoTemporal);
-                }
+        // 10. Gerar memória de cálculo
+        let memoriaCalculo;
+        try {
+            memoriaCalculo = gerarMemoriaCalculo(
+                dadosPlanos,
+                impactoBase,
+                projecaoTemporal
+            );
+        } catch (erroMemoria) {
+            console.error('Erro ao gerar memória de cálculo:', erroMemoria);
+            memoriaCalculo = this._gerarMemoriaCalculoFallback(dadosPlanos, impactoBase, projecaoTemporal);
+        }
+
+        // 11. Armazenar resultados intermediários para referência
+        _resultadoAtual = impactoBase.resultadoAtual || null;
+        _resultadoSplitPayment = impactoBase.resultadoSplitPayment || null;
 
-                // 11. Armazenar resultados intermediários para referência
-                _resultadoAtual = impactoBase.resultadoAtual || null;
-                _resultadoSplitPayment = impactoBase.resultadoSplitPayment || null;
+        informarProgresso('concluido', 100);
 
-                // 12. Construir objeto de resultado para interface (formato aninhado)
-                const resultadosParaInterface = {
-                    impactoBase,
-                    projecaoTemporal,
-                    memoriaCalculo,
-                    dadosUtilizados: dadosValidados,
-                    // Garantir estrutura de exportação
-                    resultadosExportacao: this._gerarEstruturaExportacao(impactoBase, projecaoTemporal)
-                };
+        // 12. Construir objeto de resultado para interface (formato aninhado)
+        return {
+            impactoBase,
+            projecaoTemporal,
+            fluxoCaixaMensal,
+            ibsPorDestino,
+            simplesNacional,
+            icmsST,
+            memoriaCalculo,
+            dadosUtilizados: dadosValidados,
+            // Garantir estrutura de exportação
+            resultadosExportacao: this._gerarEstruturaExportacao(impactoBase, projecaoTemporal)
+        };
+    },
 
+    /**
+     * Simula o impacto do Split Payment
+     * @param {Object} dadosExternos - Dados externos opcionais (formato aninhado)
+     * @returns {Object} Resultados da simulação
+     */
+    simular(dadosExternos) {
+        console.log('Iniciando simulação de impacto do Split Payment...');
+            try {
+                const resultadosParaInterface = this.calcularResultados(this._obterDadosSimulacao(dadosExternos));
                 console.log('Simulação concluída com sucesso');
 
                 // 13. Atualizar interface e gráficos (se disponíveis)
-                if (typeof window.atualizarInterface === 'function') {
-                    window.atualizarInterface(resultadosParaInterface);
-                } else {
-                    console.warn('Função atualizarInterface não encontrada. A interface não será atualizada automaticamente.');
-                }
-
-                if (
-                    typeof window.ChartManager !== 'undefined' &&
-                    typeof window.ChartManager.renderizarGraficos === 'function'
-                ) {
-                    window.ChartManager.renderizarGraficos(resultadosParaInterface);
-                } else {
-                    console.warn('ChartManager não encontrado ou função renderizarGraficos indisponível.');
-                }
-
+                this._apresentarResultados(resultadosParaInterface);
                 return resultadosParaInterface;
             } catch (erro) {
                 console.error('Erro crítico durante a simulação:', erro);
@@ -637,6 +807,137 @@ const SimuladorFluxoCaixa = {
             }
         },
 
+    /**
+     * Simula o impacto do Split Payment em um Web Worker, sem bloquear a interface
+     * Chamadas repetidas durante uma simulação em andamento recebem a mesma promessa
+     * @param {Object} dadosExternos - Dados externos opcionais (formato aninhado)
+     * @returns {Promise<Object|null>} Mesmo resultado de simular(); null em caso de erro ou cancelamento
+     */
+    simularAssincrono(dadosExternos) {
+        if (typeof window.SimulacaoWorker === 'undefined') {
+            return Promise.resolve(this.simular(dadosExternos));
+        }
+
+        if (_simulacaoEmAndamento) {
+            return _simulacaoEmAndamento.promessa;
+        }
+
+        console.log('Iniciando simulação de impacto do Split Payment (Web Worker)...');
+
+        let dadosAninhados;
+        try {
+            dadosAninhados = this._obterDadosSimulacao(dadosExternos);
+        } catch (erro) {
+            alert('Ocorreu um erro durante a simulação: ' + erro.message);
+            return Promise.resolve(null);
+        }
+
+        const tarefa = window.SimulacaoWorker.simular(dadosAninhados, {
+            onProgresso: progresso => this._exibirProgressoSimulacao(progresso)
+        });
+        this._exibirProgressoSimulacao({ etapa: 'inicio', percentual: 0 });
+
+        const promessa = tarefa.promessa.then(resultadosParaInterface => {
+            _resultadoAtual = resultadosParaInterface.impactoBase.resultadoAtual || null;
+            _resultadoSplitPayment = resultadosParaInterface.impactoBase.resultadoSplitPayment || null;
+            console.log('Simulação concluída com sucesso');
+            this._apresentarResultados(resultadosParaInterface);
+            return resultadosParaInterface;
+        }).catch(erro => {
+            if (erro.cancelado) {
+                console.log('Simulação cancelada pelo usuário');
+            } else {
+                console.error('Erro crítico durante a simulação:', erro);
+                alert('Ocorreu um erro durante a simulação: ' + erro.message);
+            }
+            return null;
+        }).finally(() => {
+            _simulacaoEmAndamento = null;
+            this._exibirProgressoSimulacao(null);
+        });
+
+        _simulacaoEmAndamento = { id: tarefa.id, promessa };
+        return promessa;
+    },
+
+    /**
+     * Cancela a simulação em andamento no Web Worker (a simulação base ou a de estratégias)
+     * @returns {boolean} true se havia simulação em andamento
+     */
+    cancelarSimulacao() {
+        if (typeof window.SimulacaoWorker === 'undefined') {
+            return false;
+        }
+        if (_simulacaoEmAndamento) {
+            return window.SimulacaoWorker.cancelar(_simulacaoEmAndamento.id);
+        }
+        if (_estrategiasEmAndamento && _estrategiasEmAndamento.id !== null) {
+            return window.SimulacaoWorker.cancelar(_estrategiasEmAndamento.id);
+        }
+        return false;
+    },
+
+    /**
+     * Obtém os dados da simulação (parâmetro ou formulário)
+     * @private
+     * @param {Object} dadosExternos - Dados externos opcionais (formato aninhado)
+     * @returns {Object} Dados em formato aninhado
+     */
+    _obterDadosSimulacao(dadosExternos) {
+        if (dadosExternos) {
+            console.log('Utilizando dados fornecidos externamente');
+            return dadosExternos;
+        }
+
+        const dadosAninhados = window.DataManager.obterDadosDoFormulario();
+        console.log('Dados obtidos do formulário');
+        if (!dadosAninhados) {
+            throw new Error('Não foi possível obter dados para a simulação');
+        }
+        return dadosAninhados;
+    },
+
+    /**
+     * Atualiza interface e gráficos com os resultados da simulação
+     * @private
+     * @param {Object} resultadosParaInterface - Resultados da simulação
+     */
+    _apresentarResultados(resultadosParaInterface) {
+        if (typeof window.atualizarInterface === 'function') {
+            window.atualizarInterface(resultadosParaInterface);
+        } else {
+            console.warn('Função atualizarInterface não encontrada. A interface não será atualizada automaticamente.');
+        }
+
+        if (
+            typeof window.ChartManager !== 'undefined' &&
+            typeof window.ChartManager.renderizarGraficos === 'function'
+        ) {
+            window.ChartManager.renderizarGraficos(resultadosParaInterface);
+        } else {
+            console.warn('ChartManager não encontrado ou função renderizarGraficos indisponível.');
+        }
+    },
+
+    /**
+     * Exibe o progresso da simulação e o botão de cancelamento
+     * @private
+     * @param {Object|null} progresso - { etapa, percentual } ou null para ocultar
+     */
+    _exibirProgressoSimulacao(progresso) {
+        const btnSimular = document.getElementById('btn-simular');
+        const btnCancelar = document.getElementById('btn-cancelar-simulacao');
+        const indicador = document.getElementById('simulacao-progresso');
+
+        if (btnSimular) btnSimular.disabled = !!progresso;
+        if (btnCancelar) btnCancelar.style.display = progresso ? '' : 'none';
+        if (indicador) {
+            indicador.style.display = progresso ? '' : 'none';
+            indicador.textContent = progresso ?
+                `Simulando... ${progresso.percentual}% (${NOMES_ETAPAS_SIMULACAO[progresso.etapa] || progresso.etapa})` : '';
+        }
+    },
+
     /**
      * Valida a estrutura do impacto base
      * @private
@@ -982,6 +1283,71 @@ const SimuladorFluxoCaixa = {
         };
     },
     
+    /**
+     * Calcula o impacto das estratégias de mitigação sem acessar a interface
+     * Usado pela simulação de estratégias na thread principal e pelo Web Worker de simulação (SimulacaoWorker)
+     * @param {Object} dadosPlanos - Dados da simulação (formato plano)
+     * @param {Object} estrategias - Estratégias (formato aninhado); só as com ativar === true são simuladas
+     * @param {number} ano - Ano de referência
+     * @param {Function} [aoProgresso] - Recebe { etapa, percentual } a cada etapa concluída
+     * @returns {Object} { impactoBase, estrategiasAtivas, resultadoEstrategias, combinacaoOtima }
+     *                   (resultadoEstrategias e combinacaoOtima nulos sem estratégias ativas)
+     * @throws {Error} Se o cálculo de efetividade retornar resultado inválido
+     */
+    calcularEstrategias(dadosPlanos, estrategias, ano, aoProgresso) {
+        const informarProgresso = (etapa, percentual) => {
+            if (typeof aoProgresso === 'function') {
+                aoProgresso({ etapa, percentual });
+            }
+        };
+
+        // 1. Impacto base (para comparação)
+        informarProgresso('impactoBase', 10);
+        const impactoBase = window.IVADualSystem.calcularImpactoCapitalGiro(dadosPlanos, ano);
+
+        // 2. Filtrar estratégias ativas de forma explícita e robusta
+        const estrategiasAtivas = {};
+        Object.entries(estrategias || {}).forEach(([chave, estrategia]) => {
+            if (estrategia && estrategia.ativar === true) {
+                estrategiasAtivas[chave] = estrategia;
+                console.log(`Estratégia ativa: ${chave}`, estrategia);
+            }
+        });
+
+        if (Object.keys(estrategiasAtivas).length === 0) {
+            console.log('Nenhuma estratégia ativa encontrada');
+            informarProgresso('concluido', 100);
+            return { impactoBase, estrategiasAtivas, resultadoEstrategias: null, combinacaoOtima: null };
+        }
+
+        // 3. Calcular efetividade das estratégias ativas (calcularEfeitividadeMitigacao consulta ativar de cada uma)
+        informarProgresso('estrategias', 40);
+        const resultadoEstrategias = window.IVADualSystem.calcularEfeitividadeMitigacao(dadosPlanos, estrategias, ano);
+
+        // Validar resultado para garantir segurança
+        if (!resultadoEstrategias || !resultadoEstrategias.efeitividadeCombinada) {
+            throw new Error('Cálculo de efetividade retornou resultado inválido');
+        }
+
+        // 4. Combinação ótima entre as estratégias ativas (não interrompe o fluxo se falhar)
+        informarProgresso('combinacaoOtima', 75);
+        let combinacaoOtima = null;
+        if (window.MitigationStrategiesModule) {
+            try {
+                combinacaoOtima = window.MitigationStrategiesModule.calcularCombinacaoOtima(
+                    dadosPlanos,
+                    window.MitigationStrategiesModule.converterEstrategiasParaPlanas(estrategiasAtivas),
+                    impactoBase
+                );
+            } catch (erroCombinacao) {
+                console.error('Erro ao calcular a combinação ótima de estratégias:', erroCombinacao);
+            }
+        }
+
+        informarProgresso('concluido', 100);
+        return { impactoBase, estrategiasAtivas, resultadoEstrategias, combinacaoOtima };
+    },
+
     /**
      * Simula o impacto das estratégias de mitigação
      * @returns {Object} Resultados da simulação com estratégias
@@ -999,161 +1365,209 @@ const SimuladorFluxoCaixa = {
                 }
             }
 
-            // 2. Obter configurações das estratégias via DataManager
-            const dadosAninhados = window.DataManager.obterDadosDoFormulario();
+            // 2. Calcular e apresentar as estratégias
+            const { dadosPlanos, estrategias, ano } = this._obterDadosEstrategias();
+            return this._apresentarResultadosEstrategias(this.calcularEstrategias(dadosPlanos, estrategias, ano));
+        } catch (erro) {
+            console.error('Erro durante a simulação de estratégias:', erro);
+            alert('Ocorreu um erro durante a simulação de estratégias: ' + erro.message);
+            return null;
+        }
+    },
 
-            // Validar estrutura aninhada antes de prosseguir
-            if (!dadosAninhados || !dadosAninhados.estrategias) {
-                throw new Error('Estrutura de dados inválida ou incompleta');
-            }
+    /**
+     * Simula o impacto das estratégias de mitigação em um Web Worker, com progresso e cancelamento
+     * Sem simulação base, executa-a antes (também no worker).
+     * Chamadas repetidas durante uma simulação de estratégias em andamento recebem a mesma promessa
+     * @returns {Promise<Object|null>} Mesmo resultado de simularEstrategias(); null em caso de erro ou cancelamento
+     */
+    simularEstrategiasAssincrono() {
+        if (typeof window.SimulacaoWorker === 'undefined') {
+            return Promise.resolve(this.simularEstrategias());
+        }
 
-            // 3. Converter para formato plano de forma segura
-            const dadosPlanos = window.DataManager.converterParaEstruturaPlana(dadosAninhados);
+        if (_estrategiasEmAndamento) {
+            return _estrategiasEmAndamento.promessa;
+        }
 
-            // 4. Usar IVADualSystem para calcular impacto base (para comparação)
-            const impactoBase = window.IVADualSystem.calcularImpactoCapitalGiro(
-                dadosPlanos,
-                parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026
-            );
+        console.log('Iniciando simulação de estratégias de mitigação (Web Worker)...');
 
-            // 5. Filtrar estratégias ativas de forma explícita e robusta
-            const estrategiasAtivas = {};
-            let temEstrategiaAtiva = false;
-
-            // Verificação detalhada de cada estratégia
-            if (dadosAninhados.estrategias) {
-                Object.entries(dadosAninhados.estrategias).forEach(([chave, estrategia]) => {
-                    if (estrategia && estrategia.ativar === true) {
-                        estrategiasAtivas[chave] = estrategia;
-                        temEstrategiaAtiva = true;
-                        console.log(`Estratégia ativa: ${chave}`, estrategia);
-                    }
-                });
+        const simulacaoBase = _resultadoAtual && _resultadoSplitPayment ?
+            Promise.resolve(true) : this.simularAssincrono();
+
+        const promessa = simulacaoBase.then(resultadoBase => {
+            // Simulação base com erro (já informado) ou cancelada
+            if (!resultadoBase) {
+                return null;
             }
 
-            // Tratamento específico para caso sem estratégias ativas
-            if (!temEstrategiaAtiva) {
-                console.log('Nenhuma estratégia ativa encontrada');
-                const divResultados = document.getElementById('resultados-estrategias');
-                if (divResultados) {
-                    divResultados.innerHTML = '<p class="text-muted">Nenhuma estratégia de mitigação foi selecionada para simulação. Ative uma ou mais estratégias e simule novamente.</p>';
-                }
+            const { dadosPlanos, estrategias, ano } = this._obterDadosEstrategias();
+            const tarefa = window.SimulacaoWorker.simularEstrategias(dadosPlanos, estrategias, ano, {
+                onProgresso: progresso => this._exibirProgressoSimulacao(progresso)
+            });
+            _estrategiasEmAndamento.id = tarefa.id;
+            this._exibirProgressoSimulacao({ etapa: 'inicio', percentual: 0 });
+
+            return tarefa.promessa.then(calculo => this._apresentarResultadosEstrategias(calculo));
+        }).catch(erro => {
+            if (erro.cancelado) {
+                console.log('Simulação de estratégias cancelada pelo usuário');
+            } else {
+                console.error('Erro durante a simulação de estratégias:', erro);
+                alert('Ocorreu um erro durante a simulação de estratégias: ' + erro.message);
+            }
+            return null;
+        }).finally(() => {
+            _estrategiasEmAndamento = null;
+            this._exibirProgressoSimulacao(null);
+        });
 
-                // Atualizar os gráficos para exibir estado vazio/inicial
-                if (typeof window.ChartManager !== 'undefined' && typeof window.ChartManager.renderizarGraficoEstrategias === 'function') {
-                    // Apenas passar o impactoBase para ter um contexto de comparação
-                    window.ChartManager.renderizarGraficoEstrategias(null, impactoBase);
-                }
+        _estrategiasEmAndamento = { id: null, promessa };
+        return promessa;
+    },
 
-                // Retornar estrutura compatível com interface
-                return {
-                    semEstrategiasAtivas: true,
-                    mensagem: "Nenhuma estratégia ativa encontrada",
-                    efeitividadeCombinada: {
-                        efetividadePercentual: 0,
-                        mitigacaoTotal: 0,
-                        custoTotal: 0,
-                        custoBeneficio: 0
-                    },
-                    detalhesPorEstrategia: {}
-                };
-            }
+    /**
+     * Obtém os dados da simulação de estratégias a partir do formulário
+     * @private
+     * @returns {Object} { dadosPlanos, estrategias (formato aninhado), ano }
+     */
+    _obterDadosEstrategias() {
+        const dadosAninhados = window.DataManager.obterDadosDoFormulario();
 
-            // 6. Calcular efetividade das estratégias com as estratégias filtradas
-            const resultadoEstrategias = window.IVADualSystem.calcularEfeitividadeMitigacao(
-                dadosPlanos,
-                estrategiasAtivas,
-                parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026
-            );
+        // Validar estrutura aninhada antes de prosseguir
+        if (!dadosAninhados || !dadosAninhados.estrategias) {
+            throw new Error('Estrutura de dados inválida ou incompleta');
+        }
 
-            // Validar resultado para garantir segurança
-            if (!resultadoEstrategias || !resultadoEstrategias.efeitividadeCombinada) {
-                throw new Error('Cálculo de efetividade retornou resultado inválido');
-            }
+        const dadosPlanos = window.DataManager.converterParaEstruturaPlana(dadosAninhados);
+        return {
+            dadosPlanos,
+            estrategias: dadosAninhados.estrategias,
+            ano: parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026
+        };
+    },
 
-            // 7. Armazenar os resultados globalmente para referência futura
-            window.lastStrategyResults = resultadoEstrategias;
+    /**
+     * Apresenta os resultados das estratégias na interface e nos gráficos
+     * @private
+     * @param {Object} calculo - Resultado de calcularEstrategias
+     * @returns {Object} Resultados da simulação com estratégias
+     */
+    _apresentarResultadosEstrategias(calculo) {
+        const { impactoBase, resultadoEstrategias } = calculo;
 
-            // 8. Atualizar interface com resultados estruturados
+        // Tratamento específico para caso sem estratégias ativas
+        if (!resultadoEstrategias) {
             const divResultados = document.getElementById('resultados-estrategias');
             if (divResultados) {
-                // Estruturar resultado como uma classe HTML específica para facilitar detecção
-                let html = '<div class="estrategias-resumo">';
-                html += '<h4>Resultados das Estratégias</h4>';
-
-                // Detalhar impacto das estratégias
-                const impactoOriginal = Math.abs(impactoBase.diferencaCapitalGiro || 0);
-                const efetividadePercentual = resultadoEstrategias.efeitividadeCombinada.efetividadePercentual || 0;
-                const mitigacaoTotal = resultadoEstrategias.efeitividadeCombinada.mitigacaoTotal || 0;
-                const impactoResidual = impactoOriginal - mitigacaoTotal;
-
-                html += `<p><strong>Impacto Original:</strong> ${window.CalculationCore.formatarMoeda(impactoOriginal)}</p>`;
-                html += `<p><strong>Efetividade da Mitigação:</strong> ${efetividadePercentual.toFixed(1)}%</p>`;
-                html += `<p><strong>Impacto Mitigado:</strong> ${window.CalculationCore.formatarMoeda(mitigacaoTotal)}</p>`;
-                html += `<p><strong>Impacto Residual:</strong> ${window.CalculationCore.formatarMoeda(impactoResidual)}</p>`;
-
-                // Seção de custo das estratégias
-                html += '<div class="estrategias-custo">';
-                html += `<p><strong>Custo Total das Estratégias:</strong> ${window.CalculationCore.formatarMoeda(resultadoEstrategias.efeitividadeCombinada.custoTotal || 0)}</p>`;
-                html += `<p><strong>Relação Custo-Benefício:</strong> ${(resultadoEstrategias.efeitividadeCombinada.custoBeneficio || 0).toFixed(2)}</p>`;
-                html += '</div>';
+                divResultados.innerHTML = '<p class="text-muted">Nenhuma estratégia de mitigação foi selecionada para simulação. Ative uma ou mais estratégias e simule novamente.</p>';
+            }
 
-                // Adicionar detalhamento por estratégia
-                if (resultadoEstrategias.resultadosEstrategias && Object.keys(resultadoEstrategias.resultadosEstrategias).length > 0) {
-                    html += '<div class="estrategias-detalhe">';
-                    html += '<h5>Detalhamento por Estratégia</h5>';
-                    html += '<table class="estrategias-tabela">';
-                    html += '<tr><th>Estratégia</th><th>Efetividade</th><th>Impacto Mitigado</th><th>Custo</th></tr>';
-
-                    Object.entries(resultadoEstrategias.resultadosEstrategias).forEach(([nome, resultado]) => {
-                        if (resultado) {
-                            const nomeFormatado = this.traduzirNomeEstrategia(nome);
-                            html += `<tr>
-                                <td>${nomeFormatado}</td>
-                                <td>${(resultado.efetividadePercentual || 0).toFixed(1)}%</td>
-                                <td>${window.CalculationCore.formatarMoeda(resultado.valorMitigado || 0)}</td>
-                                <td>${window.CalculationCore.formatarMoeda(resultado.custoImplementacao || 0)}</td>
-                            </tr>`;
-                        }
-                    });
-
-                    html += '</table>';
-                    html += '</div>';
-                }
+            // Atualizar os gráficos para exibir estado vazio/inicial
+            if (typeof window.ChartManager !== 'undefined' && typeof window.ChartManager.renderizarGraficoEstrategias === 'function') {
+                // Apenas passar o impactoBase para ter um contexto de comparação
+                window.ChartManager.renderizarGraficoEstrategias(null, impactoBase);
+            }
 
-                html += '</div>'; // Fechamento da div estrategias-resumo
+            // Retornar estrutura compatível com interface
+            return {
+                semEstrategiasAtivas: true,
+                mensagem: "Nenhuma estratégia ativa encontrada",
+                efeitividadeCombinada: {
+                    efetividadePercentual: 0,
+                    mitigacaoTotal: 0,
+                    custoTotal: 0,
+                    custoBeneficio: 0
+                },
+                detalhesPorEstrategia: {}
+            };
+        }
 
-                // Incluir log para diagnóstico
-                console.log("SIMULATOR.JS: [LOG ATIVADO] Conteúdo HTML gerado para resultados das estratégias:", html);
+        // Armazenar os resultados globalmente para referência futura
+        window.lastStrategyResults = resultadoEstrategias;
+
+        // Atualizar interface com resultados estruturados
+        const divResultados = document.getElementById('resultados-estrategias');
+        if (divResultados) {
+            // Estruturar resultado como uma classe HTML específica para facilitar detecção
+            let html = '<div class="estrategias-resumo">';
+            html += '<h4>Resultados das Estratégias</h4>';
+
+            // Detalhar impacto das estratégias
+            const impactoOriginal = Math.abs(impactoBase.diferencaCapitalGiro || 0);
+            const efetividadePercentual = resultadoEstrategias.efeitividadeCombinada.efetividadePercentual || 0;
+            const mitigacaoTotal = resultadoEstrategias.efeitividadeCombinada.mitigacaoTotal || 0;
+            const impactoResidual = impactoOriginal - mitigacaoTotal;
+
+            html += `<p><strong>Impacto Original:</strong> ${window.CalculationCore.formatarMoeda(impactoOriginal)}</p>`;
+            html += `<p><strong>Efetividade da Mitigação:</strong> ${efetividadePercentual.toFixed(1)}%</p>`;
+            html += `<p><strong>Impacto Mitigado:</strong> ${window.CalculationCore.formatarMoeda(mitigacaoTotal)}</p>`;
+            html += `<p><strong>Impacto Residual:</strong> ${window.CalculationCore.formatarMoeda(impactoResidual)}</p>`;
+
+            // Seção de custo das estratégias
+            html += '<div class="estrategias-custo">';
+            html += `<p><strong>Custo Total das Estratégias:</strong> ${window.CalculationCore.formatarMoeda(resultadoEstrategias.efeitividadeCombinada.custoTotal || 0)}</p>`;
+            html += `<p><strong>Relação Custo-Benefício:</strong> ${(resultadoEstrategias.efeitividadeCombinada.custoBeneficio || 0).toFixed(2)}</p>`;
+            html += '</div>';
+
+            // Combinação ótima entre as estratégias ativas (MitigationStrategiesModule)
+            const combinacaoOtima = calculo.combinacaoOtima;
+            if (combinacaoOtima && combinacaoOtima.estrategiasOtimas.length > 0) {
+                html += `<p><strong>Combinação Ótima:</strong> ${combinacaoOtima.estrategiasOtimas.map(nome => this.traduzirNomeEstrategia(nome)).join(' + ')} ` +
+                    `(efetividade de ${combinacaoOtima.efetividadeTotal.toFixed(1)}%)</p>`;
+            }
 
-                // Atribuir HTML ao elemento
-                divResultados.innerHTML = html;
+            // Adicionar detalhamento por estratégia
+            if (resultadoEstrategias.resultadosEstrategias && Object.keys(resultadoEstrategias.resultadosEstrategias).length > 0) {
+                html += '<div class="estrategias-detalhe">';
+                html += '<h5>Detalhamento por Estratégia</h5>';
+                html += '<table class="estrategias-tabela">';
+                html += '<tr><th>Estratégia</th><th>Efetividade</th><th>Impacto Mitigado</th><th>Custo</th></tr>';
+
+                Object.entries(resultadoEstrategias.resultadosEstrategias).forEach(([nome, resultado]) => {
+                    if (resultado) {
+                        const nomeFormatado = this.traduzirNomeEstrategia(nome);
+                        html += `<tr>
+                            <td>${nomeFormatado}</td>
+                            <td>${(resultado.efetividadePercentual || 0).toFixed(1)}%</td>
+                            <td>${window.CalculationCore.formatarMoeda(resultado.valorMitigado || 0)}</td>
+                            <td>${window.CalculationCore.formatarMoeda(resultado.custoImplementacao || 0)}</td>
+                        </tr>`;
+                    }
+                });
 
-                // Verificar se a atribuição foi bem-sucedida
-                console.log("SIMULATOR.JS: [LOG ATIVADO] divResultados.innerHTML atribuído com sucesso.");
-            } else {
-                console.error("SIMULATOR.JS: [LOG ATIVADO] Elemento #resultados-estrategias não encontrado no DOM!");
+                html += '</table>';
+                html += '</div>';
             }
 
-            // 9. Atualizar gráficos de estratégias
-            if (typeof window.ChartManager !== 'undefined' && 
-                typeof window.ChartManager.renderizarGraficoEstrategias === 'function') {
-                try {
-                    // Chamar com parâmetros explícitos
-                    window.ChartManager.renderizarGraficoEstrategias(resultadoEstrategias, impactoBase);
-                    console.log('Gráficos de estratégias renderizados com sucesso');
-                } catch (erroGraficos) {
-                    console.error('Erro ao renderizar gráficos de estratégias:', erroGraficos);
-                }
-            }
+            html += '</div>'; // Fechamento da div estrategias-resumo
 
-            console.log('Simulação de estratégias concluída com sucesso');
-            return resultadoEstrategias;
-        } catch (erro) {
-            console.error('Erro durante a simulação de estratégias:', erro);
-            alert('Ocorreu um erro durante a simulação de estratégias: ' + erro.message);
-            return null;
+            // Incluir log para diagnóstico
+            console.log("SIMULATOR.JS: [LOG ATIVADO] Conteúdo HTML gerado para resultados das estratégias:", html);
+
+            // Atribuir HTML ao elemento
+            divResultados.innerHTML = html;
+
+            // Verificar se a atribuição foi bem-sucedida
+            console.log("SIMULATOR.JS: [LOG ATIVADO] divResultados.innerHTML atribuído com sucesso.");
+        } else {
+            console.error("SIMULATOR.JS: [LOG ATIVADO] Elemento #resultados-estrategias não encontrado no DOM!");
+        }
+
+        // Atualizar gráficos de estratégias
+        if (typeof window.ChartManager !== 'undefined' && 
+            typeof window.ChartManager.renderizarGraficoEstrategias === 'function') {
+            try {
+                // Chamar com parâmetros explícitos
+                window.ChartManager.renderizarGraficoEstrategias(resultadoEstrategias, impactoBase);
+                console.log('Gráficos de estratégias renderizados com sucesso');
+            } catch (erroGraficos) {
+                console.error('Erro ao renderizar gráficos de estratégias:', erroGraficos);
+            }
         }
+
+        console.log('Simulação de estratégias concluída com sucesso');
+        return resultadoEstrategias;
     },
     
     /**
@@ -1200,8 +1614,15 @@ const SimuladorFluxoCaixa = {
 window.SimuladorFluxoCaixa = SimuladorFluxoCaixa;
 
 // Inicializar o simulador quando o documento estiver carregado
-document.addEventListener('DOMContentLoaded', function() {
-    if (SimuladorFluxoCaixa && typeof SimuladorFluxoCaixa.init === 'function') {
-        SimuladorFluxoCaixa.init();
-    }
-});
\ No newline at end of file
+// (document não existe no Web Worker de simulação)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        if (SimuladorFluxoCaixa && typeof SimuladorFluxoCaixa.init === 'function') {
+            SimuladorFluxoCaixa.init();
+        }
+
+        document.getElementById('btn-cancelar-simulacao')?.addEventListener('click', function() {
+            SimuladorFluxoCaixa.cancelarSimulacao();
+        });
+    });
+}
@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Controlador da aba de Carteira (simulação de várias empresas)
+ * @module carteira-controller
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ *
+ * Cada perfil da carteira guarda as seções empresa, cicloFinanceiro, parametrosFiscais,
+ * ivaConfig (IS, categoria e destinos do IBS) e estrategias (e, opcionalmente, a composição
+ * tributária da importação SPED). A simulação em lote usa as demais premissas do formulário
+ * (período, cenário, cronograma) para todas as empresas.
+ */
+window.CarteiraController = (function() {
+    const SECOES_PERFIL = ['empresa', 'cicloFinanceiro', 'parametrosFiscais', 'ivaConfig', 'estrategias'];
+
+    // Simulação em lote em andamento: { cancelada, tarefa }
+    let _execucao = null;
+
+    function formatarMoeda(valor) {
+        return new Intl.NumberFormat('pt-BR', {
+            style: 'currency',
+            currency: 'BRL'
+        }).format(valor || 0);
+    }
+
+    function formatarData(iso) {
+        return iso ? new Date(iso).toLocaleString('pt-BR') : '';
+    }
+
+    /**
+     * Monta o perfil da empresa preenchida no formulário (e da última importação SPED, se houver)
+     * @returns {Object} Perfil sem id
+     */
+    function capturarPerfilAtual() {
+        const dadosFormulario = window.DataManager.obterDadosDoFormulario();
+        const dadosSped = window.dadosImportadosSped;
+
+        const perfil = {
+            nome: document.getElementById('empresa')?.value.trim() || dadosSped?.empresa?.nome || '',
+            cnpj: dadosSped?.empresa?.cnpj || '',
+            sped: null
+        };
+        SECOES_PERFIL.forEach(secao => {
+            perfil[secao] = dadosFormulario[secao] || {};
+        });
+        perfil.empresa.nome = perfil.nome;
+
+        const composicaoTributaria = dadosSped?.parametrosFiscais?.composicaoTributaria;
+        if (composicaoTributaria) {
+            perfil.sped = {
+                importadoEm: new Date().toISOString(),
+                composicaoTributaria
+            };
+        }
+
+        return perfil;
+    }
+
+    /**
+     * Inclui a empresa do formulário na carteira, atualizando o perfil de mesmo CNPJ ou nome
+     */
+    function adicionarEmpresaAtual() {
+        if (!window.DataManager) return;
+
+        const perfil = capturarPerfilAtual();
+        if (!perfil.nome) {
+            alert('Informe o nome da empresa no formulário de simulação antes de incluí-la na carteira.');
+            return;
+        }
+
+        const existente = SimuladorRepository.obterPerfisCarteira().find(item =>
+            (perfil.cnpj && item.cnpj === perfil.cnpj) || item.nome.toLowerCase() === perfil.nome.toLowerCase());
+        if (existente) {
+            if (!confirm(`A empresa "${existente.nome}" já está na carteira. Substituir os dados do perfil?`)) return;
+            perfil.id = existente.id;
+        }
+
+        SimuladorRepository.salvarPerfilCarteira(perfil);
+        atualizarListaPerfis();
+    }
+
+    /**
+     * Carrega um perfil no formulário de simulação
+     * @param {string} id - Identificador do perfil
+     */
+    function carregarPerfil(id) {
+        const perfil = SimuladorRepository.obterPerfilCarteira(id);
+        if (!perfil || !window.DataManager) return;
+
+        window.DataManager.preencherFormulario(montarDadosSimulacao(perfil, window.DataManager.obterDadosDoFormulario()));
+        const campoEmpresa = document.getElementById('empresa');
+        if (campoEmpresa) campoEmpresa.value = perfil.nome;
+
+        document.querySelector('.tab-button[data-tab="simulacao"]')?.click();
+    }
+
+    function removerPerfil(id) {
+        const perfil = SimuladorRepository.obterPerfilCarteira(id);
+        if (!perfil || !confirm(`Remover "${perfil.nome}" da carteira?`)) return;
+
+        SimuladorRepository.removerPerfilCarteira(id);
+        atualizarListaPerfis();
+        atualizarPainel();
+    }
+
+    /**
+     * Combina as premissas comuns com as seções do perfil
+     * @param {Object} perfil - Perfil da carteira
+     * @param {Object} premissas - Dados do formulário (formato aninhado)
+     * @returns {Object} Dados da simulação da empresa (formato aninhado)
+     */
+    function montarDadosSimulacao(perfil, premissas) {
+        const dados = window.DataManager.cloneProfundo(premissas);
+        SECOES_PERFIL.forEach(secao => {
+            // Perfis salvos antes de ivaConfig e estrategias seguem as premissas do formulário nessas seções
+            if (perfil[secao]) {
+                dados[secao] = window.DataManager.cloneProfundo(perfil[secao]);
+            }
+        });
+
+        delete dados.dadosSpedImportados;
+        if (perfil.sped && perfil.sped.composicaoTributaria) {
+            dados.parametrosFiscais.composicaoTributaria = window.DataManager.cloneProfundo(perfil.sped.composicaoTributaria);
+            dados.dadosSpedImportados = true;
+        }
+
+        return window.DataManager.validarENormalizar(dados);
+    }
+
+    /**
+     * Executa a simulação de uma empresa no Web Worker (ou na thread principal, se indisponível)
+     * @returns {Promise<Object>} Resultados de SimuladorFluxoCaixa.calcularResultados
+     */
+    function simularPerfil(perfil, premissas) {
+        const dados = montarDadosSimulacao(perfil, premissas);
+
+        if (window.SimulacaoWorker) {
+            const tarefa = window.SimulacaoWorker.simular(dados);
+            _execucao.tarefa = tarefa;
+            return tarefa.promessa;
+        }
+
+        return new Promise(resolve => resolve(window.SimuladorFluxoCaixa.calcularResultados(dados)));
+    }
+
+    /**
+     * Simula todas as empresas da carteira em sequência e atualiza o painel consolidado
+     * @returns {Promise<void>}
+     */
+    function simularCarteira() {
+        if (_execucao) return Promise.resolve();
+
+        const perfis = SimuladorRepository.obterPerfisCarteira();
+        if (perfis.length === 0) {
+            alert('Inclua ao menos uma empresa na carteira antes de simular.');
+            return Promise.resolve();
+        }
+
+        const premissas = window.DataManager.obterDadosDoFormulario();
+        _execucao = { cancelada: false, tarefa: null };
+        exibirProgresso(0, perfis.length);
+
+        let cadeia = Promise.resolve();
+        perfis.forEach((perfil, indice) => {
+            cadeia = cadeia.then(() => {
+                if (_execucao.cancelada) return;
+                exibirProgresso(indice, perfis.length, perfil.nome);
+
+                return Promise.resolve().then(() => simularPerfil(perfil, premissas)).then(resultados => {
+                    SimuladorRepository.registrarSimulacaoPerfilCarteira(perfil.id, {
+                        simuladoEm: new Date().toISOString(),
+                        resumo: window.CenariosController.resumirResultados(resultados),
+                        erro: null
+                    });
+                }).catch(erro => {
+                    if (erro.cancelado) return;
+                    console.error(`Erro ao simular "${perfil.nome}" na carteira:`, erro);
+                    SimuladorRepository.registrarSimulacaoPerfilCarteira(perfil.id, {
+                        simuladoEm: new Date().toISOString(),
+                        resumo: null,
+                        erro: erro.message
+                    });
+                });
+            });
+        });
+
+        return cadeia.finally(() => {
+            const cancelada = _execucao.cancelada;
+            _execucao = null;
+            exibirProgresso(null);
+            atualizarListaPerfis();
+            atualizarPainel();
+            if (cancelada) {
+                console.log('Simulação da carteira cancelada pelo usuário');
+            }
+        });
+    }
+
+    function cancelarSimulacaoCarteira() {
+        if (!_execucao) return;
+        _execucao.cancelada = true;
+        if (_execucao.tarefa) {
+            _execucao.tarefa.cancelar();
+        }
+    }
+
+    function exibirProgresso(concluidas, total, nomeEmpresa) {
+        const indicador = document.getElementById('carteira-progresso');
+        const btnSimular = document.getElementById('btn-simular-carteira');
+        const btnCancelar = document.getElementById('btn-cancelar-carteira');
+        const emAndamento = concluidas !== null;
+
+        if (btnSimular) btnSimular.disabled = emAndamento;
+        if (btnCancelar) btnCancelar.style.display = emAndamento ? '' : 'none';
+        if (indicador) {
+            indicador.style.display = emAndamento ? '' : 'none';
+            indicador.textContent = emAndamento ?
+                `Simulando ${concluidas + 1} de ${total}${nomeEmpresa ? ': ' + nomeEmpresa : ''}...` : '';
+        }
+    }
+
+    /**
+     * Ordena as empresas pela necessidade adicional de capital de giro no Split Payment
+     * Empresas sem simulação válida ficam ao final, sem posição
+     * @returns {Array} [{ posicao, id, nome, cnpj, setor, regime, faturamento, possuiSped, simuladoEm, resumo, erro }]
+     */
+    function obterRanking() {
+        const itens = SimuladorRepository.obterPerfisCarteira().map(perfil => ({
+            id: perfil.id,
+            nome: perfil.nome,
+            cnpj: perfil.cnpj,
+            setor: perfil.empresa?.setor || '',
+            regime: perfil.empresa?.regime || '',
+            faturamento: perfil.empresa?.faturamento || 0,
+            possuiSped: !!perfil.sped,
+            simuladoEm: perfil.ultimaSimulacao?.simuladoEm || null,
+            resumo: perfil.ultimaSimulacao?.resumo || null,
+            erro: perfil.ultimaSimulacao?.erro || null
+        }));
+
+        const simuladas = itens
+            .filter(item => item.resumo)
+            .sort((a, b) => b.resumo.capitalGiro.necessidadeAdicional - a.resumo.capitalGiro.necessidadeAdicional);
+        simuladas.forEach((item, indice) => {
+            item.posicao = indice + 1;
+        });
+
+        return simuladas.concat(itens.filter(item => !item.resumo));
+    }
+
+    /**
+     * Atualiza a tabela de perfis cadastrados
+     */
+    function atualizarListaPerfis() {
+        const tbody = document.querySelector('#carteira-table tbody');
+        if (!tbody) return;
+
+        const perfis = SimuladorRepository.obterPerfisCarteira();
+        tbody.innerHTML = '';
+
+        if (perfis.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-muted">Nenhuma empresa na carteira.</td></tr>';
+            return;
+        }
+
+        perfis.forEach(perfil => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td></td>
+                <td></td>
+                <td>${formatarMoeda(perfil.empresa?.faturamento)}</td>
+                <td>${perfil.sped ? 'Sim' : 'Não'}</td>
+                <td>${perfil.ultimaSimulacao ? formatarData(perfil.ultimaSimulacao.simuladoEm) : '-'}</td>
+                <td></td>
+            `;
+            // Textos informados pelo usuário inseridos como texto
+            tr.children[0].textContent = perfil.nome;
+            tr.children[1].textContent = perfil.cnpj || '-';
+
+            [
+                { rotulo: 'Carregar', acao: carregarPerfil, classe: 'btn btn-secondary btn-sm' },
+                { rotulo: 'Remover', acao: removerPerfil, classe: 'btn btn-accent btn-sm' }
+            ].forEach(({ rotulo, acao, classe }) => {
+                const botao = document.createElement('button');
+                botao.type = 'button';
+                botao.className = classe;
+                botao.textContent = rotulo;
+                botao.addEventListener('click', () => acao(perfil.id));
+                tr.lastElementChild.appendChild(botao);
+            });
+
+            tbody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Atualiza o painel consolidado (totais, ranking e gráfico)
+     */
+    function atualizarPainel() {
+        const tbody = document.querySelector('#carteira-ranking-table tbody');
+        if (!tbody) return;
+
+        const ranking = obterRanking();
+        const simuladas = ranking.filter(item => item.resumo);
+        const somar = obterValor => simuladas.reduce((total, item) => total + (obterValor(item.resumo) || 0), 0);
+
+        const totais = {
+            'carteira-total-empresas': `${simuladas.length} de ${ranking.length}`,
+            'carteira-total-necessidade': formatarMoeda(somar(resumo => resumo.capitalGiro.necessidadeAdicional)),
+            'carteira-total-periodo': formatarMoeda(somar(resumo => resumo.totais.necessidadeCapitalGiro)),
+            'carteira-total-custo': formatarMoeda(somar(resumo => resumo.totais.custoFinanceiro))
+        };
+        Object.entries(totais).forEach(([id, texto]) => {
+            const elemento = document.getElementById(id);
+            if (elemento) elemento.textContent = texto;
+        });
+
+        tbody.innerHTML = '';
+        if (ranking.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-muted">Simule a carteira para gerar o ranking.</td></tr>';
+        }
+
+        ranking.forEach(item => {
+            const resumo = item.resumo;
+            const percentualFaturamento = resumo && item.faturamento ?
+                (resumo.capitalGiro.necessidadeAdicional / item.faturamento * 100).toFixed(1) + '%' : '-';
+
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${item.posicao || '-'}</td>
+                <td></td>
+                <td>${resumo ? formatarMoeda(resumo.capitalGiro.necessidadeAdicional) : '-'}</td>
+                <td>${percentualFaturamento}</td>
+                <td>${resumo ? resumo.margem.impactoPercentual.toFixed(2) + '%' : '-'}</td>
+                <td>${resumo ? formatarMoeda(resumo.totais.necessidadeCapitalGiro) : '-'}</td>
+                <td></td>
+            `;
+            tr.children[1].textContent = item.nome;
+            tr.lastElementChild.textContent = item.erro ? `Erro: ${item.erro}` : (resumo ? 'Simulada' : 'Não simulada');
+            tbody.appendChild(tr);
+        });
+
+        const graficos = document.getElementById('carteira-graficos');
+        if (graficos) graficos.style.display = simuladas.length > 0 ? '' : 'none';
+        if (simuladas.length > 0 && window.ChartManager && typeof window.ChartManager.renderizarGraficoRankingCarteira === 'function') {
+            window.ChartManager.renderizarGraficoRankingCarteira(ranking);
+        }
+    }
+
+    function exportarResumo() {
+        if (!window.ExportTools || typeof window.ExportTools.exportarCarteiraParaExcel !== 'function') {
+            alert('Ferramentas de exportação não disponíveis.');
+            return;
+        }
+
+        const premissas = window.DataManager.obterDadosDoFormulario().parametrosSimulacao || {};
+        window.ExportTools.exportarCarteiraParaExcel(obterRanking(), premissas);
+    }
+
+    function inicializar() {
+        if (typeof SimuladorRepository === 'undefined' || typeof SimuladorRepository.obterPerfisCarteira !== 'function') {
+            console.warn('SimuladorRepository não encontrado, carteira de empresas indisponível');
+            return;
+        }
+
+        document.getElementById('btn-adicionar-carteira')?.addEventListener('click', adicionarEmpresaAtual);
+        document.getElementById('btn-simular-carteira')?.addEventListener('click', simularCarteira);
+        document.getElementById('btn-cancelar-carteira')?.addEventListener('click', cancelarSimulacaoCarteira);
+        document.getElementById('btn-exportar-carteira')?.addEventListener('click', exportarResumo);
+
+        document.addEventListener('tabChange', function(event) {
+            if (event.detail && event.detail.tab === 'carteira') {
+                atualizarListaPerfis();
+                atualizarPainel();
+            }
+        });
+
+        atualizarListaPerfis();
+        console.log('Controlador da carteira inicializado');
+    }
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', inicializar);
+
+    return {
+        adicionarEmpresaAtual,
+        carregarPerfil,
+        simularCarteira,
+        cancelarSimulacaoCarteira,
+        obterRanking,
+        atualizarPainel
+    };
+})();
@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Controlador da aba de Cenários
+ * @module cenarios-controller
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ *
+ * Salva a simulação atual como cenário nomeado no SimuladorRepository, permite clonar,
+ * editar (carregar no formulário, simular e atualizar) e comparar de 2 a 4 cenários lado a lado.
+ */
+window.CenariosController = (function() {
+    const MIN_CENARIOS_COMPARACAO = 2;
+    const MAX_CENARIOS_COMPARACAO = 4;
+
+    // Cenário carregado no formulário para edição
+    let _cenarioEmEdicao = null;
+
+    function formatarPercentual(valor) {
+        return (valor || 0).toFixed(2) + '%';
+    }
+
+    function formatarData(iso) {
+        return iso ? new Date(iso).toLocaleString('pt-BR') : '';
+    }
+
+    /**
+     * Extrai dos resultados da simulação os indicadores comparados entre cenários
+     * @param {Object} resultados - Resultados de SimuladorFluxoCaixa (impactoBase, projecaoTemporal)
+     * @returns {Object|null} { capitalGiro, margem, projecao: { anos, porAno }, totais }
+     */
+    function resumirResultados(resultados) {
+        if (!resultados || !resultados.impactoBase) {
+            return null;
+        }
+
+        const impactoBase = resultados.impactoBase;
+        const resultadosAnuais = resultados.projecaoTemporal?.resultadosAnuais || {};
+        const anos = Object.keys(resultadosAnuais).sort();
+
+        const porAno = {};
+        anos.forEach(ano => {
+            const dadosAno = resultadosAnuais[ano];
+            porAno[ano] = {
+                diferencaCapitalGiro: dadosAno.diferencaCapitalGiro || 0,
+                percentualImpacto: dadosAno.percentualImpacto || 0,
+                necessidadeAdicional: dadosAno.necessidadeAdicionalCapitalGiro || 0,
+                impactoMargem: dadosAno.impactoMargem || 0,
+                margemAjustada: dadosAno.margemOperacionalAjustada ?? dadosAno.impactoMargemDetalhado?.margemAjustada ?? 0
+            };
+        });
+
+        const impactoAcumulado = resultados.projecaoTemporal?.impactoAcumulado || {};
+
+        return {
+            capitalGiro: {
+                diferenca: impactoBase.diferencaCapitalGiro || 0,
+                percentualImpacto: impactoBase.percentualImpacto || 0,
+                necessidadeAdicional: impactoBase.necessidadeAdicionalCapitalGiro || 0,
+                impactoDiasFaturamento: impactoBase.impactoDiasFaturamento || 0
+            },
+            margem: {
+                original: impactoBase.margemOperacionalOriginal || 0,
+                ajustada: impactoBase.margemOperacionalAjustada || 0,
+                impactoPercentual: impactoBase.impactoMargem || 0
+            },
+            projecao: { anos, porAno },
+            totais: {
+                necessidadeCapitalGiro: impactoAcumulado.totalNecessidadeCapitalGiro || 0,
+                custoFinanceiro: impactoAcumulado.custoFinanceiroTotal || 0,
+                impactoMedioMargem: impactoAcumulado.impactoMedioMargem || 0
+            }
+        };
+    }
+
+    /**
+     * Obtém os dados e o resumo da última simulação realizada
+     * @returns {Object|null} { dados, resumo }
+     */
+    function obterSimulacaoAtual() {
+        const resultados = window.resultadosSimulacao;
+        const resumo = resumirResultados(resultados);
+        if (!resumo) {
+            return null;
+        }
+
+        const dados = resultados.dadosUtilizados ||
+            (window.DataManager ? window.DataManager.obterDadosDoFormulario() : null);
+        return dados ? { dados, resumo } : null;
+    }
+
+    /**
+     * Salva a última simulação como um novo cenário
+     */
+    function salvarCenarioAtual() {
+        const campoNome = document.getElementById('cenario-nome');
+        const nome = campoNome?.value.trim() || '';
+        if (!nome) {
+            alert('Informe um nome para o cenário.');
+            return;
+        }
+
+        const simulacao = obterSimulacaoAtual();
+        if (!simulacao) {
+            alert('Realize uma simulação antes de salvar o cenário.');
+            return;
+        }
+
+        const cenario = SimuladorRepository.salvarCenario(nome, simulacao.dados, simulacao.resumo);
+        if (!cenario) {
+            alert(`Já existe um cenário com o nome "${nome}".`);
+            return;
+        }
+
+        campoNome.value = '';
+        atualizarListaCenarios();
+    }
+
+    /**
+     * Substitui os dados do cenário em edição pelos da última simulação
+     */
+    function atualizarCenarioEmEdicao() {
+        if (!_cenarioEmEdicao) return;
+
+        const simulacao = obterSimulacaoAtual();
+        if (!simulacao) {
+            alert('Realize uma simulação antes de atualizar o cenário.');
+            return;
+        }
+
+        const cenario = SimuladorRepository.atualizarCenario(_cenarioEmEdicao, simulacao);
+        if (!cenario) {
+            alert('O cenário em edição não foi encontrado.');
+        } else {
+            alert(`Cenário "${cenario.nome}" atualizado com a simulação atual.`);
+        }
+
+        definirCenarioEmEdicao(null);
+        atualizarListaCenarios();
+    }
+
+    /**
+     * Carrega os dados do cenário no formulário de simulação para edição
+     * @param {string} id - Identificador do cenário
+     */
+    function editarCenario(id) {
+        const cenario = SimuladorRepository.obterCenario(id);
+        if (!cenario || !window.DataManager) return;
+
+        window.DataManager.preencherFormulario(cenario.dados);
+        definirCenarioEmEdicao(id);
+
+        document.querySelector('.tab-button[data-tab="simulacao"]')?.click();
+    }
+
+    function clonarCenario(id) {
+        const origem = SimuladorRepository.obterCenario(id);
+        if (!origem) return;
+
+        const nome = prompt('Nome do novo cenário:', `${origem.nome} (cópia)`);
+        if (nome === null) return;
+
+        if (!SimuladorRepository.clonarCenario(id, nome)) {
+            alert('Informe um nome ainda não utilizado por outro cenário.');
+            return;
+        }
+        atualizarListaCenarios();
+    }
+
+    function renomearCenario(id) {
+        const cenario = SimuladorRepository.obterCenario(id);
+        if (!cenario) return;
+
+        const nome = prompt('Novo nome do cenário:', cenario.nome);
+        if (nome === null) return;
+
+        if (!SimuladorRepository.atualizarCenario(id, { nome })) {
+            alert('Informe um nome ainda não utilizado por outro cenário.');
+            return;
+        }
+        atualizarListaCenarios();
+    }
+
+    function removerCenario(id) {
+        const cenario = SimuladorRepository.obterCenario(id);
+        if (!cenario || !confirm(`Confirma a exclusão do cenário "${cenario.nome}"?`)) return;
+
+        SimuladorRepository.removerCenario(id);
+        if (_cenarioEmEdicao === id) {
+            definirCenarioEmEdicao(null);
+        }
+        atualizarListaCenarios();
+    }
+
+    function definirCenarioEmEdicao(id) {
+        _cenarioEmEdicao = id;
+
+        const aviso = document.getElementById('cenario-em-edicao');
+        const btnAtualizar = document.getElementById('btn-atualizar-cenario');
+        const cenario = id ? SimuladorRepository.obterCenario(id) : null;
+
+        if (aviso) {
+            aviso.style.display = cenario ? '' : 'none';
+            aviso.textContent = cenario ?
+                `Editando o cenário "${cenario.nome}": altere os dados, simule e clique em "Atualizar Cenário em Edição".` : '';
+        }
+        if (btnAtualizar) {
+            btnAtualizar.style.display = cenario ? '' : 'none';
+        }
+    }
+
+    /**
+     * Atualiza a tabela de cenários salvos
+     */
+    function atualizarListaCenarios() {
+        const tbody = document.querySelector('#cenarios-table tbody');
+        if (!tbody) return;
+
+        const cenarios = SimuladorRepository.obterCenarios();
+        tbody.innerHTML = '';
+
+        if (cenarios.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-muted">Nenhum cenário salvo.</td></tr>';
+            return;
+        }
+
+        cenarios.forEach(cenario => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td><input type="checkbox" class="cenario-selecao" value="${cenario.id}" /></td>
+                <td></td>
+                <td>${formatarData(cenario.atualizadoEm)}</td>
+                <td>${cenario.resumo ? window.DataManager.formatarMoeda(cenario.resumo.capitalGiro.diferenca) : '-'}</td>
+                <td>${cenario.resumo ? formatarPercentual(cenario.resumo.margem.impactoPercentual) : '-'}</td>
+                <td></td>
+            `;
+            // Nome informado pelo usuário inserido como texto
+            tr.children[1].textContent = cenario.nome;
+
+            const acoes = [
+                { rotulo: 'Editar', acao: editarCenario },
+                { rotulo: 'Clonar', acao: clonarCenario },
+                { rotulo: 'Renomear', acao: renomearCenario },
+                { rotulo: 'Excluir', acao: removerCenario }
+            ];
+            acoes.forEach(({ rotulo, acao }) => {
+                const botao = document.createElement('button');
+                botao.type = 'button';
+                botao.className = rotulo === 'Excluir' ? 'btn btn-accent btn-sm' : 'btn btn-secondary btn-sm';
+                botao.textContent = rotulo;
+                botao.addEventListener('click', () => acao(cenario.id));
+                tr.lastElementChild.appendChild(botao);
+            });
+
+            tbody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Monta uma tabela comparativa: uma coluna por cenário, com a diferença em relação ao primeiro
+     * @param {string} titulo - Título da tabela
+     * @param {Array} cenarios - Cenários comparados (o primeiro é a referência)
+     * @param {Array} linhas - [{ rotulo, valor(resumo), formatar(valor) }]
+     * @returns {string} HTML da tabela
+     */
+    function montarTabelaComparativa(titulo, cenarios, linhas) {
+        const escapar = texto => String(texto).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+        let html = `<h4>${titulo}</h4><div class="table-container"><table class="transition-table"><thead><tr><th>Indicador</th>`;
+        cenarios.forEach((cenario, indice) => {
+            html += `<th>${escapar(cenario.nome)}${indice === 0 ? ' (referência)' : ''}</th>`;
+            if (indice > 0) {
+                html += `<th>Δ ${escapar(cenario.nome)}</th>`;
+            }
+        });
+        html += '</tr></thead><tbody>';
+
+        linhas.forEach(linha => {
+            const referencia = linha.valor(cenarios[0].resumo);
+            html += `<tr><td>${linha.rotulo}</td>`;
+            cenarios.forEach((cenario, indice) => {
+                const valor = linha.valor(cenario.resumo);
+                html += `<td>${valor === null ? '-' : linha.formatar(valor)}</td>`;
+                if (indice > 0) {
+                    const diferenca = valor === null || referencia === null ? null : valor - referencia;
+                    html += `<td>${diferenca === null ? '-' : (diferenca > 0 ? '+' : '') + linha.formatar(diferenca)}</td>`;
+                }
+            });
+            html += '</tr>';
+        });
+
+        return html + '</tbody></table></div>';
+    }
+
+    /**
+     * Compara os cenários selecionados na tabela (de 2 a 4)
+     */
+    function compararCenariosSelecionados() {
+        const ids = Array.from(document.querySelectorAll('.cenario-selecao:checked')).map(caixa => caixa.value);
+        if (ids.length < MIN_CENARIOS_COMPARACAO || ids.length > MAX_CENARIOS_COMPARACAO) {
+            alert(`Selecione de ${MIN_CENARIOS_COMPARACAO} a ${MAX_CENARIOS_COMPARACAO} cenários para comparar.`);
+            return;
+        }
+
+        const cenarios = ids.map(id => SimuladorRepository.obterCenario(id)).filter(cenario => cenario && cenario.resumo);
+        if (cenarios.length !== ids.length) {
+            alert('Há cenários selecionados sem resultados de simulação. Edite e atualize esses cenários antes de comparar.');
+            return;
+        }
+
+        compararCenarios(cenarios);
+    }
+
+    /**
+     * Exibe as tabelas de diferenças e os gráficos sobrepostos dos cenários
+     * @param {Array} cenarios - Cenários com resumo (o primeiro é a referência)
+     */
+    function compararCenarios(cenarios) {
+        const container = document.getElementById('cenarios-comparacao');
+        if (!container) return;
+
+        const tabelaCapitalGiro = montarTabelaComparativa('Impacto no Capital de Giro', cenarios, [
+            { rotulo: 'Diferença no Capital de Giro', valor: r => r.capitalGiro.diferenca, formatar: window.DataManager.formatarMoeda },
+            { rotulo: 'Impacto Percentual', valor: r => r.capitalGiro.percentualImpacto, formatar: formatarPercentual },
+            { rotulo: 'Necessidade Adicional de Capital', valor: r => r.capitalGiro.necessidadeAdicional, formatar: window.DataManager.formatarMoeda },
+            { rotulo: 'Impacto em Dias de Faturamento', valor: r => r.capitalGiro.impactoDiasFaturamento, formatar: v => v.toFixed(1) },
+            { rotulo: 'Necessidade Total no Período', valor: r => r.totais.necessidadeCapitalGiro, formatar: window.DataManager.formatarMoeda },
+            { rotulo: 'Custo Financeiro Total', valor: r => r.totais.custoFinanceiro, formatar: window.DataManager.formatarMoeda }
+        ]);
+
+        const tabelaMargem = montarTabelaComparativa('Impacto na Margem Operacional', cenarios, [
+            { rotulo: 'Margem Original', valor: r => r.margem.original * 100, formatar: formatarPercentual },
+            { rotulo: 'Margem Ajustada', valor: r => r.margem.ajustada * 100, formatar: formatarPercentual },
+            { rotulo: 'Impacto na Margem (p.p.)', valor: r => r.margem.impactoPercentual, formatar: formatarPercentual },
+            { rotulo: 'Impacto Médio no Período (p.p.)', valor: r => r.totais.impactoMedioMargem, formatar: formatarPercentual }
+        ]);
+
+        const anos = Array.from(new Set(cenarios.flatMap(cenario => cenario.resumo.projecao.anos))).sort();
+        const tabelaProjecao = montarTabelaComparativa('Projeção 2026-2033: Diferença no Capital de Giro', cenarios,
+            anos.map(ano => ({
+                rotulo: ano,
+                valor: r => r.projecao.porAno[ano] ? r.projecao.porAno[ano].diferencaCapitalGiro : null,
+                formatar: window.DataManager.formatarMoeda
+            }))
+        );
+
+        container.innerHTML = tabelaCapitalGiro + tabelaMargem + tabelaProjecao;
+        document.getElementById('cenarios-graficos')?.style.removeProperty('display');
+
+        if (window.ChartManager && typeof window.ChartManager.renderizarGraficosComparacaoCenarios === 'function') {
+            window.ChartManager.renderizarGraficosComparacaoCenarios(cenarios);
+        }
+    }
+
+    function inicializar() {
+        if (typeof SimuladorRepository === 'undefined' || typeof SimuladorRepository.obterCenarios !== 'function') {
+            console.warn('SimuladorRepository não encontrado, gerenciamento de cenários indisponível');
+            return;
+        }
+
+        document.getElementById('btn-salvar-cenario')?.addEventListener('click', salvarCenarioAtual);
+        document.getElementById('btn-atualizar-cenario')?.addEventListener('click', atualizarCenarioEmEdicao);
+        document.getElementById('btn-comparar-cenarios')?.addEventListener('click', compararCenariosSelecionados);
+
+        document.addEventListener('tabChange', function(event) {
+            if (event.detail && event.detail.tab === 'cenarios') {
+                atualizarListaCenarios();
+            }
+        });
+
+        atualizarListaCenarios();
+        console.log('Controlador de cenários inicializado');
+    }
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', inicializar);
+
+    return {
+        resumirResultados,
+        salvarCenarioAtual,
+        atualizarCenarioEmEdicao,
+        editarCenario,
+        compararCenarios,
+        atualizarListaCenarios
+    };
+})();
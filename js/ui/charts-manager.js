@@ -99,6 +99,11 @@ window.ChartManager = (function() {
             // Renderizar gráfico de sensibilidade
             renderizarGraficoSensibilidade(resultados);
 
+            // Renderizar razão mensal do fluxo de caixa, se calculado
+            if (resultados.fluxoCaixaMensal) {
+                renderizarGraficoFluxoMensal(resultados);
+            }
+
             console.log('Todos os gráficos renderizados com sucesso');
         } catch (erro) {
             console.error('Erro ao renderizar gráficos:', erro);
@@ -807,6 +812,166 @@ window.ChartManager = (function() {
         });
     }
     
+    /**
+     * Renderizar gráfico do razão mensal do fluxo de caixa, destacando o vale de caixa
+     * @param {Object} resultados - Resultados da simulação (com fluxoCaixaMensal)
+     */
+    function renderizarGraficoFluxoMensal(resultados) {
+        const canvas = document.getElementById('grafico-fluxo-mensal');
+        if (!canvas) {
+            console.error('Elemento canvas para gráfico de fluxo mensal não encontrado');
+            return;
+        }
+
+        // Destruir gráfico anterior se existir
+        if (_charts.fluxoMensal) {
+            _charts.fluxoMensal.destroy();
+        }
+
+        const fluxo = resultados.fluxoCaixaMensal;
+        if (!fluxo || !fluxo.meses || !fluxo.meses.length) {
+            console.warn('Dados de fluxo de caixa mensal não disponíveis para o gráfico');
+            return;
+        }
+
+        const meses = fluxo.meses;
+        const periodoVale = fluxo.valeCritico?.periodo;
+
+        // Destacar o mês de vale de caixa com cor diferente
+        const coresFluxo = meses.map(mes => mes.periodo === periodoVale ?
+            'rgba(231, 76, 60, 0.8)' : 'rgba(54, 162, 235, 0.5)');
+
+        const data = {
+            labels: meses.map(mes => mes.rotulo),
+            datasets: [
+                {
+                    label: 'Fluxo Líquido com Split Payment',
+                    data: meses.map(mes => mes.fluxoLiquido),
+                    backgroundColor: coresFluxo,
+                    borderColor: coresFluxo,
+                    borderWidth: 1,
+                    yAxisID: 'y',
+                    type: 'bar'
+                },
+                {
+                    label: 'Fluxo Líquido no Sistema Atual',
+                    data: meses.map(mes => mes.fluxoLiquidoAtual),
+                    backgroundColor: 'rgba(75, 192, 192, 0.2)',
+                    borderColor: 'rgba(75, 192, 192, 1)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    yAxisID: 'y',
+                    type: 'line'
+                },
+                {
+                    label: 'Retenção Split Payment',
+                    data: meses.map(mes => mes.retencaoSplit),
+                    backgroundColor: 'rgba(255, 159, 64, 0.2)',
+                    borderColor: 'rgba(255, 159, 64, 1)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    yAxisID: 'y',
+                    type: 'line'
+                },
+                {
+                    label: 'Diferença Acumulada vs Atual',
+                    data: meses.map(mes => mes.diferencaAcumulada),
+                    backgroundColor: 'rgba(153, 102, 255, 0.2)',
+                    borderColor: 'rgba(153, 102, 255, 1)',
+                    borderWidth: 2,
+                    borderDash: [5, 5],
+                    pointRadius: 0,
+                    yAxisID: 'y',
+                    type: 'line'
+                }
+            ]
+        };
+
+        const formatarMoeda = valor => new Intl.NumberFormat('pt-BR', {
+            style: 'currency',
+            currency: 'BRL'
+        }).format(valor);
+
+        const titulo = fluxo.valeCritico ?
+            `Fluxo de Caixa Mensal (vale: ${fluxo.valeCritico.rotulo})` :
+            'Fluxo de Caixa Mensal';
+
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: titulo,
+                    font: {
+                        size: 16
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            let label = context.dataset.label || '';
+                            if (label) {
+                                label += ': ';
+                            }
+                            if (context.parsed.y !== null) {
+                                label += formatarMoeda(context.parsed.y);
+                            }
+                            return label;
+                        },
+                        afterBody: function(itens) {
+                            const mes = meses[itens[0]?.dataIndex];
+                            if (!mes) {
+                                return '';
+                            }
+                            const linhas = [`Split: ${(mes.percentualImplementacao * 100).toFixed(0)}%`];
+                            if (mes.dataVencimento) {
+                                linhas.push(`Guia (${mes.dataVencimento.split('-').reverse().join('/')}): ${formatarMoeda(mes.impostoRecolhido)}`);
+                            }
+                            linhas.push(`Créditos compensados: ${formatarMoeda(mes.creditosCompensados)}`);
+                            return linhas;
+                        }
+                    }
+                },
+                legend: {
+                    position: 'bottom'
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        autoSkip: true,
+                        maxTicksLimit: 16
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Valores (R$)'
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            return new Intl.NumberFormat('pt-BR', {
+                                style: 'currency',
+                                currency: 'BRL',
+                                maximumFractionDigits: 0
+                            }).format(value);
+                        }
+                    }
+                }
+            }
+        };
+
+        // Criar o gráfico
+        _charts.fluxoMensal = new Chart(canvas, {
+            type: 'bar',
+            data: data,
+            options: options
+        });
+    }
+
     /**
      * Renderizar gráfico de decomposição do impacto
      * @param {Object} resultados - Resultados da simulação
@@ -1871,6 +2036,500 @@ window.ChartManager = (function() {
         });
     }
     
+    // Cores dos cenários sobrepostos nos gráficos de comparação (até 4 cenários)
+    const CORES_CENARIOS = [
+        'rgba(54, 162, 235, 1)',
+        'rgba(255, 99, 132, 1)',
+        'rgba(75, 192, 192, 1)',
+        'rgba(255, 159, 64, 1)'
+    ];
+
+    function formatarMoedaGrafico(valor) {
+        return new Intl.NumberFormat('pt-BR', {
+            style: 'currency',
+            currency: 'BRL',
+            maximumFractionDigits: 0
+        }).format(valor);
+    }
+
+    /**
+     * Renderizar os gráficos de comparação de cenários, sobrepondo os cenários selecionados
+     * @param {Array} cenarios - Cenários do SimuladorRepository (com resumo dos resultados)
+     */
+    function renderizarGraficosComparacaoCenarios(cenarios) {
+        const cenariosValidos = (cenarios || []).filter(cenario => cenario && cenario.resumo);
+        if (cenariosValidos.length === 0) {
+            console.warn('Nenhum cenário com resultados para comparar');
+            return;
+        }
+
+        renderizarGraficoCenariosProjecao(cenariosValidos);
+        renderizarGraficoCenariosMargem(cenariosValidos);
+        renderizarGraficoCenariosImpacto(cenariosValidos);
+    }
+
+    /**
+     * Renderizar a sobreposição do impacto no capital de giro por ano (2026-2033)
+     * @param {Array} cenarios - Cenários com resumo
+     */
+    function renderizarGraficoCenariosProjecao(cenarios) {
+        const canvas = document.getElementById('grafico-cenarios-projecao');
+        if (!canvas) {
+            console.error('Elemento canvas para gráfico de projeção dos cenários não encontrado');
+            return;
+        }
+
+        if (_charts.cenariosProjecao) {
+            _charts.cenariosProjecao.destroy();
+        }
+
+        const anos = obterAnosCenarios(cenarios);
+        const datasets = cenarios.map((cenario, indice) => ({
+            label: cenario.nome,
+            data: anos.map(ano => cenario.resumo.projecao?.porAno?.[ano]?.diferencaCapitalGiro ?? null),
+            borderColor: CORES_CENARIOS[indice % CORES_CENARIOS.length],
+            backgroundColor: CORES_CENARIOS[indice % CORES_CENARIOS.length].replace(', 1)', ', 0.2)'),
+            fill: false,
+            tension: 0.1
+        }));
+
+        _charts.cenariosProjecao = new Chart(canvas, {
+            type: 'line',
+            data: { labels: anos, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Impacto no Capital de Giro por Cenário (2026-2033)',
+                        font: { size: 16 }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${formatarMoedaGrafico(context.parsed.y)}`;
+                            }
+                        }
+                    },
+                    legend: { position: 'bottom' }
+                },
+                scales: {
+                    y: {
+                        title: { display: true, text: 'Valores (R$)' },
+                        ticks: {
+                            callback: function(value) {
+                                return formatarMoedaGrafico(value);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Renderizar a sobreposição da margem operacional ajustada por ano
+     * @param {Array} cenarios - Cenários com resumo
+     */
+    function renderizarGraficoCenariosMargem(cenarios) {
+        const canvas = document.getElementById('grafico-cenarios-margem');
+        if (!canvas) {
+            console.error('Elemento canvas para gráfico de margem dos cenários não encontrado');
+            return;
+        }
+
+        if (_charts.cenariosMargem) {
+            _charts.cenariosMargem.destroy();
+        }
+
+        const anos = obterAnosCenarios(cenarios);
+        const datasets = cenarios.map((cenario, indice) => ({
+            label: cenario.nome,
+            data: anos.map(ano => {
+                const margem = cenario.resumo.projecao?.porAno?.[ano]?.margemAjustada;
+                return margem === undefined ? null : margem * 100;
+            }),
+            borderColor: CORES_CENARIOS[indice % CORES_CENARIOS.length],
+            backgroundColor: CORES_CENARIOS[indice % CORES_CENARIOS.length].replace(', 1)', ', 0.2)'),
+            fill: false,
+            tension: 0.1
+        }));
+
+        _charts.cenariosMargem = new Chart(canvas, {
+            type: 'line',
+            data: { labels: anos, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Margem Operacional Ajustada por Cenário',
+                        font: { size: 16 }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`;
+                            }
+                        }
+                    },
+                    legend: { position: 'bottom' }
+                },
+                scales: {
+                    y: {
+                        title: { display: true, text: 'Margem (%)' },
+                        ticks: {
+                            callback: function(value) {
+                                return value.toFixed(1) + '%';
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Renderizar barras agrupadas com os indicadores de impacto de cada cenário
+     * @param {Array} cenarios - Cenários com resumo
+     */
+    function renderizarGraficoCenariosImpacto(cenarios) {
+        const canvas = document.getElementById('grafico-cenarios-impacto');
+        if (!canvas) {
+            console.error('Elemento canvas para gráfico de impacto dos cenários não encontrado');
+            return;
+        }
+
+        if (_charts.cenariosImpacto) {
+            _charts.cenariosImpacto.destroy();
+        }
+
+        const indicadores = [
+            { rotulo: 'Impacto no Capital de Giro', valor: resumo => resumo.capitalGiro?.diferenca || 0 },
+            { rotulo: 'Necessidade Adicional', valor: resumo => resumo.capitalGiro?.necessidadeAdicional || 0 },
+            { rotulo: 'Necessidade Total (período)', valor: resumo => resumo.totais?.necessidadeCapitalGiro || 0 },
+            { rotulo: 'Custo Financeiro Total', valor: resumo => resumo.totais?.custoFinanceiro || 0 }
+        ];
+
+        const datasets = cenarios.map((cenario, indice) => ({
+            label: cenario.nome,
+            data: indicadores.map(indicador => indicador.valor(cenario.resumo)),
+            backgroundColor: CORES_CENARIOS[indice % CORES_CENARIOS.length].replace(', 1)', ', 0.6)'),
+            borderColor: CORES_CENARIOS[indice % CORES_CENARIOS.length],
+            borderWidth: 1
+        }));
+
+        _charts.cenariosImpacto = new Chart(canvas, {
+            type: 'bar',
+            data: { labels: indicadores.map(indicador => indicador.rotulo), datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Indicadores de Impacto por Cenário',
+                        font: { size: 16 }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${formatarMoedaGrafico(context.parsed.y)}`;
+                            }
+                        }
+                    },
+                    legend: { position: 'bottom' }
+                },
+                scales: {
+                    y: {
+                        ticks: {
+                            callback: function(value) {
+                                return formatarMoedaGrafico(value);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Renderizar o ranking da carteira pela necessidade adicional de capital de giro
+     * @param {Array} ranking - Empresas simuladas, em ordem decrescente de necessidade
+     * @param {number} limite - Quantidade máxima de empresas exibidas
+     */
+    function renderizarGraficoRankingCarteira(ranking, limite = 15) {
+        const canvas = document.getElementById('grafico-carteira-ranking');
+        if (!canvas) {
+            console.error('Elemento canvas para gráfico do ranking da carteira não encontrado');
+            return;
+        }
+
+        if (_charts.carteiraRanking) {
+            _charts.carteiraRanking.destroy();
+        }
+
+        const empresas = (ranking || []).filter(item => item.resumo).slice(0, limite);
+        if (empresas.length === 0) {
+            console.warn('Nenhuma empresa simulada para o ranking da carteira');
+            return;
+        }
+
+        _charts.carteiraRanking = new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: empresas.map(item => item.nome),
+                datasets: [
+                    {
+                        label: 'Necessidade Adicional de Capital',
+                        data: empresas.map(item => item.resumo.capitalGiro.necessidadeAdicional),
+                        backgroundColor: 'rgba(255, 99, 132, 0.6)',
+                        borderColor: 'rgba(255, 99, 132, 1)',
+                        borderWidth: 1
+                    },
+                    {
+                        label: 'Custo Financeiro no Período',
+                        data: empresas.map(item => item.resumo.totais.custoFinanceiro),
+                        backgroundColor: 'rgba(255, 159, 64, 0.6)',
+                        borderColor: 'rgba(255, 159, 64, 1)',
+                        borderWidth: 1
+                    }
+                ]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Ranking da Carteira: Necessidade de Capital no Split Payment',
+                        font: { size: 16 }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${formatarMoedaGrafico(context.parsed.x)}`;
+                            }
+                        }
+                    },
+                    legend: { position: 'bottom' }
+                },
+                scales: {
+                    x: {
+                        ticks: {
+                            callback: function(value) {
+                                return formatarMoedaGrafico(value);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Renderiza os histogramas da simulação de Monte Carlo, destacando as faixas de P5, P50 e P95
+     * @param {Object} resultado - Resultado de SensitivityAnalysisModule.calcularSimulacaoMonteCarlo
+     */
+    function renderizarHistogramasMonteCarlo(resultado) {
+        if (!resultado || !resultado.necessidadeCapital) {
+            console.warn('Resultado de Monte Carlo indisponível para os histogramas');
+            return;
+        }
+
+        renderizarHistogramaMonteCarlo(
+            'grafico-monte-carlo-necessidade',
+            'monteCarloNecessidade',
+            resultado.necessidadeCapital,
+            'Distribuição da Necessidade Adicional de Capital de Giro',
+            'rgba(255, 99, 132, 0.6)'
+        );
+        renderizarHistogramaMonteCarlo(
+            'grafico-monte-carlo-capital',
+            'monteCarloCapital',
+            resultado.capitalGiroSplit,
+            'Distribuição do Capital de Giro com Split Payment',
+            'rgba(54, 162, 235, 0.6)'
+        );
+    }
+
+    function renderizarHistogramaMonteCarlo(idCanvas, chave, resumo, titulo, cor) {
+        const canvas = document.getElementById(idCanvas);
+        if (!canvas) {
+            console.error(`Elemento canvas ${idCanvas} não encontrado`);
+            return;
+        }
+
+        if (_charts[chave]) {
+            _charts[chave].destroy();
+        }
+
+        const faixas = (resumo && resumo.histograma) || [];
+        if (faixas.length === 0) {
+            return;
+        }
+
+        // Faixas que contêm os percentis recebem cor de destaque
+        const contemValor = (faixa, valor, indice) =>
+            valor >= faixa.inicio && (valor < faixa.fim || indice === faixas.length - 1);
+        const cores = faixas.map((faixa, indice) => {
+            if (contemValor(faixa, resumo.p50, indice)) return 'rgba(75, 192, 192, 0.9)';
+            if (contemValor(faixa, resumo.p5, indice) || contemValor(faixa, resumo.p95, indice)) {
+                return 'rgba(255, 159, 64, 0.9)';
+            }
+            return cor;
+        });
+
+        _charts[chave] = new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: faixas.map(faixa => formatarMoedaGrafico((faixa.inicio + faixa.fim) / 2)),
+                datasets: [{
+                    label: 'Frequência',
+                    data: faixas.map(faixa => faixa.frequencia),
+                    backgroundColor: cores,
+                    borderWidth: 0,
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: titulo,
+                        font: { size: 16 }
+                    },
+                    subtitle: {
+                        display: true,
+                        text: `P5: ${formatarMoedaGrafico(resumo.p5)} | P50: ${formatarMoedaGrafico(resumo.p50)} | P95: ${formatarMoedaGrafico(resumo.p95)}`
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: function(itens) {
+                                const faixa = faixas[itens[0].dataIndex];
+                                return `${formatarMoedaGrafico(faixa.inicio)} a ${formatarMoedaGrafico(faixa.fim)}`;
+                            },
+                            label: function(context) {
+                                return `Iterações: ${context.parsed.y}`;
+                            }
+                        }
+                    },
+                    legend: { display: false }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: { display: true, text: 'Iterações' }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Renderiza a fronteira de Pareto entre custo e impacto neutralizado das estratégias
+     * @param {Object} resultado - Resultado de IVADualSystem.otimizarCombinacaoEstrategias
+     */
+    function renderizarGraficoFronteiraPareto(resultado) {
+        const canvas = document.getElementById('grafico-fronteira-pareto');
+        if (!canvas) {
+            console.error('Elemento canvas para gráfico da fronteira de Pareto não encontrado');
+            return;
+        }
+
+        if (_charts.fronteiraPareto) {
+            _charts.fronteiraPareto.destroy();
+        }
+
+        const fronteira = (resultado && resultado.fronteira) || [];
+        if (fronteira.length === 0) {
+            console.warn('Nenhuma solução viável para a fronteira de Pareto');
+            return;
+        }
+
+        const solucoes = (resultado.solucoesPorNivel || []).filter(solucao => solucao.atingido);
+
+        _charts.fronteiraPareto = new Chart(canvas, {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    {
+                        label: 'Fronteira de Pareto',
+                        data: fronteira.map(ponto => ({ x: ponto.custoTotal, y: ponto.impactoNeutralizado })),
+                        showLine: true,
+                        borderColor: 'rgba(54, 162, 235, 1)',
+                        backgroundColor: 'rgba(54, 162, 235, 0.6)',
+                        pointRadius: 3
+                    },
+                    {
+                        label: 'Solução por meta',
+                        data: solucoes.map(solucao => ({
+                            x: solucao.custoTotal,
+                            y: Math.min(100, solucao.efetividadePercentual),
+                            nivel: solucao.nivel
+                        })),
+                        borderColor: 'rgba(255, 99, 132, 1)',
+                        backgroundColor: 'rgba(255, 99, 132, 0.8)',
+                        pointRadius: 6,
+                        pointStyle: 'rectRot'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Fronteira de Pareto: Custo x Impacto Neutralizado',
+                        font: { size: 16 }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const prefixo = context.raw.nivel ? `Meta ${context.raw.nivel}% - ` : '';
+                                return `${prefixo}Custo: ${formatarMoedaGrafico(context.parsed.x)} | Neutralizado: ${context.parsed.y.toFixed(1)}%`;
+                            }
+                        }
+                    },
+                    legend: { position: 'bottom' }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Custo total das estratégias' },
+                        ticks: {
+                            callback: function(value) {
+                                return formatarMoedaGrafico(value);
+                            }
+                        }
+                    },
+                    y: {
+                        min: 0,
+                        max: 100,
+                        title: { display: true, text: 'Impacto neutralizado (%)' }
+                    }
+                }
+            }
+        });
+    }
+
+    // União ordenada dos anos projetados nos cenários
+    function obterAnosCenarios(cenarios) {
+        const anos = new Set();
+        cenarios.forEach(cenario => (cenario.resumo.projecao?.anos || []).forEach(ano => anos.add(String(ano))));
+        return Array.from(anos).sort();
+    }
+
     /**
      * Limpa todos os gráficos existentes
      * Útil para reinicializar a interface ou antes de renderizar novos resultados
@@ -1898,12 +2557,17 @@ window.ChartManager = (function() {
         renderizarGraficoFluxoCaixa,
         renderizarGraficoCapitalGiro,
         renderizarGraficoProjecao,
+        renderizarGraficoFluxoMensal,
         renderizarGraficoDecomposicao,
         renderizarGraficoSensibilidade,
         renderizarGraficoEstrategias,     // Nova função para estratégias
         renderizarGraficoEfetividadeEstrategias,  // Nova função auxiliar
         renderizarGraficoComparacaoEstrategias,   // Nova função auxiliar
         renderizarGraficoEvolucaoEstrategias,     // Nova função auxiliar
+        renderizarGraficosComparacaoCenarios,
+        renderizarGraficoRankingCarteira,
+        renderizarHistogramasMonteCarlo,
+        renderizarGraficoFronteiraPareto,
         limparGraficos
     };
 })();
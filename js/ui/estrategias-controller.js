@@ -79,9 +79,118 @@ const EstrategiasMitigacaoController = {
             campoElasticidade.addEventListener('input', funcaoCalculo);
         }
         
+        // Ponto de equilíbrio (atribuição direta: inicializar é chamado a cada troca de aba)
+        const btnEquilibrio = document.getElementById('btn-calcular-equilibrio');
+        if (btnEquilibrio) {
+            btnEquilibrio.onclick = () => this.calcularPontoEquilibrio();
+        }
+
+        const btnOtimizar = document.getElementById('btn-otimizar-estrategias');
+        if (btnOtimizar) {
+            btnOtimizar.onclick = () => this.otimizarEstrategias();
+        }
+        
         // Outros eventos para outros campos...
     },
     
+    /**
+     * Calcula os valores mínimos das alavancas de mitigação para a meta informada
+     * (IVADualSystem.calcularParametrosEquilibrio, executado no Web Worker quando disponível)
+     */
+    calcularPontoEquilibrio: async function() {
+        const container = document.getElementById('resultados-equilibrio');
+        if (!container) return;
+
+        const metaPercentual = parseFloat(document.getElementById('equilibrio-meta')?.value);
+        if (!(metaPercentual > 0)) {
+            alert('Informe uma meta de neutralização maior que zero.');
+            return;
+        }
+
+        const alavancas = Array.from(document.querySelectorAll('input[name="equilibrio-alavanca"]:checked'))
+            .map(campo => campo.value);
+        const opcoes = {
+            ano: parseInt(document.getElementById('equilibrio-ano')?.value, 10) || 2027,
+            metaPercentual
+        };
+
+        const btnEquilibrio = document.getElementById('btn-calcular-equilibrio');
+        if (btnEquilibrio) btnEquilibrio.disabled = true;
+        container.innerHTML = '<p class="text-muted">Calculando ponto de equilíbrio...</p>';
+
+        try {
+            const dadosAninhados = window.DataManager.obterDadosDoFormulario();
+            const preparados = window.SimuladorFluxoCaixa.prepararDadosCalculo(dadosAninhados);
+            opcoes.parametrosSetoriais = preparados.parametrosSetoriais;
+
+            opcoes.alavancasCombinacao = alavancas;
+
+            let resultado;
+            if (window.SimulacaoWorker) {
+                resultado = await window.SimulacaoWorker.chamar('IVADualSystem', 'calcularParametrosEquilibrio',
+                    [preparados.dadosPlanos, dadosAninhados.estrategias, opcoes]).promessa;
+            } else {
+                resultado = window.IVADualSystem.calcularParametrosEquilibrio(preparados.dadosPlanos, dadosAninhados.estrategias, opcoes);
+            }
+
+            this.exibirPontoEquilibrio(resultado);
+        } catch (erro) {
+            console.error('Erro ao calcular ponto de equilíbrio:', erro);
+            container.innerHTML = `<p class="text-warning">Não foi possível calcular o ponto de equilíbrio: ${erro.message}</p>`;
+        } finally {
+            if (btnEquilibrio) btnEquilibrio.disabled = false;
+        }
+    },
+    
+    /**
+     * Exibe os valores de equilíbrio por alavanca e da combinação
+     * @param {Object} resultado - Resultado de IVADualSystem.calcularParametrosEquilibrio
+     */
+    exibirPontoEquilibrio: function(resultado) {
+        const container = document.getElementById('resultados-equilibrio');
+        if (!container) return;
+
+        const formatarMoeda = valor => new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(valor || 0);
+        const formatarNumero = valor => new Intl.NumberFormat('pt-BR', { maximumFractionDigits: 2 }).format(valor || 0);
+
+        let html = `<p><strong>Impacto a neutralizar em ${resultado.ano}:</strong> ${formatarMoeda(resultado.valorMeta)}
+            (${formatarNumero(resultado.metaPercentual)}% de ${formatarMoeda(resultado.necessidadeCapitalGiro)})</p>`;
+
+        html += '<table class="estrategias-tabela">';
+        html += '<tr><th>Alavanca</th><th>Valor configurado</th><th>Valor necessário</th><th>Efetividade máxima</th></tr>';
+        Object.values(resultado.individuais).forEach(alavanca => {
+            const configurado = alavanca.valorConfigurado !== null ? `${formatarNumero(alavanca.valorConfigurado)} ${alavanca.unidade}` : '-';
+            const necessario = alavanca.atingivel ?
+                `${formatarNumero(alavanca.valorNecessario)} ${alavanca.unidade}` :
+                `Não atingível até ${formatarNumero(alavanca.limite)} ${alavanca.unidade}`;
+            html += `<tr>
+                <td>${alavanca.descricao}</td>
+                <td>${configurado}</td>
+                <td>${necessario}</td>
+                <td>${formatarNumero(alavanca.efetividadeMaxima)}%</td>
+            </tr>`;
+        });
+        html += '</table>';
+
+        const combinacao = resultado.combinacao;
+        if (combinacao) {
+            html += `<h5>Combinação (${combinacao.atingivel ? 'meta atingida' : 'meta não atingida'})</h5>`;
+            html += '<table class="estrategias-tabela">';
+            html += '<tr><th>Alavanca</th><th>Valor na combinação</th></tr>';
+            Object.entries(combinacao.valores).forEach(([chave, valor]) => {
+                const alavanca = resultado.individuais[chave];
+                html += `<tr><td>${alavanca.descricao}</td><td>${formatarNumero(valor)} ${alavanca.unidade}</td></tr>`;
+            });
+            html += '</table>';
+            html += `<p><strong>Efetividade combinada:</strong> ${formatarNumero(combinacao.efetividadePercentual)}%
+                | <strong>Custo estimado:</strong> ${formatarMoeda(combinacao.custoTotal)}</p>`;
+        } else {
+            html += '<p class="text-muted">Selecione ao menos duas alavancas para calcular a combinação.</p>';
+        }
+
+        container.innerHTML = html;
+    },
+    
     simularEstrategias: function() {
 		try {
 			// Verificar se a simulação principal foi realizada
@@ -107,6 +216,112 @@ const EstrategiasMitigacaoController = {
 		}
 	},
 
+    /**
+     * Otimiza os parâmetros das estratégias sob as restrições informadas
+     * (IVADualSystem.otimizarCombinacaoEstrategias, executado no Web Worker quando disponível)
+     */
+    otimizarEstrategias: async function() {
+        const container = document.getElementById('resultados-otimizacao');
+        if (!container) return;
+
+        const alavancas = Array.from(document.querySelectorAll('input[name="otimizacao-alavanca"]:checked'))
+            .map(campo => campo.value);
+        if (alavancas.length === 0) {
+            alert('Selecione ao menos uma estratégia para otimizar.');
+            return;
+        }
+
+        // Campos vazios não restringem a otimização
+        const lerNumero = id => {
+            const valor = document.getElementById(id)?.value;
+            return valor === undefined || valor === '' ? undefined : parseFloat(valor);
+        };
+        const margemMinima = lerNumero('otimizacao-margem-minima');
+        const opcoes = {
+            ano: parseInt(document.getElementById('otimizacao-ano')?.value, 10) || 2027,
+            alavancas,
+            restricoes: {
+                aumentoPrecoMaximo: lerNumero('otimizacao-aumento-preco-maximo'),
+                custoFinanceiroMensalMaximo: lerNumero('otimizacao-custo-financeiro-maximo'),
+                margemMinima: margemMinima !== undefined ? margemMinima / 100 : undefined
+            }
+        };
+
+        const btnOtimizar = document.getElementById('btn-otimizar-estrategias');
+        if (btnOtimizar) btnOtimizar.disabled = true;
+        container.innerHTML = '<p class="text-muted">Otimizando combinação de estratégias...</p>';
+
+        try {
+            const dadosAninhados = window.DataManager.obterDadosDoFormulario();
+            const preparados = window.SimuladorFluxoCaixa.prepararDadosCalculo(dadosAninhados);
+            opcoes.parametrosSetoriais = preparados.parametrosSetoriais;
+
+            let resultado;
+            if (window.SimulacaoWorker) {
+                resultado = await window.SimulacaoWorker.chamar('IVADualSystem', 'otimizarCombinacaoEstrategias',
+                    [preparados.dadosPlanos, dadosAninhados.estrategias, opcoes]).promessa;
+            } else {
+                resultado = window.IVADualSystem.otimizarCombinacaoEstrategias(preparados.dadosPlanos, dadosAninhados.estrategias, opcoes);
+            }
+
+            this.exibirOtimizacao(resultado);
+        } catch (erro) {
+            console.error('Erro ao otimizar estratégias:', erro);
+            container.innerHTML = `<p class="text-warning">Não foi possível otimizar as estratégias: ${erro.message}</p>`;
+        } finally {
+            if (btnOtimizar) btnOtimizar.disabled = false;
+        }
+    },
+    
+    /**
+     * Exibe as soluções por meta e a fronteira de Pareto
+     * @param {Object} resultado - Resultado de IVADualSystem.otimizarCombinacaoEstrategias
+     */
+    exibirOtimizacao: function(resultado) {
+        const container = document.getElementById('resultados-otimizacao');
+        if (!container) return;
+
+        const formatarMoeda = valor => new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(valor || 0);
+        const formatarNumero = valor => new Intl.NumberFormat('pt-BR', { maximumFractionDigits: 2 }).format(valor || 0);
+
+        let html = `<p><strong>Impacto no capital de giro em ${resultado.ano}:</strong> ${formatarMoeda(resultado.necessidadeCapitalGiro)}
+            | <strong>Soluções avaliadas:</strong> ${resultado.avaliacoes}</p>`;
+
+        html += '<table class="estrategias-tabela">';
+        html += '<tr><th>Meta</th>';
+        resultado.alavancas.forEach(alavanca => {
+            html += `<th>${alavanca.descricao} (${alavanca.unidade})</th>`;
+        });
+        html += '<th>Neutralizado</th><th>Custo total</th><th>Custo financeiro/mês</th><th>Margem</th></tr>';
+
+        resultado.solucoesPorNivel.forEach(solucao => {
+            if (!solucao.atingido) {
+                html += `<tr><td>${solucao.nivel}%</td><td colspan="${resultado.alavancas.length + 4}">Meta não atingível com as restrições informadas</td></tr>`;
+                return;
+            }
+            html += `<tr><td>${solucao.nivel}%</td>`;
+            resultado.alavancas.forEach(alavanca => {
+                html += `<td>${formatarNumero(solucao.valores[alavanca.chave])}</td>`;
+            });
+            html += `<td>${formatarNumero(Math.min(100, solucao.efetividadePercentual))}%</td>
+                <td>${formatarMoeda(solucao.custoTotal)}</td>
+                <td>${formatarMoeda(solucao.custoFinanceiroMensal)}</td>
+                <td>${formatarNumero(solucao.margemResultante * 100)}%</td>
+            </tr>`;
+        });
+        html += '</table>';
+
+        if (resultado.fronteira.length === 0) {
+            html += '<p class="text-warning">Nenhuma combinação viável respeita as restrições informadas.</p>';
+        }
+
+        container.innerHTML = html;
+
+        if (window.ChartManager && typeof window.ChartManager.renderizarGraficoFronteiraPareto === 'function') {
+            window.ChartManager.renderizarGraficoFronteiraPareto(resultado);
+        }
+    },
+
     // Método auxiliar para coletar configurações de estratégias
     _coletarEstrategias: function() {
         return {
@@ -120,20 +120,13 @@ const FormsManager = {
         if (window.SimuladorFluxoCaixa && 
             typeof window.SimuladorFluxoCaixa.obterPercentualImplementacao === 'function') {
             return window.SimuladorFluxoCaixa.obterPercentualImplementacao(anoReferencia);
-        } else {
-            // Cronograma de implementação definido na metodologia
-            const cronograma = {
-                2026: 0.10,
-                2027: 0.25,
-                2028: 0.40,
-                2029: 0.55,
-                2030: 0.70,
-                2031: 0.85,
-                2032: 0.95,
-                2033: 1.00
-            };
-            return cronograma[anoReferencia] || 0.10;
         }
+
+        // Cronograma do perfil de legislação ativo
+        if (typeof LegislacaoRepository !== 'undefined') {
+            return LegislacaoRepository.obterPercentualImplementacao(anoReferencia, 'splitPayment');
+        }
+        return window.CurrentTaxSystem?.obterPercentualImplementacao?.(anoReferencia) || 0.10;
     },
 
     /**
@@ -0,0 +1,332 @@
+// Módulo de vendas por destino do IBS (formulário de simulação) e alíquotas por UF/município (configurações)
+(function() {
+    const ROTULOS_ORIGEM = {
+        padrao: 'Padrão (referência)',
+        uf: 'Informada (UF)',
+        municipio: 'Informada (município)',
+        exportacao: 'Exportação (imune)'
+    };
+
+    function arredondarPercentual(valor) {
+        return +(valor * 100).toFixed(4);
+    }
+
+    // A composição editada fica serializada no campo oculto lido pelo DataManager
+    function lerDestinos() {
+        try {
+            const destinos = JSON.parse(document.getElementById('destinos-ibs')?.value || '[]');
+            return Array.isArray(destinos) ? destinos : [];
+        } catch (erro) {
+            console.warn('Vendas por destino do IBS inválidas:', erro.message);
+            return [];
+        }
+    }
+
+    function gravarDestinos(destinos) {
+        const campo = document.getElementById('destinos-ibs');
+        if (campo) {
+            campo.value = JSON.stringify(destinos);
+        }
+        renderizarDestinos();
+    }
+
+    function criarSelectUF(valor) {
+        const select = document.createElement('select');
+        const ufs = AliquotasIBSRepository.obterUFs();
+
+        Object.keys(ufs).forEach(sigla => {
+            const option = document.createElement('option');
+            option.value = sigla;
+            option.textContent = `${sigla} - ${ufs[sigla].nome}`;
+            select.appendChild(option);
+        });
+
+        const exterior = document.createElement('option');
+        exterior.value = AliquotasIBSRepository.UF_EXTERIOR;
+        exterior.textContent = 'EX - Exterior';
+        select.appendChild(exterior);
+
+        select.value = valor;
+        return select;
+    }
+
+    function renderizarDestinos() {
+        const tbody = document.getElementById('ibs-destinos-table')?.getElementsByTagName('tbody')[0];
+        if (!tbody) return;
+
+        const destinos = lerDestinos();
+        tbody.innerHTML = '';
+
+        destinos.forEach((destino, indice) => {
+            const aliquota = AliquotasIBSRepository.obterAliquota(destino.uf, destino.codigoMunicipio);
+            const tr = document.createElement('tr');
+
+            const tdUF = document.createElement('td');
+            const selectUF = criarSelectUF(aliquota.uf);
+            selectUF.addEventListener('change', function() {
+                atualizarDestino(indice, { uf: this.value, codigoMunicipio: '', municipio: '' });
+            });
+            tdUF.appendChild(selectUF);
+            tr.appendChild(tdUF);
+
+            const tdMunicipio = document.createElement('td');
+            const inputMunicipio = document.createElement('input');
+            inputMunicipio.type = 'text';
+            inputMunicipio.maxLength = 7;
+            inputMunicipio.placeholder = 'Todos';
+            inputMunicipio.value = destino.codigoMunicipio || '';
+            inputMunicipio.title = destino.municipio || '';
+            inputMunicipio.addEventListener('change', function() {
+                const codigo = this.value.replace(/\D/g, '');
+                const uf = codigo ? AliquotasIBSRepository.obterUFPorCodigoIBGE(codigo) : null;
+                atualizarDestino(indice, uf ? { uf, codigoMunicipio: codigo } : { codigoMunicipio: codigo });
+            });
+            tdMunicipio.appendChild(inputMunicipio);
+            tr.appendChild(tdMunicipio);
+
+            const tdParticipacao = document.createElement('td');
+            const inputParticipacao = document.createElement('input');
+            inputParticipacao.type = 'number';
+            inputParticipacao.min = '0';
+            inputParticipacao.max = '100';
+            inputParticipacao.step = '0.01';
+            inputParticipacao.value = arredondarPercentual(destino.participacao || 0);
+            inputParticipacao.addEventListener('change', function() {
+                atualizarDestino(indice, { participacao: (parseFloat(this.value) || 0) / 100 });
+            });
+            tdParticipacao.appendChild(inputParticipacao);
+            tr.appendChild(tdParticipacao);
+
+            [aliquota.estadual, aliquota.municipal, aliquota.total].forEach(valor => {
+                const td = document.createElement('td');
+                td.textContent = arredondarPercentual(valor).toFixed(2);
+                tr.appendChild(td);
+            });
+
+            const tdAcoes = document.createElement('td');
+            tdAcoes.className = 'actions-column';
+            const btnRemover = document.createElement('button');
+            btnRemover.type = 'button';
+            btnRemover.className = 'btn btn-accent btn-sm';
+            btnRemover.textContent = 'Remover';
+            btnRemover.addEventListener('click', function() {
+                const atualizados = lerDestinos();
+                atualizados.splice(indice, 1);
+                gravarDestinos(atualizados);
+            });
+            tdAcoes.appendChild(btnRemover);
+            tr.appendChild(tdAcoes);
+
+            tbody.appendChild(tr);
+        });
+
+        atualizarResumo(destinos);
+    }
+
+    function atualizarDestino(indice, alteracoes) {
+        const destinos = lerDestinos();
+        destinos[indice] = { ...destinos[indice], ...alteracoes };
+        gravarDestinos(destinos);
+    }
+
+    function atualizarResumo(destinos) {
+        const resumo = document.getElementById('ibs-destinos-resumo');
+        if (!resumo) return;
+
+        if (destinos.length === 0) {
+            resumo.textContent = '';
+            return;
+        }
+
+        const participacaoTotal = destinos.reduce((soma, destino) => soma + (destino.participacao || 0), 0);
+        const aliquotaPonderada = participacaoTotal > 0 ?
+            destinos.reduce((soma, destino) => {
+                const aliquota = AliquotasIBSRepository.obterAliquota(destino.uf, destino.codigoMunicipio);
+                return soma + (destino.participacao || 0) * aliquota.total;
+            }, 0) / participacaoTotal :
+            0;
+        const referencia = AliquotasIBSRepository.obterAliquotasPadrao().total;
+
+        resumo.textContent = `Participação informada: ${arredondarPercentual(participacaoTotal).toFixed(2)}%` +
+            (Math.abs(participacaoTotal - 1) > 0.0001 ? ' (normalizada para 100% no cálculo)' : '') +
+            ` | Alíquota média dos destinos: ${arredondarPercentual(aliquotaPonderada).toFixed(2)}%` +
+            ` (referência: ${arredondarPercentual(referencia).toFixed(2)}%)`;
+    }
+
+    function adicionarDestino() {
+        const destinos = lerDestinos();
+        const participacaoRestante = Math.max(0, 1 - destinos.reduce((soma, destino) => soma + (destino.participacao || 0), 0));
+        destinos.push({ uf: 'SP', codigoMunicipio: '', municipio: '', participacao: participacaoRestante });
+        gravarDestinos(destinos);
+    }
+
+    function limparDestinos() {
+        if (lerDestinos().length > 0 && !confirm('Remover todos os destinos de venda? O IBS voltará a usar a alíquota única.')) {
+            return;
+        }
+        gravarDestinos([]);
+    }
+
+    // Tabela de alíquotas por UF (configurações)
+    function renderizarAliquotasUF() {
+        const tbody = document.getElementById('aliquotas-ibs-table')?.getElementsByTagName('tbody')[0];
+        if (!tbody) return;
+
+        const ufs = AliquotasIBSRepository.obterUFs();
+        tbody.innerHTML = '';
+
+        Object.keys(ufs).forEach(sigla => {
+            const aliquota = AliquotasIBSRepository.obterAliquota(sigla);
+            const tr = document.createElement('tr');
+            tr.innerHTML = `<td>${sigla}</td><td>${ufs[sigla].nome}</td>`;
+
+            ['estadual', 'municipal'].forEach(campo => {
+                const td = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.max = '100';
+                input.step = '0.01';
+                input.dataset.uf = sigla;
+                input.dataset.campo = campo;
+                input.value = arredondarPercentual(aliquota[campo]);
+                td.appendChild(input);
+                tr.appendChild(td);
+            });
+
+            const tdTotal = document.createElement('td');
+            tdTotal.textContent = arredondarPercentual(aliquota.total).toFixed(2);
+            tr.appendChild(tdTotal);
+
+            const tdOrigem = document.createElement('td');
+            tdOrigem.textContent = ROTULOS_ORIGEM[aliquota.origem] || aliquota.origem;
+            tr.appendChild(tdOrigem);
+
+            tbody.appendChild(tr);
+        });
+    }
+
+    // Salva apenas as UFs cujas alíquotas diferem do padrão
+    function salvarAliquotasUF() {
+        const padrao = AliquotasIBSRepository.obterAliquotasPadrao();
+        const personalizadas = AliquotasIBSRepository.obterPersonalizadas().ufs;
+        const linhas = {};
+
+        document.querySelectorAll('#aliquotas-ibs-table input[data-uf]').forEach(input => {
+            linhas[input.dataset.uf] = linhas[input.dataset.uf] || {};
+            linhas[input.dataset.uf][input.dataset.campo] = parseFloat(input.value) / 100;
+        });
+
+        let salvas = 0;
+        Object.keys(linhas).forEach(sigla => {
+            const { estadual, municipal } = linhas[sigla];
+            if (isNaN(estadual) || isNaN(municipal)) return;
+
+            const igualPadrao = Math.abs(estadual - padrao.estadual) < 0.000001 &&
+                                Math.abs(municipal - padrao.municipal) < 0.000001;
+            if (igualPadrao) {
+                if (personalizadas[sigla]) AliquotasIBSRepository.removerAliquotaUF(sigla);
+                return;
+            }
+            if (AliquotasIBSRepository.salvarAliquotaUF(sigla, estadual, municipal)) {
+                salvas++;
+            }
+        });
+
+        renderizarAliquotasUF();
+        renderizarDestinos();
+        alert(`Alíquotas do IBS salvas (${salvas} UF(s) com alíquota própria).`);
+    }
+
+    function restaurarPadroes() {
+        if (!confirm('Remover todas as alíquotas do IBS informadas por UF e município?')) {
+            return;
+        }
+        AliquotasIBSRepository.restaurarPadroes();
+        renderizarAliquotasUF();
+        renderizarMunicipios();
+        renderizarDestinos();
+    }
+
+    // Tabela de alíquotas por município (configurações)
+    function renderizarMunicipios() {
+        const tbody = document.getElementById('ibs-municipios-table')?.getElementsByTagName('tbody')[0];
+        if (!tbody) return;
+
+        const municipios = AliquotasIBSRepository.obterPersonalizadas().municipios;
+        tbody.innerHTML = '';
+
+        Object.keys(municipios).sort().forEach(codigo => {
+            const municipio = municipios[codigo];
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${codigo}</td>
+                <td>${municipio.nome || '-'}</td>
+                <td>${municipio.uf}</td>
+                <td>${arredondarPercentual(municipio.municipal).toFixed(2)}</td>
+            `;
+
+            const tdAcoes = document.createElement('td');
+            tdAcoes.className = 'actions-column';
+            const btnRemover = document.createElement('button');
+            btnRemover.type = 'button';
+            btnRemover.className = 'btn btn-accent btn-sm';
+            btnRemover.textContent = 'Remover';
+            btnRemover.addEventListener('click', function() {
+                AliquotasIBSRepository.removerAliquotaMunicipio(codigo);
+                renderizarMunicipios();
+                renderizarDestinos();
+            });
+            tdAcoes.appendChild(btnRemover);
+            tr.appendChild(tdAcoes);
+
+            tbody.appendChild(tr);
+        });
+    }
+
+    function salvarMunicipio() {
+        const codigo = document.getElementById('ibs-municipio-codigo')?.value || '';
+        const nome = document.getElementById('ibs-municipio-nome')?.value.trim() || '';
+        const aliquota = parseFloat(document.getElementById('ibs-municipio-aliquota')?.value);
+
+        if (isNaN(aliquota) || !AliquotasIBSRepository.salvarAliquotaMunicipio(codigo, aliquota / 100, nome)) {
+            alert('Informe um código IBGE de município válido (7 dígitos) e a alíquota municipal.');
+            return;
+        }
+
+        ['ibs-municipio-codigo', 'ibs-municipio-nome', 'ibs-municipio-aliquota'].forEach(id => {
+            const campo = document.getElementById(id);
+            if (campo) campo.value = '';
+        });
+        renderizarMunicipios();
+        renderizarDestinos();
+    }
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', function() {
+        if (typeof AliquotasIBSRepository === 'undefined') {
+            console.warn('AliquotasIBSRepository não encontrado, IBS por destino indisponível na interface');
+            return;
+        }
+
+        AliquotasIBSRepository.inicializar();
+        renderizarDestinos();
+        renderizarAliquotasUF();
+        renderizarMunicipios();
+
+        // Importação SPED e carregamento de simulações gravam o campo oculto e disparam 'change'
+        document.getElementById('destinos-ibs')?.addEventListener('change', renderizarDestinos);
+
+        // As alíquotas padrão acompanham a referência do perfil de legislação selecionado
+        document.getElementById('perfil-legislacao')?.addEventListener('change', function() {
+            renderizarAliquotasUF();
+            renderizarDestinos();
+        });
+
+        document.getElementById('btn-adicionar-destino-ibs')?.addEventListener('click', adicionarDestino);
+        document.getElementById('btn-limpar-destinos-ibs')?.addEventListener('click', limparDestinos);
+        document.getElementById('btn-salvar-aliquotas-ibs')?.addEventListener('click', salvarAliquotasUF);
+        document.getElementById('btn-restaurar-aliquotas-ibs')?.addEventListener('click', restaurarPadroes);
+        document.getElementById('btn-salvar-municipio-ibs')?.addEventListener('click', salvarMunicipio);
+    });
+})();
@@ -0,0 +1,185 @@
+// Módulo de gerenciamento dos perfis de legislação (cronograma da transição) na interface
+(function() {
+    // Colunas editáveis do cronograma: campo do perfil, tipo do input e se o valor é percentual
+    const COLUNAS = [
+        { campo: 'cbs', tipo: 'number', percentual: true },
+        { campo: 'ibs', tipo: 'number', percentual: true },
+        { campo: 'pisCofins', tipo: 'number', percentual: true },
+        { campo: 'icmsIss', tipo: 'number', percentual: true },
+        { campo: 'impostoSeletivo', tipo: 'checkbox' },
+        { campo: 'splitPayment', tipo: 'number', percentual: true },
+        { campo: 'compensacaoTeste', tipo: 'checkbox' }
+    ];
+
+    // Perfil exibido no editor
+    let perfilEmEdicao = null;
+
+    function arredondarPercentual(valor) {
+        return +(valor * 100).toFixed(4);
+    }
+
+    // Preenche os selects de perfis (simulação e editor)
+    function preencherPerfis() {
+        const perfis = LegislacaoRepository.obterPerfis();
+        const idAtivo = LegislacaoRepository.obterPerfilAtivo().id;
+
+        ['perfil-legislacao', 'legislacao-perfil-edicao'].forEach(function(idSelect) {
+            const select = document.getElementById(idSelect);
+            if (!select) return;
+
+            const valorAnterior = select.value;
+            select.innerHTML = '';
+            perfis.forEach(perfil => {
+                const option = document.createElement('option');
+                option.value = perfil.id;
+                option.textContent = perfil.editavel ? `${perfil.nome} (v${perfil.versao})` : perfil.nome;
+                select.appendChild(option);
+            });
+
+            const selecionado = idSelect === 'perfil-legislacao' ? idAtivo : (valorAnterior || idAtivo);
+            select.value = perfis.some(perfil => perfil.id === selecionado) ? selecionado : LegislacaoRepository.ID_PERFIL_PADRAO;
+        });
+    }
+
+    // Exibe um perfil no editor; o perfil LC 214/2025 é somente leitura
+    function exibirPerfil(id) {
+        perfilEmEdicao = LegislacaoRepository.obterPerfil(id) || LegislacaoRepository.obterPerfilPadrao();
+        const somenteLeitura = perfilEmEdicao.id === LegislacaoRepository.ID_PERFIL_PADRAO;
+
+        const campoNome = document.getElementById('legislacao-nome');
+        if (campoNome) {
+            campoNome.value = perfilEmEdicao.nome;
+            campoNome.disabled = somenteLeitura;
+        }
+        ['cbs', 'ibs'].forEach(tributo => {
+            const campo = document.getElementById(`legislacao-referencia-${tributo}`);
+            if (campo) {
+                campo.value = arredondarPercentual(perfilEmEdicao.referencia[tributo]);
+                campo.disabled = somenteLeitura;
+            }
+        });
+
+        const campoParcelas = document.getElementById('legislacao-parcelas-saldo-icms');
+        if (campoParcelas) {
+            campoParcelas.value = perfilEmEdicao.saldoCredorICMS?.parcelasCompensacaoIBS || '';
+            campoParcelas.disabled = somenteLeitura;
+        }
+
+        const info = document.getElementById('legislacao-versao');
+        if (info) {
+            const atualizado = perfilEmEdicao.atualizadoEm ? new Date(perfilEmEdicao.atualizadoEm).toLocaleDateString('pt-BR') : '-';
+            const base = perfilEmEdicao.base ? ` | Base: ${LegislacaoRepository.obterPerfil(perfilEmEdicao.base)?.nome || perfilEmEdicao.base}` : '';
+            info.textContent = `Versão ${perfilEmEdicao.versao} | Atualizado em ${atualizado}${base}` +
+                (somenteLeitura ? ' | Perfil legal (somente leitura): crie uma variante para editar' : '');
+        }
+
+        const tbody = document.getElementById('legislacao-table')?.getElementsByTagName('tbody')[0];
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        for (let ano = perfilEmEdicao.anoInicial; ano <= perfilEmEdicao.anoFinal; ano++) {
+            const parametros = perfilEmEdicao.anos[ano];
+            const tr = document.createElement('tr');
+            tr.innerHTML = `<td>${ano}</td>`;
+
+            COLUNAS.forEach(coluna => {
+                const td = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = coluna.tipo;
+                input.dataset.ano = ano;
+                input.dataset.campo = coluna.campo;
+                input.disabled = somenteLeitura;
+                if (coluna.tipo === 'checkbox') {
+                    input.checked = !!parametros[coluna.campo];
+                } else {
+                    input.min = '0';
+                    input.max = '100';
+                    input.step = '0.01';
+                    input.value = arredondarPercentual(parametros[coluna.campo]);
+                }
+                td.appendChild(input);
+                tr.appendChild(td);
+            });
+
+            tbody.appendChild(tr);
+        }
+
+        document.getElementById('btn-salvar-legislacao')?.toggleAttribute('disabled', somenteLeitura);
+        document.getElementById('btn-remover-legislacao')?.toggleAttribute('disabled', somenteLeitura);
+    }
+
+    // Lê o editor para um perfil
+    function lerPerfilDoEditor() {
+        const perfil = JSON.parse(JSON.stringify(perfilEmEdicao));
+        perfil.nome = document.getElementById('legislacao-nome')?.value.trim() || '';
+        ['cbs', 'ibs'].forEach(tributo => {
+            perfil.referencia[tributo] = parseFloat(document.getElementById(`legislacao-referencia-${tributo}`)?.value) / 100;
+        });
+        perfil.saldoCredorICMS = {
+            ...perfil.saldoCredorICMS,
+            parcelasCompensacaoIBS: parseInt(document.getElementById('legislacao-parcelas-saldo-icms')?.value, 10)
+        };
+
+        document.querySelectorAll('#legislacao-table input[data-campo]').forEach(input => {
+            const coluna = COLUNAS.find(item => item.campo === input.dataset.campo);
+            perfil.anos[input.dataset.ano][coluna.campo] = coluna.tipo === 'checkbox' ?
+                input.checked :
+                parseFloat(input.value) / 100;
+        });
+
+        return perfil;
+    }
+
+    function criarVariante() {
+        const nome = prompt('Nome da nova variante:', `${perfilEmEdicao.nome} - variante`);
+        if (nome === null) return;
+
+        const variante = LegislacaoRepository.criarVariante(perfilEmEdicao.id, nome);
+        preencherPerfis();
+        document.getElementById('legislacao-perfil-edicao').value = variante.id;
+        exibirPerfil(variante.id);
+    }
+
+    function salvarVariante() {
+        try {
+            const salvo = LegislacaoRepository.salvarVariante(lerPerfilDoEditor());
+            preencherPerfis();
+            exibirPerfil(salvo.id);
+            alert(`Perfil "${salvo.nome}" salvo (versão ${salvo.versao}).`);
+        } catch (erro) {
+            alert('Não foi possível salvar o perfil:\n' + erro.message);
+        }
+    }
+
+    function removerVariante() {
+        if (!confirm(`Remover o perfil "${perfilEmEdicao.nome}"? Simulações salvas mantêm a cópia do perfil usada.`)) {
+            return;
+        }
+        LegislacaoRepository.removerVariante(perfilEmEdicao.id);
+        document.getElementById('legislacao-perfil-edicao').value = LegislacaoRepository.ID_PERFIL_PADRAO;
+        preencherPerfis();
+        exibirPerfil(LegislacaoRepository.ID_PERFIL_PADRAO);
+    }
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', function() {
+        if (typeof LegislacaoRepository === 'undefined') {
+            console.warn('LegislacaoRepository não encontrado, perfis de legislação indisponíveis na interface');
+            return;
+        }
+
+        LegislacaoRepository.inicializar();
+        preencherPerfis();
+        exibirPerfil(document.getElementById('legislacao-perfil-edicao')?.value);
+
+        document.getElementById('perfil-legislacao')?.addEventListener('change', function() {
+            LegislacaoRepository.definirPerfilAtivo(this.value);
+        });
+        document.getElementById('legislacao-perfil-edicao')?.addEventListener('change', function() {
+            exibirPerfil(this.value);
+        });
+        document.getElementById('btn-criar-variante-legislacao')?.addEventListener('click', criarVariante);
+        document.getElementById('btn-salvar-legislacao')?.addEventListener('click', salvarVariante);
+        document.getElementById('btn-remover-legislacao')?.addEventListener('click', removerVariante);
+    });
+})();
@@ -0,0 +1,179 @@
+// Módulo de vendas por meio de pagamento (formulário de simulação)
+(function() {
+    function arredondarPercentual(valor) {
+        return +(valor * 100).toFixed(4);
+    }
+
+    function obterCatalogo() {
+        return window.FluxoCaixaMensal ? window.FluxoCaixaMensal.obterMeiosPagamento() : {};
+    }
+
+    // A composição editada fica serializada no campo oculto lido pelo DataManager
+    function lerMeios() {
+        try {
+            const meios = JSON.parse(document.getElementById('meios-pagamento')?.value || '[]');
+            return Array.isArray(meios) ? meios : [];
+        } catch (erro) {
+            console.warn('Vendas por meio de pagamento inválidas:', erro.message);
+            return [];
+        }
+    }
+
+    function gravarMeios(meios) {
+        const campo = document.getElementById('meios-pagamento');
+        if (campo) {
+            campo.value = JSON.stringify(meios);
+        }
+        renderizarMeios();
+    }
+
+    function criarInputNumerico(valor, min, max, step, aoAlterar) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = min;
+        if (max !== null) input.max = max;
+        input.step = step;
+        input.value = valor;
+        input.addEventListener('change', function() {
+            aoAlterar(parseFloat(this.value) || 0);
+        });
+        return input;
+    }
+
+    function renderizarMeios() {
+        const tbody = document.getElementById('meios-pagamento-table')?.getElementsByTagName('tbody')[0];
+        if (!tbody) return;
+
+        const catalogo = obterCatalogo();
+        const meios = lerMeios();
+        tbody.innerHTML = '';
+
+        meios.forEach((item, indice) => {
+            const padrao = catalogo[item.meio] || {};
+            const tr = document.createElement('tr');
+
+            // Trocar o meio aplica os prazos e a taxa padrão do novo meio
+            const tdMeio = document.createElement('td');
+            const selectMeio = document.createElement('select');
+            Object.keys(catalogo).forEach(meio => {
+                const option = document.createElement('option');
+                option.value = meio;
+                option.textContent = catalogo[meio].nome;
+                selectMeio.appendChild(option);
+            });
+            selectMeio.value = item.meio;
+            selectMeio.addEventListener('change', function() {
+                const novo = catalogo[this.value];
+                atualizarMeio(indice, {
+                    meio: this.value,
+                    parcelas: novo.parcelas,
+                    prazoLiquidacao: novo.prazoLiquidacao,
+                    taxa: novo.taxa
+                });
+            });
+            tdMeio.appendChild(selectMeio);
+            tr.appendChild(tdMeio);
+
+            const colunas = [
+                criarInputNumerico(arredondarPercentual(item.participacao || 0), '0', '100', '0.01',
+                    valor => atualizarMeio(indice, { participacao: valor / 100 })),
+                criarInputNumerico(item.parcelas ?? padrao.parcelas ?? 1, '1', '24', '1',
+                    valor => atualizarMeio(indice, { parcelas: Math.max(1, Math.round(valor)) })),
+                criarInputNumerico(item.prazoLiquidacao ?? padrao.prazoLiquidacao ?? 0, '0', null, '1',
+                    valor => atualizarMeio(indice, { prazoLiquidacao: Math.max(0, Math.round(valor)) })),
+                criarInputNumerico(arredondarPercentual(item.taxa ?? padrao.taxa ?? 0), '0', '100', '0.01',
+                    valor => atualizarMeio(indice, { taxa: valor / 100 }))
+            ];
+            colunas.forEach(input => {
+                const td = document.createElement('td');
+                td.appendChild(input);
+                tr.appendChild(td);
+            });
+
+            const tdAcoes = document.createElement('td');
+            tdAcoes.className = 'actions-column';
+            const btnRemover = document.createElement('button');
+            btnRemover.type = 'button';
+            btnRemover.className = 'btn btn-accent btn-sm';
+            btnRemover.textContent = 'Remover';
+            btnRemover.addEventListener('click', function() {
+                const atualizados = lerMeios();
+                atualizados.splice(indice, 1);
+                gravarMeios(atualizados);
+            });
+            tdAcoes.appendChild(btnRemover);
+            tr.appendChild(tdAcoes);
+
+            tbody.appendChild(tr);
+        });
+
+        atualizarResumo(meios);
+    }
+
+    function atualizarMeio(indice, alteracoes) {
+        const meios = lerMeios();
+        meios[indice] = { ...meios[indice], ...alteracoes };
+        gravarMeios(meios);
+    }
+
+    function atualizarResumo(meios) {
+        const resumo = document.getElementById('meios-pagamento-resumo');
+        if (!resumo) return;
+
+        const normalizados = window.FluxoCaixaMensal ? window.FluxoCaixaMensal.normalizarMeiosPagamento(meios) : null;
+        if (!normalizados) {
+            resumo.textContent = '';
+            return;
+        }
+
+        const participacaoTotal = meios.reduce((soma, item) => soma + (item.participacao || 0), 0);
+        const prazoMedio = normalizados.reduce((soma, meio) =>
+            soma + meio.participacao * (meio.prazoLiquidacao + (meio.parcelas - 1) * meio.intervaloParcelas / 2), 0);
+        const taxaMedia = normalizados.reduce((soma, meio) => soma + meio.participacao * meio.taxa, 0);
+
+        resumo.textContent = `Participação informada: ${arredondarPercentual(participacaoTotal).toFixed(2)}%` +
+            (Math.abs(participacaoTotal - 1) > 0.0001 ? ' (normalizada para 100% no cálculo)' : '') +
+            ` | Prazo médio de liquidação: ${prazoMedio.toFixed(1)} dias` +
+            ` | Taxa média: ${arredondarPercentual(taxaMedia).toFixed(2)}%`;
+    }
+
+    function adicionarMeio() {
+        const catalogo = obterCatalogo();
+        const meios = lerMeios();
+        const utilizados = meios.map(item => item.meio);
+        const meio = Object.keys(catalogo).find(chave => !utilizados.includes(chave)) || 'pix';
+        const participacaoRestante = Math.max(0, 1 - meios.reduce((soma, item) => soma + (item.participacao || 0), 0));
+
+        meios.push({
+            meio,
+            participacao: participacaoRestante,
+            parcelas: catalogo[meio]?.parcelas || 1,
+            prazoLiquidacao: catalogo[meio]?.prazoLiquidacao || 0,
+            taxa: catalogo[meio]?.taxa || 0
+        });
+        gravarMeios(meios);
+    }
+
+    function limparMeios() {
+        if (lerMeios().length > 0 && !confirm('Remover todos os meios de pagamento? O fluxo voltará a usar a divisão à vista/a prazo.')) {
+            return;
+        }
+        gravarMeios([]);
+    }
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', function() {
+        if (!window.FluxoCaixaMensal) {
+            console.warn('FluxoCaixaMensal não encontrado, meios de pagamento indisponíveis na interface');
+            return;
+        }
+
+        renderizarMeios();
+
+        // Carregamento de simulações grava o campo oculto e dispara 'change'
+        document.getElementById('meios-pagamento')?.addEventListener('change', renderizarMeios);
+
+        document.getElementById('btn-adicionar-meio-pagamento')?.addEventListener('click', adicionarMeio);
+        document.getElementById('btn-limpar-meios-pagamento')?.addEventListener('click', limparMeios);
+    });
+})();
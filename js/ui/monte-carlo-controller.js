@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Controlador do painel de análise de risco (Monte Carlo)
+ * @module monte-carlo-controller
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ *
+ * As distribuições são preenchidas a partir do formulário de simulação e podem ser
+ * ajustadas pelo usuário. Percentuais são exibidos em % e convertidos para decimal.
+ */
+window.MonteCarloController = (function() {
+    // Parâmetros sorteados, com rótulo e escala de exibição
+    const PARAMETROS = [
+        { chave: 'taxaCrescimento', rotulo: 'Crescimento anual do faturamento (%)', escala: 100 },
+        { chave: 'pmr', rotulo: 'Prazo médio de recebimento (dias)', escala: 1 },
+        { chave: 'percVista', rotulo: 'Vendas à vista (%)', escala: 100 },
+        { chave: 'margem', rotulo: 'Margem operacional (%)', escala: 100 },
+        { chave: 'taxaCapitalGiro', rotulo: 'Custo do capital de giro (% a.m.)', escala: 100 }
+    ];
+
+    // Campos de cada tipo de distribuição
+    const CAMPOS_DISTRIBUICAO = {
+        normal: [['media', 'Média'], ['desvioPadrao', 'Desvio padrão']],
+        triangular: [['minimo', 'Mínimo'], ['moda', 'Mais provável'], ['maximo', 'Máximo']],
+        uniforme: [['minimo', 'Mínimo'], ['maximo', 'Máximo']],
+        fixo: [['valor', 'Valor']]
+    };
+
+    const NOMES_DISTRIBUICAO = {
+        normal: 'Normal',
+        triangular: 'Triangular',
+        uniforme: 'Uniforme',
+        fixo: 'Fixo'
+    };
+
+    // Execução em andamento: { tarefa }
+    let _execucao = null;
+
+    function formatarMoeda(valor) {
+        return new Intl.NumberFormat('pt-BR', {
+            style: 'currency',
+            currency: 'BRL'
+        }).format(valor || 0);
+    }
+
+    function formatarPercentual(valor) {
+        return new Intl.NumberFormat('pt-BR', {
+            style: 'percent',
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(valor || 0);
+    }
+
+    function arredondar(valor) {
+        return Math.round(valor * 10000) / 10000;
+    }
+
+    /**
+     * Obtém as distribuições padrão a partir dos dados atuais do formulário
+     * @returns {Object} Distribuições por parâmetro (valores em decimal)
+     */
+    function obterDistribuicoesFormulario() {
+        const dadosAninhados = window.DataManager.obterDadosDoFormulario();
+        const { dadosPlanos } = window.SimuladorFluxoCaixa.prepararDadosCalculo(dadosAninhados);
+        return window.SensitivityAnalysisModule.obterDistribuicoesPadrao(dadosPlanos);
+    }
+
+    // Valor central de uma distribuição, usado ao trocar o tipo
+    function obterValorCentral(distribuicao) {
+        switch (distribuicao.tipo) {
+            case 'normal': return distribuicao.media;
+            case 'triangular': return distribuicao.moda;
+            case 'uniforme': return (distribuicao.minimo + distribuicao.maximo) / 2;
+            default: return distribuicao.valor;
+        }
+    }
+
+    function converterDistribuicao(distribuicao, tipo) {
+        const centro = obterValorCentral(distribuicao) || 0;
+        const amplitude = Math.abs(centro) * 0.2;
+        switch (tipo) {
+            case 'normal': return { tipo, media: centro, desvioPadrao: amplitude };
+            case 'triangular': return { tipo, minimo: centro - amplitude, moda: centro, maximo: centro + amplitude };
+            case 'uniforme': return { tipo, minimo: centro - amplitude, maximo: centro + amplitude };
+            default: return { tipo: 'fixo', valor: centro };
+        }
+    }
+
+    function montarCamposDistribuicao(parametro, distribuicao) {
+        return CAMPOS_DISTRIBUICAO[distribuicao.tipo].map(([campo, rotulo]) => `
+            <label style="margin-right: 10px;">${rotulo}
+                <input type="number" step="any" style="width: 90px;"
+                    data-parametro="${parametro.chave}" data-campo="${campo}"
+                    value="${arredondar((distribuicao[campo] || 0) * parametro.escala)}" />
+            </label>`).join('');
+    }
+
+    /**
+     * Preenche a tabela de distribuições
+     * @param {Object} distribuicoes - Distribuições por parâmetro (valores em decimal)
+     */
+    function preencherDistribuicoes(distribuicoes) {
+        const tbody = document.querySelector('#monte-carlo-distribuicoes tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        PARAMETROS.forEach(parametro => {
+            const distribuicao = distribuicoes[parametro.chave];
+            if (!distribuicao) return;
+
+            const opcoes = Object.keys(NOMES_DISTRIBUICAO).map(tipo =>
+                `<option value="${tipo}"${tipo === distribuicao.tipo ? ' selected' : ''}>${NOMES_DISTRIBUICAO[tipo]}</option>`).join('');
+
+            const linha = document.createElement('tr');
+            linha.innerHTML = `
+                <td>${parametro.rotulo}</td>
+                <td><select data-tipo="${parametro.chave}">${opcoes}</select></td>
+                <td class="campos-distribuicao">${montarCamposDistribuicao(parametro, distribuicao)}</td>
+            `;
+
+            linha.querySelector('select').addEventListener('change', function() {
+                const atual = lerDistribuicoes()[parametro.chave];
+                const nova = converterDistribuicao(atual, this.value);
+                linha.querySelector('.campos-distribuicao').innerHTML = montarCamposDistribuicao(parametro, nova);
+            });
+
+            tbody.appendChild(linha);
+        });
+    }
+
+    /**
+     * Lê as distribuições informadas na tabela
+     * @returns {Object} Distribuições por parâmetro (valores em decimal)
+     */
+    function lerDistribuicoes() {
+        const distribuicoes = {};
+        PARAMETROS.forEach(parametro => {
+            const select = document.querySelector(`#monte-carlo-distribuicoes select[data-tipo="${parametro.chave}"]`);
+            if (!select) return;
+
+            const distribuicao = { tipo: select.value };
+            CAMPOS_DISTRIBUICAO[select.value].forEach(([campo]) => {
+                const input = document.querySelector(
+                    `#monte-carlo-distribuicoes input[data-parametro="${parametro.chave}"][data-campo="${campo}"]`);
+                distribuicao[campo] = (parseFloat(input?.value) || 0) / parametro.escala;
+            });
+            distribuicoes[parametro.chave] = distribuicao;
+        });
+        return distribuicoes;
+    }
+
+    // Verifica a coerência dos parâmetros; retorna a mensagem do primeiro problema encontrado
+    function validarDistribuicoes(distribuicoes) {
+        for (const parametro of PARAMETROS) {
+            const distribuicao = distribuicoes[parametro.chave];
+            if (!distribuicao) continue;
+
+            if (distribuicao.tipo === 'normal' && distribuicao.desvioPadrao < 0) {
+                return `${parametro.rotulo}: o desvio padrão não pode ser negativo.`;
+            }
+            if ((distribuicao.tipo === 'uniforme' || distribuicao.tipo === 'triangular') && distribuicao.minimo > distribuicao.maximo) {
+                return `${parametro.rotulo}: o mínimo não pode ser maior que o máximo.`;
+            }
+            if (distribuicao.tipo === 'triangular' &&
+                (distribuicao.moda < distribuicao.minimo || distribuicao.moda > distribuicao.maximo)) {
+                return `${parametro.rotulo}: o valor mais provável deve estar entre o mínimo e o máximo.`;
+            }
+        }
+        return null;
+    }
+
+    function restaurarDistribuicoes() {
+        try {
+            preencherDistribuicoes(obterDistribuicoesFormulario());
+        } catch (erro) {
+            console.error('Erro ao obter distribuições do formulário:', erro);
+        }
+    }
+
+    function atualizarEstadoExecucao(executando, texto) {
+        const indicador = document.getElementById('monte-carlo-progresso');
+        const btnExecutar = document.getElementById('btn-executar-monte-carlo');
+        const btnCancelar = document.getElementById('btn-cancelar-monte-carlo');
+
+        if (indicador) {
+            indicador.style.display = texto ? 'block' : 'none';
+            indicador.textContent = texto || '';
+        }
+        if (btnExecutar) btnExecutar.disabled = executando;
+        if (btnCancelar) btnCancelar.style.display = executando ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Executa a simulação de Monte Carlo com os dados do formulário e as distribuições da tabela
+     * @returns {Promise<Object|null>} Resultado, ou null se cancelada ou inválida
+     */
+    async function executarSimulacao() {
+        if (_execucao) return null;
+
+        if (!window.SensitivityAnalysisModule || !window.SimuladorFluxoCaixa) {
+            alert('Módulo de análise de sensibilidade não carregado.');
+            return null;
+        }
+
+        const distribuicoes = lerDistribuicoes();
+        const problema = validarDistribuicoes(distribuicoes);
+        if (problema) {
+            alert(problema);
+            return null;
+        }
+
+        const sementeInformada = document.getElementById('monte-carlo-semente')?.value;
+        const opcoesMonteCarlo = {
+            iteracoes: parseInt(document.getElementById('monte-carlo-iteracoes')?.value, 10) || 2000,
+            ano: parseInt(document.getElementById('monte-carlo-ano')?.value, 10) || 2033,
+            distribuicoes
+        };
+        if (sementeInformada !== undefined && sementeInformada !== '') {
+            opcoesMonteCarlo.semente = parseInt(sementeInformada, 10);
+        }
+
+        const dados = window.DataManager.obterDadosDoFormulario();
+        _execucao = { tarefa: null };
+        atualizarEstadoExecucao(true, 'Executando simulação de Monte Carlo...');
+
+        try {
+            let resultado;
+            if (window.SimulacaoWorker) {
+                _execucao.tarefa = window.SimulacaoWorker.simularMonteCarlo(dados, opcoesMonteCarlo, {
+                    onProgresso: progresso => atualizarEstadoExecucao(true,
+                        `Executando simulação de Monte Carlo... ${progresso.percentual}%`)
+                });
+                resultado = await _execucao.tarefa.promessa;
+            } else {
+                const preparados = window.SimuladorFluxoCaixa.prepararDadosCalculo(dados);
+                resultado = window.SensitivityAnalysisModule.calcularSimulacaoMonteCarlo(preparados.dadosPlanos, {
+                    anoBase: preparados.anoInicial,
+                    parametrosSetoriais: preparados.parametrosSetoriais,
+                    ...opcoesMonteCarlo
+                });
+            }
+
+            exibirResultados(resultado);
+            return resultado;
+        } catch (erro) {
+            if (erro.cancelado) {
+                console.log('Simulação de Monte Carlo cancelada pelo usuário');
+                return null;
+            }
+            console.error('Erro na simulação de Monte Carlo:', erro);
+            alert('Erro na simulação de Monte Carlo: ' + erro.message);
+            return null;
+        } finally {
+            _execucao = null;
+            atualizarEstadoExecucao(false);
+        }
+    }
+
+    function cancelarSimulacao() {
+        if (_execucao && _execucao.tarefa) {
+            _execucao.tarefa.cancelar();
+        }
+    }
+
+    /**
+     * Exibe percentis, probabilidade de capital de giro negativo e histogramas
+     * @param {Object} resultado - Resultado de calcularSimulacaoMonteCarlo
+     */
+    function exibirResultados(resultado) {
+        const painel = document.getElementById('monte-carlo-resultados');
+        if (!painel || !resultado) return;
+
+        const definirTexto = (id, texto) => {
+            const elemento = document.getElementById(id);
+            if (elemento) elemento.textContent = texto;
+        };
+
+        const necessidade = resultado.necessidadeCapital;
+        const margem = resultado.margemAjustada;
+        definirTexto('monte-carlo-p5', formatarMoeda(necessidade.p5));
+        definirTexto('monte-carlo-p50', formatarMoeda(necessidade.p50));
+        definirTexto('monte-carlo-p95', formatarMoeda(necessidade.p95));
+        definirTexto('monte-carlo-prob-negativo', formatarPercentual(resultado.probabilidadeCapitalGiroNegativo));
+        definirTexto('monte-carlo-margem',
+            `${formatarPercentual(margem.p5)} / ${formatarPercentual(margem.p50)} / ${formatarPercentual(margem.p95)}`);
+        definirTexto('monte-carlo-iteracoes-validas',
+            `${resultado.iteracoesValidas} de ${resultado.parametros.iteracoes}` +
+            (resultado.falhas > 0 ? ` (${resultado.falhas} com erro)` : ''));
+
+        painel.style.display = 'block';
+
+        if (window.ChartManager && typeof window.ChartManager.renderizarHistogramasMonteCarlo === 'function') {
+            window.ChartManager.renderizarHistogramasMonteCarlo(resultado);
+        }
+    }
+
+    function inicializar() {
+        if (!document.getElementById('painel-monte-carlo')) return;
+
+        document.getElementById('btn-executar-monte-carlo')?.addEventListener('click', executarSimulacao);
+        document.getElementById('btn-cancelar-monte-carlo')?.addEventListener('click', cancelarSimulacao);
+        document.getElementById('btn-restaurar-monte-carlo')?.addEventListener('click', restaurarDistribuicoes);
+
+        // As distribuições acompanham o formulário até a primeira edição pelo usuário
+        document.addEventListener('tabChange', function(event) {
+            if (event.detail && event.detail.tab === 'simulacao' &&
+                !document.querySelector('#monte-carlo-distribuicoes tbody tr')) {
+                restaurarDistribuicoes();
+            }
+        });
+
+        restaurarDistribuicoes();
+        console.log('Controlador de Monte Carlo inicializado');
+    }
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', inicializar);
+
+    return {
+        executarSimulacao,
+        cancelarSimulacao,
+        restaurarDistribuicoes,
+        lerDistribuicoes,
+        exibirResultados
+    };
+})();
@@ -0,0 +1,171 @@
+// Módulo de gerenciamento da classificação NCM (CBS/IBS) na interface
+(function() {
+    const NOMES_ORIGEM = {
+        'padrao': 'Padrão',
+        'personalizado': 'Personalizado',
+        'empresa': 'Exceção da Empresa'
+    };
+
+    // Preenche o select de regimes com os regimes do repositório
+    function preencherRegimes() {
+        const select = document.getElementById('ncm-regime');
+        if (!select || typeof NcmRepository === 'undefined') return;
+
+        select.innerHTML = '';
+        Object.entries(NcmRepository.obterRegimes()).forEach(([codigo, regime]) => {
+            const option = document.createElement('option');
+            option.value = codigo;
+            option.textContent = regime.nome;
+            select.appendChild(option);
+        });
+    }
+
+    // Atualiza a tabela de classificações (padrão, personalizadas e exceções do CNPJ informado)
+    function atualizarTabelaNcm() {
+        const tabela = document.getElementById('ncm-table');
+        if (!tabela || typeof NcmRepository === 'undefined') return;
+
+        const tbody = tabela.getElementsByTagName('tbody')[0];
+        if (!tbody) return;
+
+        const regimes = NcmRepository.obterRegimes();
+        const cnpj = document.getElementById('ncm-cnpj')?.value || '';
+        const linhas = [];
+
+        Object.entries(NcmRepository.obterExcecoesEmpresa(cnpj)).forEach(([prefixo, dados]) => {
+            linhas.push({ prefixo, ...dados, origem: 'empresa' });
+        });
+
+        const personalizados = NcmRepository.obterPersonalizados();
+        Object.entries(NcmRepository.obterTodos()).forEach(([prefixo, dados]) => {
+            linhas.push({ prefixo, ...dados, origem: personalizados[prefixo] ? 'personalizado' : 'padrao' });
+        });
+
+        tbody.innerHTML = '';
+        linhas.forEach(linha => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${linha.prefixo}</td>
+                <td>${linha.descricao || ''}</td>
+                <td>${regimes[linha.regime]?.nome || linha.regime}</td>
+                <td>${linha.aliquotaIS ? (linha.aliquotaIS * 100).toFixed(2) : '-'}</td>
+                <td>${NOMES_ORIGEM[linha.origem] || linha.origem}</td>
+                <td></td>
+            `;
+
+            if (linha.origem !== 'padrao') {
+                const btnRemover = document.createElement('button');
+                btnRemover.type = 'button';
+                btnRemover.className = 'btn btn-accent btn-sm';
+                btnRemover.textContent = 'Remover';
+                btnRemover.addEventListener('click', function() {
+                    removerClassificacaoNcm(linha.prefixo, linha.origem === 'empresa' ? cnpj : '');
+                });
+                tr.lastElementChild.appendChild(btnRemover);
+            }
+
+            tbody.appendChild(tr);
+        });
+    }
+
+    // Salva a classificação informada no formulário (global ou exceção da empresa)
+    function salvarClassificacaoNcm() {
+        const prefixo = document.getElementById('ncm-prefixo')?.value || '';
+        const regime = document.getElementById('ncm-regime')?.value || 'padrao';
+        const descricao = document.getElementById('ncm-descricao')?.value || '';
+        const cnpj = document.getElementById('ncm-cnpj')?.value || '';
+        const aliquotaIS = (parseFloat(document.getElementById('ncm-aliquota-is')?.value) || 0) / 100;
+
+        const sucesso = cnpj.replace(/\D/g, '') ?
+            NcmRepository.salvarExcecaoEmpresa(cnpj, prefixo, { regime, descricao, aliquotaIS }) :
+            NcmRepository.salvarClassificacao(prefixo, { regime, descricao, aliquotaIS });
+
+        if (!sucesso) {
+            alert('Informe um NCM (mínimo de 2 dígitos) e um regime válido.');
+            return;
+        }
+
+        document.getElementById('ncm-prefixo').value = '';
+        document.getElementById('ncm-descricao').value = '';
+        document.getElementById('ncm-aliquota-is').value = '';
+        atualizarTabelaNcm();
+    }
+
+    // Remove uma classificação personalizada ou exceção da empresa
+    function removerClassificacaoNcm(prefixo, cnpj) {
+        if (!confirm(`Confirma a exclusão da classificação do NCM ${prefixo}?`)) return;
+
+        if (cnpj) {
+            NcmRepository.removerExcecaoEmpresa(cnpj, prefixo);
+        } else {
+            NcmRepository.removerClassificacao(prefixo);
+        }
+        atualizarTabelaNcm();
+    }
+
+    // Baixa a tabela de classificação em JSON
+    function exportarClassificacaoNcm() {
+        const blob = new Blob([NcmRepository.exportarJSON()], { type: 'application/json;charset=utf-8' });
+        const url = window.URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `classificacao-ncm-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    // Lê um arquivo JSON selecionado e importa as classificações
+    function importarClassificacaoNcm(event) {
+        const arquivo = event.target.files && event.target.files[0];
+        if (!arquivo) return;
+
+        const leitor = new FileReader();
+        leitor.onload = function(e) {
+            if (NcmRepository.importarJSON(e.target.result)) {
+                alert('Classificação NCM importada com sucesso.');
+                atualizarTabelaNcm();
+            } else {
+                alert('Arquivo de classificação NCM inválido.');
+            }
+        };
+        leitor.readAsText(arquivo);
+
+        // Permitir importar o mesmo arquivo novamente
+        event.target.value = '';
+    }
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', function() {
+        if (typeof NcmRepository === 'undefined') {
+            console.warn('NcmRepository não encontrado, classificação NCM indisponível na interface');
+            return;
+        }
+
+        preencherRegimes();
+
+        document.querySelectorAll('.tab-button').forEach(function(aba) {
+            aba.addEventListener('click', function() {
+                if (this.getAttribute('data-tab') === 'configuracoes') {
+                    atualizarTabelaNcm();
+                }
+            });
+        });
+
+        document.getElementById('btn-salvar-ncm')?.addEventListener('click', salvarClassificacaoNcm);
+        document.getElementById('btn-exportar-ncm')?.addEventListener('click', exportarClassificacaoNcm);
+        document.getElementById('btn-importar-ncm')?.addEventListener('click', function() {
+            document.getElementById('arquivo-ncm')?.click();
+        });
+        document.getElementById('arquivo-ncm')?.addEventListener('change', importarClassificacaoNcm);
+        document.getElementById('ncm-cnpj')?.addEventListener('change', atualizarTabelaNcm);
+        document.getElementById('btn-restaurar-ncm')?.addEventListener('click', function() {
+            if (confirm('Remover todas as classificações personalizadas e exceções por empresa?')) {
+                NcmRepository.restaurarPadroes();
+                atualizarTabelaNcm();
+            }
+        });
+    });
+})();
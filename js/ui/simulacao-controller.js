@@ -4,6 +4,9 @@
  * @module SimulacaoPrincipalController
  */
 const SimulacaoPrincipalController = {
+    // Simulação de estratégias em execução no Web Worker ({ id, promessa, cancelar() })
+    _tarefaEstrategias: null,
+
     /**
      * Inicializa o controlador
      */
@@ -798,6 +801,22 @@ const SimulacaoPrincipalController = {
             // Exibir indicador de carregamento
             this._mostrarCarregamento(true);
 
+            // Preferir a simulação em Web Worker, que não bloqueia a interface
+            if (window.SimuladorFluxoCaixa && typeof SimuladorFluxoCaixa.simularAssincrono === 'function') {
+                SimuladorFluxoCaixa.simularAssincrono()
+                    .then(resultados => {
+                        if (resultados) {
+                            this._processarResultadosSimulacao(resultados);
+                        }
+                    })
+                    .catch(error => {
+                        console.error('Erro ao executar simulação:', error);
+                        alert('Ocorreu um erro durante a simulação: ' + (error.message || 'Erro desconhecido'));
+                    })
+                    .finally(() => this._mostrarCarregamento(false));
+                return;
+            }
+
             try {
                 // Executar a simulação usando o módulo de simulação
                 if (typeof SimuladorModulo === 'undefined' || typeof SimuladorModulo.simular !== 'function') {
@@ -807,23 +826,7 @@ const SimulacaoPrincipalController = {
                 }
 
                 const resultados = SimuladorModulo.simular();
-
-                // Armazenar resultados no repositório
-                SimuladorRepository.atualizarSecao('resultadosSimulacao', resultados);
-
-                // Exibir resultados
-                this.exibirResultados(resultados);
-
-                // Marcar que a simulação foi realizada
-                SimuladorRepository.atualizarCampo('interfaceState', 'simulacaoRealizada', true);
-
-                // Atualizar gráficos
-                if (window.ChartManager && typeof ChartManager.gerarGraficos === 'function') {
-                    ChartManager.gerarGraficos(resultados);
-                }
-                
-                // Habilitar botões de exportação
-                this._atualizarBotoesExportacao(true);
+                this._processarResultadosSimulacao(resultados);
             } catch (error) {
                 console.error('Erro ao executar simulação:', error);
                 alert('Ocorreu um erro durante a simulação: ' + (error.message || 'Erro desconhecido'));
@@ -837,6 +840,30 @@ const SimulacaoPrincipalController = {
         }
     },
     
+    /**
+     * Armazena e exibe os resultados de uma simulação concluída
+     * @param {Object} resultados - Resultados da simulação
+     * @private
+     */
+    _processarResultadosSimulacao: function(resultados) {
+        // Armazenar resultados no repositório
+        SimuladorRepository.atualizarSecao('resultadosSimulacao', resultados);
+
+        // Exibir resultados
+        this.exibirResultados(resultados);
+
+        // Marcar que a simulação foi realizada
+        SimuladorRepository.atualizarCampo('interfaceState', 'simulacaoRealizada', true);
+
+        // Atualizar gráficos
+        if (window.ChartManager && typeof ChartManager.gerarGraficos === 'function') {
+            ChartManager.gerarGraficos(resultados);
+        }
+        
+        // Habilitar botões de exportação
+        this._atualizarBotoesExportacao(true);
+    },
+    
     /**
      * Exibe os resultados da simulação na interface
      * @param {Object} resultados - Resultados da simulação
@@ -1201,6 +1228,8 @@ const SimulacaoPrincipalController = {
     
     /**
      * Simula o efeito das estratégias selecionadas
+     * O cálculo é executado no Web Worker de simulação (SimulacaoWorker), quando disponível,
+     * com progresso no indicador de carregamento e cancelamento por cancelarSimulacaoEstrategias()
      * @param {Object} resultadosBase - Resultados base da simulação
      */
     simularEstrategias: function(resultadosBase) {
@@ -1269,27 +1298,80 @@ const SimulacaoPrincipalController = {
         
         // Exibir indicador de carregamento
         this._mostrarCarregamento(true);
-        
-        try {
-            // Calcular efetividade das estratégias
-            const efetividade = SimuladorModulo.IVADualSystem.calcularEfeitividadeMitigacao(
-                dadosSimulacao, 
-                estrategias, 
-                anoInicial
-            );
-            
-            // Armazenar resultados de estratégias no repositório
-            SimuladorRepository.atualizarSecao('resultadosEstrategias', efetividade);
-            
-            // Exibir resultados
-            this.exibirResultadosEstrategias(efetividade);
-        } catch (error) {
+
+        // Sem Web Worker, o cálculo segue na thread principal
+        if (typeof window.SimulacaoWorker === 'undefined') {
+            try {
+                // Calcular efetividade das estratégias
+                const efetividade = SimuladorModulo.IVADualSystem.calcularEfeitividadeMitigacao(
+                    dadosSimulacao, 
+                    estrategias, 
+                    anoInicial
+                );
+                this._concluirSimulacaoEstrategias(efetividade);
+            } catch (error) {
+                console.error('Erro ao simular estratégias:', error);
+                alert('Ocorreu um erro ao simular as estratégias: ' + (error.message || 'Erro desconhecido'));
+            } finally {
+                // Ocultar indicador de carregamento
+                this._mostrarCarregamento(false);
+            }
+            return;
+        }
+
+        // Uma nova simulação substitui a anterior ainda em andamento
+        this.cancelarSimulacaoEstrategias();
+
+        const tarefa = window.SimulacaoWorker.simularEstrategias(dadosSimulacao, estrategias, anoInicial, {
+            onProgresso: progresso => this._mostrarCarregamento(true, progresso)
+        });
+        this._tarefaEstrategias = tarefa;
+
+        tarefa.promessa.then(calculo => {
+            this._concluirSimulacaoEstrategias(calculo.resultadoEstrategias);
+        }).catch(error => {
+            if (error.cancelado) {
+                console.log('Simulação de estratégias cancelada');
+                return;
+            }
             console.error('Erro ao simular estratégias:', error);
             alert('Ocorreu um erro ao simular as estratégias: ' + (error.message || 'Erro desconhecido'));
-        } finally {
-            // Ocultar indicador de carregamento
-            this._mostrarCarregamento(false);
+        }).finally(() => {
+            if (this._tarefaEstrategias === tarefa) {
+                this._tarefaEstrategias = null;
+                this._mostrarCarregamento(false);
+            }
+        });
+    },
+
+    /**
+     * Cancela a simulação de estratégias em andamento no Web Worker
+     * @returns {boolean} true se havia simulação em andamento
+     */
+    cancelarSimulacaoEstrategias: function() {
+        if (!this._tarefaEstrategias) {
+            return false;
         }
+        return this._tarefaEstrategias.cancelar();
+    },
+
+    /**
+     * Armazena e exibe o resultado da simulação de estratégias
+     * @param {Object|null} efetividade - Resultado de IVADualSystem.calcularEfeitividadeMitigacao
+     *                                    (nulo quando nenhuma estratégia está ativa)
+     * @private
+     */
+    _concluirSimulacaoEstrategias: function(efetividade) {
+        if (!efetividade) {
+            alert('Selecione ao menos uma estratégia para simular.');
+            return;
+        }
+
+        // Armazenar resultados de estratégias no repositório
+        SimuladorRepository.atualizarSecao('resultadosEstrategias', efetividade);
+
+        // Exibir resultados
+        this.exibirResultadosEstrategias(efetividade);
     },
     
     /**
@@ -1475,12 +1557,16 @@ const SimulacaoPrincipalController = {
     /**
      * Mostra ou oculta o indicador de carregamento
      * @param {boolean} mostrar - Indica se o carregamento deve ser mostrado
+     * @param {Object} [progresso] - { etapa, percentual } informado pelo Web Worker de simulação
      * @private
      */
-    _mostrarCarregamento: function(mostrar) {
+    _mostrarCarregamento: function(mostrar, progresso) {
         const loader = document.getElementById('simulacao-loader');
         if (loader) {
             loader.style.display = mostrar ? 'block' : 'none';
+            if (progresso) {
+                loader.textContent = `Simulando... ${progresso.percentual}%`;
+            }
         }
     },
     
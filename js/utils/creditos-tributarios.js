@@ -147,6 +147,40 @@ function calcularCreditosSimples(faturamento) {
         
         console.log('CREDITOS-TRIBUTARIOS: Débitos do Simples Nacional calculados');
     }
+
+    // A partir de 2027 o optante pode recolher CBS/IBS fora do DAS (regime híbrido)
+    atualizarInfoSimplesHibrido();
+}
+
+/**
+ * Resume, para o formulário, o DAS e a CBS/IBS do Simples Nacional nas opções integral e híbrida
+ * O detalhamento ano a ano é apresentado nos resultados da simulação
+ */
+function atualizarInfoSimplesHibrido() {
+    const info = document.getElementById('simples-hibrido-info');
+    if (!info) return;
+
+    if (!window.IVADualSystem?.calcularOpcaoSimplesNacional || !window.DataManager) {
+        info.textContent = '';
+        return;
+    }
+
+    try {
+        const dadosPlanos = window.DataManager.converterParaEstruturaPlana(window.DataManager.obterDadosDoFormulario());
+        const comparacao = window.IVADualSystem.calcularOpcaoSimplesNacional(dadosPlanos, 2027, 2033);
+        const formatar = window.DataManager.formatarMoeda;
+
+        info.textContent = [2027, 2033].map(ano => {
+            const { integral, hibrido, recomendacao } = comparacao.porAno[ano];
+            return `${ano}: integral ${formatar(integral.custoTotal)} (DAS ${formatar(integral.das)} + desconto ` +
+                `${formatar(integral.perdaCompetitiva)}) x híbrido ${formatar(hibrido.custoTotal)} (DAS ${formatar(hibrido.das)} + ` +
+                `CBS/IBS ${formatar(hibrido.ivaDebito)} - créditos ${formatar(hibrido.ivaCredito)}) - ` +
+                `mais vantajosa: ${recomendacao === 'hibrido' ? 'híbrido' : 'integral'}`;
+        }).join(' | ');
+    } catch (erro) {
+        console.warn('CREDITOS-TRIBUTARIOS: Não foi possível comparar as opções do Simples Nacional:', erro.message);
+        info.textContent = '';
+    }
 }
 
 /**
@@ -256,6 +290,52 @@ function calcularICMS(faturamento) {
         
         console.log('CREDITOS-TRIBUTARIOS: ICMS calculado');
     }
+
+    atualizarEstimativaICMSST(faturamento);
+}
+
+/**
+ * Estima o ICMS-ST mensal (base com MVA, ajuste interestadual e ressarcimento) para o formulário
+ */
+function atualizarEstimativaICMSST(faturamento) {
+    const info = document.getElementById('icms-st-info');
+    if (!document.getElementById('possui-icms-st')?.checked || !window.CurrentTaxSystem?.calcularEfeitoICMSST) {
+        if (info) info.textContent = '';
+        return;
+    }
+
+    const campoMVA = document.getElementById('icms-st-mva')?.value;
+    const efeito = window.CurrentTaxSystem.calcularEfeitoICMSST(faturamento, {
+        condicao: document.getElementById('icms-st-condicao')?.value || 'substituido',
+        segmentoMVA: document.getElementById('icms-st-segmento')?.value || '',
+        mva: campoMVA ? parseFloat(campoMVA) / 100 : null,
+        aliquotaInterna: parseFloat(document.getElementById('icms-st-aliquota-interna')?.value || '18') / 100,
+        aliquotaInterestadual: parseFloat(document.getElementById('icms-st-aliquota-operacao')?.value || '18') / 100,
+        percentualVendasST: parseFloat(document.getElementById('icms-st-percentual-vendas')?.value || '0') / 100,
+        percentualRessarcimento: parseFloat(document.getElementById('icms-st-ressarcimento')?.value || '0') / 100
+    }, parseFloat(document.getElementById('margem')?.value || '0') / 100);
+
+    preencherCampoValor('icms-st-calc', efeito.icmsSTLiquido);
+    if (info) {
+        info.textContent = `MVA aplicada ${(efeito.mvaAplicada * 100).toFixed(2)}% | Base ST ${formatarComoMoeda(efeito.baseST)}` +
+            (efeito.ressarcimento > 0 ? ` | Ressarcimento ${formatarComoMoeda(efeito.ressarcimento)}` : '');
+    }
+}
+
+/**
+ * Preenche os segmentos da tabela de MVA de referência
+ */
+function preencherSegmentosMVA() {
+    const select = document.getElementById('icms-st-segmento');
+    const tabela = window.CurrentTaxSystem?.tabelaMVA;
+    if (!select || !tabela || select.options.length > 1) return;
+
+    Object.entries(tabela).forEach(([chave, segmento]) => {
+        const option = document.createElement('option');
+        option.value = chave;
+        option.textContent = `${segmento.nome} (${(segmento.mva * 100).toFixed(2)}%)`;
+        select.appendChild(option);
+    });
 }
 
 /**
@@ -635,6 +715,33 @@ function toggleCamposIncentivoICMS() {
     calcularCreditosTributarios();
 }
 
+/**
+ * Função para alternar campos de substituição tributária do ICMS
+ */
+function toggleCamposICMSST() {
+    const checkbox = document.getElementById('possui-icms-st');
+    const camposST = document.getElementById('campos-icms-st');
+    
+    if (camposST) {
+        camposST.style.display = checkbox?.checked ? 'block' : 'none';
+    }
+    
+    // Recalcular após mudança
+    calcularCreditosTributarios();
+}
+
+/**
+ * Alterna a exibição dos campos de ressarcimento de créditos de CBS/IBS
+ */
+function toggleCamposRessarcimento() {
+    const checkbox = document.getElementById('possui-ressarcimento-creditos');
+    const campos = document.getElementById('campos-ressarcimento');
+
+    if (campos) {
+        campos.style.display = checkbox?.checked ? '' : 'none';
+    }
+}
+
 /**
  * Função para inicializar valores padrão e corrigir problemas específicos com IPI
  * Adicionar ao final do arquivo creditos-tributarios.js ou substituir se existir
@@ -644,6 +751,7 @@ function inicializarCreditosTributarios() {
 
     // Adicionar listeners globais
     adicionarListenersGlobais();
+    preencherSegmentosMVA();
 
     // Verificar e corrigir campos de IPI se necessário
     const verificarCamposIPI = () => {
@@ -745,6 +853,25 @@ function adicionarListenersGlobais() {
         }
     });
 
+    // Opção do Simples Nacional para CBS/IBS e premissas da comparação
+    ['aliquota-simples', 'simples-opcao-iva', 'simples-percentual-b2b', 'simples-percentual-compras', 'simples-repasse-credito']
+        .forEach(id => {
+            document.getElementById(id)?.addEventListener('change', function() {
+                if (document.getElementById('regime')?.value === 'simples') {
+                    calcularCreditosTributarios();
+                }
+            });
+        });
+
+    // Substituição tributária do ICMS
+    ['icms-st-condicao', 'icms-st-segmento', 'icms-st-mva', 'icms-st-aliquota-interna', 'icms-st-aliquota-operacao',
+        'icms-st-percentual-vendas', 'icms-st-ressarcimento']
+        .forEach(id => {
+            document.getElementById(id)?.addEventListener('change', function() {
+                atualizarEstimativaICMSST(obterFaturamentoMensal());
+            });
+        });
+
     console.log('CREDITOS-TRIBUTARIOS: Listeners globais adicionados');
 }
 
@@ -765,6 +892,8 @@ if (typeof window !== 'undefined') {
     window.calcularCreditosTributarios = calcularCreditosTributarios;
     window.ajustarAliquotasPisCofins = ajustarAliquotasPisCofins;
     window.toggleCamposIncentivoICMS = toggleCamposIncentivoICMS;
+    window.toggleCamposICMSST = toggleCamposICMSST;
+    window.toggleCamposRessarcimento = toggleCamposRessarcimento;
     // Se o DOM já estiver carregado, inicializar imediatamente
     if (document.readyState === 'complete' || document.readyState === 'interactive') {
         setTimeout(inicializarCreditosTributarios, 100);
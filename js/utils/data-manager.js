@@ -18,14 +18,18 @@ window.DataManager = (function() {
             margem: 0,                // Decimal (0-1)
             setor: '',                // Código alfanumérico 
             tipoEmpresa: '',          // 'comercio', 'industria', 'servicos'
-            regime: ''                // 'simples', 'presumido', 'real'
+            regime: '',               // 'simples', 'presumido', 'real'
+            historicoMensal: [],      // [{ periodo: 'AAAA-MM', faturamento, debitos, creditos }] importado do SPED
+            dre: null                 // DRE anual importada da ECF { receitaBruta, ..., lucroLiquido, tributacao } ou null
         },
         cicloFinanceiro: {
             pmr: 30,                  // Dias
             pmp: 30,                  // Dias
             pme: 30,                  // Dias
             percVista: 0.3,           // Decimal (0-1)
-            percPrazo: 0.7            // Decimal (0-1)
+            percPrazo: 0.7,           // Decimal (0-1)
+            conformidadeFornecedores: 1, // Decimal (0-1) - compras de fornecedores que recolhem CBS/IBS
+            meiosPagamento: []        // Vendas por meio de pagamento: [{ meio, participacao (0-1), parcelas, prazoLiquidacao (dias), intervaloParcelas (dias), taxa (0-1) }]
         },
         parametrosFiscais: {
             aliquota: 0.265,          // Decimal (0-1)
@@ -45,6 +49,37 @@ window.DataManager = (function() {
                 icms: 0,
                 ipi: 0,
                 iss: 0
+            },
+            simplesNacional: {        // Opção do Simples Nacional para CBS/IBS (LC 214/2025, a partir de 2027)
+                opcaoIVA: 'integral', // 'integral' (CBS/IBS no DAS), 'hibrido' (CBS/IBS pelo regime regular)
+                percentualB2B: null,  // Decimal (0-1) - vendas a contribuintes do regime regular; null: pelo tipo de operação
+                percentualCompras: 0.4, // Decimal (0-1) - compras com crédito de CBS/IBS sobre o faturamento
+                repasseCredito: 1     // Decimal (0-1) - parcela do crédito não transferido que os clientes descontam no preço
+            },
+            icmsST: {                 // Substituição tributária do ICMS
+                ativo: false,
+                condicao: 'substituido', // 'substituido' (ICMS-ST pago na aquisição), 'substituto' (retém na venda)
+                segmentoMVA: '',      // Segmento da tabela de MVA (CurrentTaxSystem.tabelaMVA)
+                mva: null,            // Decimal - MVA original informada; null: pelo segmento
+                aliquotaInterna: 0.18, // Decimal (0-1) - alíquota interna do destino
+                aliquotaInterestadual: 0.18, // Decimal (0-1) - alíquota da operação própria (igual à interna se interna)
+                percentualVendasST: 0, // Decimal (0-1) - vendas de mercadorias sujeitas à ST
+                percentualRessarcimento: 0 // Decimal (0-1) - ICMS-ST recuperado por ressarcimento
+            },
+            saldoCredorICMS: 0,       // Valor monetário (R$) - saldo credor acumulado de ICMS (EFD, E110 campo 14)
+            parametrosCreditos: {     // Campos do formulário que originam os créditos; null: não informado
+                aliquotaPIS: null,            // Decimal (0-1)
+                aliquotaCOFINS: null,         // Decimal (0-1)
+                baseCalculoPisCofins: null,   // Decimal (0-1) - parcela do faturamento
+                percAproveitamentoPisCofins: null, // Decimal (0-1)
+                aliquotaICMS: null,           // Decimal (0-1) - sem o incentivo
+                baseCalculoICMS: null,        // Decimal (0-1)
+                percAproveitamentoICMS: null, // Decimal (0-1)
+                possuiIncentivoICMS: false,   // Booleano
+                percentualIncentivoICMS: null, // Decimal (0-1)
+                aliquotaIPI: null,            // Decimal (0-1)
+                baseCalculoIPI: null,         // Decimal (0-1)
+                percAproveitamentoIPI: null   // Decimal (0-1)
             }
         },
         parametrosSimulacao: {
@@ -52,18 +87,30 @@ window.DataManager = (function() {
             taxaCrescimento: 0.05,    // Decimal (0-1)
             dataInicial: '2026-01-01',// ISO 8601
             dataFinal: '2033-12-31',  // ISO 8601
-            splitPayment: true        // Booleano
+            splitPayment: true,       // Booleano
+            granularidadeFluxo: 'mensal', // 'mensal', 'diaria'
+            perfilLegislacao: 'lc214-2025', // Id do perfil de legislação (LegislacaoRepository)
+            legislacao: null          // Cópia do perfil usada nos cálculos (preenchida pelo formulário)
         },
         parametrosFinanceiros: {
             taxaCapitalGiro: 0.021,   // Decimal (0-1)
             taxaAntecipacao: 0.018,   // Decimal (0-1)
-            spreadBancario: 0.005     // Decimal (0-1)
+            spreadBancario: 0.005,    // Decimal (0-1)
+            tipoCompensacao: 'automatica', // 'automatica', 'mensal', 'trimestral'
+            ressarcimentoCreditos: {  // Créditos de CBS/IBS acumulados e pedidos de ressarcimento
+                ativo: false,             // Booleano
+                creditosMensais: null,    // Valor monetário (R$) à alíquota plena; null = créditos de CBS/IBS informados
+                prazoRessarcimento: 60,   // Dias de análise do pedido
+                percentualRessarcimento: 1 // Decimal (0-1) - parcela do saldo credor pedida em ressarcimento
+            }
         },
         ivaConfig: {
             cbs: 0.088,               // Decimal (0-1)
             ibs: 0.177,               // Decimal (0-1)
             categoriaIva: 'standard', // 'standard', 'reduced', 'exempt'
-            reducaoEspecial: 0        // Decimal (0-1)
+            reducaoEspecial: 0,       // Decimal (0-1)
+            aliquotaIS: 0,            // Decimal (0-1) - Imposto Seletivo, a partir de 2027
+            destinos: []              // Vendas por destino do IBS: [{ uf, codigoMunicipio, municipio, participacao (0-1), aliquotaEstadual, aliquotaMunicipal }]
         },
         estrategias: {
             ajustePrecos: {
@@ -135,6 +182,25 @@ window.DataManager = (function() {
         return JSON.parse(JSON.stringify(estruturaPadrao));
     }
 
+    /**
+     * Obtém o cronograma de adoção do split payment do perfil de legislação da simulação
+     * @param {Object} parametrosSimulacao - Parâmetros com perfilLegislacao e/ou a cópia legislacao
+     * @returns {Object} Cronograma { ano: decimal }
+     */
+    function obterCronogramaLegislacao(parametrosSimulacao) {
+        const perfil = parametrosSimulacao?.legislacao ||
+            (typeof LegislacaoRepository !== 'undefined' ? LegislacaoRepository.obterPerfil(parametrosSimulacao?.perfilLegislacao) : null);
+        if (!perfil || !perfil.anos) {
+            return {...estruturaPadrao.cronogramaImplementacao};
+        }
+
+        const cronograma = {};
+        Object.keys(perfil.anos).forEach(ano => {
+            cronograma[ano] = perfil.anos[ano].splitPayment;
+        });
+        return cronograma;
+    }
+
     /**
      * Converte a estrutura aninhada para estrutura plana para cálculos
      * @param {Object} dadosAninhados - Dados na estrutura aninhada
@@ -189,6 +255,8 @@ window.DataManager = (function() {
             plano.tipoEmpresa = dadosAninhados.empresa.tipoEmpresa || '';
             plano.regime = dadosAninhados.empresa.regime || '';
             plano.nomeEmpresa = dadosAninhados.empresa.nome || '';
+            plano.historicoMensal = dadosAninhados.empresa.historicoMensal || [];
+            plano.dre = dadosAninhados.empresa.dre ? JSON.parse(JSON.stringify(dadosAninhados.empresa.dre)) : null;
         }
 
         // Ciclo Financeiro
@@ -198,6 +266,10 @@ window.DataManager = (function() {
             plano.pme = dadosAninhados.cicloFinanceiro.pme || 30;
             plano.percVista = dadosAninhados.cicloFinanceiro.percVista || 0.3;
             plano.percPrazo = dadosAninhados.cicloFinanceiro.percPrazo || 0.7;
+            plano.conformidadeFornecedores = typeof dadosAninhados.cicloFinanceiro.conformidadeFornecedores === 'number' ?
+                                             dadosAninhados.cicloFinanceiro.conformidadeFornecedores : 1;
+            plano.meiosPagamento = Array.isArray(dadosAninhados.cicloFinanceiro.meiosPagamento) ?
+                                   JSON.parse(JSON.stringify(dadosAninhados.cicloFinanceiro.meiosPagamento)) : [];
         }
 
         // Parâmetros Fiscais
@@ -205,6 +277,11 @@ window.DataManager = (function() {
             plano.aliquota = dadosAninhados.parametrosFiscais.aliquota || 0.265;
             plano.tipoOperacao = dadosAninhados.parametrosFiscais.tipoOperacao || '';
             plano.regimePisCofins = dadosAninhados.parametrosFiscais.regimePisCofins || '';
+            plano.simplesNacional = dadosAninhados.parametrosFiscais.simplesNacional ?
+                                    { ...dadosAninhados.parametrosFiscais.simplesNacional } : null;
+            plano.icmsST = dadosAninhados.parametrosFiscais.icmsST ?
+                           { ...dadosAninhados.parametrosFiscais.icmsST } : null;
+            plano.saldoCredorICMS = dadosAninhados.parametrosFiscais.saldoCredorICMS || 0;
 
             // No método converterParaEstruturaPlana, na seção que trata os parâmetros fiscais
             // MODIFICAÇÃO: Processar tanto créditos quanto débitos
@@ -324,6 +401,8 @@ window.DataManager = (function() {
             plano.dataInicial = dadosAninhados.parametrosSimulacao.dataInicial || '2026-01-01';
             plano.dataFinal = dadosAninhados.parametrosSimulacao.dataFinal || '2033-12-31';
             plano.splitPayment = dadosAninhados.parametrosSimulacao.splitPayment !== false; // Default true
+            plano.granularidadeFluxo = dadosAninhados.parametrosSimulacao.granularidadeFluxo || 'mensal';
+            plano.perfilLegislacao = dadosAninhados.parametrosSimulacao.perfilLegislacao || 'lc214-2025';
         }
 
         // Parâmetros Financeiros
@@ -331,6 +410,9 @@ window.DataManager = (function() {
             plano.taxaCapitalGiro = dadosAninhados.parametrosFinanceiros.taxaCapitalGiro || 0.021;
             plano.taxaAntecipacao = dadosAninhados.parametrosFinanceiros.taxaAntecipacao || 0.018;
             plano.spreadBancario = dadosAninhados.parametrosFinanceiros.spreadBancario || 0.005;
+            plano.compensacao = dadosAninhados.parametrosFinanceiros.tipoCompensacao || 'automatica';
+            plano.ressarcimentoCreditos = dadosAninhados.parametrosFinanceiros.ressarcimentoCreditos ?
+                                          { ...dadosAninhados.parametrosFinanceiros.ressarcimentoCreditos } : null;
         }
 
         // IVA Config
@@ -345,6 +427,9 @@ window.DataManager = (function() {
 
             plano.categoriaIVA = dadosAninhados.ivaConfig.categoriaIva || 'standard';
             plano.reducaoEspecial = dadosAninhados.ivaConfig.reducaoEspecial || 0;
+            plano.aliquotaIS = dadosAninhados.ivaConfig.aliquotaIS || 0;
+            plano.destinosIBS = Array.isArray(dadosAninhados.ivaConfig.destinos) ?
+                                JSON.parse(JSON.stringify(dadosAninhados.ivaConfig.destinos)) : [];
         }
 
         // Estratégias (apenas se necessário para algum módulo específico)
@@ -407,7 +492,9 @@ window.DataManager = (function() {
             margem: dadosPlanos.margem !== undefined ? dadosPlanos.margem : 0,
             setor: dadosPlanos.setor || '',
             tipoEmpresa: dadosPlanos.tipoEmpresa || '',
-            regime: dadosPlanos.regime || ''
+            regime: dadosPlanos.regime || '',
+            historicoMensal: dadosPlanos.historicoMensal || [],
+            dre: dadosPlanos.dre ? JSON.parse(JSON.stringify(dadosPlanos.dre)) : null
         };
 
         // Ciclo Financeiro
@@ -416,7 +503,9 @@ window.DataManager = (function() {
             pmp: dadosPlanos.pmp !== undefined ? dadosPlanos.pmp : 30,
             pme: dadosPlanos.pme !== undefined ? dadosPlanos.pme : 30,
             percVista: dadosPlanos.percVista !== undefined ? dadosPlanos.percVista : 0.3,
-            percPrazo: dadosPlanos.percPrazo !== undefined ? dadosPlanos.percPrazo : 0.7
+            percPrazo: dadosPlanos.percPrazo !== undefined ? dadosPlanos.percPrazo : 0.7,
+            conformidadeFornecedores: dadosPlanos.conformidadeFornecedores !== undefined ? dadosPlanos.conformidadeFornecedores : 1,
+            meiosPagamento: Array.isArray(dadosPlanos.meiosPagamento) ? JSON.parse(JSON.stringify(dadosPlanos.meiosPagamento)) : []
         };
 
         // Parâmetros Fiscais com validação de créditos
@@ -551,6 +640,17 @@ window.DataManager = (function() {
             console.warn(`Regime tributário inválido: "${resultado.empresa.regime}". Utilizando valor padrão vazio.`);
             resultado.empresa.regime = '';
         }
+
+        // DRE da ECF: valores numéricos ou null (linha ausente na demonstração)
+        if (resultado.empresa.dre && typeof resultado.empresa.dre === 'object') {
+            ['receitaBruta', 'receitaLiquida', 'lucroOperacional', 'resultadoAntesTributos', 'irpjCsll', 'lucroLiquido'].forEach(campo => {
+                const valor = parseFloat(resultado.empresa.dre[campo]);
+                resultado.empresa.dre[campo] = isNaN(valor) ? null : valor;
+            });
+            resultado.empresa.dre.tributacao = resultado.empresa.dre.tributacao || {};
+        } else {
+            resultado.empresa.dre = null;
+        }
         
         // Validação Ciclo Financeiro
         if (!resultado.cicloFinanceiro) resultado.cicloFinanceiro = {...estruturaPadrao.cicloFinanceiro};
@@ -569,6 +669,30 @@ window.DataManager = (function() {
             resultado.cicloFinanceiro.percPrazo = resultado.cicloFinanceiro.percPrazo / 100;
         }
         
+        let conformidade = parseFloat(resultado.cicloFinanceiro.conformidadeFornecedores);
+        if (isNaN(conformidade)) conformidade = estruturaPadrao.cicloFinanceiro.conformidadeFornecedores;
+        if (conformidade > 1) conformidade = conformidade / 100;
+        resultado.cicloFinanceiro.conformidadeFornecedores = Math.max(0, Math.min(1, conformidade));
+
+        // Meios de pagamento: participação e taxa em decimal, prazos em dias, sem meios vazios
+        resultado.cicloFinanceiro.meiosPagamento = (Array.isArray(resultado.cicloFinanceiro.meiosPagamento) ?
+            resultado.cicloFinanceiro.meiosPagamento : [])
+            .map(item => {
+                let participacao = parseFloat(item.participacao) || 0;
+                if (participacao > 1) participacao = participacao / 100;
+                let taxa = parseFloat(item.taxa) || 0;
+                if (taxa > 1) taxa = taxa / 100;
+                return {
+                    meio: String(item.meio || ''),
+                    participacao: Math.max(0, Math.min(1, participacao)),
+                    parcelas: Math.max(1, parseInt(item.parcelas, 10) || 1),
+                    prazoLiquidacao: Math.max(0, parseInt(item.prazoLiquidacao, 10) || 0),
+                    intervaloParcelas: Math.max(1, parseInt(item.intervaloParcelas, 10) || 30),
+                    taxa: Math.max(0, Math.min(1, taxa))
+                };
+            })
+            .filter(item => item.meio && item.participacao > 0);
+
         // Garantir percentuais entre 0 e 1
         resultado.cicloFinanceiro.percVista = Math.max(0, Math.min(1, resultado.cicloFinanceiro.percVista));
         resultado.cicloFinanceiro.percPrazo = Math.max(0, Math.min(1, resultado.cicloFinanceiro.percPrazo));
@@ -631,6 +755,65 @@ window.DataManager = (function() {
                 resultado.parametrosFiscais.creditos[key] = Math.max(0, resultado.parametrosFiscais.creditos[key]);
             });
         }
+
+        // Validar opção do Simples Nacional para CBS/IBS
+        const simplesNacional = {
+            ...estruturaPadrao.parametrosFiscais.simplesNacional,
+            ...(resultado.parametrosFiscais.simplesNacional || {})
+        };
+        if (!['integral', 'hibrido'].includes(simplesNacional.opcaoIVA)) {
+            console.warn(`Opção do Simples Nacional inválida: "${simplesNacional.opcaoIVA}". Utilizando valor padrão "integral".`);
+            simplesNacional.opcaoIVA = 'integral';
+        }
+        ['percentualB2B', 'percentualCompras', 'repasseCredito'].forEach(campo => {
+            if (simplesNacional[campo] === null) return;
+            let valor = parseFloat(simplesNacional[campo]);
+            if (isNaN(valor)) {
+                valor = estruturaPadrao.parametrosFiscais.simplesNacional[campo];
+            } else if (valor > 1) {
+                valor = valor / 100;
+            }
+            simplesNacional[campo] = valor === null ? null : Math.max(0, Math.min(1, valor));
+        });
+        resultado.parametrosFiscais.simplesNacional = simplesNacional;
+
+        // Validar substituição tributária do ICMS
+        const icmsST = {
+            ...estruturaPadrao.parametrosFiscais.icmsST,
+            ...(resultado.parametrosFiscais.icmsST || {})
+        };
+        icmsST.ativo = !!icmsST.ativo;
+        if (!['substituido', 'substituto'].includes(icmsST.condicao)) {
+            console.warn(`Condição de ICMS-ST inválida: "${icmsST.condicao}". Utilizando valor padrão "substituido".`);
+            icmsST.condicao = 'substituido';
+        }
+        ['mva', 'aliquotaInterna', 'aliquotaInterestadual', 'percentualVendasST', 'percentualRessarcimento'].forEach(campo => {
+            if (icmsST[campo] === null) return;
+            let valor = parseFloat(icmsST[campo]);
+            if (isNaN(valor)) {
+                valor = estruturaPadrao.parametrosFiscais.icmsST[campo];
+            } else if (valor > 1 && campo !== 'mva') {
+                valor = valor / 100;
+            }
+            icmsST[campo] = valor === null ? null : Math.max(0, campo === 'mva' ? valor : Math.min(1, valor));
+        });
+        resultado.parametrosFiscais.icmsST = icmsST;
+        resultado.parametrosFiscais.saldoCredorICMS = Math.max(0, parseFloat(resultado.parametrosFiscais.saldoCredorICMS) || 0);
+
+        // Campos de origem dos créditos: decimais não-negativos ou null (não informado)
+        const parametrosCreditos = {
+            ...estruturaPadrao.parametrosFiscais.parametrosCreditos,
+            ...(resultado.parametrosFiscais.parametrosCreditos || {})
+        };
+        Object.keys(parametrosCreditos).forEach(campo => {
+            if (campo === 'possuiIncentivoICMS') {
+                parametrosCreditos[campo] = !!parametrosCreditos[campo];
+            } else if (parametrosCreditos[campo] !== null) {
+                const valor = parseFloat(parametrosCreditos[campo]);
+                parametrosCreditos[campo] = isNaN(valor) ? null : Math.max(0, valor);
+            }
+        });
+        resultado.parametrosFiscais.parametrosCreditos = parametrosCreditos;
         
         // Validação Parâmetros Simulação
         if (!resultado.parametrosSimulacao) resultado.parametrosSimulacao = {...estruturaPadrao.parametrosSimulacao};
@@ -669,6 +852,11 @@ window.DataManager = (function() {
             [resultado.parametrosSimulacao.dataFinal, resultado.parametrosSimulacao.dataInicial];
         }
         
+        // Validar perfil de legislação
+        if (typeof resultado.parametrosSimulacao.perfilLegislacao !== 'string' || !resultado.parametrosSimulacao.perfilLegislacao) {
+            resultado.parametrosSimulacao.perfilLegislacao = estruturaPadrao.parametrosSimulacao.perfilLegislacao;
+        }
+        
         // Validação Parâmetros Financeiros
         if (!resultado.parametrosFinanceiros) resultado.parametrosFinanceiros = {...estruturaPadrao.parametrosFinanceiros};
         
@@ -689,6 +877,26 @@ window.DataManager = (function() {
         resultado.parametrosFinanceiros.taxaCapitalGiro = Math.max(0, resultado.parametrosFinanceiros.taxaCapitalGiro);
         resultado.parametrosFinanceiros.taxaAntecipacao = Math.max(0, resultado.parametrosFinanceiros.taxaAntecipacao);
         resultado.parametrosFinanceiros.spreadBancario = Math.max(0, resultado.parametrosFinanceiros.spreadBancario);
+
+        if (!['automatica', 'mensal', 'trimestral'].includes(resultado.parametrosFinanceiros.tipoCompensacao)) {
+            resultado.parametrosFinanceiros.tipoCompensacao = 'automatica';
+        }
+
+        // Ressarcimento de créditos: prazo em dias, percentual em decimal, créditos opcionais
+        const ressarcimento = {
+            ...estruturaPadrao.parametrosFinanceiros.ressarcimentoCreditos,
+            ...(resultado.parametrosFinanceiros.ressarcimentoCreditos || {})
+        };
+        ressarcimento.ativo = !!ressarcimento.ativo;
+        ressarcimento.creditosMensais = ressarcimento.creditosMensais === null || ressarcimento.creditosMensais === '' ?
+            null : Math.max(0, parseFloat(ressarcimento.creditosMensais) || 0);
+        ressarcimento.prazoRessarcimento = Math.max(0, parseInt(ressarcimento.prazoRessarcimento, 10) ||
+            estruturaPadrao.parametrosFinanceiros.ressarcimentoCreditos.prazoRessarcimento);
+        let percentualRessarcimento = parseFloat(ressarcimento.percentualRessarcimento);
+        if (isNaN(percentualRessarcimento)) percentualRessarcimento = 1;
+        if (percentualRessarcimento > 1) percentualRessarcimento = percentualRessarcimento / 100;
+        ressarcimento.percentualRessarcimento = Math.max(0, Math.min(1, percentualRessarcimento));
+        resultado.parametrosFinanceiros.ressarcimentoCreditos = ressarcimento;
         
         // Validação IVA Config
         if (!resultado.ivaConfig) resultado.ivaConfig = {...estruturaPadrao.ivaConfig};
@@ -705,11 +913,26 @@ window.DataManager = (function() {
         if (resultado.ivaConfig.reducaoEspecial > 1) {
             resultado.ivaConfig.reducaoEspecial = resultado.ivaConfig.reducaoEspecial / 100;
         }
+
+        resultado.ivaConfig.aliquotaIS = parseFloat(resultado.ivaConfig.aliquotaIS) || 0;
+        if (resultado.ivaConfig.aliquotaIS > 1) {
+            resultado.ivaConfig.aliquotaIS = resultado.ivaConfig.aliquotaIS / 100;
+        }
         
         // Garantir alíquotas entre 0 e 1
         resultado.ivaConfig.cbs = Math.max(0, Math.min(1, resultado.ivaConfig.cbs));
         resultado.ivaConfig.ibs = Math.max(0, Math.min(1, resultado.ivaConfig.ibs));
         resultado.ivaConfig.reducaoEspecial = Math.max(0, Math.min(1, resultado.ivaConfig.reducaoEspecial));
+        resultado.ivaConfig.aliquotaIS = Math.max(0, Math.min(1, resultado.ivaConfig.aliquotaIS));
+
+        // Vendas por destino do IBS: participação em decimal, sem destinos vazios
+        resultado.ivaConfig.destinos = (Array.isArray(resultado.ivaConfig.destinos) ? resultado.ivaConfig.destinos : [])
+            .map(destino => {
+                let participacao = parseFloat(destino.participacao) || 0;
+                if (participacao > 1) participacao = participacao / 100;
+                return { ...destino, uf: String(destino.uf || '').toUpperCase(), participacao: Math.max(0, Math.min(1, participacao)) };
+            })
+            .filter(destino => destino.uf && destino.participacao > 0);
         
         // Validar categoria IVA
         const categoriasIvaValidas = ['standard', 'reduced', 'exempt'];
@@ -718,14 +941,16 @@ window.DataManager = (function() {
             resultado.ivaConfig.categoriaIva = 'standard';
         }
         
-        // Validação do Cronograma
+        // Validação do Cronograma (padrão: adoção do split payment no perfil de legislação)
+        const cronogramaLegislacao = obterCronogramaLegislacao(resultado.parametrosSimulacao);
+        const anosCronograma = Object.keys(cronogramaLegislacao).map(Number).sort((a, b) => a - b);
         if (!resultado.cronogramaImplementacao) {
-            resultado.cronogramaImplementacao = {...estruturaPadrao.cronogramaImplementacao};
+            resultado.cronogramaImplementacao = {...cronogramaLegislacao};
         } else {
-            // Garantir que todos os anos de 2026 a 2033 estão presentes
-            for (let ano = 2026; ano <= 2033; ano++) {
+            // Garantir que todos os anos do perfil estão presentes
+            for (const ano of anosCronograma) {
                 if (resultado.cronogramaImplementacao[ano] === undefined) {
-                    resultado.cronogramaImplementacao[ano] = estruturaPadrao.cronogramaImplementacao[ano];
+                    resultado.cronogramaImplementacao[ano] = cronogramaLegislacao[ano];
                 } else {
                     // Converter para decimal se necessário
                     if (resultado.cronogramaImplementacao[ano] > 1) {
@@ -741,7 +966,7 @@ window.DataManager = (function() {
             let valorAnterior = 0;
             let progressaoCrescente = true;
             
-            for (let ano = 2026; ano <= 2033; ano++) {
+            for (const ano of anosCronograma) {
                 if (resultado.cronogramaImplementacao[ano] < valorAnterior) {
                     progressaoCrescente = false;
                     break;
@@ -751,7 +976,7 @@ window.DataManager = (function() {
             
             if (!progressaoCrescente) {
                 console.warn('Cronograma não tem progressão crescente. Ajustando...');
-                resultado.cronogramaImplementacao = {...estruturaPadrao.cronogramaImplementacao};
+                resultado.cronogramaImplementacao = {...cronogramaLegislacao};
             }
         }
         
@@ -807,24 +1032,54 @@ window.DataManager = (function() {
             dados.empresa.tipoEmpresa = document.getElementById('tipo-empresa')?.value || '';
             dados.empresa.regime = document.getElementById('regime')?.value || '';
             
+            // Série mensal da última importação SPED em lote (base da sazonalidade)
+            dados.empresa.historicoMensal = window.dadosImportadosSped?.empresa?.historicoMensal || [];
+
+            // DRE importada da ECF, serializada no campo oculto
+            try {
+                dados.empresa.dre = JSON.parse(document.getElementById('dre-ecf')?.value || 'null');
+            } catch (erro) {
+                console.warn('DRE da ECF inválida no formulário:', erro.message);
+                dados.empresa.dre = null;
+            }
+            
             // Ciclo Financeiro
             dados.cicloFinanceiro.pmr = parseInt(document.getElementById('pmr')?.value || '30');
             dados.cicloFinanceiro.pmp = parseInt(document.getElementById('pmp')?.value || '30');
             dados.cicloFinanceiro.pme = parseInt(document.getElementById('pme')?.value || '30');
             dados.cicloFinanceiro.percVista = parseFloat(document.getElementById('perc-vista')?.value || '30') / 100;
             dados.cicloFinanceiro.percPrazo = 1 - dados.cicloFinanceiro.percVista;
+            dados.cicloFinanceiro.conformidadeFornecedores = parseFloat(document.getElementById('conformidade-fornecedores')?.value ?? '100') / 100;
+            try {
+                dados.cicloFinanceiro.meiosPagamento = JSON.parse(document.getElementById('meios-pagamento')?.value || '[]');
+            } catch (erro) {
+                console.warn('Vendas por meio de pagamento inválidas, usando à vista/a prazo:', erro.message);
+                dados.cicloFinanceiro.meiosPagamento = [];
+            }
             
             // Parâmetros Fiscais - depende do regime selecionado
             const regime = dados.empresa.regime;
             
             if (regime === 'simples') {
                 dados.parametrosFiscais.aliquota = parseFloat(document.getElementById('aliquota-simples')?.value || '0') / 100;
+
+                // Opção pelo regime regular de CBS/IBS (híbrido) e premissas da comparação
+                const campoB2B = document.getElementById('simples-percentual-b2b')?.value;
+                dados.parametrosFiscais.simplesNacional = {
+                    opcaoIVA: document.getElementById('simples-opcao-iva')?.value || 'integral',
+                    percentualB2B: campoB2B !== undefined && campoB2B !== '' ? parseFloat(campoB2B) / 100 : null,
+                    percentualCompras: parseFloat(document.getElementById('simples-percentual-compras')?.value || '40') / 100,
+                    repasseCredito: parseFloat(document.getElementById('simples-repasse-credito')?.value || '100') / 100
+                };
             } else {
                 // Alíquota é calculada com base no IVA Dual
                 dados.parametrosFiscais.aliquota = parseFloat(document.getElementById('aliquota')?.value || '0') / 100;
                 
                 // PIS/COFINS
                 dados.parametrosFiscais.regimePisCofins = document.getElementById('pis-cofins-regime')?.value || '';
+
+                // Campos de origem dos créditos, para restaurar o formulário (cenários e carteira)
+                dados.parametrosFiscais.parametrosCreditos = lerParametrosCreditos();
                 
                 // Créditos
                 if (dados.parametrosFiscais.regimePisCofins === 'nao-cumulativo') {
@@ -850,6 +1105,20 @@ window.DataManager = (function() {
                     }
                     
                     dados.parametrosFiscais.creditos.icms = dados.empresa.faturamento * baseCalcICMS * aliquotaICMS * percCreditoICMS;
+
+                    // Saldo credor acumulado e substituição tributária
+                    dados.parametrosFiscais.saldoCredorICMS = extrairValorNumerico('saldo-credor-icms');
+                    const campoMVA = document.getElementById('icms-st-mva')?.value;
+                    dados.parametrosFiscais.icmsST = {
+                        ativo: document.getElementById('possui-icms-st')?.checked === true,
+                        condicao: document.getElementById('icms-st-condicao')?.value || 'substituido',
+                        segmentoMVA: document.getElementById('icms-st-segmento')?.value || '',
+                        mva: campoMVA !== undefined && campoMVA !== '' ? parseFloat(campoMVA) / 100 : null,
+                        aliquotaInterna: parseFloat(document.getElementById('icms-st-aliquota-interna')?.value || '18') / 100,
+                        aliquotaInterestadual: parseFloat(document.getElementById('icms-st-aliquota-operacao')?.value || '18') / 100,
+                        percentualVendasST: parseFloat(document.getElementById('icms-st-percentual-vendas')?.value || '0') / 100,
+                        percentualRessarcimento: parseFloat(document.getElementById('icms-st-ressarcimento')?.value || '0') / 100
+                    };
                     
                     // IPI (apenas para indústria)
                     if (dados.empresa.tipoEmpresa === 'industria') {
@@ -886,12 +1155,32 @@ window.DataManager = (function() {
             
             // Split Payment
             dados.parametrosSimulacao.splitPayment = document.getElementById('considerar-split')?.checked !== false;
+            dados.parametrosSimulacao.granularidadeFluxo = document.getElementById('granularidade-fluxo')?.value || 'mensal';
+            
+            // Perfil de legislação: a cópia acompanha os dados até o Web Worker
+            dados.parametrosSimulacao.perfilLegislacao = document.getElementById('perfil-legislacao')?.value || 'lc214-2025';
+            if (typeof LegislacaoRepository !== 'undefined') {
+                dados.parametrosSimulacao.legislacao = LegislacaoRepository.obterPerfil(dados.parametrosSimulacao.perfilLegislacao);
+                dados.cronogramaImplementacao = obterCronogramaLegislacao(dados.parametrosSimulacao);
+            }
             
             // IVA Config
             dados.ivaConfig.cbs = parseFloat(document.getElementById('aliquota-cbs')?.value || '0') / 100;
             dados.ivaConfig.ibs = parseFloat(document.getElementById('aliquota-ibs')?.value || '0') / 100;
             dados.ivaConfig.categoriaIva = document.getElementById('categoria-iva')?.value || 'standard';
             dados.ivaConfig.reducaoEspecial = parseFloat(document.getElementById('reducao')?.value || '0') / 100;
+            dados.ivaConfig.aliquotaIS = parseFloat(document.getElementById('aliquota-is')?.value || '0') / 100;
+
+            // Vendas por destino do IBS: as alíquotas seguem com os dados até o Web Worker
+            try {
+                const destinos = JSON.parse(document.getElementById('destinos-ibs')?.value || '[]');
+                dados.ivaConfig.destinos = typeof AliquotasIBSRepository !== 'undefined' ?
+                    AliquotasIBSRepository.resolverDestinos(destinos) :
+                    destinos;
+            } catch (erro) {
+                console.warn('Vendas por destino do IBS inválidas, usando alíquota única:', erro.message);
+                dados.ivaConfig.destinos = [];
+            }
 
             // Estratégias de Mitigação
             // Assegurar que dados.estrategias existe e é um clone profundo para evitar alterar estruturaPadrao diretamente.
@@ -980,6 +1269,14 @@ window.DataManager = (function() {
             
             // Cumpensação
             dados.parametrosFinanceiros.tipoCompensacao = document.getElementById('compensacao')?.value || 'automatica';
+            const creditosRessarcimento = document.getElementById('ressarcimento-creditos-mensais')?.value;
+            dados.parametrosFinanceiros.ressarcimentoCreditos = {
+                ativo: document.getElementById('possui-ressarcimento-creditos')?.checked || false,
+                creditosMensais: creditosRessarcimento ? extrairValorNumerico('ressarcimento-creditos-mensais') : null,
+                prazoRessarcimento: parseInt(document.getElementById('ressarcimento-prazo')?.value, 10) ||
+                    estruturaPadrao.parametrosFinanceiros.ressarcimentoCreditos.prazoRessarcimento,
+                percentualRessarcimento: parseFloat(document.getElementById('ressarcimento-percentual')?.value ?? 100) / 100
+            };
             
         } catch (erro) {
             console.error('Erro ao obter dados do formulário:', erro);
@@ -1022,12 +1319,19 @@ window.DataManager = (function() {
                     } else {
                         elFaturamento.value = dadosValidados.empresa.faturamento.toFixed(2);
                     }
+                    elFaturamento.dataset.rawValue = String(dadosValidados.empresa.faturamento);
                 }
                 
                 const elMargem = document.getElementById('margem');
                 if (elMargem) {
                     elMargem.value = (dadosValidados.empresa.margem * 100).toFixed(2);
                 }
+
+                const elDre = document.getElementById('dre-ecf');
+                if (elDre) {
+                    elDre.value = JSON.stringify(dadosValidados.empresa.dre || null);
+                    elDre.dispatchEvent(new Event('change'));
+                }
                 
                 const elSetor = document.getElementById('setor');
                 if (elSetor) {
@@ -1078,6 +1382,17 @@ window.DataManager = (function() {
                     const event = new Event('input');
                     elPercVista.dispatchEvent(event);
                 }
+
+                const elConformidade = document.getElementById('conformidade-fornecedores');
+                if (elConformidade) {
+                    elConformidade.value = (dadosValidados.cicloFinanceiro.conformidadeFornecedores * 100).toFixed(1);
+                }
+
+                const elMeiosPagamento = document.getElementById('meios-pagamento');
+                if (elMeiosPagamento) {
+                    elMeiosPagamento.value = JSON.stringify(dadosValidados.cicloFinanceiro.meiosPagamento || []);
+                    elMeiosPagamento.dispatchEvent(new Event('change'));
+                }
             }
             
             // Parâmetros de Simulação
@@ -1114,9 +1429,147 @@ window.DataManager = (function() {
                 if (elConsiderarSplit) {
                     elConsiderarSplit.checked = dadosValidados.parametrosSimulacao.splitPayment;
                 }
+                
+                const elPerfilLegislacao = document.getElementById('perfil-legislacao');
+                if (elPerfilLegislacao && dadosValidados.parametrosSimulacao.perfilLegislacao) {
+                    elPerfilLegislacao.value = dadosValidados.parametrosSimulacao.perfilLegislacao;
+                }
             }
             
-            // Adicionar mais campos conforme necessário...
+            // Parâmetros Fiscais (após o regime, cujo evento alterna os campos exibidos)
+            if (dadosValidados.parametrosFiscais) {
+                const fiscais = dadosValidados.parametrosFiscais;
+
+                if (dadosValidados.empresa?.regime === 'simples') {
+                    const simples = fiscais.simplesNacional;
+                    preencherCampo('aliquota-simples', paraPercentual(fiscais.aliquota));
+                    preencherCampo('simples-opcao-iva', simples.opcaoIVA, 'change');
+                    preencherCampo('simples-percentual-b2b', simples.percentualB2B === null ? '' : paraPercentual(simples.percentualB2B));
+                    preencherCampo('simples-percentual-compras', paraPercentual(simples.percentualCompras));
+                    preencherCampo('simples-repasse-credito', paraPercentual(simples.repasseCredito));
+                } else {
+                    preencherCampo('aliquota', paraPercentual(fiscais.aliquota));
+
+                    // O regime PIS/COFINS redefine as alíquotas padrão: preencher antes dos campos de crédito
+                    if (fiscais.regimePisCofins) {
+                        preencherCampo('pis-cofins-regime', fiscais.regimePisCofins, 'change');
+                    }
+
+                    const creditos = fiscais.parametrosCreditos;
+                    preencherCampo('pis-aliquota', paraPercentual(creditos.aliquotaPIS));
+                    preencherCampo('cofins-aliquota', paraPercentual(creditos.aliquotaCOFINS));
+                    preencherCampo('pis-cofins-base-calc', paraPercentual(creditos.baseCalculoPisCofins));
+                    preencherCampo('pis-cofins-perc-credito', paraPercentual(creditos.percAproveitamentoPisCofins));
+                    preencherCampo('aliquota-icms', paraPercentual(creditos.aliquotaICMS));
+                    preencherCampo('icms-base-calc', paraPercentual(creditos.baseCalculoICMS));
+                    preencherCampo('icms-perc-credito', paraPercentual(creditos.percAproveitamentoICMS));
+                    preencherCampo('incentivo-icms', paraPercentual(creditos.percentualIncentivoICMS));
+                    preencherCampo('aliquota-ipi', paraPercentual(creditos.aliquotaIPI));
+                    preencherCampo('ipi-base-calc', paraPercentual(creditos.baseCalculoIPI));
+                    preencherCampo('ipi-perc-credito', paraPercentual(creditos.percAproveitamentoIPI));
+
+                    // Saldo credor e substituição tributária do ICMS
+                    const icmsST = fiscais.icmsST;
+                    preencherCampoMonetario('saldo-credor-icms', fiscais.saldoCredorICMS || null);
+                    preencherCampo('icms-st-condicao', icmsST.condicao);
+                    preencherCampo('icms-st-segmento', icmsST.segmentoMVA);
+                    preencherCampo('icms-st-mva', icmsST.mva === null ? '' : paraPercentual(icmsST.mva));
+                    preencherCampo('icms-st-aliquota-interna', paraPercentual(icmsST.aliquotaInterna));
+                    preencherCampo('icms-st-aliquota-operacao', paraPercentual(icmsST.aliquotaInterestadual));
+                    preencherCampo('icms-st-percentual-vendas', paraPercentual(icmsST.percentualVendasST));
+                    preencherCampo('icms-st-ressarcimento', paraPercentual(icmsST.percentualRessarcimento));
+
+                    // Os eventos dos checkboxes exibem os campos e recalculam os créditos
+                    preencherCampo('possui-incentivo-icms', creditos.possuiIncentivoICMS, 'change');
+                    preencherCampo('possui-icms-st', icmsST.ativo, 'change');
+                }
+
+                preencherCampo('tipo-operacao', fiscais.tipoOperacao, 'change');
+            }
+
+            // Granularidade do razão de fluxo de caixa
+            if (dadosValidados.parametrosSimulacao) {
+                preencherCampo('granularidade-fluxo', dadosValidados.parametrosSimulacao.granularidadeFluxo);
+            }
+
+            // IVA Config
+            if (dadosValidados.ivaConfig) {
+                const ivaConfig = dadosValidados.ivaConfig;
+                preencherCampo('aliquota-cbs', paraPercentual(ivaConfig.cbs));
+                preencherCampo('aliquota-ibs', paraPercentual(ivaConfig.ibs));
+                preencherCampo('categoria-iva', ivaConfig.categoriaIva);
+                preencherCampo('reducao', paraPercentual(ivaConfig.reducaoEspecial));
+                preencherCampo('aliquota-is', paraPercentual(ivaConfig.aliquotaIS));
+
+                // Composição por destino: as alíquotas são resolvidas novamente na leitura do formulário
+                preencherCampo('destinos-ibs', JSON.stringify(ivaConfig.destinos.map(destino => ({
+                    uf: destino.uf,
+                    codigoMunicipio: destino.codigoMunicipio,
+                    municipio: destino.municipio,
+                    participacao: destino.participacao
+                }))), 'change');
+            }
+
+            // Estratégias de Mitigação (mesmos campos lidos por obterDadosDoFormulario)
+            if (dadosValidados.estrategias) {
+                const estrategias = dadosValidados.estrategias;
+                const ativar = estrategia => estrategia.ativar ? '1' : '0';
+
+                const ajustePrecos = estrategias.ajustePrecos;
+                preencherCampo('ap-percentual', ajustePrecos.percentualAumento);
+                preencherCampo('ap-elasticidade', ajustePrecos.elasticidade);
+                preencherCampo('ap-impacto-vendas', ajustePrecos.impactoVendas);
+                preencherCampo('ap-periodo', ajustePrecos.periodo);
+                preencherCampo('ap-ativar', ativar(ajustePrecos), 'change');
+
+                const renegociacaoPrazos = estrategias.renegociacaoPrazos;
+                preencherCampo('rp-aumento-prazo', renegociacaoPrazos.aumentoPrazo);
+                preencherCampo('rp-percentual-fornecedores', renegociacaoPrazos.percentualFornecedores);
+                preencherCampo('rp-contrapartidas', renegociacaoPrazos.contrapartidas);
+                preencherCampo('rp-custo-contrapartida', paraPercentual(renegociacaoPrazos.custoContrapartida));
+                preencherCampo('rp-ativar', ativar(renegociacaoPrazos), 'change');
+
+                const antecipacaoRecebiveis = estrategias.antecipacaoRecebiveis;
+                preencherCampo('ar-percentual-antecipacao', antecipacaoRecebiveis.percentualAntecipacao);
+                preencherCampo('ar-taxa-desconto', antecipacaoRecebiveis.taxaDesconto);
+                preencherCampo('ar-prazo-antecipacao', antecipacaoRecebiveis.prazoAntecipacao);
+                preencherCampo('ar-ativar', ativar(antecipacaoRecebiveis), 'change');
+
+                const capitalGiro = estrategias.capitalGiro;
+                preencherCampo('cg-valor-captacao', capitalGiro.valorCaptacao);
+                preencherCampo('cg-taxa-juros', capitalGiro.taxaJuros);
+                preencherCampo('cg-prazo-pagamento', capitalGiro.prazoPagamento);
+                preencherCampo('cg-carencia', capitalGiro.carencia);
+                preencherCampo('cg-ativar', ativar(capitalGiro), 'change');
+
+                const mixProdutos = estrategias.mixProdutos;
+                preencherCampo('mp-percentual-ajuste', mixProdutos.percentualAjuste);
+                preencherCampo('mp-foco-ajuste', mixProdutos.focoAjuste);
+                preencherCampo('mp-impacto-receita', mixProdutos.impactoReceita);
+                preencherCampo('mp-impacto-margem', mixProdutos.impactoMargem);
+                preencherCampo('mp-ativar', ativar(mixProdutos), 'change');
+
+                const meiosPagamento = estrategias.meiosPagamento;
+                preencherCampo('mpg-dist-atual-vista', meiosPagamento.distribuicaoAtual.vista);
+                preencherCampo('mpg-dist-atual-prazo', meiosPagamento.distribuicaoAtual.prazo);
+                preencherCampo('mpg-dist-nova-vista', meiosPagamento.distribuicaoNova.vista);
+                preencherCampo('mpg-dist-nova-30d', meiosPagamento.distribuicaoNova.dias30);
+                preencherCampo('mpg-dist-nova-60d', meiosPagamento.distribuicaoNova.dias60);
+                preencherCampo('mpg-dist-nova-90d', meiosPagamento.distribuicaoNova.dias90);
+                preencherCampo('mpg-taxa-incentivo', meiosPagamento.taxaIncentivo);
+                preencherCampo('mp-pag-ativar', ativar(meiosPagamento), 'change');
+            }
+
+            // Compensação e ressarcimento de créditos
+            if (dadosValidados.parametrosFinanceiros) {
+                const financeiros = dadosValidados.parametrosFinanceiros;
+                const ressarcimento = financeiros.ressarcimentoCreditos;
+                preencherCampo('compensacao', financeiros.tipoCompensacao);
+                preencherCampoMonetario('ressarcimento-creditos-mensais', ressarcimento.creditosMensais);
+                preencherCampo('ressarcimento-prazo', ressarcimento.prazoRessarcimento);
+                preencherCampo('ressarcimento-percentual', paraPercentual(ressarcimento.percentualRessarcimento));
+                preencherCampo('possui-ressarcimento-creditos', ressarcimento.ativo, 'change');
+            }
             
             console.log('Formulário preenchido com sucesso');
         } catch (erro) {
@@ -1155,7 +1608,8 @@ window.DataManager = (function() {
      * @returns {number} - Valor numérico
      */
     function extrairValorNumerico(id) {
-        const elemento = document.getElementById(id);
+        // Sem DOM (Web Worker de simulação) o elemento é tratado como não encontrado
+        const elemento = typeof document !== 'undefined' ? document.getElementById(id) : null;
         if (!elemento) {
             console.warn(`Elemento com id ${id} não encontrado`);
             return 0;
@@ -1191,6 +1645,79 @@ window.DataManager = (function() {
         return isNaN(valorNumerico) ? 0 : valorNumerico;
     }
 
+    /**
+     * Lê os campos percentuais que originam os créditos de PIS/COFINS, ICMS e IPI
+     * @returns {Object} - parametrosFiscais.parametrosCreditos (decimais; null para campo ausente ou vazio)
+     */
+    function lerParametrosCreditos() {
+        const lerPercentual = id => {
+            const valor = parseFloat(document.getElementById(id)?.value);
+            return isNaN(valor) ? null : valor / 100;
+        };
+
+        return {
+            aliquotaPIS: lerPercentual('pis-aliquota'),
+            aliquotaCOFINS: lerPercentual('cofins-aliquota'),
+            baseCalculoPisCofins: lerPercentual('pis-cofins-base-calc'),
+            percAproveitamentoPisCofins: lerPercentual('pis-cofins-perc-credito'),
+            aliquotaICMS: lerPercentual('aliquota-icms'),
+            baseCalculoICMS: lerPercentual('icms-base-calc'),
+            percAproveitamentoICMS: lerPercentual('icms-perc-credito'),
+            possuiIncentivoICMS: document.getElementById('possui-incentivo-icms')?.checked === true,
+            percentualIncentivoICMS: lerPercentual('incentivo-icms'),
+            aliquotaIPI: lerPercentual('aliquota-ipi'),
+            baseCalculoIPI: lerPercentual('ipi-base-calc'),
+            percAproveitamentoIPI: lerPercentual('ipi-perc-credito')
+        };
+    }
+
+    /**
+     * Define o valor de um campo do formulário (checked para checkbox) e dispara o evento informado
+     * @param {string} id - ID do elemento
+     * @param {*} valor - Valor a definir; null ou undefined mantêm o campo
+     * @param {string} evento - Evento a disparar após a alteração ('change', 'input') ou null
+     */
+    function preencherCampo(id, valor, evento = null) {
+        const elemento = document.getElementById(id);
+        if (!elemento || valor === null || valor === undefined) return;
+
+        if (elemento.type === 'checkbox') {
+            elemento.checked = !!valor;
+        } else {
+            elemento.value = valor;
+        }
+        if (evento) {
+            elemento.dispatchEvent(new Event(evento));
+        }
+    }
+
+    /**
+     * Define um campo monetário, mantendo o dataset.rawValue lido por extrairValorNumerico
+     * @param {string} id - ID do elemento
+     * @param {number|null} valor - Valor em reais; null deixa o campo vazio
+     */
+    function preencherCampoMonetario(id, valor) {
+        const elemento = document.getElementById(id);
+        if (!elemento) return;
+
+        if (valor === null || valor === undefined) {
+            elemento.value = '';
+            delete elemento.dataset.rawValue;
+            return;
+        }
+        elemento.value = formatarMoeda(valor);
+        elemento.dataset.rawValue = String(valor);
+    }
+
+    /**
+     * Converte decimal (0-1) para o percentual exibido nos campos do formulário
+     * @param {number|null} valor - Valor decimal
+     * @returns {number|null} - Percentual, ou null se o valor não foi informado
+     */
+    function paraPercentual(valor) {
+        return valor === null || valor === undefined ? null : +(valor * 100).toFixed(4);
+    }
+
     /**
      * Extrai valor monetário de uma string formatada
      * @param {string|number} valor - Valor a ser extraído 
@@ -1401,11 +1928,13 @@ window.DataManager = (function() {
     };
 })();
 
-// Configuração inicial (opcional)
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('DataManager inicializado com sucesso');
+// Configuração inicial (opcional) - document não existe no Web Worker de simulação
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        console.log('DataManager inicializado com sucesso');
     
-    // Opcional: definir modo de debug com base em parâmetros de URL ou localStorage
-    window.DEBUG_MODE = localStorage.getItem('debug_mode') === 'true' || 
-                        window.location.search.indexOf('debug=true') >= 0;
-});
\ No newline at end of file
+        // Opcional: definir modo de debug com base em parâmetros de URL ou localStorage
+        window.DEBUG_MODE = localStorage.getItem('debug_mode') === 'true' || 
+                            window.location.search.indexOf('debug=true') >= 0;
+    });
+}
@@ -660,12 +660,14 @@ class PDFExporter extends BaseExporter {
         const aliquotaIBS = typeof ivaConfig.ibs === 'number' ? formatPercentage(ivaConfig.ibs) : '17,70%';
         const reducaoEspecial = typeof ivaConfig.reducaoEspecial === 'number' ? formatPercentage(ivaConfig.reducaoEspecial) : '0,00%';
         const categoriaIva = ivaConfig.categoriaIva || 'standard';
+        const aliquotaIS = ivaConfig.aliquotaIS > 0 ? `${formatPercentage(ivaConfig.aliquotaIS)} (${window.CalculationCore.descreverVigenciaImpostoSeletivo()})` : 'Não aplicável';
 
         const dadosIVA = [
             { label: "Alíquota CBS:", valor: aliquotaCBS },
             { label: "Alíquota IBS:", valor: aliquotaIBS },
             { label: "Categoria IVA:", valor: this._formatarTexto(categoriaIva) },
             { label: "Redução Especial:", valor: reducaoEspecial },
+            { label: "Imposto Seletivo:", valor: aliquotaIS },
             { label: "Split Payment:", valor: "Ativado" }
         ];
 
@@ -900,6 +902,56 @@ class PDFExporter extends BaseExporter {
 
             currentY = doc.lastAutoTable.finalY + 15;
 
+            // Imposto Seletivo por ano (recolhido fora do Split Payment)
+            const linhasIS = anos
+                .map(ano => ({ ano, dadosAno: resultadosAnuais[ano] }))
+                .map(({ ano, dadosAno }) => ({
+                    ano,
+                    impostos: dadosAno.resultadoIVASemSplit?.impostos || dadosAno.resultadoSplitPayment?.impostos || {}
+                }))
+                .filter(linha => linha.impostos.impostoSeletivo > 0);
+
+            if (linhasIS.length > 0) {
+                doc.setFont("helvetica", "bold");
+                doc.setFontSize(12);
+                doc.setTextColor(70, 70, 70);
+                doc.text('Imposto Seletivo (não sujeito ao Split Payment)', margins.left, currentY);
+                currentY += 8;
+
+                doc.autoTable({
+                    startY: currentY,
+                    head: [["Ano", "Imposto Seletivo (R$)", "CBS (R$)", "IBS (R$)", "Total de Tributos (R$)"]],
+                    body: linhasIS.map(linha => [
+                        linha.ano,
+                        formatCurrency(linha.impostos.impostoSeletivo),
+                        formatCurrency(linha.impostos.cbs || 0),
+                        formatCurrency(linha.impostos.ibs || 0),
+                        formatCurrency(linha.impostos.total || 0)
+                    ]),
+                    theme: 'grid',
+                    styles: {
+                        fontSize: 8,
+                        cellPadding: 2
+                    },
+                    headStyles: {
+                        fillColor: this.config.pdf.colors.primary,
+                        textColor: 255,
+                        fontStyle: 'bold',
+                        fontSize: 9
+                    },
+                    columnStyles: {
+                        0: { cellWidth: 20, halign: 'center' },
+                        1: { cellWidth: 40, halign: 'right' },
+                        2: { cellWidth: 35, halign: 'right' },
+                        3: { cellWidth: 35, halign: 'right' },
+                        4: { cellWidth: 40, halign: 'right' }
+                    },
+                    margin: { left: margins.left }
+                });
+
+                currentY = doc.lastAutoTable.finalY + 15;
+            }
+
             // Seção 2.2 - Análise Comparativa dos Três Sistemas
             doc.setFont("helvetica", "bold");
             doc.setFontSize(14);
@@ -968,9 +1020,94 @@ class PDFExporter extends BaseExporter {
             currentY += 20;
         }
 
+        // Seção 2.3 - Razão mensal do fluxo de caixa
+        const fluxoCaixaMensal = (simulation?.resultados || simulation)?.fluxoCaixaMensal;
+        if (fluxoCaixaMensal && fluxoCaixaMensal.resumoAnual) {
+            currentY = this._addFluxoCaixaMensal(doc, fluxoCaixaMensal, currentY, formatCurrency);
+        }
+
         return currentY;
     }
 
+    _addFluxoCaixaMensal(doc, fluxoCaixaMensal, currentY, formatCurrency) {
+        const margins = this.config.pdf.margins;
+        const pageWidth = doc.internal.pageSize.width;
+
+        // Garantir espaço para título e texto introdutório
+        if (currentY > doc.internal.pageSize.height - margins.bottom - 80) {
+            doc.addPage();
+            currentY = margins.top + 10;
+        }
+
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(14);
+        doc.setTextColor(70, 70, 70);
+        doc.text('2.3. Fluxo de Caixa Mensal e Vale de Caixa', margins.left, currentY);
+        currentY += 10;
+
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(10);
+        doc.setTextColor(60, 60, 60);
+
+        const vale = fluxoCaixaMensal.valeCritico;
+        const necessidade = fluxoCaixaMensal.maiorNecessidadeCapital;
+        let textoVale = 'O razão mensal registra recebimentos, retenções do Split Payment, créditos compensados e guias de recolhimento na data em que ocorrem.';
+        if (vale) {
+            textoVale += ` O vale de caixa do Split Payment (menor diferença acumulada frente ao sistema atual) ocorre em ${vale.rotulo}, com fluxo líquido de ${formatCurrency(vale.fluxoLiquido)} no mês.`;
+        }
+        if (necessidade && necessidade.valor > 0) {
+            textoVale += ` A maior necessidade adicional de caixa frente ao sistema atual ocorre em ${necessidade.rotulo}: ${formatCurrency(necessidade.valor)}.`;
+        }
+
+        const splitTexto = doc.splitTextToSize(textoVale, pageWidth - margins.left - margins.right);
+        doc.text(splitTexto, margins.left, currentY);
+        currentY += splitTexto.length * 5 + 5;
+
+        const anos = Object.keys(fluxoCaixaMensal.resumoAnual).sort();
+        const tableData = anos.map(ano => {
+            const resumo = fluxoCaixaMensal.resumoAnual[ano];
+            return [
+                ano,
+                `${((resumo.percentualImplementacao || 0) * 100).toFixed(0)}%`,
+                formatCurrency(resumo.retencaoSplit),
+                formatCurrency(resumo.creditosCompensados),
+                formatCurrency(resumo.impostoRecolhido),
+                resumo.mesCritico?.rotulo || '-',
+                formatCurrency(resumo.mesCritico?.fluxoLiquido || 0)
+            ];
+        });
+
+        doc.autoTable({
+            startY: currentY,
+            head: [["Ano", "Split (%)", "Retenção Split (R$)", "Créditos Compensados (R$)", "Guias Recolhidas (R$)", "Mês Crítico", "Fluxo no Mês Crítico (R$)"]],
+            body: tableData,
+            theme: 'grid',
+            styles: {
+                fontSize: 8,
+                cellPadding: 2,
+                overflow: 'linebreak'
+            },
+            headStyles: {
+                fillColor: this.config.pdf.colors.primary,
+                textColor: 255,
+                fontStyle: 'bold',
+                fontSize: 8
+            },
+            columnStyles: {
+                0: { halign: 'center' },
+                1: { halign: 'right' },
+                2: { halign: 'right' },
+                3: { halign: 'right' },
+                4: { halign: 'right' },
+                5: { halign: 'center' },
+                6: { halign: 'right' }
+            },
+            margin: { left: margins.left }
+        });
+
+        return doc.lastAutoTable.finalY + 15;
+    }
+
     _addRobustCharts(doc, pageNumber) {
         const margins = this.config.pdf.margins;
         const pageWidth = doc.internal.pageSize.width;
@@ -2088,7 +2225,13 @@ class ExcelExporter extends BaseExporter {
                 const wsResults = this._createResultsWorksheet(dadosSimulacao, resultadosSimulacao);
                 XLSX.utils.book_append_sheet(wb, wsResults, "Resultados");
 
-                // 3. Calculation Memory Worksheet (if available)
+                // 3. Monthly Cash Flow Ledger Worksheet (if available)
+                if (resultadosSimulacao.fluxoCaixaMensal) {
+                    const wsLedger = this._createMonthlyLedgerWorksheet(resultadosSimulacao.fluxoCaixaMensal);
+                    XLSX.utils.book_append_sheet(wb, wsLedger, "Fluxo Mensal");
+                }
+
+                // 4. Calculation Memory Worksheet (if available)
                 if (window.memoriaCalculoSimulacao) {
                     const wsMemory = this._createMemoryWorksheet();
                     XLSX.utils.book_append_sheet(wb, wsMemory, "Memória de Cálculo");
@@ -2124,6 +2267,159 @@ class ExcelExporter extends BaseExporter {
         });
     }
 
+    /**
+     * Export the consolidated portfolio summary (one workbook for all companies)
+     * @param {Array} ranking - Companies ranked by split payment capital need
+     *   ({ posicao, nome, cnpj, setor, regime, faturamento, possuiSped, simuladoEm, resumo, erro })
+     * @param {Object} options - Export options ({ premissas: { cenario, taxaCrescimento, dataInicial, dataFinal } })
+     * @returns {Promise} Promise resolved after export
+     */
+    exportPortfolio(ranking, options = {}) {
+        console.log("Starting portfolio Excel export");
+
+        if (!this.validateLibraries()) {
+            alert("Error exporting: XLSX library not loaded");
+            return Promise.reject("XLSX library not loaded");
+        }
+
+        return new Promise((resolve, reject) => {
+            try {
+                if (!Array.isArray(ranking) || ranking.length === 0) {
+                    alert("Simule a carteira antes de exportar o resumo.");
+                    return reject("No portfolio results available");
+                }
+
+                const manager = new ExportManager();
+                const filename = manager.requestFilename("xlsx", "resumo-carteira-split-payment");
+                if (!filename) {
+                    return resolve({
+                        success: false,
+                        message: "Export cancelled by user"
+                    });
+                }
+
+                const wb = XLSX.utils.book_new();
+                wb.Props = {
+                    Title: "Resumo da Carteira - Simulador de Split Payment",
+                    Subject: "Ranking de clientes por necessidade de capital de giro no Split Payment",
+                    Author: "Expertzy Inteligência Tributária",
+                    CreatedDate: new Date()
+                };
+
+                XLSX.utils.book_append_sheet(wb, this._createPortfolioWorksheet(ranking, options.premissas || {}), "Ranking");
+                XLSX.utils.book_append_sheet(wb, this._createPortfolioProjectionWorksheet(ranking), "Projeção");
+
+                XLSX.writeFile(wb, filename);
+                console.log("Portfolio Excel exported successfully:", filename);
+
+                resolve({
+                    success: true,
+                    message: "Excel exported successfully!",
+                    fileName: filename
+                });
+            } catch (error) {
+                console.error("Error exporting portfolio to Excel:", error);
+                alert("Error exporting to Excel. Check console for details.");
+
+                reject({
+                    success: false,
+                    message: `Error exporting portfolio to Excel: ${error.message}`,
+                    error: error
+                });
+            }
+        });
+    }
+
+    _createPortfolioWorksheet(ranking, premissas) {
+        const manager = new ExportManager();
+        const simuladas = ranking.filter(item => item.resumo);
+        const somar = (obterValor) => simuladas.reduce((total, item) => total + (obterValor(item.resumo) || 0), 0);
+
+        const portfolioData = [
+            ["RESUMO DA CARTEIRA - SPLIT PAYMENT"],
+            ["Expertzy Inteligência Tributária"],
+            ["Data do relatório:", manager.formatDate(new Date())],
+            [],
+            ["Cenário de crescimento:", premissas.cenario || '-', "Taxa de crescimento:", premissas.taxaCrescimento ?? '-'],
+            ["Período:", `${premissas.dataInicial || '-'} a ${premissas.dataFinal || '-'}`],
+            ["Empresas simuladas:", simuladas.length, "Empresas na carteira:", ranking.length],
+            ["Necessidade adicional de capital (total):", somar(resumo => resumo.capitalGiro.necessidadeAdicional)],
+            ["Necessidade de capital no período (total):", somar(resumo => resumo.totais.necessidadeCapitalGiro)],
+            ["Custo financeiro total:", somar(resumo => resumo.totais.custoFinanceiro)],
+            [],
+            [
+                "Posição", "Empresa", "CNPJ", "Setor", "Regime", "SPED", "Faturamento Mensal (R$)",
+                "Impacto no Capital de Giro (R$)", "Necessidade Adicional (R$)", "% do Faturamento",
+                "Impacto na Margem (p.p.)", "Necessidade no Período (R$)", "Custo Financeiro (R$)", "Simulado em"
+            ]
+        ];
+
+        ranking.forEach(item => {
+            const resumo = item.resumo;
+            portfolioData.push([
+                item.posicao || '-',
+                item.nome,
+                item.cnpj || '',
+                this._obterNomeSetor(item.setor),
+                this._obterRegimeTributario(item.regime),
+                item.possuiSped ? 'Sim' : 'Não',
+                item.faturamento || 0,
+                resumo ? resumo.capitalGiro.diferenca : item.erro || 'Não simulado',
+                resumo ? resumo.capitalGiro.necessidadeAdicional : '',
+                resumo && item.faturamento ? resumo.capitalGiro.necessidadeAdicional / item.faturamento : '',
+                resumo ? resumo.margem.impactoPercentual : '',
+                resumo ? resumo.totais.necessidadeCapitalGiro : '',
+                resumo ? resumo.totais.custoFinanceiro : '',
+                item.simuladoEm ? manager.formatDate(new Date(item.simuladoEm)) : ''
+            ]);
+        });
+
+        const ws = XLSX.utils.aoa_to_sheet(portfolioData);
+        ws['!cols'] = [
+            { wch: 9 }, { wch: 30 }, { wch: 20 }, { wch: 20 }, { wch: 18 }, { wch: 7 }, { wch: 20 },
+            { wch: 24 }, { wch: 22 }, { wch: 16 }, { wch: 18 }, { wch: 22 }, { wch: 20 }, { wch: 18 }
+        ];
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: 13 } }
+        ];
+
+        return ws;
+    }
+
+    _createPortfolioProjectionWorksheet(ranking) {
+        const simuladas = ranking.filter(item => item.resumo);
+        const anos = Array.from(new Set(simuladas.flatMap(item => item.resumo.projecao.anos))).sort();
+
+        const projectionData = [
+            ["PROJEÇÃO DA DIFERENÇA NO CAPITAL DE GIRO POR EMPRESA (R$)"],
+            [],
+            ["Empresa", "CNPJ", ...anos]
+        ];
+
+        simuladas.forEach(item => {
+            projectionData.push([
+                item.nome,
+                item.cnpj || '',
+                ...anos.map(ano => item.resumo.projecao.porAno[ano]?.diferencaCapitalGiro ?? '')
+            ]);
+        });
+
+        projectionData.push([
+            "Total da carteira",
+            '',
+            ...anos.map(ano => simuladas.reduce((total, item) =>
+                total + (item.resumo.projecao.porAno[ano]?.diferencaCapitalGiro || 0), 0))
+        ]);
+
+        const ws = XLSX.utils.aoa_to_sheet(projectionData);
+        ws['!cols'] = [{ wch: 30 }, { wch: 20 }, ...anos.map(() => ({ wch: 16 }))];
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: Math.max(1, anos.length + 1) } }
+        ];
+
+        return ws;
+    }
+
     _createSummaryWorksheet(data, results, equivalentRates) {
         // Usar DataManager para formatação consistente
         const formatarMoeda = (valor) => {
@@ -2175,6 +2471,10 @@ class ExcelExporter extends BaseExporter {
             ["Setor:", this._obterNomeSetor(dadosAninhados.empresa?.setor)],
             ["Regime Tributário:", this._obterRegimeTributario(dadosAninhados.empresa?.regime)],
             ["Faturamento Mensal:", formatarMoeda(dadosAninhados.empresa?.faturamento || 0)],
+            ["Imposto Seletivo:", dadosAninhados.ivaConfig?.aliquotaIS > 0 ?
+                `${formatarPercentual(dadosAninhados.ivaConfig.aliquotaIS * 100)} ${window.CalculationCore.descreverVigenciaImpostoSeletivo()} (fora do Split Payment)` :
+                "Não aplicável"
+            ],
             ["Período de Simulação:", 
                 `${dadosAninhados.parametrosSimulacao?.dataInicial?.split('-')[0] || '2026'} a ${dadosAninhados.parametrosSimulacao?.dataFinal?.split('-')[0] || '2033'}`
             ],
@@ -2356,12 +2656,13 @@ class ExcelExporter extends BaseExporter {
         };
 
         // Adicionar configuração IVA se disponível
-        if (dadosPlanos.aliquotaCBS || dadosPlanos.aliquotaIBS || dadosPlanos.categoriaIva || dadosPlanos.reducaoEspecial) {
+        if (dadosPlanos.aliquotaCBS || dadosPlanos.aliquotaIBS || dadosPlanos.categoriaIva || dadosPlanos.reducaoEspecial || dadosPlanos.aliquotaIS) {
             resultado.ivaConfig = {
                 cbs: dadosPlanos.aliquotaCBS || 0.088,
                 ibs: dadosPlanos.aliquotaIBS || 0.177,
                 categoriaIva: dadosPlanos.categoriaIva || 'standard',
-                reducaoEspecial: dadosPlanos.reducaoEspecial || 0
+                reducaoEspecial: dadosPlanos.reducaoEspecial || 0,
+                aliquotaIS: dadosPlanos.aliquotaIS || 0
             };
         }
 
@@ -2432,6 +2733,34 @@ class ExcelExporter extends BaseExporter {
             []
         );
 
+        // Imposto Seletivo por ano (recolhido pelo contribuinte, fora do Split Payment)
+        const resultadosAnuais = results.projecaoTemporal?.resultadosAnuais || {};
+        const linhasIS = Object.keys(resultadosAnuais).sort()
+            .map(ano => ({
+                ano,
+                impostos: resultadosAnuais[ano].resultadoIVASemSplit?.impostos ||
+                          resultadosAnuais[ano].resultadoSplitPayment?.impostos || {}
+            }))
+            .filter(linha => linha.impostos.impostoSeletivo > 0);
+
+        if (linhasIS.length > 0) {
+            resultsData.push(
+                ["IMPOSTO SELETIVO"],
+                [],
+                ["Ano", "Imposto Seletivo (R$)", "CBS (R$)", "IBS (R$)", "Total de Tributos (R$)"]
+            );
+            linhasIS.forEach(linha => {
+                resultsData.push([
+                    parseInt(linha.ano),
+                    linha.impostos.impostoSeletivo,
+                    linha.impostos.cbs || 0,
+                    linha.impostos.ibs || 0,
+                    linha.impostos.total || 0
+                ]);
+            });
+            resultsData.push([]);
+        }
+
         // Criar planilha
         const ws = XLSX.utils.aoa_to_sheet(resultsData);
 
@@ -2441,6 +2770,80 @@ class ExcelExporter extends BaseExporter {
         return ws;
     }
 
+    _createMonthlyLedgerWorksheet(fluxoCaixaMensal) {
+        const manager = new ExportManager();
+        const registros = fluxoCaixaMensal.dias || fluxoCaixaMensal.meses || [];
+        const vale = fluxoCaixaMensal.valeCritico;
+        const necessidade = fluxoCaixaMensal.maiorNecessidadeCapital;
+
+        const ledgerData = [
+            ["RAZÃO DE FLUXO DE CAIXA - SPLIT PAYMENT"],
+            ["Expertzy Inteligência Tributária"],
+            ["Data do relatório:", manager.formatDate(new Date())],
+            [],
+            ["Granularidade:", fluxoCaixaMensal.parametros?.granularidade === 'diaria' ? 'Diária' : 'Mensal'],
+            ["Vale de caixa do Split Payment (mês):", vale ? vale.rotulo : '-', vale ? vale.diferencaAcumulada : 0],
+            ["Maior necessidade adicional vs atual:", necessidade ? necessidade.rotulo : '-', necessidade ? necessidade.valor : 0],
+            [],
+            [
+                "Período", "Split (%)", "Vendas (R$)", "Recebimento à Vista (R$)", "Recebimento a Prazo (R$)",
+                "Taxas Meios de Pagamento (R$)", "Retenção Bruta (R$)", "Créditos Compensados (R$)", "Retenção Split (R$)", "Guia Recolhida (R$)",
+                "Vencimento", "Pagamento Fornecedores (R$)", "Fluxo Líquido (R$)", "Saldo Acumulado (R$)",
+                "Fluxo Sistema Atual (R$)", "Diferença Acumulada (R$)"
+            ]
+        ];
+
+        registros.forEach(registro => {
+            ledgerData.push([
+                registro.rotulo,
+                registro.percentualImplementacao,
+                registro.vendas,
+                registro.recebimentoVista,
+                registro.recebimentoPrazo,
+                registro.taxasMeiosPagamento || 0,
+                registro.retencaoBruta,
+                registro.creditosCompensados,
+                registro.retencaoSplit,
+                registro.impostoRecolhido,
+                registro.dataVencimento ? registro.dataVencimento.split('-').reverse().join('/') : '',
+                registro.pagamentoFornecedores,
+                registro.fluxoLiquido,
+                registro.saldoAcumulado,
+                registro.fluxoLiquidoAtual,
+                registro.diferencaAcumulada
+            ]);
+        });
+
+        // Recebíveis por meio de pagamento no horizonte do razão
+        if (fluxoCaixaMensal.meiosPagamento) {
+            ledgerData.push([]);
+            ledgerData.push(["RECEBÍVEIS POR MEIO DE PAGAMENTO"]);
+            ledgerData.push([
+                "Meio", "Participação (%)", "Parcelas", "Prazo Médio de Liquidação (dias)", "Taxa (%)",
+                "Vendas (R$)", "Recebido (R$)", "Taxas (R$)", "Retenção Split (R$)"
+            ]);
+            fluxoCaixaMensal.meiosPagamento.forEach(meio => {
+                ledgerData.push([
+                    meio.nome, meio.participacao, meio.parcelas, meio.prazoMedioLiquidacao, meio.taxa,
+                    meio.vendas, meio.recebido, meio.taxas, meio.retencaoSplit
+                ]);
+            });
+        }
+
+        const ws = XLSX.utils.aoa_to_sheet(ledgerData);
+
+        ws['!cols'] = [
+            { wch: 14 }, { wch: 10 }, { wch: 18 }, { wch: 20 }, { wch: 20 }, { wch: 22 },
+            { wch: 18 }, { wch: 20 }, { wch: 18 }, { wch: 18 }, { wch: 12 },
+            { wch: 22 }, { wch: 18 }, { wch: 18 }, { wch: 20 }, { wch: 20 }
+        ];
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: 15 } }
+        ];
+
+        return ws;
+    }
+
     _createMemoryWorksheet() {
         // Selecionar o ano (usando o mesmo mecanismo do PDF)
         const anoSelecionado = document.getElementById("select-ano-memoria")?.value ||
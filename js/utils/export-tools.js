@@ -224,6 +224,41 @@ const ExportTools = (function() {
         }
     }
 
+    /**
+     * Exporta o resumo consolidado da carteira de empresas para Excel
+     * @param {Array} ranking - Empresas ordenadas pela necessidade de capital (CarteiraController.obterRanking)
+     * @param {Object} premissas - Premissas comuns da simulação em lote
+     */
+    function exportarCarteiraParaExcel(ranking, premissas) {
+        console.log("Iniciando exportação do resumo da carteira para Excel...");
+
+        if (!initialized) {
+            const initResult = inicializar();
+            if (!initResult) {
+                alert("Não foi possível inicializar as ferramentas de exportação. Verifique o console para detalhes.");
+                return;
+            }
+        }
+
+        if (!excelExporter) {
+            console.error("ExcelExporter não inicializado corretamente.");
+            alert("Exportador Excel não inicializado corretamente. Verifique o console para detalhes.");
+            return;
+        }
+
+        excelExporter.exportPortfolio(ranking, { premissas })
+            .then(resultado => {
+                if (resultado.success) {
+                    console.log("Exportação do resumo da carteira concluída com sucesso:", resultado.fileName);
+                } else {
+                    console.warn("Exportação do resumo da carteira cancelada ou incompleta:", resultado.message);
+                }
+            })
+            .catch(erro => {
+                console.error("Erro na exportação do resumo da carteira:", erro);
+            });
+    }
+
     /**
      * Exporta a memória de cálculo para arquivo de texto
      */
@@ -282,6 +317,7 @@ const ExportTools = (function() {
         inicializar,
         exportarParaPDF,
         exportarParaExcel,
+        exportarCarteiraParaExcel,
         exportarMemoriaCalculo,
         // Métodos de diagnóstico
         isInitialized: () => initialized,